@@ -0,0 +1,268 @@
+/**
+ * Conversation store for claude-api-server.
+ *
+ * Keeps per-call message history (and the caller number it belongs to) so
+ * transcripts survive restarts and returning callers can pick up where they
+ * left off. Two backends share the same async interface:
+ *
+ * - sqlite (default): better-sqlite3 file at CONVERSATION_DB_PATH
+ * - memory: process-local Map, used by tests or when SQLite is unavailable
+ *
+ * Interface:
+ *   getConversation(callId)                      -> conversation | null
+ *   startConversation(callId, { callerNumber, systemPrompt }) -> conversation
+ *   appendMessage(callId, { role, content })
+ *   endConversation(callId)
+ *   deleteConversation(callId)                   -> boolean
+ *   listConversations({ callerNumber, limit })   -> conversation summaries
+ *   getCallerHistory(callerNumber, { excludeCallId, limit }) -> messages (without system ones)
+ *   prune(retentionMs)                           -> number of conversations removed
+ *
+ * A conversation is { callId, callerNumber, systemPrompt, createdAt, updatedAt, endedAt, messages }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function toSummary(conv, messageCount) {
+  return {
+    callId: conv.callId,
+    callerNumber: conv.callerNumber,
+    createdAt: conv.createdAt,
+    updatedAt: conv.updatedAt,
+    endedAt: conv.endedAt,
+    messageCount
+  };
+}
+
+class MemoryConversationStore {
+  constructor() {
+    this.type = 'memory';
+    this.conversations = new Map();
+  }
+
+  async getConversation(callId) {
+    const conv = this.conversations.get(callId);
+    return conv ? { ...conv, messages: conv.messages.map((m) => ({ ...m })) } : null;
+  }
+
+  async startConversation(callId, { callerNumber = null, systemPrompt = null } = {}) {
+    const existing = this.conversations.get(callId);
+    if (existing) {
+      if (systemPrompt) existing.systemPrompt = systemPrompt;
+      if (callerNumber && !existing.callerNumber) existing.callerNumber = callerNumber;
+      return this.getConversation(callId);
+    }
+
+    const now = Date.now();
+    this.conversations.set(callId, {
+      callId,
+      callerNumber,
+      systemPrompt,
+      createdAt: now,
+      updatedAt: now,
+      endedAt: null,
+      messages: []
+    });
+    return this.getConversation(callId);
+  }
+
+  async appendMessage(callId, { role, content }) {
+    const conv = this.conversations.get(callId);
+    if (!conv) throw new Error(`Unknown conversation: ${callId}`);
+    const now = Date.now();
+    conv.messages.push({ role, content, createdAt: now });
+    conv.updatedAt = now;
+  }
+
+  async endConversation(callId) {
+    const conv = this.conversations.get(callId);
+    if (conv && !conv.endedAt) conv.endedAt = Date.now();
+  }
+
+  async deleteConversation(callId) {
+    return this.conversations.delete(callId);
+  }
+
+  async listConversations({ callerNumber = null, limit = 50 } = {}) {
+    return Array.from(this.conversations.values())
+      .filter((c) => !callerNumber || c.callerNumber === callerNumber)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, limit)
+      .map((c) => toSummary(c, c.messages.length));
+  }
+
+  async getCallerHistory(callerNumber, { excludeCallId = null, limit = 10 } = {}) {
+    if (!callerNumber) return [];
+    const messages = Array.from(this.conversations.values())
+      .filter((c) => c.callerNumber === callerNumber && c.callId !== excludeCallId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .flatMap((c) => c.messages.filter((m) => m.role !== 'system').map((m) => ({ ...m, callId: c.callId })));
+    return limit > 0 ? messages.slice(-limit) : [];
+  }
+
+  async prune(retentionMs) {
+    const cutoff = Date.now() - retentionMs;
+    let removed = 0;
+    for (const [callId, conv] of this.conversations.entries()) {
+      if (conv.updatedAt < cutoff) {
+        this.conversations.delete(callId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  close() {}
+}
+
+class SqliteConversationStore {
+  constructor(dbPath) {
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.type = 'sqlite';
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        call_id TEXT PRIMARY KEY,
+        caller_number TEXT,
+        system_prompt TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        ended_at INTEGER
+      );
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES conversations(call_id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_call ON messages(call_id, id);
+      CREATE INDEX IF NOT EXISTS idx_conversations_caller ON conversations(caller_number, created_at);
+    `);
+
+    this.stmts = {
+      getConversation: this.db.prepare('SELECT * FROM conversations WHERE call_id = ?'),
+      getMessages: this.db.prepare('SELECT role, content, created_at FROM messages WHERE call_id = ? ORDER BY id'),
+      insertConversation: this.db.prepare(`
+        INSERT INTO conversations (call_id, caller_number, system_prompt, created_at, updated_at)
+        VALUES (@callId, @callerNumber, @systemPrompt, @now, @now)
+        ON CONFLICT(call_id) DO UPDATE SET
+          system_prompt = COALESCE(@systemPrompt, system_prompt),
+          caller_number = COALESCE(caller_number, @callerNumber)
+      `),
+      insertMessage: this.db.prepare('INSERT INTO messages (call_id, role, content, created_at) VALUES (?, ?, ?, ?)'),
+      touch: this.db.prepare('UPDATE conversations SET updated_at = ? WHERE call_id = ?'),
+      end: this.db.prepare('UPDATE conversations SET ended_at = ? WHERE call_id = ? AND ended_at IS NULL'),
+      delete: this.db.prepare('DELETE FROM conversations WHERE call_id = ?'),
+      list: this.db.prepare(`
+        SELECT c.*, (SELECT COUNT(*) FROM messages m WHERE m.call_id = c.call_id) AS message_count
+        FROM conversations c
+        WHERE (@callerNumber IS NULL OR c.caller_number = @callerNumber)
+        ORDER BY c.updated_at DESC
+        LIMIT @limit
+      `),
+      callerHistory: this.db.prepare(`
+        SELECT * FROM (
+          SELECT m.id, m.call_id, m.role, m.content, m.created_at
+          FROM messages m JOIN conversations c ON c.call_id = m.call_id
+          WHERE c.caller_number = @callerNumber AND c.call_id != @excludeCallId AND m.role != 'system'
+          ORDER BY m.id DESC
+          LIMIT @limit
+        ) ORDER BY id
+      `),
+      prune: this.db.prepare('DELETE FROM conversations WHERE updated_at < ?')
+    };
+  }
+
+  _toConversation(row, messages) {
+    return {
+      callId: row.call_id,
+      callerNumber: row.caller_number,
+      systemPrompt: row.system_prompt,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      endedAt: row.ended_at,
+      messages
+    };
+  }
+
+  async getConversation(callId) {
+    const row = this.stmts.getConversation.get(callId);
+    if (!row) return null;
+    const messages = this.stmts.getMessages.all(callId)
+      .map((m) => ({ role: m.role, content: m.content, createdAt: m.created_at }));
+    return this._toConversation(row, messages);
+  }
+
+  async startConversation(callId, { callerNumber = null, systemPrompt = null } = {}) {
+    this.stmts.insertConversation.run({ callId, callerNumber, systemPrompt, now: Date.now() });
+    return this.getConversation(callId);
+  }
+
+  async appendMessage(callId, { role, content }) {
+    const now = Date.now();
+    this.db.transaction(() => {
+      this.stmts.insertMessage.run(callId, role, content, now);
+      this.stmts.touch.run(now, callId);
+    })();
+  }
+
+  async endConversation(callId) {
+    this.stmts.end.run(Date.now(), callId);
+  }
+
+  async deleteConversation(callId) {
+    return this.stmts.delete.run(callId).changes > 0;
+  }
+
+  async listConversations({ callerNumber = null, limit = 50 } = {}) {
+    return this.stmts.list.all({ callerNumber, limit })
+      .map((row) => toSummary(this._toConversation(row, []), row.message_count));
+  }
+
+  async getCallerHistory(callerNumber, { excludeCallId = null, limit = 10 } = {}) {
+    if (!callerNumber || limit <= 0) return [];
+    return this.stmts.callerHistory.all({ callerNumber, excludeCallId: excludeCallId || '', limit })
+      .map((m) => ({ role: m.role, content: m.content, createdAt: m.created_at, callId: m.call_id }));
+  }
+
+  async prune(retentionMs) {
+    return this.stmts.prune.run(Date.now() - retentionMs).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create the configured conversation store.
+ * Falls back to memory when SQLite cannot be opened (e.g. better-sqlite3 not installed).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.type='sqlite'] - 'sqlite' or 'memory'
+ * @param {string} [options.dbPath] - SQLite file path
+ */
+function createConversationStore({ type = 'sqlite', dbPath = path.join(__dirname, 'data', 'conversations.db') } = {}) {
+  if (type === 'memory') return new MemoryConversationStore();
+  if (type !== 'sqlite') throw new Error(`Unknown conversation store type: ${type}`);
+
+  try {
+    return new SqliteConversationStore(dbPath);
+  } catch (error) {
+    console.warn(`Conversation store: SQLite unavailable (${error.message}), falling back to memory`);
+    return new MemoryConversationStore();
+  }
+}
+
+module.exports = {
+  createConversationStore,
+  MemoryConversationStore,
+  SqliteConversationStore
+};
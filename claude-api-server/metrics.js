@@ -0,0 +1,244 @@
+/**
+ * Prometheus metrics for claude-api-server (GET /metrics):
+ *
+ *   claude_api_requests_total{endpoint,outcome}          /ask and /ask-stream answers
+ *                                                        (ok, upstream_error, error, aborted)
+ *   claude_api_requests_in_flight{endpoint}              answers being generated
+ *   claude_gateway_request_duration_seconds{endpoint}    time the OpenClaw gateway took
+ *   claude_gateway_errors_total{endpoint,reason}         failed gateway requests
+ *                                                        (http_<status>, timeout, connection)
+ *
+ * The registry is the one in voice-app/lib/metrics.js, so both services
+ * render the same way.
+ */
+
+const BUCKETS = [0.25, 0.5, 1, 2, 3, 5, 8, 13, 20, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return '{' + pairs.map(([name, value]) => name + '="' + escapeLabel(value) + '"').join(',') + '}';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label values (JSON) -> series
+  }
+
+  _series(labels, create) {
+    const values = this.labelNames.map(name => {
+      const value = labels ? labels[name] : undefined;
+      return value === undefined || value === null ? '' : String(value);
+    });
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = create(values);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  _pairs(values) {
+    return this.labelNames.map((name, i) => [name, values[i]]);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return ['# HELP ' + this.name + ' ' + this.help, '# TYPE ' + this.name + ' ' + this.type]
+      .concat(this._lines())
+      .join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this._series(labels, values => ({ values, value: 0 })).value += value;
+  }
+
+  _lines() {
+    return Array.from(this.series.values())
+      .map(s => this.name + formatLabels(this._pairs(s.values)) + ' ' + formatValue(s.value));
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {function(): Array<{labels: Object, value: number}>} [collect] - Reads
+   *   the current values at scrape time instead of set()
+   */
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this._series(labels, values => ({ values, value: 0 })).value = value;
+  }
+
+  _lines() {
+    if (this.collect) {
+      this.reset();
+      for (const { labels, value } of this.collect()) this.set(labels, value);
+    }
+    return Array.from(this.series.values())
+      .map(s => this.name + formatLabels(this._pairs(s.values)) + ' ' + formatValue(s.value));
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this._series(labels, values => ({
+      values,
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  _lines() {
+    const lines = [];
+    for (const s of this.series.values()) {
+      const pairs = this._pairs(s.values);
+      this.buckets.forEach((bound, i) => {
+        lines.push(this.name + '_bucket' + formatLabels(pairs.concat([['le', formatValue(bound)]])) + ' ' + s.counts[i]);
+      });
+      lines.push(this.name + '_bucket' + formatLabels(pairs.concat([['le', '+Inf']])) + ' ' + s.count);
+      lines.push(this.name + '_sum' + formatLabels(pairs) + ' ' + formatValue(s.sum));
+      lines.push(this.name + '_count' + formatLabels(pairs) + ' ' + s.count);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this._add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this._add(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  _add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  render() {
+    return this.metrics.map(m => m.render()).join('\n') + '\n';
+  }
+
+  reset() {
+    this.metrics.forEach(m => m.reset());
+  }
+}
+
+// ---------------------------------------------------------------------------
+// claude-api-server metrics
+// ---------------------------------------------------------------------------
+
+const registry = new MetricsRegistry();
+const active = new Map(); // endpoint -> answers being generated
+
+const requests = registry.counter('claude_api_requests_total', 'Answers given, by endpoint and outcome', ['endpoint', 'outcome']);
+registry.gauge('claude_api_requests_in_flight', 'Answers being generated', ['endpoint'], () => {
+  return Array.from(active, ([endpoint, value]) => ({ labels: { endpoint }, value }));
+});
+const gatewayDuration = registry.histogram('claude_gateway_request_duration_seconds', 'Time the OpenClaw gateway took to answer', ['endpoint'], BUCKETS);
+const gatewayErrors = registry.counter('claude_gateway_errors_total', 'Failed OpenClaw gateway requests, by reason', ['endpoint', 'reason']);
+
+// gateway_http_502:... -> http_502, timeout -> timeout, ECONNREFUSED -> connection
+function gatewayErrorReason(error) {
+  const http = /^gateway_http_(\d+)/.exec(error.message || '');
+  if (http) return `http_${http[1]}`;
+  if (error.message === 'timeout') return 'timeout';
+  return error.code ? 'connection' : 'other';
+}
+
+/**
+ * Track one /ask or /ask-stream request
+ * @param {string} endpoint - ask or ask-stream
+ * @returns {{gateway: function(Promise): Promise, done: function(string): void}}
+ *   gateway() times the gateway call and counts its errors; done(outcome) ends
+ *   the request (later calls are ignored)
+ */
+function startRequest(endpoint) {
+  let finished = false;
+  active.set(endpoint, (active.get(endpoint) || 0) + 1);
+
+  const gatewayDone = (startedAt, error) => {
+    gatewayDuration.observe({ endpoint }, (Date.now() - startedAt) / 1000);
+    if (error) gatewayErrors.inc({ endpoint, reason: gatewayErrorReason(error) });
+  };
+
+  return {
+    async gateway(promise) {
+      const startedAt = Date.now();
+      try {
+        const result = await promise;
+        gatewayDone(startedAt);
+        return result;
+      } catch (error) {
+        gatewayDone(startedAt, error);
+        throw error;
+      }
+    },
+    done(outcome) {
+      if (finished) return;
+      finished = true;
+      active.set(endpoint, active.get(endpoint) - 1);
+      requests.inc({ endpoint, outcome });
+    }
+  };
+}
+
+/**
+ * @returns {string} Metrics in the Prometheus text format
+ */
+function renderMetrics() {
+  return registry.render();
+}
+
+module.exports = { MetricsRegistry, registry, startRequest, renderMetrics };
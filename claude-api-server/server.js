@@ -1,5 +1,8 @@
 const express = require('express');
 const http = require('http');
+const { createConversationStore } = require('./conversation-store');
+const metrics = require('./metrics');
+const tracing = require('./tracing');
 
 const app = express();
 app.use(express.json());
@@ -8,17 +11,53 @@ const GATEWAY_HOST = process.env.OPENCLAW_HOST || '127.0.0.1';
 const GATEWAY_PORT = parseInt(process.env.OPENCLAW_GATEWAY_PORT || '18789', 10);
 const GATEWAY_TOKEN = process.env.OPENCLAW_GATEWAY_TOKEN || '';
 
-// In-memory conversation history per callId
-const conversations = new Map();
-const CONVERSATION_TTL_MS = 30 * 60 * 1000; // 30 min
+// Conversation history per callId (SQLite by default, survives restarts)
+const store = createConversationStore({
+  type: process.env.CONVERSATION_STORE || 'sqlite',
+  dbPath: process.env.CONVERSATION_DB_PATH || undefined
+});
+// 0 keeps transcripts forever
+const CONVERSATION_RETENTION_MS = parseFloat(process.env.CONVERSATION_RETENTION_DAYS || '30') * 24 * 60 * 60 * 1000;
+// Messages from a returning caller's earlier calls given to the model as context (0 disables)
+const CALLER_HISTORY_MESSAGES = parseInt(process.env.CALLER_HISTORY_MESSAGES || '10', 10);
+
+// Names for the language codes voice-app sends when a caller switches language
+const LANGUAGE_NAMES = {
+  en: 'English', he: 'Hebrew', ar: 'Arabic', ru: 'Russian', fr: 'French', es: 'Spanish',
+  de: 'German', it: 'Italian', pt: 'Portuguese'
+};
+
+// Said instead of an answer when the gateway fails, in the call's language
+// (callLanguage from voice-app; FALLBACK_LANGUAGE for clients that don't send it).
+// Responses carrying one are flagged with "fallback": "upstream_error" / "unavailable".
+const FALLBACK_REPLIES = {
+  en: {
+    upstreamError: "I'm having trouble with that answer right now. Could you try again?",
+    unavailable: "I'm having trouble reaching the conversation engine. Could you try again in a moment?"
+  },
+  he: {
+    upstreamError: 'מצטער, הייתה לי תקלה רגעית בתשובה. אפשר לנסות שוב?',
+    unavailable: 'מצטער, יש כרגע תקלה זמנית במנוע השיחה. אפשר לנסות שוב בעוד רגע?'
+  }
+};
+const FALLBACK_LANGUAGE = process.env.FALLBACK_LANGUAGE || 'he';
 
-function pruneOldConversations() {
-  const now = Date.now();
-  for (const [key, val] of conversations.entries()) {
-    if (now - val.updatedAt > CONVERSATION_TTL_MS) conversations.delete(key);
+function fallbackReply(kind, body) {
+  const language = String((body && (body.callLanguage || body.language)) || FALLBACK_LANGUAGE).split('-')[0].toLowerCase();
+  return (FALLBACK_REPLIES[language] || FALLBACK_REPLIES.en)[kind];
+}
+
+async function pruneOldConversations() {
+  if (!(CONVERSATION_RETENTION_MS > 0)) return;
+  try {
+    const removed = await store.prune(CONVERSATION_RETENTION_MS);
+    if (removed > 0) console.log(`Pruned ${removed} conversations past retention`);
+  } catch (error) {
+    console.error('Prune failed:', error.message);
   }
 }
-setInterval(pruneOldConversations, 5 * 60 * 1000);
+pruneOldConversations();
+setInterval(pruneOldConversations, 60 * 60 * 1000);
 
 function askGateway(messages) {
   return new Promise((resolve, reject) => {
@@ -59,51 +98,318 @@ function askGateway(messages) {
   });
 }
 
+// Streaming variant: resolves with the full text, calling onDelta for each
+// content fragment of the gateway's SSE stream. Returns { promise, abort }.
+function askGatewayStream(messages, onDelta) {
+  let req = null;
+  const promise = new Promise((resolve, reject) => {
+    const postData = JSON.stringify({ model: 'main', messages, stream: true });
+    const options = {
+      hostname: GATEWAY_HOST,
+      port: GATEWAY_PORT,
+      path: '/v1/chat/completions',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'Authorization': `Bearer ${GATEWAY_TOKEN}`,
+      },
+      timeout: 60000
+    };
+
+    req = http.request(options, (res) => {
+      let full = '';
+      let buffer = '';
+      const isSse = /text\/event-stream/i.test(res.headers['content-type'] || '');
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        if (res.statusCode >= 400 || !isSse) return;
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line.startsWith('data:')) continue;
+
+          const payload = line.slice(5).trim();
+          if (!payload || payload === '[DONE]') continue;
+          try {
+            const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+            if (delta) {
+              full += delta;
+              onDelta(delta);
+            }
+          } catch {
+            // Ignore keep-alives and malformed frames
+          }
+        }
+      });
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          return reject(new Error(`gateway_http_${res.statusCode}:${buffer.slice(0, 300)}`));
+        }
+        if (isSse) return resolve(full);
+
+        // Gateway ignored stream:true - resolve with the whole answer, no deltas
+        try {
+          const json = JSON.parse(buffer);
+          resolve(String(json.choices?.[0]?.message?.content || JSON.stringify(json)));
+        } catch {
+          resolve(String(buffer));
+        }
+      });
+      // Aborted by us (client went away) - keep whatever was generated
+      res.on('aborted', () => resolve(full));
+      res.on('error', () => resolve(full));
+    });
+
+    req.on('error', reject);
+    req.setTimeout(60000, () => { req.destroy(); reject(new Error('timeout')); });
+    req.write(postData);
+    req.end();
+  });
+
+  return { promise, abort: () => req && req.destroy() };
+}
+
+function isUpstreamError(text) {
+  return /Codex error:/i.test(text) || /"type"\s*:\s*"error"/i.test(text) || /server_error/i.test(text);
+}
+
+// Get (or start) the conversation for a call, record the user's turn and
+// build the message list for the gateway. A priming prompt from voice-app
+// (isSystemPrime, e.g. why an outbound call was made) is kept as a system
+// message: context for the rest of the call, not something the caller said.
+// A one-off task (persist: false, e.g. summarizing a finished call) gets no
+// conversation at all: nothing is stored, so nothing carries over.
+async function beginTurn({ callId, devicePrompt, prompt, callerNumber, language, isSystemPrime, persist }) {
+  const key = callId || 'default';
+  const prime = Boolean(isSystemPrime);
+  if (persist === false) {
+    const messages = devicePrompt ? [{ role: 'system', content: devicePrompt }] : [];
+    messages.push({ role: 'user', content: prompt });
+    return { key, messages, prime, persist: false };
+  }
+
+  const conv = await store.startConversation(key, { callerNumber: callerNumber || null, systemPrompt: devicePrompt || null });
+  await store.appendMessage(key, { role: prime ? 'system' : 'user', content: prompt });
+
+  const messages = [];
+  if (conv.systemPrompt) {
+    messages.push({ role: 'system', content: conv.systemPrompt });
+  }
+
+  // Returning caller: summarize earlier calls so the model can continue where it left off
+  const history = await store.getCallerHistory(conv.callerNumber, { excludeCallId: key, limit: CALLER_HISTORY_MESSAGES });
+  if (history.length) {
+    const lines = history.map((m) => `${m.role === 'user' ? 'Caller' : 'Assistant'}: ${m.content}`);
+    messages.push({ role: 'system', content: `Earlier calls with this caller (oldest first):\n${lines.join('\n')}` });
+  }
+
+  for (const m of conv.messages) messages.push({ role: m.role, content: m.content });
+
+  // The caller's language can change mid-call; this outranks the device prompt's language
+  if (language) {
+    const name = LANGUAGE_NAMES[language] || language;
+    messages.push({ role: 'system', content: `The caller is speaking ${name}. Reply in ${name}.` });
+  }
+  messages.push({ role: 'user', content: prompt });
+  return { key, messages, prime, persist: true };
+}
+
 app.post('/ask', async (req, res) => {
+  let request = null;
+  let span = null;
   try {
-    const { prompt, callId, devicePrompt } = req.body;
+    const { prompt, callId } = req.body;
     if (!prompt) return res.status(400).json({ error: 'Missing prompt' });
 
-    const key = callId || 'default';
-    if (!conversations.has(key)) {
-      const messages = [];
-      if (devicePrompt) {
-        messages.push({ role: 'system', content: devicePrompt });
-      }
-      conversations.set(key, { messages, updatedAt: Date.now() });
+    request = metrics.startRequest('ask');
+    span = tracing.startRequestSpan('ask', req);
+    const { key, messages, prime, persist } = await span.child('conversation.load').wrap(beginTurn(req.body));
+
+    console.log(`[${key}] ${prompt.substring(0, 60)}...`);
+    let response = await request.gateway(span.child('gateway.request').wrap(askGateway(messages)));
+    let fallback;
+    let outcome = 'ok';
+
+    if (isUpstreamError(response)) {
+      console.warn(`[${key}] upstream returned error payload, using fallback reply`);
+      response = fallbackReply('upstreamError', req.body);
+      fallback = 'upstream_error';
+      outcome = 'upstream_error';
     }
-    const conv = conversations.get(key);
 
-    if (devicePrompt && !conv.messages.some((m) => m.role === 'system' && m.content === devicePrompt)) {
-      conv.messages.unshift({ role: 'system', content: devicePrompt });
+    // Nobody hears the answer to a priming prompt
+    if (!prime && persist) await store.appendMessage(key, { role: 'assistant', content: response });
+    console.log(`-> ${response.substring(0, 60)}...`);
+    request.done(outcome);
+    span.end({ outcome });
+    res.json({ success: true, response, callId, fallback });
+  } catch (error) {
+    console.error('Error:', error.message);
+    if (request) request.done('error');
+    if (span) {
+      span.fail(error);
+      span.end({ outcome: 'error' });
     }
+    res.json({ success: true, response: fallbackReply('unavailable', req.body), callId: req.body?.callId, fallback: 'unavailable' });
+  }
+});
 
-    conv.messages.push({ role: 'user', content: prompt });
-    conv.updatedAt = Date.now();
+// Same contract as /ask, but the answer is streamed as server-sent events:
+//   data: {"text":"<fragment>"}            (repeated)
+//   event: done / data: {"success":true,"response":"<full text>","callId":...}
+// A fallback reply comes as one text frame, both frames carrying "fallback".
+app.post('/ask-stream', async (req, res) => {
+  const { prompt, callId } = req.body || {};
+  if (!prompt) return res.status(400).json({ error: 'Missing prompt' });
 
-    console.log(`[${key}] ${prompt.substring(0, 60)}...`);
-    let response = await askGateway(conv.messages);
+  const span = tracing.startRequestSpan('ask-stream', req);
+  let turn;
+  try {
+    turn = await span.child('conversation.load').wrap(beginTurn(req.body));
+  } catch (error) {
+    console.error('Error:', error.message);
+    span.fail(error);
+    span.end({ outcome: 'error' });
+    return res.status(500).json({ error: error.message });
+  }
+  const { key, messages, prime, persist } = turn;
+  const request = metrics.startRequest('ask-stream');
 
-    if (/Codex error:/i.test(response) || /"type"\s*:\s*"error"/i.test(response) || /server_error/i.test(response)) {
-      console.warn(`[${key}] upstream returned error payload, using fallback reply`);
-      response = 'מצטער, הייתה לי תקלה רגעית בתשובה. אפשר לנסות שוב?';
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  const send = (event, data) => {
+    if (event) res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  console.log(`[${key}] (stream) ${prompt.substring(0, 60)}...`);
+
+  let partial = '';
+  const upstream = askGatewayStream(messages, (text) => {
+    partial += text;
+    send(null, { text });
+  });
+  // Caller hung up or barged in - stop generating
+  let closed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      closed = true;
+      upstream.abort();
     }
+  });
 
-    conv.messages.push({ role: 'assistant', content: response });
+  let response;
+  let fallback;
+  let outcome = 'ok';
+  try {
+    response = await request.gateway(span.child('gateway.request').wrap(upstream.promise));
+    if (closed) {
+      response = partial;
+    } else if (!partial) {
+      if (isUpstreamError(response)) {
+        console.warn(`[${key}] upstream returned error payload, using fallback reply`);
+        response = fallbackReply('upstreamError', req.body);
+        fallback = 'upstream_error';
+        outcome = 'upstream_error';
+      }
+      send(null, { text: response, fallback });
+    }
+  } catch (error) {
+    response = partial;
+    if (!closed) {
+      console.error('Error:', error.message);
+      span.fail(error);
+      outcome = 'error';
+      if (!partial) {
+        response = fallbackReply('unavailable', req.body);
+        fallback = 'unavailable';
+        send(null, { text: response, fallback });
+      }
+    }
+  }
+  if (closed) outcome = 'aborted';
+
+  // Only what was said: nothing when the caller left before the first words
+  if (response && !prime && persist) {
+    try {
+      await store.appendMessage(key, { role: 'assistant', content: response });
+    } catch (error) {
+      console.error('Error:', error.message);
+    }
     console.log(`-> ${response.substring(0, 60)}...`);
-    res.json({ success: true, response, callId });
+  }
+  request.done(outcome);
+  span.end({ outcome });
+  if (!res.writableEnded && !closed) {
+    send('done', { success: true, response, callId, fallback });
+    res.end();
+  }
+});
+
+// The transcript is kept (until retention) for auditing and returning callers
+app.post('/end-session', async (req, res) => {
+  const { callId } = req.body;
+  try {
+    if (callId) await store.endConversation(callId);
+    res.json({ success: true });
   } catch (error) {
     console.error('Error:', error.message);
-    res.json({ success: true, response: 'מצטער, יש כרגע תקלה זמנית במנוע השיחה. אפשר לנסות שוב בעוד רגע?', callId: req.body?.callId });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/end-session', (req, res) => {
-  const { callId } = req.body;
-  if (callId) conversations.delete(callId);
-  res.json({ success: true });
+// GET /conversations?callerNumber=+15551234567&limit=20 - recent conversation summaries
+app.get('/conversations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    const conversations = await store.listConversations({ callerNumber: req.query.callerNumber || null, limit });
+    res.json({ success: true, count: conversations.length, conversations });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /conversations/:callId - full transcript for one call
+app.get('/conversations/:callId', async (req, res) => {
+  try {
+    const conversation = await store.getConversation(req.params.callId);
+    if (!conversation) return res.status(404).json({ success: false, error: 'not_found' });
+    res.json({ success: true, conversation });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /conversations/:callId - remove a transcript
+app.delete('/conversations/:callId', async (req, res) => {
+  try {
+    const deleted = await store.deleteConversation(req.params.callId);
+    if (!deleted) return res.status(404).json({ success: false, error: 'not_found' });
+    res.json({ success: true, callId: req.params.callId });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /traces/:callId - trace spans of a recent call (merged into voice-app's call timeline)
+app.get('/traces/:callId', (req, res) => {
+  const spans = tracing.getCallSpans(req.params.callId);
+  res.json({ success: true, callId: req.params.callId, count: spans.length, spans });
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.renderMetrics());
 });
 
-app.get('/health', (req, res) => res.json({ status: 'ok', service: 'openclaw' }));
+app.get('/health', (req, res) => res.json({ status: 'ok', service: 'openclaw', conversationStore: store.type }));
 
 app.listen(3333, '0.0.0.0', () => console.log('Server on port 3333'));
\ No newline at end of file
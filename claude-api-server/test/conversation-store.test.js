@@ -0,0 +1,185 @@
+/**
+ * Conversation Store Test
+ *
+ * Runs the same checks against the memory and SQLite backends: starting and
+ * appending, copies handed out by getConversation, caller history across
+ * calls (without system messages), deleting and pruning by age.
+ * Run with: node --test test/conversation-store.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { MemoryConversationStore, SqliteConversationStore } = require('../conversation-store');
+
+const backends = {
+  memory: () => new MemoryConversationStore(),
+  sqlite: (dir) => new SqliteConversationStore(path.join(dir, 'conversations.db'))
+};
+
+for (const [type, create] of Object.entries(backends)) {
+  describe(`${type} conversation store`, () => {
+    let dir;
+    let store;
+    let now;
+    const realNow = Date.now;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+      now = 1700000000000;
+      Date.now = () => now;
+      store = create(dir);
+    });
+
+    afterEach(() => {
+      Date.now = realNow;
+      store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('starts conversations and appends messages', async () => {
+      assert.strictEqual(await store.getConversation('call-1'), null);
+
+      const started = await store.startConversation('call-1', { callerNumber: '+15550001', systemPrompt: 'Be brief' });
+      assert.deepStrictEqual(started, {
+        callId: 'call-1',
+        callerNumber: '+15550001',
+        systemPrompt: 'Be brief',
+        createdAt: now,
+        updatedAt: now,
+        endedAt: null,
+        messages: []
+      });
+
+      now += 1000;
+      await store.appendMessage('call-1', { role: 'user', content: 'Hello' });
+      now += 1000;
+      await store.appendMessage('call-1', { role: 'assistant', content: 'Hi there' });
+
+      const conv = await store.getConversation('call-1');
+      assert.deepStrictEqual(conv.messages, [
+        { role: 'user', content: 'Hello', createdAt: now - 1000 },
+        { role: 'assistant', content: 'Hi there', createdAt: now }
+      ]);
+      assert.strictEqual(conv.updatedAt, now);
+    });
+
+    it('keeps the first caller number when a call is started again', async () => {
+      await store.startConversation('call-1', { callerNumber: '+15550001' });
+      await store.appendMessage('call-1', { role: 'user', content: 'Hello' });
+
+      const again = await store.startConversation('call-1', { callerNumber: '+15550002', systemPrompt: 'New prompt' });
+      assert.strictEqual(again.callerNumber, '+15550001');
+      assert.strictEqual(again.systemPrompt, 'New prompt');
+      assert.strictEqual(again.messages.length, 1);
+
+      // No prompt given: the stored one stays
+      assert.strictEqual((await store.startConversation('call-1')).systemPrompt, 'New prompt');
+    });
+
+    it('hands out copies that do not change the stored conversation', async () => {
+      const started = await store.startConversation('call-1', { callerNumber: '+15550001' });
+      started.messages.push({ role: 'user', content: 'Injected' });
+      started.callerNumber = '+15559999';
+
+      await store.appendMessage('call-1', { role: 'user', content: 'Hello' });
+      const conv = await store.getConversation('call-1');
+      conv.messages[0].content = 'Changed';
+      conv.messages.push({ role: 'assistant', content: 'Injected' });
+
+      const stored = await store.getConversation('call-1');
+      assert.strictEqual(stored.callerNumber, '+15550001');
+      assert.deepStrictEqual(stored.messages.map((m) => m.content), ['Hello']);
+    });
+
+    it('refuses messages for unknown conversations', async () => {
+      await assert.rejects(store.appendMessage('missing', { role: 'user', content: 'Hello' }));
+    });
+
+    it('returns a caller\'s earlier messages, oldest first', async () => {
+      await store.startConversation('call-1', { callerNumber: '+15550001' });
+      await store.appendMessage('call-1', { role: 'user', content: 'First call' });
+      await store.appendMessage('call-1', { role: 'assistant', content: 'First answer' });
+      now += 1000;
+      await store.startConversation('other', { callerNumber: '+15550002' });
+      await store.appendMessage('other', { role: 'user', content: 'Someone else' });
+      now += 1000;
+      await store.startConversation('call-2', { callerNumber: '+15550001' });
+      await store.appendMessage('call-2', { role: 'user', content: 'Second call' });
+      await store.startConversation('call-3', { callerNumber: '+15550001' });
+      await store.appendMessage('call-3', { role: 'user', content: 'Current call' });
+
+      const contents = (messages) => messages.map((m) => `${m.callId}: ${m.content}`);
+      assert.deepStrictEqual(contents(await store.getCallerHistory('+15550001', { excludeCallId: 'call-3' })), [
+        'call-1: First call',
+        'call-1: First answer',
+        'call-2: Second call'
+      ]);
+      assert.deepStrictEqual(contents(await store.getCallerHistory('+15550001', { excludeCallId: 'call-3', limit: 2 })), [
+        'call-1: First answer',
+        'call-2: Second call'
+      ]);
+      assert.strictEqual((await store.getCallerHistory('+15550001')).length, 4);
+      assert.deepStrictEqual(await store.getCallerHistory('+15550001', { limit: 0 }), []);
+      assert.deepStrictEqual(await store.getCallerHistory(null), []);
+      assert.deepStrictEqual(await store.getCallerHistory('+15550003'), []);
+    });
+
+    it('leaves system messages out of a caller\'s history', async () => {
+      await store.startConversation('call-1', { callerNumber: '+15550001' });
+      await store.appendMessage('call-1', { role: 'system', content: '[SYSTEM CONTEXT - DO NOT REPEAT]: Appointment reminder' });
+      await store.appendMessage('call-1', { role: 'user', content: 'Can I move it?' });
+      await store.appendMessage('call-1', { role: 'assistant', content: 'Sure' });
+
+      assert.deepStrictEqual((await store.getCallerHistory('+15550001', { limit: 2 })).map((m) => m.content), ['Can I move it?', 'Sure']);
+      assert.strictEqual((await store.getCallerHistory('+15550001')).length, 2);
+      // Still part of the call itself
+      assert.strictEqual((await store.getConversation('call-1')).messages[0].role, 'system');
+    });
+
+    it('ends, lists and deletes conversations', async () => {
+      await store.startConversation('call-1', { callerNumber: '+15550001' });
+      await store.appendMessage('call-1', { role: 'user', content: 'Hello' });
+      now += 1000;
+      await store.startConversation('call-2', { callerNumber: '+15550002' });
+
+      now += 1000;
+      await store.endConversation('call-1');
+      const endedAt = now;
+      now += 1000;
+      await store.endConversation('call-1');
+      assert.strictEqual((await store.getConversation('call-1')).endedAt, endedAt);
+
+      assert.deepStrictEqual((await store.listConversations()).map((c) => [c.callId, c.messageCount]), [
+        ['call-2', 0],
+        ['call-1', 1]
+      ]);
+      assert.deepStrictEqual((await store.listConversations({ callerNumber: '+15550001' })).map((c) => c.callId), ['call-1']);
+      assert.strictEqual((await store.listConversations({ limit: 1 })).length, 1);
+
+      assert.strictEqual(await store.deleteConversation('call-1'), true);
+      assert.strictEqual(await store.deleteConversation('call-1'), false);
+      assert.strictEqual(await store.getConversation('call-1'), null);
+      assert.deepStrictEqual(await store.getCallerHistory('+15550001'), []);
+    });
+
+    it('prunes conversations not updated within the retention period', async () => {
+      await store.startConversation('old', { callerNumber: '+15550001' });
+      await store.appendMessage('old', { role: 'user', content: 'Long ago' });
+      await store.startConversation('active', { callerNumber: '+15550001' });
+      now += 60 * 60 * 1000;
+      await store.startConversation('recent', { callerNumber: '+15550001' });
+      await store.appendMessage('active', { role: 'user', content: 'Still talking' });
+
+      now += 1000;
+      assert.strictEqual(await store.prune(30 * 60 * 1000), 1);
+      assert.strictEqual(await store.getConversation('old'), null);
+      assert.deepStrictEqual((await store.listConversations()).map((c) => c.callId).sort(), ['active', 'recent']);
+      assert.deepStrictEqual((await store.getCallerHistory('+15550001')).map((m) => m.content), ['Still talking']);
+      assert.strictEqual(await store.prune(30 * 60 * 1000), 0);
+    });
+  });
+}
@@ -0,0 +1,238 @@
+/**
+ * Trace spans for claude-api-server, continuing voice-app's call traces:
+ *
+ *   ask / ask-stream        one request (child of voice-app's llm.query / llm.stream
+ *                           span when the request has a traceparent header)
+ *     conversation.load     loading history and recording the turn (SQLite)
+ *     gateway.request       the OpenClaw gateway call
+ *
+ * callId and turn come from the request body and the baggage header. Spans of
+ * recent calls are served at GET /traces/:callId (voice-app merges them into
+ * its call timeline). Finished spans are exported per TRACING_EXPORTER
+ * (comma-separated): otlp (OTLP/HTTP JSON to OTEL_EXPORTER_OTLP_ENDPOINT) and
+ * file (one JSON span per line in TRACES_FILE, moved to TRACES_FILE.1 once it
+ * would pass TRACES_FILE_MAX_MB).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'claude-api-server';
+const OTLP_ENDPOINT = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/+$/, '');
+const TRACES_FILE = process.env.TRACES_FILE || path.join(__dirname, 'data', 'traces.jsonl');
+const TRACES_FILE_MAX_BYTES = parseFloat(process.env.TRACES_FILE_MAX_MB || '50') * 1024 * 1024;
+const EXPORTERS = (process.env.TRACING_EXPORTER || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+const MAX_CALLS = 200;
+const MAX_SPANS_PER_CALL = 500;
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+const calls = new Map();  // callId -> finished spans, oldest call first
+let pending = [];         // spans waiting for the next OTLP batch
+let traceFileSize = null; // bytes in TRACES_FILE, read on first export
+
+if (EXPORTERS.includes('file')) fs.mkdirSync(path.dirname(TRACES_FILE), { recursive: true });
+if (EXPORTERS.includes('otlp')) setInterval(flushOtlp, 5000).unref();
+
+// traceparent: 00-<traceId>-<parent span>-<flags>
+function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+  return match ? { traceId: match[1], spanId: match[2] } : null;
+}
+
+// baggage: callId=abc,turn=3
+function parseBaggage(header) {
+  const baggage = {};
+  String(header || '').split(',').forEach((entry) => {
+    const [key, value] = entry.split(';')[0].split('=');
+    if (key && value !== undefined) baggage[key.trim()] = decodeURIComponent(value.trim());
+  });
+  return baggage;
+}
+
+function startSpan(name, { traceId, parentSpanId = null, attributes = {} }) {
+  const span = {
+    name,
+    traceId,
+    spanId: crypto.randomBytes(8).toString('hex'),
+    parentSpanId,
+    attributes: Object.assign({}, attributes),
+    startTime: Date.now(),
+    endTime: null,
+    status: 'ok',
+    error: null,
+    child(childName, childAttributes = {}) {
+      return startSpan(childName, {
+        traceId,
+        parentSpanId: span.spanId,
+        attributes: Object.assign({ callId: span.attributes.callId, turn: span.attributes.turn }, childAttributes)
+      });
+    },
+    fail(error) {
+      span.status = 'error';
+      span.error = error && error.message ? error.message : String(error);
+    },
+    end(endAttributes) {
+      if (span.endTime !== null) return;
+      Object.assign(span.attributes, endAttributes);
+      span.endTime = Date.now();
+      finish(span);
+    },
+    // Times a promise, failing the span if it rejects
+    async wrap(promise) {
+      try {
+        return await promise;
+      } catch (error) {
+        span.fail(error);
+        throw error;
+      } finally {
+        span.end();
+      }
+    }
+  };
+  return span;
+}
+
+/**
+ * Start the span of an /ask or /ask-stream request
+ * @param {string} name - ask or ask-stream
+ * @param {Object} req - Express request (traceparent / baggage headers, body.callId)
+ * @returns {Object} Span with child(name, attributes), fail(error), end(attributes), wrap(promise)
+ */
+function startRequestSpan(name, req) {
+  const parent = parseTraceparent(req.headers.traceparent);
+  const baggage = parseBaggage(req.headers.baggage);
+  const turn = parseInt(baggage.turn, 10);
+  return startSpan(name, {
+    traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+    parentSpanId: parent ? parent.spanId : null,
+    attributes: {
+      callId: (req.body && req.body.callId) || baggage.callId || undefined,
+      turn: Number.isNaN(turn) ? undefined : turn
+    }
+  });
+}
+
+function toJSON(span) {
+  return {
+    service: SERVICE_NAME,
+    name: span.name,
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    startTime: new Date(span.startTime).toISOString(),
+    endTime: new Date(span.endTime).toISOString(),
+    durationMs: span.endTime - span.startTime,
+    status: span.status,
+    error: span.error,
+    attributes: JSON.parse(JSON.stringify(span.attributes))
+  };
+}
+
+// One JSON span per line; a file that would grow past TRACES_FILE_MAX_BYTES
+// becomes TRACES_FILE.1 (replacing the previous one) first
+function appendToTraceFile(line) {
+  if (traceFileSize === null) {
+    try {
+      traceFileSize = fs.statSync(TRACES_FILE).size;
+    } catch {
+      traceFileSize = 0;
+    }
+  }
+  const bytes = Buffer.byteLength(line);
+  if (TRACES_FILE_MAX_BYTES > 0 && traceFileSize > 0 && traceFileSize + bytes > TRACES_FILE_MAX_BYTES) {
+    try {
+      fs.renameSync(TRACES_FILE, TRACES_FILE + '.1');
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Trace file rotation failed:', error.message);
+    }
+    traceFileSize = 0;
+  }
+  traceFileSize += bytes;
+  fs.appendFile(TRACES_FILE, line, (error) => {
+    if (error) console.error('Trace file export failed:', error.message);
+  });
+}
+
+function finish(span) {
+  const json = toJSON(span);
+  const callId = span.attributes.callId;
+  if (callId) {
+    let spans = calls.get(callId);
+    if (!spans) {
+      if (calls.size >= MAX_CALLS) calls.delete(calls.keys().next().value);
+      spans = [];
+      calls.set(callId, spans);
+    }
+    if (spans.length < MAX_SPANS_PER_CALL) spans.push(json);
+  }
+
+  if (EXPORTERS.includes('file')) appendToTraceFile(JSON.stringify(json) + '\n');
+  if (EXPORTERS.includes('otlp')) {
+    pending.push(span);
+    if (pending.length >= 100) flushOtlp();
+  }
+}
+
+function otlpAttributes(attributes) {
+  return Object.keys(attributes)
+    .filter((key) => attributes[key] !== null && attributes[key] !== undefined)
+    .map((key) => {
+      const value = attributes[key];
+      if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+      if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+      if (typeof value === 'number') return { key, value: { doubleValue: value } };
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+async function flushOtlp() {
+  if (pending.length === 0) return;
+  const spans = pending;
+  pending = [];
+  const body = {
+    resourceSpans: [{
+      resource: { attributes: otlpAttributes({ 'service.name': SERVICE_NAME }) },
+      scopeSpans: [{
+        scope: { name: 'claude-api-server' },
+        spans: spans.map((span) => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId || undefined,
+          name: span.name,
+          kind: span.name.startsWith('ask') ? 2 : span.name === 'gateway.request' ? 3 : 1, // SERVER, CLIENT, INTERNAL
+          startTimeUnixNano: String(span.startTime) + '000000',
+          endTimeUnixNano: String(span.endTime) + '000000',
+          attributes: otlpAttributes(span.attributes),
+          status: span.status === 'error' ? { code: 2, message: span.error || '' } : { code: 1 }
+        }))
+      }]
+    }]
+  };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 5000);
+  try {
+    const res = await fetch(`${OTLP_ENDPOINT}/v1/traces`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!res.ok) console.error(`OTLP trace export failed: HTTP ${res.status}`);
+  } catch (error) {
+    console.error('OTLP trace export failed:', error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @param {string} callId
+ * @returns {Array<Object>} Finished spans of a recent call, oldest first
+ */
+function getCallSpans(callId) {
+  return (calls.get(callId) || []).slice();
+}
+
+module.exports = { startRequestSpan, getCallSpans };
@@ -9,6 +9,7 @@ import { apiServerCommand } from '../lib/commands/api-server.js';
 import { deviceAddCommand } from '../lib/commands/device/add.js';
 import { deviceListCommand } from '../lib/commands/device/list.js';
 import { deviceRemoveCommand } from '../lib/commands/device/remove.js';
+import { callScheduleCommand } from '../lib/commands/call/schedule.js';
 import { logsCommand } from '../lib/commands/logs.js';
 import { configShowCommand } from '../lib/commands/config/show.js';
 import { configPathCommand } from '../lib/commands/config/path.js';
@@ -145,6 +146,32 @@ device
     }
   });
 
+// Outbound call subcommands
+const call = program
+  .command('call')
+  .description('Place and schedule outbound calls');
+
+call
+  .command('schedule <to>')
+  .description('Schedule an outbound call (number or extension)')
+  .requiredOption('-m, --message <text>', 'What to say when the call is answered')
+  .option('-a, --at <time>', 'When to call: ISO date/time or a delay like +30m, +2h, +1d (default: now)')
+  .option('--mode <mode>', 'announce or conversation', 'announce')
+  .option('-d, --device <name>', 'Device name or extension to call as')
+  .option('-c, --context <text>', 'Background for the AI (text or JSON)')
+  .option('--caller-id <number>', 'Caller ID to present')
+  .option('--calling-hours <range>', 'Only dial within this daily window, e.g. 09:00-20:00')
+  .option('--max-attempts <n>', 'Retry busy / no-answer calls up to n attempts')
+  .option('--url <url>', 'Voice app URL (default: http://127.0.0.1:<httpPort>)')
+  .action(async (to, options) => {
+    try {
+      await callScheduleCommand(to, options);
+    } catch (error) {
+      console.error(chalk.red(`\n✗ Call schedule failed: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('logs [service]')
   .description('Tail service logs (voice-app, api-server, or all)')
@@ -0,0 +1,102 @@
+import chalk from 'chalk';
+import axios from 'axios';
+import { loadConfig, configExists } from '../../config.js';
+
+const RELATIVE_TIME = /^\+?(\d+)\s*(m|min|h|d)$/i;
+const UNIT_MS = { m: 60 * 1000, min: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a --at value: an ISO date/time or a delay like "+30m", "2h", "1d"
+ * @param {string} value
+ * @param {number} [now=Date.now()]
+ * @returns {string} ISO timestamp
+ */
+export function parseScheduleTime(value, now = Date.now()) {
+  const relative = RELATIVE_TIME.exec(String(value).trim());
+  if (relative) {
+    return new Date(now + parseInt(relative[1], 10) * UNIT_MS[relative[2].toLowerCase()]).toISOString();
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid time "${value}" (use an ISO date like 2026-10-20T09:30 or a delay like +30m)`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Build the POST /api/scheduled-calls body from command-line options
+ * @param {string} to - Number or extension to call
+ * @param {object} options - Commander options
+ * @param {number} [now=Date.now()]
+ * @returns {object}
+ */
+export function buildScheduleRequest(to, options, now = Date.now()) {
+  const body = {
+    to,
+    message: options.message,
+    mode: options.mode || 'announce'
+  };
+
+  if (options.at) body.scheduledAt = parseScheduleTime(options.at, now);
+  if (options.device) body.device = options.device;
+  if (options.callerId) body.callerId = options.callerId;
+  if (options.callingHours) body.callingHours = options.callingHours;
+  if (options.maxAttempts) body.maxAttempts = parseInt(options.maxAttempts, 10);
+
+  if (options.context) {
+    // JSON objects are passed through as structured context
+    try {
+      body.context = JSON.parse(options.context);
+    } catch {
+      body.context = options.context;
+    }
+  }
+
+  return body;
+}
+
+/**
+ * Voice app API base URL: --url, else this machine on the configured HTTP port
+ * @param {object} options
+ * @returns {Promise<string>}
+ */
+async function getVoiceAppUrl(options) {
+  if (options.url) return options.url.replace(/\/+$/, '');
+  const config = configExists() ? await loadConfig() : null;
+  const port = (config && config.server && config.server.httpPort) || 3000;
+  return `http://127.0.0.1:${port}`;
+}
+
+/**
+ * Call schedule command - Queue an outbound call for later
+ * @param {string} to - Number or extension to call
+ * @param {object} options - Command options
+ * @returns {Promise<void>}
+ */
+export async function callScheduleCommand(to, options) {
+  console.log(chalk.bold.cyan('\n📅 Schedule Call\n'));
+
+  const body = buildScheduleRequest(to, options);
+  const baseUrl = await getVoiceAppUrl(options);
+
+  let response;
+  try {
+    response = await axios.post(`${baseUrl}/api/scheduled-calls`, body, { timeout: 10000 });
+  } catch (error) {
+    if (error.response) {
+      const data = error.response.data || {};
+      throw new Error(data.message || data.error || `HTTP ${error.response.status}`);
+    }
+    throw new Error(`Cannot reach the voice app at ${baseUrl} (${error.message})`);
+  }
+
+  const call = response.data;
+  console.log(chalk.green('✓ Call scheduled'));
+  console.log(chalk.gray(`  ID:      ${call.id}`));
+  console.log(chalk.gray(`  To:      ${call.to}`));
+  console.log(chalk.gray(`  When:    ${new Date(call.scheduledAt).toLocaleString()}`));
+  console.log(chalk.gray(`  Mode:    ${call.mode}${call.device ? ` (device ${call.device})` : ''}`));
+  console.log(chalk.gray(`  Retries: up to ${call.maxAttempts} attempt(s)`));
+  console.log(chalk.gray(`\n  Check it with: curl ${baseUrl}/api/scheduled-calls/${call.id}\n`));
+}
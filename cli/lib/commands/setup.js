@@ -742,6 +742,15 @@ async function setupAPIKeys(config) {
     config.api.openai = { apiKey: '', validated: false };
   }
 
+  // Piper (optional) — offline TTS sidecar container
+  const { wantPiper } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'wantPiper',
+    message: 'Run Piper offline TTS? (CPU-only, English + Hebrew, keeps calls working without internet)',
+    default: !!(config.tts?.piper?.enabled)
+  }]);
+  config.tts = { ...config.tts, piper: { enabled: wantPiper } };
+
   return config;
 }
 
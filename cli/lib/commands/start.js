@@ -154,7 +154,8 @@ async function startVoiceServer(config, isPiMode) {
 
   // Start Docker containers (with ARM64 overlay if configured)
   const startOptions = {
-    useQemu: config.deployment?.useQemu || false
+    useQemu: config.deployment?.useQemu || false,
+    profile: config.tts?.piper?.enabled ? 'offline' : undefined
   };
   spinner.start('Starting Docker containers...');
   try {
@@ -245,9 +246,10 @@ async function startBoth(config, isPiMode) {
   }
 
   // Start Docker containers with --profile full (includes SBC + claude-api-server)
+  // and --profile offline for the Piper TTS sidecar
   const startOptions = {
     useQemu: config.deployment?.useQemu || false,
-    profile: 'full'
+    profile: config.tts?.piper?.enabled ? ['full', 'offline'] : 'full'
   };
   spinner.start('Starting Docker containers (full stack)...');
   try {
@@ -112,6 +112,16 @@ export function generateDockerCompose(config) {
   const freeswitchImage = 'drachtio/drachtio-freeswitch-mrf:latest';
   const platformLine = isPiMode ? '\n    platform: linux/arm64' : '';
 
+  // Optional Piper sidecar: offline TTS for air-gapped deployments
+  const piperEnabled = Boolean(config.tts?.piper?.enabled);
+  const piperService = piperEnabled ? `
+  piper:
+    build: ${path.join(path.dirname(config.paths.voiceApp), 'piper')}
+    container_name: piper
+    restart: unless-stopped
+    network_mode: host
+` : '';
+
   return `version: '3.8'
 
 # CRITICAL: All containers must use network_mode: host
@@ -157,8 +167,8 @@ services:
       - ${config.paths.voiceApp}/config:/app/config
     depends_on:
       - drachtio
-      - freeswitch
-`;
+      - freeswitch${piperEnabled ? '\n      - piper' : ''}
+${piperService}`;
 }
 
 /**
@@ -227,6 +237,12 @@ export function generateEnvFile(config) {
     `ELEVENLABS_API_KEY=${config.api?.elevenlabs?.apiKey || ''}`,
     `OPENAI_API_KEY=${config.api?.openai?.apiKey || ''}`,
     '',
+    ...(config.tts?.piper?.enabled ? [
+      '# Offline TTS (Piper sidecar) — spoken first, works with no internet',
+      'PIPER_URL=http://127.0.0.1:5050',
+      'TTS_PROVIDERS=piper,google,moss,gtts,openai,elevenlabs',
+      ''
+    ] : []),
     '# App ports',
     `HTTP_PORT=${config.server.httpPort || 3000}`,
     'WS_PORT=3001',
@@ -292,7 +308,7 @@ export async function writeDockerConfig(config) {
  * Start Docker containers
  * @param {object} [options] - Start options
  * @param {boolean} [options.useQemu] - Use ARM64 overlay (QEMU for x86 containers)
- * @param {string} [options.profile] - Docker compose profile to activate (e.g. 'full')
+ * @param {string|string[]} [options.profile] - Docker compose profile(s) to activate (e.g. 'full', 'offline')
  * @returns {Promise<void>}
  */
 export async function startContainers(options = {}) {
@@ -312,9 +328,9 @@ export async function startContainers(options = {}) {
     composeArgs.push('-f', arm64OverlayPath);
   }
 
-  // Add Docker profile if specified (e.g. 'full' for SBC + claude-api-server)
-  if (options.profile) {
-    composeArgs.push('--profile', options.profile);
+  // Add Docker profiles if specified (e.g. 'full' for SBC + claude-api-server, 'offline' for Piper)
+  for (const profile of [].concat(options.profile || [])) {
+    composeArgs.push('--profile', profile);
   }
 
   composeArgs.push('up', '-d');
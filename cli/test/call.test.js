@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseScheduleTime, buildScheduleRequest } from '../lib/commands/call/schedule.js';
+
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+
+describe('Call schedule', () => {
+  describe('parseScheduleTime', () => {
+    it('should accept delays in minutes, hours and days', () => {
+      assert.strictEqual(parseScheduleTime('+30m', NOW), '2026-10-19T10:30:00.000Z');
+      assert.strictEqual(parseScheduleTime('2h', NOW), '2026-10-19T12:00:00.000Z');
+      assert.strictEqual(parseScheduleTime('+1d', NOW), '2026-10-20T10:00:00.000Z');
+    });
+
+    it('should accept ISO dates', () => {
+      assert.strictEqual(parseScheduleTime('2026-10-20T09:30:00Z', NOW), '2026-10-20T09:30:00.000Z');
+    });
+
+    it('should reject anything else', () => {
+      assert.throws(() => parseScheduleTime('tomorrow', NOW), /Invalid time "tomorrow"/);
+    });
+  });
+
+  describe('buildScheduleRequest', () => {
+    it('should map options to the API body', () => {
+      const body = buildScheduleRequest('+15551234567', {
+        message: 'Your order is ready',
+        at: '+1h',
+        mode: 'conversation',
+        device: 'Morpheus',
+        context: '{"orderId": 42}',
+        callingHours: '09:00-20:00',
+        maxAttempts: '3'
+      }, NOW);
+
+      assert.deepStrictEqual(body, {
+        to: '+15551234567',
+        message: 'Your order is ready',
+        mode: 'conversation',
+        scheduledAt: '2026-10-19T11:00:00.000Z',
+        device: 'Morpheus',
+        callingHours: '09:00-20:00',
+        maxAttempts: 3,
+        context: { orderId: 42 }
+      });
+    });
+
+    it('should keep plain-text context as a string', () => {
+      const body = buildScheduleRequest('100', { message: 'Hi', context: 'VIP customer' }, NOW);
+      assert.strictEqual(body.context, 'VIP customer');
+      assert.strictEqual(body.mode, 'announce');
+      assert.strictEqual(body.scheduledAt, undefined);
+    });
+  });
+});
@@ -279,4 +279,52 @@ test('docker compose generation', async (t) => {
     assert.ok(!envFile.includes('CLAUDE_API_URL=http://localhost:'),
       'voice-server mode should NOT use localhost when apiServerIp is set');
   });
+
+  await t.test('adds the Piper offline TTS sidecar when enabled', () => {
+    const config = {
+      server: {
+        externalIp: '192.168.1.50',
+        httpPort: 3000,
+        claudeApiPort: 3333
+      },
+      paths: {
+        voiceApp: '/app/voice-app'
+      },
+      secrets: {
+        drachtio: 'test-secret-123',
+        freeswitch: 'test-secret-456'
+      },
+      tts: {
+        piper: { enabled: true }
+      }
+    };
+
+    const compose = generateDockerCompose(config);
+    assert.ok(compose.includes('  piper:\n    build: /app/piper\n'), 'Should build the piper sidecar');
+    assert.ok(compose.includes('      - freeswitch\n      - piper\n'), 'voice-app should depend on piper');
+
+    const envFile = generateEnvFile(config);
+    assert.ok(envFile.includes('PIPER_URL=http://127.0.0.1:5050'), 'Should point voice-app at the sidecar');
+    assert.ok(envFile.includes('TTS_PROVIDERS=piper,'), 'Piper should be tried first');
+  });
+
+  await t.test('leaves Piper out by default', () => {
+    const config = {
+      server: {
+        externalIp: '192.168.1.50',
+        httpPort: 3000,
+        claudeApiPort: 3333
+      },
+      paths: {
+        voiceApp: '/app/voice-app'
+      },
+      secrets: {
+        drachtio: 'test-secret-123',
+        freeswitch: 'test-secret-456'
+      }
+    };
+
+    assert.ok(!generateDockerCompose(config).includes('piper'), 'Should not add the piper sidecar');
+    assert.ok(!generateEnvFile(config).includes('PIPER_URL'), 'Should not set PIPER_URL');
+  });
 });
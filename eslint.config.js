@@ -61,7 +61,9 @@ module.exports = [
         clearInterval: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
-        fetch: 'readonly'  // Node 18+ global fetch
+        fetch: 'readonly',  // Node 18+ global fetch
+        AbortController: 'readonly',
+        Intl: 'readonly'
       }
     },
     rules: {
@@ -23,6 +23,10 @@ var ttsService = require("./lib/tts-service");
 var deviceRegistry = require("./lib/device-registry");
 var MultiRegistrar = require("./lib/multi-registrar");
 
+// Returning caller profiles
+var CallerProfileStore = require("./lib/caller-profiles").CallerProfileStore;
+var callerProfiles = new CallerProfileStore();
+
 // Connection retry utility
 var connectionRetry = require("./lib/connection-retry");
 var connectWithRetry = connectionRetry.connectWithRetry;
@@ -37,6 +41,51 @@ var queryModule = require("./lib/query-routes");
 var queryRouter = queryModule.router;
 var setupQueryRoutes = queryModule.setupRoutes;
 
+// Import caller profile routes
+var callerModule = require("./lib/caller-routes");
+var callerRouter = callerModule.router;
+var setupCallerRoutes = callerModule.setupRoutes;
+
+// Import call recording routes
+var recordingModule = require("./lib/recording-routes");
+var recordingRouter = recordingModule.router;
+var setupRecordingRoutes = recordingModule.setupRoutes;
+var purgeRecordings = require("./lib/call-recorder").purgeRecordings;
+
+// Import call transcript routes
+var transcriptRouter = require("./lib/transcript-routes").router;
+var TRANSCRIPTS_DIR = require("./lib/call-transcript").TRANSCRIPTS_DIR;
+
+// Import call timeline (trace) routes
+var traceRouter = require("./lib/trace-routes").router;
+
+// Import call transfer routes
+var transferRouter = require("./lib/transfer-routes").router;
+
+// Import supervisor control routes
+var supervisorRouter = require("./lib/supervisor-routes").router;
+
+// Import voicemail routes
+var voicemailModule = require("./lib/voicemail-routes");
+var voicemailRouter = voicemailModule.router;
+var setupVoicemailRoutes = voicemailModule.setupRoutes;
+var voicemails = require("./lib/voicemail").voicemails;
+
+// Import scheduled call and campaign routes
+var schedulerRouter = require("./lib/scheduler-routes").router;
+var callScheduler = require("./lib/call-scheduler").callScheduler;
+
+// Webhook dispatcher (call lifecycle events)
+var webhooks = require("./lib/webhook-dispatcher").webhooks;
+
+// Live call monitoring (WebSocket on the HTTP port)
+var liveServerModule = require("./lib/live-server");
+var createLiveServer = liveServerModule.createLiveServer;
+var LIVE_PATH = liveServerModule.LIVE_PATH;
+
+// Prometheus metrics (GET /metrics)
+var metrics = require("./lib/metrics");
+
 // Load device registry first
 // deviceRegistry is a singleton, already instantiated
 
@@ -72,6 +121,7 @@ var srf = new Srf();
 var mediaServer = null;
 var httpServer = null;
 var audioForkServer = null;
+var liveServer = null;
 var registrar = null;
 var drachtioConnected = false;
 var freeswitchConnected = false;
@@ -195,6 +245,18 @@ function initializeServers() {
   ttsService.setAudioDir(config.audio_dir);
   console.log("[" + new Date().toISOString() + "] TTS Service configured");
 
+  // Synthesize the devices' fixed phrases (greeting, reprompts, ...) into the
+  // TTS cache in the background, again whenever the device config is reloaded
+  if (process.env.PRERENDER_PHRASES !== "false") {
+    var warmUpPhrases = function(devices) {
+      sipHandler.prerenderPhrases(ttsService, devices).then(function(count) {
+        console.log("[" + new Date().toISOString() + "] PHRASES Pre-rendered " + count + " phrases for " + devices.length + " devices");
+      });
+    };
+    warmUpPhrases(Object.values(deviceRegistry.getAllDevices()));
+    deviceRegistry.on("reloaded", warmUpPhrases);
+  }
+
   // ========== OUTBOUND CALLING ROUTES ==========
   setupOutboundRoutes({
     srf: srf,
@@ -218,6 +280,58 @@ function initializeServers() {
   httpServer.app.use("/api", queryRouter);
   console.log("[" + new Date().toISOString() + "] QUERY API enabled (/api/query, /api/devices)");
 
+  // ========== CALLER PROFILE ROUTES ==========
+  setupCallerRoutes({
+    callerProfiles: callerProfiles
+  });
+
+  httpServer.app.use("/api", callerRouter);
+  console.log("[" + new Date().toISOString() + "] CALLER Profile API enabled (/api/callers)");
+
+  // ========== CALL RECORDING ROUTES ==========
+  setupRecordingRoutes();
+
+  httpServer.app.use("/api", recordingRouter);
+  console.log("[" + new Date().toISOString() + "] RECORDING API enabled (/api/call/:callId/recording)");
+
+  // ========== CALL TRANSCRIPT ROUTES ==========
+  httpServer.app.use("/api", transcriptRouter);
+  console.log("[" + new Date().toISOString() + "] TRANSCRIPT API enabled (/api/call/:callId/transcript)");
+
+  // ========== CALL TIMELINE (TRACING) ROUTES ==========
+  httpServer.app.use("/api", traceRouter);
+  console.log("[" + new Date().toISOString() + "] TRACING Timeline API enabled (/api/call/:callId/timeline, exporters: " + (process.env.TRACING_EXPORTER || "none") + ")");
+
+  // ========== CALL TRANSFER ROUTES ==========
+  httpServer.app.use("/api", transferRouter);
+  console.log("[" + new Date().toISOString() + "] TRANSFER API enabled (/api/call/:callId/transfer)");
+
+  // ========== SUPERVISOR CONTROL ROUTES ==========
+  httpServer.app.use("/api", supervisorRouter);
+  console.log("[" + new Date().toISOString() + "] SUPERVISOR API enabled (/api/call/:callId/say, /pause-ai, /resume-ai)");
+
+  // ========== VOICEMAIL ROUTES ==========
+  setupVoicemailRoutes();
+
+  httpServer.app.use("/api", voicemailRouter);
+  console.log("[" + new Date().toISOString() + "] VOICEMAIL API enabled (/api/voicemails)");
+
+  // ========== SCHEDULED CALL / CAMPAIGN ROUTES ==========
+  httpServer.app.use("/api", schedulerRouter);
+  console.log("[" + new Date().toISOString() + "] SCHEDULER API enabled (/api/scheduled-calls, /api/campaigns)");
+
+  // ========== LIVE CALL MONITORING ==========
+  liveServer = createLiveServer(httpServer.server);
+  console.log("[" + new Date().toISOString() + "] LIVE Call monitor enabled (ws://...:" + config.http_port + LIVE_PATH + ")");
+
+  // ========== PROMETHEUS METRICS ==========
+  metrics.trackCalls();
+  metrics.setRegistrationSource(function() {
+    return registrar ? registrar.getStatus() : [];
+  });
+  httpServer.app.get("/metrics", metrics.metricsHandler);
+  console.log("[" + new Date().toISOString() + "] METRICS enabled (/metrics)");
+
   // Finalize HTTP server
   httpServer.finalize();
 
@@ -225,6 +339,47 @@ function initializeServers() {
   setInterval(function() {
     cleanupOldFiles(config.audio_dir, 5 * 60 * 1000);
   }, 60 * 1000);
+
+  // Purge recordings past retention (RECORDING_RETENTION_DAYS, 0 = keep forever)
+  var recordingRetentionMs = parseFloat(process.env.RECORDING_RETENTION_DAYS || "30") * 24 * 60 * 60 * 1000;
+  function purgeOldRecordings() {
+    purgeRecordings({ retentionMs: recordingRetentionMs }).catch(function(err) {
+      console.error("[" + new Date().toISOString() + "] RECORDING Purge failed: " + err.message);
+    });
+  }
+  purgeOldRecordings();
+  setInterval(purgeOldRecordings, 60 * 60 * 1000);
+
+  // Purge transcripts past retention (TRANSCRIPT_RETENTION_DAYS, 0 = keep forever)
+  var transcriptRetentionMs = parseFloat(process.env.TRANSCRIPT_RETENTION_DAYS || "30") * 24 * 60 * 60 * 1000;
+  if (transcriptRetentionMs > 0) {
+    setInterval(function() {
+      if (fs.existsSync(TRANSCRIPTS_DIR)) cleanupOldFiles(TRANSCRIPTS_DIR, transcriptRetentionMs);
+    }, 60 * 60 * 1000);
+  }
+
+  // Purge voicemails past retention (VOICEMAIL_RETENTION_DAYS, 0 = keep forever)
+  var voicemailRetentionMs = parseFloat(process.env.VOICEMAIL_RETENTION_DAYS || "90") * 24 * 60 * 60 * 1000;
+  if (voicemailRetentionMs > 0) {
+    setInterval(function() {
+      voicemails.purge(voicemailRetentionMs).catch(function(err) {
+        console.error("[" + new Date().toISOString() + "] VOICEMAIL Purge failed: " + err.message);
+      });
+    }, 60 * 60 * 1000);
+  }
+
+  // Dial scheduled and campaign calls as they come due
+  callScheduler.start({
+    placeCall: outboundModule.startOutboundCall,
+    resolveDevice: outboundModule.resolveOutboundDevice
+  });
+  console.log("[" + new Date().toISOString() + "] SCHEDULER Started (" + callScheduler.listCalls({ status: "scheduled" }).length + " call(s) queued)");
+
+  // Deliver webhooks, resuming any left undelivered before a restart; device
+  // subscriptions' secrets come from the device config when sending
+  webhooks.setDeviceSource(function(name) { return deviceRegistry.getByName(name); });
+  webhooks.start();
+  console.log("[" + new Date().toISOString() + "] WEBHOOKS Dispatcher started (" + webhooks.subscriptions.length + " global subscription(s), " + webhooks.getPending().length + " pending)");
 }
 
 // Check ready state
@@ -239,9 +394,11 @@ function checkReadyState() {
     // Register SIP INVITE handler
     srf.invite(function(req, res) {
       handleInvite(req, res, {
+        srf: srf,
         audioForkServer: audioForkServer,
         mediaServer: mediaServer,
         deviceRegistry: deviceRegistry,
+        callerProfiles: callerProfiles,
         config: config,
         whisperClient: whisperClient,
         claudeBridge: claudeBridge,
@@ -262,10 +419,12 @@ function checkReadyState() {
 function shutdown(signal) {
   console.log("\n[" + new Date().toISOString() + "] Received " + signal + ", shutting down...");
   if (registrar) registrar.stop();
+  if (liveServer) liveServer.close();
   if (httpServer) httpServer.close();
   if (audioForkServer) audioForkServer.stop();
   if (mediaServer) mediaServer.disconnect();
   srf.disconnect();
+  webhooks.stop();
   setTimeout(function() { process.exit(0); }, 1000);
 }
 
@@ -0,0 +1,330 @@
+/**
+ * Answering Machine Detection (AMD)
+ * Listens to the first seconds of an answered outbound call and decides
+ * whether a person or a voicemail greeting picked up:
+ *
+ * - human:   a short greeting ("Hello?") followed by silence, waiting for us
+ * - machine: a long continuous greeting ("Hi, you've reached Ann, I can't
+ *            come to the phone...") or a beep
+ * - unknown: nothing was said (or no audio), treated like a person
+ *
+ * For a machine the caller picks what happens (the "amd" field of
+ * POST /api/outbound-call): wait for the beep and leave the message, hang up,
+ * or fail the attempt so the scheduler retries later.
+ *
+ * The beep is a sustained pure tone: every 20 ms frame has one frequency
+ * (estimated from zero crossings, confirmed with a Goertzel filter) that
+ * holds steady for at least minBeepMs. Timings are measured on the audio
+ * itself, not the wall clock.
+ */
+
+const logger = require('./logger');
+
+const ON_MACHINE_ACTIONS = ['leave_message', 'hangup', 'retry'];
+
+const DEFAULTS = {
+  enabled: process.env.AMD_ENABLED === 'true',
+  onMachine: process.env.AMD_ON_MACHINE || 'leave_message',
+  // Longest greeting a person gives before waiting for us to talk
+  maxGreetingMs: Number(process.env.AMD_MAX_GREETING_MS || 2500),
+  // Silence that ends a greeting
+  afterGreetingSilenceMs: Number(process.env.AMD_AFTER_GREETING_SILENCE_MS || 800),
+  // Nobody said anything
+  initialSilenceMs: Number(process.env.AMD_INITIAL_SILENCE_MS || 2500),
+  // Give up waiting for the beep (the message is left anyway)
+  beepTimeoutMs: Number(process.env.AMD_BEEP_TIMEOUT_MS || 30000),
+  // A machine that went quiet this long after its greeting is recording
+  beepSilenceMs: 3000,
+  minBeepMs: 120
+};
+
+// Below this level a frame counts as silence (same as voicemail.js)
+const SILENCE_RMS = 500;
+const FRAME_MS = 20;
+const BEEP_MIN_HZ = 300;
+const BEEP_MAX_HZ = 3000;
+// Share of a frame's energy at one frequency for it to count as a tone
+const MIN_TONE_PURITY = 0.6;
+// Frames of a beep may drift this much from its first frame
+const BEEP_FREQUENCY_TOLERANCE = 0.1;
+
+/**
+ * Resolve the AMD settings for a call
+ *
+ * @param {boolean|string|Object} [amd] - The request's "amd" field: true/false,
+ *   an onMachine action, or { enabled, onMachine, maxGreetingMs, ... }.
+ *   Left out, AMD_ENABLED decides.
+ * @returns {Object|null} Settings, or null when detection is off
+ */
+function resolveAmdOptions(amd) {
+  if (amd === undefined || amd === null) amd = DEFAULTS.enabled;
+  if (amd === false) return null;
+  if (amd === true) amd = {};
+  if (typeof amd === 'string') amd = { onMachine: amd };
+  if (amd.enabled === false) return null;
+
+  const settings = Object.assign({}, DEFAULTS, amd);
+  delete settings.enabled;
+  return settings;
+}
+
+/**
+ * Validate a request's "amd" field
+ * @returns {string|null} Error message
+ */
+function validateAmdOptions(amd) {
+  if (amd === undefined || amd === null || typeof amd === 'boolean') return null;
+  if (typeof amd === 'string') amd = { onMachine: amd };
+  if (typeof amd !== 'object' || Array.isArray(amd)) {
+    return 'Field "amd" must be true, false, an action or an object';
+  }
+  if (amd.onMachine !== undefined && !ON_MACHINE_ACTIONS.includes(amd.onMachine)) {
+    return 'Field "amd.onMachine" must be one of: ' + ON_MACHINE_ACTIONS.join(', ');
+  }
+  for (const key of ['maxGreetingMs', 'afterGreetingSilenceMs', 'initialSilenceMs', 'beepTimeoutMs']) {
+    if (amd[key] !== undefined && !(Number.isInteger(amd[key]) && amd[key] > 0 && amd[key] <= 60000)) {
+      return 'Field "amd.' + key + '" must be an integer between 1 and 60000';
+    }
+  }
+  return null;
+}
+
+/**
+ * Power of one frequency in a frame, as a share of the frame's energy
+ * (1 for a pure tone at that frequency)
+ */
+function tonePurity(samples, frequency, sampleRate, energy) {
+  const coeff = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s0 = samples[i] + coeff * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  const power = s1 * s1 + s2 * s2 - coeff * s1 * s2;
+  return 2 * power / (samples.length * energy);
+}
+
+/**
+ * Loudness and, if the frame is a pure tone, its frequency
+ * @returns {{rms: number, tone: number|null}}
+ */
+function analyzeFrame(samples, sampleRate) {
+  let energy = 0;
+  let crossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    energy += samples[i] * samples[i];
+    if (i > 0 && (samples[i - 1] < 0) !== (samples[i] < 0)) crossings++;
+  }
+  const rms = Math.sqrt(energy / samples.length);
+  if (rms < SILENCE_RMS) return { rms, tone: null };
+
+  const estimate = crossings * sampleRate / (2 * samples.length);
+  if (estimate < BEEP_MIN_HZ || estimate > BEEP_MAX_HZ) return { rms, tone: null };
+
+  // Zero crossings only place the tone to within half a filter bin; try around it
+  const step = sampleRate / samples.length / 4;
+  let best = { frequency: estimate, purity: 0 };
+  for (let k = -2; k <= 2; k++) {
+    const frequency = estimate + k * step;
+    const purity = tonePurity(samples, frequency, sampleRate, energy);
+    if (purity > best.purity) best = { frequency, purity };
+  }
+  return { rms, tone: best.purity >= MIN_TONE_PURITY ? best.frequency : null };
+}
+
+/**
+ * Classifies a call from its audio, fed in chunks of 16-bit PCM.
+ * Once it's a machine, keeps listening for the end of the beep.
+ */
+class AmdDetector {
+  /**
+   * @param {Object} [settings] - See resolveAmdOptions()
+   * @param {number} [sampleRate=16000]
+   */
+  constructor(settings, sampleRate = 16000) {
+    this.settings = Object.assign({}, DEFAULTS, settings);
+    this.sampleRate = sampleRate;
+    this.frameSamples = Math.round(sampleRate * FRAME_MS / 1000);
+    this.pending = Buffer.alloc(0);
+
+    this.elapsedMs = 0;
+    this.result = null;       // 'human' | 'machine' | 'unknown'
+    this.reason = null;       // why: 'short_greeting', 'long_greeting', 'beep', 'initial_silence'
+    this.decidedAtMs = null;
+    this.greetingMs = null;
+
+    this.speechStartMs = null;
+    this.lastSpeechMs = null;
+    this.silentMs = 0;
+
+    this.beep = null;         // { frequency, durationMs, atMs } once heard
+    this.beepDone = false;    // stopped listening for the beep
+    this.beepReason = null;   // 'beep', 'silence' or 'timeout'
+    this.tone = null;         // current run of tone frames { frequency, ms }
+  }
+
+  /**
+   * Feed a chunk of audio
+   * @param {Buffer} buf - 16-bit little-endian mono PCM
+   */
+  push(buf) {
+    this.pending = this.pending.length > 0 ? Buffer.concat([this.pending, buf]) : buf;
+    const frameBytes = this.frameSamples * 2;
+    let offset = 0;
+    while (this.pending.length - offset >= frameBytes && !this.beepDone) {
+      const samples = new Int16Array(this.frameSamples);
+      for (let i = 0; i < this.frameSamples; i++) samples[i] = this.pending.readInt16LE(offset + i * 2);
+      offset += frameBytes;
+      this._frame(analyzeFrame(samples, this.sampleRate));
+    }
+    this.pending = this.pending.subarray(offset);
+  }
+
+  _frame({ rms, tone }) {
+    this.elapsedMs += FRAME_MS;
+    const s = this.settings;
+
+    this._trackTone(tone);
+    if (this.beepDone) return;
+
+    if (rms >= SILENCE_RMS) {
+      if (this.speechStartMs === null) this.speechStartMs = this.elapsedMs - FRAME_MS;
+      this.lastSpeechMs = this.elapsedMs;
+      this.silentMs = 0;
+    } else {
+      this.silentMs += FRAME_MS;
+    }
+
+    if (this.result === null) {
+      if (this.speechStartMs === null) {
+        if (this.silentMs >= s.initialSilenceMs) this._decide('unknown', 'initial_silence');
+      } else if (this.silentMs >= s.afterGreetingSilenceMs) {
+        const greetingMs = this.lastSpeechMs - this.speechStartMs;
+        if (greetingMs <= s.maxGreetingMs) this._decide('human', 'short_greeting');
+        else this._decide('machine', 'long_greeting');
+      } else if (this.elapsedMs - this.speechStartMs > s.maxGreetingMs) {
+        this._decide('machine', 'long_greeting');
+      }
+    } else if (this.result === 'machine') {
+      if (this.silentMs >= s.beepSilenceMs) this._endBeepWait('silence');
+      else if (this.elapsedMs - this.decidedAtMs >= s.beepTimeoutMs) this._endBeepWait('timeout');
+    }
+  }
+
+  _trackTone(tone) {
+    const run = this.tone;
+    if (tone !== null && run && Math.abs(tone - run.frequency) <= run.frequency * BEEP_FREQUENCY_TOLERANCE) {
+      run.ms += FRAME_MS;
+      return;
+    }
+
+    // The tone stopped (or changed): a long enough run was the beep
+    if (run && run.ms >= this.settings.minBeepMs) {
+      this.beep = { frequency: Math.round(run.frequency), durationMs: run.ms, atMs: this.elapsedMs - FRAME_MS - run.ms };
+      if (this.result !== 'machine') this._decide('machine', 'beep');
+      this._endBeepWait('beep');
+    }
+    this.tone = tone !== null ? { frequency: tone, ms: FRAME_MS } : null;
+  }
+
+  _decide(result, reason) {
+    this.result = result;
+    this.reason = reason;
+    this.decidedAtMs = this.elapsedMs;
+    if (this.speechStartMs !== null) {
+      this.greetingMs = (this.lastSpeechMs || this.elapsedMs) - this.speechStartMs;
+    }
+  }
+
+  _endBeepWait(reason) {
+    this.beepDone = true;
+    this.beepReason = reason;
+  }
+
+  /**
+   * Detection result for session info and webhooks
+   */
+  toJSON() {
+    return {
+      result: this.result || 'unknown',
+      reason: this.reason,
+      greetingMs: this.greetingMs,
+      decisionMs: this.decidedAtMs,
+      beep: this.beep ? { frequency: this.beep.frequency, durationMs: this.beep.durationMs } : null,
+      beepWait: this.beepReason
+    };
+  }
+}
+
+/**
+ * Listen to an answered call and tell a person from an answering machine
+ *
+ * @param {Object} endpoint - FreeSWITCH endpoint
+ * @param {Object} dialog - SIP dialog
+ * @param {string} callUuid
+ * @param {Object} options
+ * @param {Object} options.audioForkServer
+ * @param {number} options.wsPort
+ * @param {Object} [options.settings] - See resolveAmdOptions()
+ * @param {boolean} [options.waitForBeep] - For a machine, keep listening until
+ *   the beep (or the silence after the greeting) so a message can be left
+ * @returns {Promise<{result: string, reason: string, greetingMs: number|null,
+ *   decisionMs: number|null, beep: Object|null, beepWait: string|null, hangup: boolean}>}
+ */
+async function detectAnsweringMachine(endpoint, dialog, callUuid, { audioForkServer, wsPort, settings, waitForBeep }) {
+  settings = Object.assign({}, DEFAULTS, settings);
+  const wsUrl = `ws://127.0.0.1:${wsPort}/${encodeURIComponent(callUuid)}`;
+  let session;
+  try {
+    const sessionPromise = audioForkServer.expectSession(callUuid, { timeoutMs: 10000 });
+    await endpoint.forkAudioStart({ wsUrl, mixType: 'mono', sampling: '16k' });
+    session = await sessionPromise;
+  } catch (error) {
+    logger.warn('AMD: audio fork failed', { callUuid, error: error.message });
+    if (audioForkServer.cancelExpectation) audioForkServer.cancelExpectation(callUuid);
+    return { result: 'unknown', reason: 'no_audio', greetingMs: null, decisionMs: null, beep: null, beepWait: null, hangup: false };
+  }
+  session.setCaptureEnabled(false);
+
+  const detector = new AmdDetector(settings, session.sampleRate);
+  // Audio time drives detection; this only catches a stalled fork
+  const maxWaitMs = settings.initialSilenceMs + settings.maxGreetingMs + settings.afterGreetingSilenceMs +
+    (waitForBeep ? settings.beepTimeoutMs : 0) + 2000;
+
+  const hangup = await new Promise((resolve) => {
+    const done = (hungUp) => {
+      clearTimeout(timer);
+      session.off('audio', onAudio);
+      dialog.off('destroy', onDestroy);
+      resolve(hungUp);
+    };
+    const onAudio = (buf) => {
+      detector.push(buf);
+      if (detector.result === null) return;
+      if (detector.result !== 'machine' || !waitForBeep || detector.beepDone) done(false);
+    };
+    const onDestroy = () => done(true);
+    const timer = setTimeout(() => done(false), maxWaitMs);
+
+    session.on('audio', onAudio);
+    dialog.on('destroy', onDestroy);
+  });
+
+  if (!hangup) {
+    await endpoint.forkAudioStop().catch(() => {});
+  }
+
+  const result = Object.assign(detector.toJSON(), { hangup });
+  logger.info('AMD result', Object.assign({ callUuid }, result));
+  return result;
+}
+
+module.exports = {
+  ON_MACHINE_ACTIONS,
+  AmdDetector,
+  resolveAmdOptions,
+  validateAmdOptions,
+  detectAnsweringMachine
+};
@@ -1,5 +1,6 @@
 const { EventEmitter } = require('node:events');
 const WebSocket = require('ws');
+const { createVad, resolveVadConfig } = require('./vad');
 
 function pcmStats(buf, endian = 'LE') {
   const sampleCount = Math.floor(buf.length / 2);
@@ -45,6 +46,10 @@ class AudioForkSession extends EventEmitter {
     this.captureEnabled = true;
     this._pcmEndian = null;
 
+    // Runs on every frame from the start of the call so it can calibrate
+    const vadDefaults = resolveVadConfig(null);
+    this.vad = createVad(vadDefaults.backend, this._vadOptions(vadDefaults));
+
     this._preRollChunks = [];
     this._preRollBytes = 0;
     this._preRollMaxBytes = Math.floor((this.sampleRate * 0.2) * 2);
@@ -55,6 +60,14 @@ class AudioForkSession extends EventEmitter {
     this._speechBytes = 0;
     this._silenceMs = 0;
 
+    // Barge-in: VAD keeps running while capture is disabled (prompt playback)
+    this.bargeInEnabled = false;
+    this.bargeInMinSpeechMs = 400;
+    this.bargeInVadThreshold = 0.5;
+    this.bargeInCount = 0;
+    this._bargeInWindow = [];
+    this._bargeInWindowMs = 0;
+
     // DEBUG: Track message counts
     this._messageCount = 0;
     this._binaryCount = 0;
@@ -73,6 +86,25 @@ class AudioForkSession extends EventEmitter {
     console.log('[AUDIO-DEBUG] AudioForkSession created for ' + callUuid);
   }
 
+  /**
+   * Apply a device's VAD settings (see resolveVadConfig() in vad.js).
+   * Call before the first turn: a new backend starts calibrating again.
+   *
+   * @param {Object} config - backend, adaptive, noiseMultiplier, endSilenceMs, minSpeechMs, maxUtteranceMs
+   */
+  configureVad(config) {
+    if (Number.isFinite(config.endSilenceMs)) this.endSilenceMs = config.endSilenceMs;
+    if (Number.isFinite(config.minSpeechMs)) this.minSpeechMs = config.minSpeechMs;
+    if (Number.isFinite(config.maxUtteranceMs)) this.maxUtteranceMs = config.maxUtteranceMs;
+    this.vad = createVad(config.backend, this._vadOptions(config));
+    console.log('[AUDIO-DEBUG] VAD configured for ' + this.callUuid + ': backend=' + config.backend + ', adaptive=' + config.adaptive +
+      ', endSilenceMs=' + this.endSilenceMs + ', minSpeechMs=' + this.minSpeechMs + ', maxUtteranceMs=' + this.maxUtteranceMs);
+  }
+
+  _vadOptions(config) {
+    return { adaptive: config.adaptive, noiseMultiplier: config.noiseMultiplier, callUuid: this.callUuid };
+  }
+
   setCaptureEnabled(enabled) {
     const was = this.captureEnabled;
     this.captureEnabled = Boolean(enabled);
@@ -80,6 +112,59 @@ class AudioForkSession extends EventEmitter {
     if (!this.captureEnabled) this._resetUtterance();
   }
 
+  /**
+   * Arm or disarm barge-in detection while capture is disabled.
+   * When armed, sustained caller speech emits 'bargein' and switches capture
+   * back on, seeding the new utterance with the speech that triggered it.
+   *
+   * @param {boolean} enabled
+   * @param {Object} [options]
+   * @param {number} [options.minSpeechMs=400] - Window of speech required to trigger
+   * @param {number} [options.vadThreshold=0.5] - Fraction of the window that must be speech
+   */
+  setBargeInEnabled(enabled, { minSpeechMs, vadThreshold } = {}) {
+    this.bargeInEnabled = Boolean(enabled);
+    if (Number.isFinite(minSpeechMs) && minSpeechMs > 0) this.bargeInMinSpeechMs = minSpeechMs;
+    if (Number.isFinite(vadThreshold) && vadThreshold > 0 && vadThreshold <= 1) this.bargeInVadThreshold = vadThreshold;
+    this._resetBargeInWindow();
+  }
+
+  _resetBargeInWindow() {
+    this._bargeInWindow = [];
+    this._bargeInWindowMs = 0;
+  }
+
+  _monitorBargeIn(buf, isSpeech) {
+    const chunkMs = this._chunkDurationMs(buf.length);
+
+    this._bargeInWindow.push({ buf, isSpeech, ms: chunkMs });
+    this._bargeInWindowMs += chunkMs;
+
+    // Keep the window anchored on speech onset; anything dropped becomes pre-roll
+    while (this._bargeInWindow.length && (!this._bargeInWindow[0].isSpeech ||
+           this._bargeInWindowMs - this._bargeInWindow[0].ms >= this.bargeInMinSpeechMs)) {
+      const dropped = this._bargeInWindow.shift();
+      this._bargeInWindowMs -= dropped.ms;
+      this._rememberPreRoll(dropped.buf);
+    }
+    if (this._bargeInWindowMs < this.bargeInMinSpeechMs) return;
+
+    const speechMs = this._bargeInWindow.reduce((sum, c) => sum + (c.isSpeech ? c.ms : 0), 0);
+    if (speechMs / this._bargeInWindowMs < this.bargeInVadThreshold) return;
+
+    this.bargeInCount++;
+    console.log('[AUDIO-DEBUG] Barge-in detected for ' + this.callUuid + ' (' + Math.round(speechMs) + 'ms speech, count=' + this.bargeInCount + ')');
+
+    const triggering = this._bargeInWindow;
+    this.bargeInEnabled = false;
+    this._resetBargeInWindow();
+    this.captureEnabled = true;
+    this._startUtteranceWithPreRoll();
+    for (const chunk of triggering) this._appendUtterance(chunk.buf, chunk.isSpeech);
+
+    this.emit('bargein', { callUuid: this.callUuid, speechMs, count: this.bargeInCount });
+  }
+
   _chunkDurationMs(byteLen) {
     const samples = Math.floor(byteLen / 2);
     return (samples / this.sampleRate) * 1000;
@@ -102,6 +187,9 @@ class AudioForkSession extends EventEmitter {
     this._speechBytes = 0;
     this._silenceMs = 0;
 
+    // Streaming STT starts a recognizer here and gets every chunk from 'speechaudio'
+    this.emit('speechstart', { callUuid: this.callUuid, sampleRate: this.sampleRate });
+
     if (this._preRollChunks.length) {
       for (const chunk of this._preRollChunks) this._appendUtterance(chunk, false);
       this._preRollChunks = [];
@@ -114,6 +202,16 @@ class AudioForkSession extends EventEmitter {
     this._utteranceChunks.push(buf);
     this._utteranceBytes += buf.length;
     if (countsAsSpeech) this._speechBytes += buf.length;
+    this.emit('speechaudio', buf);
+  }
+
+  /**
+   * Audio of the utterance in progress (e.g. one a barge-in started before
+   * a streaming recognizer was attached), or null between utterances
+   * @returns {Buffer|null}
+   */
+  currentUtteranceAudio() {
+    return this._inSpeech ? Buffer.concat(this._utteranceChunks) : null;
   }
 
   _resetUtterance() {
@@ -128,14 +226,17 @@ class AudioForkSession extends EventEmitter {
     const durationMs = this._chunkDurationMs(this._utteranceBytes);
     const speechMs = this._chunkDurationMs(this._speechBytes);
     const speechRatio = this._utteranceBytes > 0 ? this._speechBytes / this._utteranceBytes : 0;
+    // Silence heard after the last speech before the VAD ended the utterance
+    const trailingSilenceMs = this._silenceMs;
 
     const audio = Buffer.concat(this._utteranceChunks);
     this._resetUtterance();
 
     console.log('[AUDIO-DEBUG] Finalizing utterance: ' + audio.length + ' bytes, ' + Math.round(durationMs) + 'ms duration, ' + Math.round(speechMs) + 'ms speech, ratio=' + speechRatio.toFixed(2) + ', reason=' + reason);
 
-    // For DTMF-triggered finalization, be more lenient with requirements
-    const isDtmfTriggered = reason === 'dtmf_trigger';
+    // For DTMF-triggered finalization, or when a streaming recognizer already
+    // heard words, be more lenient with requirements
+    const isDtmfTriggered = reason === 'dtmf_trigger' || reason === 'stt_final';
     const minSpeechRequired = isDtmfTriggered ? 100 : this.minSpeechMs;
     const minRatioRequired = isDtmfTriggered ? 0.05 : 0.12;
 
@@ -144,7 +245,7 @@ class AudioForkSession extends EventEmitter {
       return false;
     }
     console.log('[AUDIO-DEBUG] Utterance ACCEPTED, emitting event');
-    this.emit('utterance', { callUuid: this.callUuid, audio, durationMs, speechMs, reason });
+    this.emit('utterance', { callUuid: this.callUuid, audio, durationMs, speechMs, trailingSilenceMs, reason });
     return true;
   }
 
@@ -163,6 +264,17 @@ class AudioForkSession extends EventEmitter {
     return this._finalizeUtterance('dtmf_trigger');
   }
 
+  /**
+   * End the current utterance before the silence timeout, e.g. when a
+   * streaming recognizer reports the caller finished a sentence
+   * @param {string} reason - Passed on in the 'utterance' event
+   * @returns {boolean} Whether an utterance was finalized
+   */
+  endUtterance(reason) {
+    if (!this._inSpeech || this._utteranceBytes === 0) return false;
+    return this._finalizeUtterance(reason);
+  }
+
   _detectEndian(buf) {
     const le = pcmStats(buf, 'LE');
     const be = pcmStats(buf, 'BE');
@@ -175,14 +287,13 @@ class AudioForkSession extends EventEmitter {
 
   _isSpeech(buf) {
     if (!this._pcmEndian) this._pcmEndian = this._detectEndian(buf);
-    const stats = pcmStats(buf, this._pcmEndian);
-
-    const rmsThreshold = 650;
-    const maxThreshold = 2200;
-
-    const looksSilent = stats.nearZeroRatio > 0.94 && stats.rms < rmsThreshold;
-    if (looksSilent) return false;
-    return stats.maxAbs >= maxThreshold || stats.rms >= rmsThreshold;
+    return this.vad.isSpeech({
+      buf,
+      endian: this._pcmEndian,
+      sampleRate: this.sampleRate,
+      durationMs: this._chunkDurationMs(buf.length),
+      stats: pcmStats(buf, this._pcmEndian)
+    });
   }
 
   _onMessage(data) {
@@ -219,13 +330,19 @@ class AudioForkSession extends EventEmitter {
       this._lastLogTime = now;
     }
 
+    if (data.length < 2) return;
+
+    // Raw caller audio for the call recorder, independent of capture state
+    this.emit('audio', data);
+
+    // Every frame goes through the VAD, so it follows the line's noise between turns
+    const isSpeech = this._isSpeech(data);
+
     if (!this.captureEnabled) {
+      if (this.bargeInEnabled) this._monitorBargeIn(data, isSpeech);
       return;
     }
 
-    if (data.length < 2) return;
-
-    const isSpeech = this._isSpeech(data);
     const chunkMs = this._chunkDurationMs(data.length);
 
     // Log speech detection periodically
@@ -0,0 +1,279 @@
+/**
+ * Business Hours
+ * Weekly opening hours, holidays and one-off overrides for a device
+ * ("schedule" in devices.json), evaluated in the schedule's time zone:
+ *
+ *   "schedule": {
+ *     "timezone": "Asia/Jerusalem",
+ *     "hours": {
+ *       "sun-thu": "09:00-17:00",
+ *       "fri": ["09:00-12:00"]
+ *     },
+ *     "holidays": [
+ *       "2026-09-21",
+ *       { "date": "2026-09-30", "name": "Sukkot eve", "hours": "09:00-12:00" },
+ *       { "from": "2026-10-01", "to": "2026-10-08", "name": "Sukkot" }
+ *     ],
+ *     "overrides": [
+ *       { "from": "2026-11-03T13:00", "to": "2026-11-03T17:00", "open": false, "name": "Team offsite" }
+ *     ],
+ *     "closed": { "action": "voicemail" }
+ *   }
+ *
+ * Days without hours are closed; "22:00-06:00" runs past midnight. Overrides
+ * beat holidays, which beat the weekly hours. Dates and times are local to
+ * "timezone" (default: the server's).
+ *
+ * "closed" says what happens to calls while closed:
+ * - voicemail:    Take a message (default)
+ * - conversation: Talk to the AI anyway, with the after-hours "greeting" and
+ *                 "prompt" (added to the device prompt)
+ * - forward:      Transfer to "target" (after "message", if given)
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CLOSED_ACTIONS = ['voicemail', 'conversation', 'forward'];
+
+// Ranges may end at 24:00 (midnight), nothing later
+const TIME_RANGE = /^([01]\d|2[0-3]):([0-5]\d)-(?!24:(?!00))([01]\d|2[0-4]):([0-5]\d)$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+// Intl formatters are slow to create; one per time zone
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  const key = timeZone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(key);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @returns {{date: string, time: string, day: number, minutes: number}}
+ *   date "YYYY-MM-DD", time "HH:MM", day 0 (Sunday) - 6
+ */
+function localTime(now, timeZone) {
+  const parts = {};
+  for (const part of formatterFor(timeZone).formatToParts(now)) parts[part.type] = part.value;
+  const time = `${parts.hour}:${parts.minute}`;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time,
+    day: DAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Days named by an "hours" key: "mon", "mon-fri", "fri-sun" or "daily"
+ * @returns {number[]|null} Day numbers, or null if the key is invalid
+ */
+function parseDays(key) {
+  const value = String(key).toLowerCase();
+  if (value === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+  const [first, last = first] = value.split('-');
+  const start = DAYS.indexOf(first);
+  const end = DAYS.indexOf(last);
+  if (start < 0 || end < 0) return null;
+  const days = [start];
+  for (let day = start; day !== end;) {
+    day = (day + 1) % 7;
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * "09:00-17:00" or a list of them ("closed" / [] for none)
+ * @returns {Array<{start: number, end: number}>|null} Minutes since midnight, or null if invalid
+ */
+function parseRanges(value) {
+  if (value === 'closed') return [];
+  const list = Array.isArray(value) ? value : [value];
+  const ranges = [];
+  for (const item of list) {
+    const match = TIME_RANGE.exec(String(item));
+    if (!match) return null;
+    ranges.push({
+      start: parseInt(match[1], 10) * 60 + parseInt(match[2], 10),
+      end: parseInt(match[3], 10) * 60 + parseInt(match[4], 10)
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Opening hours for each day of the week
+ * @returns {Array<Array<{start: number, end: number}>>} Indexed by day number
+ */
+function weeklyRanges(hours) {
+  const week = DAYS.map(() => []);
+  for (const [key, value] of Object.entries(hours || {})) {
+    const days = parseDays(key);
+    const ranges = parseRanges(value);
+    if (!days || !ranges) continue;
+    for (const day of days) week[day] = ranges;
+  }
+  return week;
+}
+
+// Open at `minutes` on a day with `today` hours, given the previous day's hours
+function inRanges(today, yesterday, minutes) {
+  for (const { start, end } of today) {
+    if (end > start ? (minutes >= start && minutes < end) : minutes >= start) return true;
+  }
+  // Yesterday's overnight hours running into today
+  return yesterday.some(({ start, end }) => end <= start && minutes < end);
+}
+
+function normalizeHoliday(holiday) {
+  if (typeof holiday === 'string') return { from: holiday, to: holiday, name: null, hours: null };
+  return {
+    from: holiday.date || holiday.from,
+    to: holiday.date || holiday.to || holiday.from,
+    name: holiday.name || null,
+    hours: holiday.hours !== undefined ? holiday.hours : null
+  };
+}
+
+// The calendar day before a local day; not now - 24h, which lands two days
+// back (or on the same day) around DST changes
+function previousDay(local) {
+  const date = new Date(`${local.date}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return { date: date.toISOString().slice(0, 10), day: (local.day + 6) % 7 };
+}
+
+// A day's opening hours: its holiday's (none unless given), else the weekly ones
+function dayRanges(day, week, holidays) {
+  const holiday = holidays.find(h => h.from <= day.date && day.date <= h.to);
+  if (!holiday) return { ranges: week[day.day], holiday: null };
+  return { ranges: holiday.hours !== null ? parseRanges(holiday.hours) || [] : [], holiday };
+}
+
+// Date-only override bounds cover whole days ("T24:00" sorts after any time that day)
+function overrideBound(value, end) {
+  return DATE.test(value) ? `${value}T${end ? '24:00' : '00:00'}` : value;
+}
+
+/**
+ * Check a schedule definition
+ * @param {Object} schedule - devices.json "schedule" block
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateSchedule(schedule, where = 'schedule') {
+  if (!schedule || typeof schedule !== 'object') return [`${where} must be an object`];
+  const errors = [];
+
+  if (schedule.timezone !== undefined && !isValidTimeZone(schedule.timezone)) {
+    errors.push(`${where}.timezone "${schedule.timezone}" is not a known time zone`);
+  }
+
+  if (!schedule.hours || typeof schedule.hours !== 'object') {
+    errors.push(`${where}.hours must map days to opening hours`);
+  } else {
+    for (const [key, value] of Object.entries(schedule.hours)) {
+      if (!parseDays(key)) errors.push(`${where}.hours key "${key}" must be a day (mon), a range (mon-fri) or "daily"`);
+      if (!parseRanges(value)) errors.push(`${where}.hours.${key} must be "HH:MM-HH:MM", a list of them or "closed"`);
+    }
+  }
+
+  (schedule.holidays || []).forEach((holiday, i) => {
+    const { from, to, hours } = normalizeHoliday(holiday || {});
+    if (!DATE.test(from) || !DATE.test(to)) {
+      errors.push(`${where}.holidays[${i}] needs "YYYY-MM-DD" dates`);
+    }
+    if (hours !== null && !parseRanges(hours)) {
+      errors.push(`${where}.holidays[${i}].hours must be "HH:MM-HH:MM" or a list of them`);
+    }
+  });
+
+  (schedule.overrides || []).forEach((override, i) => {
+    const valid = (value) => DATE.test(value) || DATE_TIME.test(value);
+    if (!override || !valid(override.from) || !valid(override.to)) {
+      errors.push(`${where}.overrides[${i}] needs "from" and "to" as "YYYY-MM-DDTHH:MM" or "YYYY-MM-DD"`);
+    }
+  });
+
+  const closed = schedule.closed;
+  if (closed !== undefined) {
+    if (!closed || !CLOSED_ACTIONS.includes(closed.action || 'voicemail')) {
+      errors.push(`${where}.closed.action must be one of: ${CLOSED_ACTIONS.join(', ')}`);
+    } else if (closed.action === 'forward' && !closed.target) {
+      errors.push(`${where}.closed.target is required to forward calls`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a schedule is open at a given time
+ *
+ * @param {Object} [schedule] - devices.json "schedule" block (none = always open)
+ * @param {Date} [now]
+ * @returns {{open: boolean, reason: string, name: string|null, timezone: string|null,
+ *   localTime: string|null}} reason is "always" (no schedule), "hours", "holiday" or
+ *   "override"; name is the holiday / override name; localTime is "YYYY-MM-DDTHH:MM"
+ */
+function getScheduleStatus(schedule, now = new Date()) {
+  if (!schedule) return { open: true, reason: 'always', name: null, timezone: null, localTime: null };
+
+  const timezone = schedule.timezone || null;
+  const local = localTime(now, timezone);
+  const stamp = `${local.date}T${local.time}`;
+  const status = (open, reason, name = null) => ({ open, reason, name, timezone, localTime: stamp });
+
+  for (const override of schedule.overrides || []) {
+    if (overrideBound(override.from, false) <= stamp && stamp < overrideBound(override.to, true)) {
+      return status(Boolean(override.open), 'override', override.name || null);
+    }
+  }
+
+  const yesterday = previousDay(local);
+  const week = weeklyRanges(schedule.hours);
+  const holidays = (schedule.holidays || []).map(normalizeHoliday);
+  const today = dayRanges(local, week, holidays);
+  // Overnight hours run into today from yesterday's hours, holiday or not
+  const open = inRanges(today.ranges, dayRanges(yesterday, week, holidays).ranges, local.minutes);
+  return today.holiday ? status(open, 'holiday', today.holiday.name) : status(open, 'hours');
+}
+
+/**
+ * What to do with calls while closed
+ * @returns {{action: string, greeting?: string, prompt?: string, target?: string, message?: string}}
+ */
+function resolveClosedAction(schedule) {
+  const closed = (schedule && schedule.closed) || {};
+  return Object.assign({}, closed, { action: closed.action || 'voicemail' });
+}
+
+module.exports = {
+  DAYS,
+  CLOSED_ACTIONS,
+  validateSchedule,
+  getScheduleStatus,
+  resolveClosedAction,
+  localTime
+};
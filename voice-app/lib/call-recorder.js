@@ -0,0 +1,256 @@
+/**
+ * Call Recorder
+ * Records both legs of a call into one stereo WAV file:
+ * - left channel: caller audio from the audio fork
+ * - right channel: everything played to the caller (TTS, beeps, hold music)
+ *
+ * Played files are decoded with ffmpeg as soon as playback starts, because
+ * TTS files are removed by the audio cleanup after a few minutes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const logger = require('./logger');
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '../recordings');
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const DECODE_TIMEOUT_MS = 30000;
+
+// Call IDs end up in file names
+const SAFE_CALL_ID = /^[\w.-]+$/;
+
+/**
+ * Decode any audio file or URL to 16-bit mono PCM
+ * @param {string} input - File path or URL
+ * @param {number} sampleRate
+ * @returns {Promise<Buffer>}
+ */
+function decodeToPcm(input, sampleRate) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-nostdin', '-loglevel', 'error',
+      '-i', input,
+      '-f', 's16le', '-ac', '1', '-ar', String(sampleRate),
+      'pipe:1'
+    ]);
+    const chunks = [];
+    let stderr = '';
+    const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), DECODE_TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on('data', (chunk) => { stderr += chunk; });
+    ffmpeg.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    ffmpeg.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(Buffer.concat(chunks));
+      else reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim().substring(0, 200)}`));
+    });
+  });
+}
+
+/**
+ * Interleave two mono 16-bit PCM buffers into a stereo WAV file
+ * @param {Buffer} left
+ * @param {Buffer} right
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+function buildStereoWav(left, right, sampleRate) {
+  const frames = Math.floor(Math.max(left.length, right.length) / 2);
+  const dataSize = frames * 4;
+  const wav = Buffer.alloc(44 + dataSize);
+
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);              // PCM
+  wav.writeUInt16LE(2, 22);              // stereo
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 4, 28); // byte rate
+  wav.writeUInt16LE(4, 32);              // block align
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < frames; i++) {
+    const offset = 44 + i * 4;
+    if (i * 2 + 1 < left.length) wav.writeInt16LE(left.readInt16LE(i * 2), offset);
+    if (i * 2 + 1 < right.length) wav.writeInt16LE(right.readInt16LE(i * 2), offset + 2);
+  }
+  return wav;
+}
+
+/**
+ * Path of a call's recording, or null if the call ID is unsafe
+ * @param {string} callId
+ * @param {string} [dir]
+ */
+function getRecordingPath(callId, dir = RECORDINGS_DIR) {
+  if (!callId || !SAFE_CALL_ID.test(callId)) return null;
+  return path.join(dir, `${callId}.wav`);
+}
+
+/**
+ * Delete recordings older than the retention period
+ * @param {Object} options
+ * @param {number} options.retentionMs
+ * @param {string} [options.dir]
+ * @returns {Promise<number>} Number of files deleted
+ */
+async function purgeRecordings({ retentionMs, dir = RECORDINGS_DIR }) {
+  if (!(retentionMs > 0) || !fs.existsSync(dir)) return 0;
+
+  const cutoff = Date.now() - retentionMs;
+  let deleted = 0;
+  for (const file of await fs.promises.readdir(dir)) {
+    if (!file.endsWith('.wav')) continue;
+    const filepath = path.join(dir, file);
+    try {
+      const stats = await fs.promises.stat(filepath);
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(filepath);
+        deleted++;
+      }
+    } catch (error) {
+      logger.warn('Failed to purge recording', { file, error: error.message });
+    }
+  }
+  if (deleted > 0) logger.info('Purged old recordings', { deleted });
+  return deleted;
+}
+
+class CallRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.callUuid
+   * @param {number} [options.sampleRate=16000] - Must match the audio fork
+   * @param {string} [options.dir] - Output directory (RECORDINGS_DIR)
+   */
+  constructor({ callUuid, sampleRate = 16000, dir = RECORDINGS_DIR }) {
+    this.callUuid = callUuid;
+    this.sampleRate = sampleRate;
+    this.filePath = getRecordingPath(callUuid, dir);
+    if (!this.filePath) throw new Error(`Cannot record call with unsafe ID: ${callUuid}`);
+
+    this.startedAt = Date.now();
+    this._callerStartMs = null;
+    this._callerChunks = [];
+    this._prompts = [];
+    this._detachers = [];
+    this._stopped = false;
+  }
+
+  /**
+   * Record caller audio from an AudioForkSession ('audio' events)
+   */
+  attachSession(session) {
+    const onAudio = (buf) => this.writeCaller(buf);
+    session.on('audio', onAudio);
+    this._detachers.push(() => session.off('audio', onAudio));
+  }
+
+  /**
+   * Record everything played through endpoint.play() until stop()
+   */
+  attachEndpoint(endpoint) {
+    const originalPlay = endpoint.play;
+    const recorder = this;
+    endpoint.play = function(file, ...args) {
+      const prompt = recorder.startPrompt(typeof file === 'string' ? file : file && file.file);
+      const result = originalPlay.call(this, file, ...args);
+      if (result && typeof result.then === 'function') {
+        result.then(prompt.end, prompt.end);
+      } else {
+        prompt.end();
+      }
+      return result;
+    };
+    this._detachers.push(() => { endpoint.play = originalPlay; });
+  }
+
+  writeCaller(buf) {
+    if (this._stopped) return;
+    if (this._callerStartMs === null) this._callerStartMs = Date.now() - this.startedAt;
+    this._callerChunks.push(buf);
+  }
+
+  /**
+   * Note that a file started playing; call end() when playback stops
+   * (interrupted prompts are cut at that point)
+   * @param {string} input - File path or URL
+   * @returns {{end: Function}}
+   */
+  startPrompt(input) {
+    const entry = { offsetMs: Date.now() - this.startedAt, durationMs: null, pcm: Promise.resolve(null) };
+    if (input && !this._stopped) {
+      entry.pcm = decodeToPcm(input, this.sampleRate).catch((error) => {
+        logger.warn('Recording: failed to decode prompt', { callUuid: this.callUuid, input, error: error.message });
+        return null;
+      });
+      this._prompts.push(entry);
+    }
+    return {
+      end: () => {
+        if (entry.durationMs === null) entry.durationMs = Date.now() - this.startedAt - entry.offsetMs;
+      }
+    };
+  }
+
+  /**
+   * Stop recording and write the WAV file
+   * @returns {Promise<{path: string, durationMs: number}>}
+   */
+  async stop() {
+    if (this._stopped) throw new Error('Recorder already stopped');
+    this._stopped = true;
+    this._detachers.forEach((detach) => detach());
+    this._detachers = [];
+
+    const stoppedMs = Date.now() - this.startedAt;
+    const bytesPerMs = this.sampleRate * 2 / 1000;
+    const toBytes = (ms) => Math.floor(ms * bytesPerMs) & ~1;
+
+    const caller = Buffer.concat(this._callerChunks);
+    const callerOffset = toBytes(this._callerStartMs || 0);
+    const left = Buffer.alloc(callerOffset + caller.length);
+    caller.copy(left, callerOffset);
+
+    const prompts = await Promise.all(this._prompts.map(async (p) => ({ ...p, pcm: await p.pcm })));
+    const rightLength = Math.max(toBytes(stoppedMs), left.length);
+    const right = Buffer.alloc(rightLength);
+    for (const prompt of prompts) {
+      if (!prompt.pcm) continue;
+      const start = toBytes(prompt.offsetMs);
+      const played = toBytes(prompt.durationMs === null ? stoppedMs - prompt.offsetMs : prompt.durationMs);
+      const end = Math.min(start + Math.min(played, prompt.pcm.length), right.length);
+      // Mix rather than overwrite in case playback overlapped
+      for (let i = start; i + 1 < end; i += 2) {
+        const mixed = right.readInt16LE(i) + prompt.pcm.readInt16LE(i - start);
+        right.writeInt16LE(Math.max(-32768, Math.min(32767, mixed)), i);
+      }
+    }
+
+    const wav = buildStereoWav(left, right, this.sampleRate);
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(this.filePath, wav);
+
+    const durationMs = Math.round((wav.length - 44) / 4 / this.sampleRate * 1000);
+    logger.info('Call recording saved', { callUuid: this.callUuid, path: this.filePath, durationMs, prompts: prompts.length });
+    return { path: this.filePath, durationMs };
+  }
+}
+
+module.exports = {
+  CallRecorder,
+  RECORDINGS_DIR,
+  buildStereoWav,
+  decodeToPcm,
+  getRecordingPath,
+  purgeRecordings
+};
@@ -0,0 +1,591 @@
+/**
+ * Outbound Call Scheduler
+ *
+ * Persistent queue of outbound calls: single calls scheduled for later and
+ * campaigns (a list of numbers, each with its own context). Due calls are
+ * dialed through the same path as POST /api/outbound-call, inside their
+ * calling-hours window and under the concurrency limits; busy and no-answer
+ * calls are retried with backoff.
+ *
+ * Scheduled call status: scheduled -> in_progress -> completed | failed
+ * (or cancelled). Every attempt is kept with its callId and outcome.
+ * Campaign status: active | paused | completed | cancelled
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getScheduleStatus, validateSchedule } = require('./business-hours');
+const { getAllSessions } = require('./outbound-session');
+
+const DEFAULT_QUEUE_PATH = process.env.OUTBOUND_QUEUE_PATH ||
+  path.join(__dirname, '../config/outbound-queue.json');
+
+const DEFAULTS = {
+  maxConcurrent: Number(process.env.OUTBOUND_MAX_CONCURRENT || 4),
+  maxPerDevice: Number(process.env.OUTBOUND_MAX_PER_DEVICE || 2),
+  maxAttempts: Number(process.env.OUTBOUND_MAX_ATTEMPTS || 3),
+  retryDelaySeconds: Number(process.env.OUTBOUND_RETRY_DELAY_SECONDS || 300),
+  tickMs: 5000
+};
+
+// Outcomes worth another try (anything else ends the job)
+const RETRYABLE_REASONS = ['busy', 'no_answer', 'service_unavailable', 'error', 'interrupted', 'machine'];
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+const JOB_STATUSES = ['scheduled', 'in_progress', 'completed', 'failed', 'cancelled'];
+const CAMPAIGN_STATUSES = ['active', 'paused', 'completed', 'cancelled'];
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// Fields a scheduled call carries over to startOutboundCall()
+const CALL_FIELDS = ['to', 'message', 'context', 'mode', 'device', 'callerId', 'timeoutSeconds', 'webhookUrl', 'amd'];
+
+/**
+ * Calling hours: "09:00-20:00" (every day) or a business-hours schedule
+ * ({ timezone, hours, holidays, overrides }, see business-hours.js)
+ */
+function normalizeCallingHours(value, timezone) {
+  if (!value) return null;
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return timezone ? { timezone, hours: { daily: value } } : { hours: { daily: value } };
+  }
+  return value;
+}
+
+/**
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateCallingHours(value) {
+  return validateSchedule(normalizeCallingHours(value), 'callingHours');
+}
+
+function callingHoursFromEnv(env = process.env) {
+  return normalizeCallingHours(env.OUTBOUND_CALLING_HOURS, env.OUTBOUND_TIMEZONE);
+}
+
+// Outbound calls placed outside the scheduler (POST /api/outbound-call) still use lines
+function activeOutboundCalls() {
+  return getAllSessions().filter(s => s.state !== 'COMPLETED' && s.state !== 'FAILED');
+}
+
+/**
+ * Per-number context on top of the campaign's (objects are merged)
+ */
+function mergeContext(base, extra) {
+  if (extra === undefined || extra === null) return base === undefined ? null : base;
+  if (base && typeof base === 'object' && typeof extra === 'object') return Object.assign({}, base, extra);
+  return extra;
+}
+
+function invalidState(message) {
+  const error = new Error(message);
+  error.code = 'invalid_state';
+  return error;
+}
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+class CallScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.queuePath] - JSON file (OUTBOUND_QUEUE_PATH)
+   * @param {number} [options.maxConcurrent] - Calls at once on the trunk (OUTBOUND_MAX_CONCURRENT)
+   * @param {number} [options.maxPerDevice] - Calls at once per device (OUTBOUND_MAX_PER_DEVICE)
+   * @param {number} [options.maxAttempts] - Default attempts per number (OUTBOUND_MAX_ATTEMPTS)
+   * @param {number} [options.retryDelaySeconds] - First retry delay, doubled each attempt
+   * @param {Object} [options.callingHours] - Default window (OUTBOUND_CALLING_HOURS / OUTBOUND_TIMEZONE)
+   * @param {Function} [options.activeCalls] - Outbound sessions in progress
+   * @param {Function} [options.now] - Clock (ms)
+   */
+  constructor(options = {}) {
+    this.queuePath = options.queuePath || DEFAULT_QUEUE_PATH;
+    this.maxConcurrent = options.maxConcurrent || DEFAULTS.maxConcurrent;
+    this.maxPerDevice = options.maxPerDevice || DEFAULTS.maxPerDevice;
+    this.maxAttempts = options.maxAttempts || DEFAULTS.maxAttempts;
+    this.retryDelaySeconds = options.retryDelaySeconds !== undefined ? options.retryDelaySeconds : DEFAULTS.retryDelaySeconds;
+    this.callingHours = options.callingHours !== undefined ? options.callingHours : callingHoursFromEnv();
+    this.activeCalls = options.activeCalls || activeOutboundCalls;
+    this.now = options.now || Date.now;
+    this.tickMs = options.tickMs || DEFAULTS.tickMs;
+
+    // Set by start()
+    this.placeCall = null;
+    this.resolveDevice = () => null;
+
+    this.jobs = new Map();
+    this.campaigns = new Map();
+    this.running = new Map(); // job id -> callId of the attempt in progress
+    this.loaded = false;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start dialing due calls
+   *
+   * @param {Object} deps
+   * @param {Function} deps.placeCall - params => { session, finished }
+   *   (outbound-routes.startOutboundCall)
+   * @param {Function} [deps.resolveDevice] - Device identifier -> device config
+   *   (outbound-routes.resolveOutboundDevice)
+   */
+  start({ placeCall, resolveDevice } = {}) {
+    if (placeCall) this.placeCall = placeCall;
+    if (resolveDevice) this.resolveDevice = resolveDevice;
+    if (this.timer) return;
+    this._load();
+
+    // Calls that were ringing when we went down: their outcome is unknown
+    for (const job of this.jobs.values()) {
+      if (job.status === 'in_progress' && !this.running.has(job.id)) {
+        this._finishAttempt(job, { state: 'FAILED', reason: 'interrupted' });
+      }
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Call scheduler tick failed', { error: error.message }));
+    }, this.tickMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ---------- Scheduled calls ----------
+
+  /**
+   * Schedule a call
+   * @param {Object} fields - Outbound call fields (to, message, mode, device, context, ...)
+   *   plus scheduledAt (default now), callingHours, maxAttempts, retryDelaySeconds
+   */
+  scheduleCall(fields) {
+    this._load();
+    const job = this._newJob(fields, null);
+    this.jobs.set(job.id, job);
+    this._save();
+    logger.info('Outbound call scheduled', { id: job.id, to: job.to, scheduledAt: job.scheduledAt });
+    return copy(job);
+  }
+
+  getCall(id) {
+    this._load();
+    const job = this.jobs.get(id);
+    return job ? copy(job) : null;
+  }
+
+  /**
+   * @param {Object} [filter] - status, campaignId, limit
+   * @returns {Object[]} Soonest first
+   */
+  listCalls({ status, campaignId, limit } = {}) {
+    this._load();
+    let jobs = Array.from(this.jobs.values())
+      .filter(job => (!status || job.status === status) && (!campaignId || job.campaignId === campaignId))
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+    if (limit) jobs = jobs.slice(0, limit);
+    return jobs.map(copy);
+  }
+
+  /**
+   * Change a call that hasn't been dialed yet ({ status: 'cancelled' } cancels it)
+   * @returns {Object|null} Updated call, or null if not found
+   * @throws {Error} code 'invalid_state' once the call is in progress or finished
+   */
+  updateCall(id, fields) {
+    this._load();
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (job.status !== 'scheduled') throw invalidState(`Call is ${job.status}`);
+
+    for (const key of CALL_FIELDS.concat(['callingHours', 'maxAttempts', 'retryDelaySeconds'])) {
+      if (fields[key] !== undefined) job[key] = fields[key];
+    }
+    if (fields.scheduledAt !== undefined) {
+      job.scheduledAt = new Date(fields.scheduledAt).toISOString();
+      job.nextAttemptAt = job.scheduledAt;
+    }
+    if (fields.status === 'cancelled') job.status = 'cancelled';
+    job.updatedAt = new Date(this.now()).toISOString();
+
+    if (job.campaignId) this._checkCampaign(job.campaignId);
+    this._save();
+    return copy(job);
+  }
+
+  /**
+   * Delete a call and its history
+   * @returns {boolean} false if not found
+   * @throws {Error} code 'invalid_state' while the call is in progress
+   */
+  removeCall(id) {
+    this._load();
+    const job = this.jobs.get(id);
+    if (!job) return false;
+    if (job.status === 'in_progress') throw invalidState('Call is in progress');
+    this.jobs.delete(id);
+    if (job.campaignId) this._checkCampaign(job.campaignId);
+    this._save();
+    return true;
+  }
+
+  // ---------- Campaigns ----------
+
+  /**
+   * Create a campaign and schedule a call per contact
+   *
+   * @param {Object} fields
+   * @param {string} fields.name
+   * @param {Array<{to: string, name?: string, message?: string, context?: *}>} fields.contacts
+   * @param {string} fields.message - Default message (a contact's own wins)
+   * @param {*} [fields.context] - Shared context (merged with each contact's)
+   * @param {string} [fields.mode] / [fields.device] / [fields.callerId] / [fields.timeoutSeconds] / [fields.amd]
+   * @param {string} [fields.startAt] - Don't dial before (default now)
+   * @param {*} [fields.callingHours] - Window for every call
+   * @param {number} [fields.maxConcurrent] - Calls at once for this campaign
+   * @param {number} [fields.maxAttempts] / [fields.retryDelaySeconds]
+   * @param {boolean} [fields.paused] - Create paused
+   */
+  createCampaign(fields) {
+    this._load();
+    const now = new Date(this.now()).toISOString();
+    const campaign = {
+      id: crypto.randomUUID(),
+      name: fields.name,
+      device: fields.device || null,
+      mode: fields.mode || 'announce',
+      message: fields.message || null,
+      context: fields.context !== undefined ? fields.context : null,
+      callingHours: fields.callingHours || null,
+      maxConcurrent: fields.maxConcurrent || null,
+      startAt: fields.startAt ? new Date(fields.startAt).toISOString() : now,
+      status: fields.paused ? 'paused' : 'active',
+      createdAt: now,
+      updatedAt: now
+    };
+    this.campaigns.set(campaign.id, campaign);
+
+    for (const contact of fields.contacts) {
+      const job = this._newJob({
+        to: contact.to,
+        name: contact.name,
+        message: contact.message || campaign.message,
+        context: mergeContext(campaign.context, contact.context),
+        mode: campaign.mode,
+        device: campaign.device,
+        callerId: fields.callerId,
+        timeoutSeconds: fields.timeoutSeconds,
+        webhookUrl: fields.webhookUrl,
+        amd: fields.amd,
+        maxAttempts: fields.maxAttempts,
+        retryDelaySeconds: fields.retryDelaySeconds,
+        scheduledAt: campaign.startAt
+      }, campaign);
+      this.jobs.set(job.id, job);
+    }
+
+    this._save();
+    logger.info('Campaign created', { id: campaign.id, name: campaign.name, contacts: fields.contacts.length });
+    return this.getCampaign(campaign.id);
+  }
+
+  /**
+   * Campaign with a count of its calls per status
+   */
+  getCampaign(id) {
+    this._load();
+    const campaign = this.campaigns.get(id);
+    if (!campaign) return null;
+
+    const counts = {};
+    JOB_STATUSES.forEach(status => { counts[status] = 0; });
+    for (const job of this.jobs.values()) {
+      if (job.campaignId === id) counts[job.status]++;
+    }
+    return Object.assign(copy(campaign), { counts });
+  }
+
+  /**
+   * @returns {Object[]} Newest first
+   */
+  listCampaigns({ status } = {}) {
+    this._load();
+    return Array.from(this.campaigns.values())
+      .filter(campaign => !status || campaign.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(campaign => this.getCampaign(campaign.id));
+  }
+
+  /**
+   * Rename, pause / resume / cancel, or change the window or concurrency
+   * (cancelling cancels the calls not dialed yet)
+   * @returns {Object|null} Updated campaign, or null if not found
+   * @throws {Error} code 'invalid_state' once the campaign is completed or cancelled
+   */
+  updateCampaign(id, fields) {
+    this._load();
+    const campaign = this.campaigns.get(id);
+    if (!campaign) return null;
+    if (FINISHED.includes(campaign.status)) throw invalidState(`Campaign is ${campaign.status}`);
+
+    for (const key of ['name', 'callingHours', 'maxConcurrent']) {
+      if (fields[key] !== undefined) campaign[key] = fields[key];
+    }
+    if (fields.status) campaign.status = fields.status;
+    campaign.updatedAt = new Date(this.now()).toISOString();
+
+    if (campaign.status === 'cancelled') {
+      for (const job of this.jobs.values()) {
+        if (job.campaignId === id && job.status === 'scheduled') {
+          job.status = 'cancelled';
+          job.updatedAt = campaign.updatedAt;
+        }
+      }
+    }
+    this._checkCampaign(id);
+    this._save();
+    logger.info('Campaign updated', { id, status: campaign.status });
+    return this.getCampaign(id);
+  }
+
+  /**
+   * Delete a campaign and all its calls
+   * @returns {boolean} false if not found
+   * @throws {Error} code 'invalid_state' while any of its calls is in progress
+   */
+  removeCampaign(id) {
+    this._load();
+    if (!this.campaigns.has(id)) return false;
+    const jobs = Array.from(this.jobs.values()).filter(job => job.campaignId === id);
+    if (jobs.some(job => job.status === 'in_progress')) throw invalidState('Campaign has calls in progress');
+    jobs.forEach(job => this.jobs.delete(job.id));
+    this.campaigns.delete(id);
+    this._save();
+    return true;
+  }
+
+  // ---------- Dialing ----------
+
+  /**
+   * Dial every due call the calling hours and concurrency limits allow
+   */
+  async tick() {
+    if (!this.placeCall || this.ticking) return;
+    this.ticking = true;
+    try {
+      this._load();
+      const now = this.now();
+      const due = Array.from(this.jobs.values())
+        .filter(job => job.status === 'scheduled' && Date.parse(job.nextAttemptAt) <= now)
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+      if (due.length === 0) return;
+
+      const active = this._countActive();
+      const devices = new Map();
+      for (const job of due) {
+        if (active.total >= this.maxConcurrent) break;
+
+        const campaign = job.campaignId ? this.campaigns.get(job.campaignId) : null;
+        if (campaign && campaign.status !== 'active') continue;
+        if (campaign && campaign.maxConcurrent && (active.byCampaign.get(campaign.id) || 0) >= campaign.maxConcurrent) continue;
+
+        const hours = normalizeCallingHours(job.callingHours || (campaign && campaign.callingHours)) || this.callingHours;
+        if (hours && !getScheduleStatus(hours, new Date(now)).open) continue;
+
+        if (!devices.has(job.device)) devices.set(job.device, this.resolveDevice(job.device, { quiet: true }) || null);
+        const deviceConfig = devices.get(job.device);
+        const deviceName = deviceConfig ? deviceConfig.name : null;
+        if ((active.byDevice.get(deviceName) || 0) >= this.maxPerDevice) continue;
+
+        this._dial(job, deviceConfig);
+        active.total++;
+        active.byDevice.set(deviceName, (active.byDevice.get(deviceName) || 0) + 1);
+        if (campaign) active.byCampaign.set(campaign.id, (active.byCampaign.get(campaign.id) || 0) + 1);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  _dial(job, deviceConfig) {
+    const attempt = {
+      number: job.attempts.length + 1,
+      callId: null,
+      device: deviceConfig ? deviceConfig.name : null,
+      startedAt: new Date(this.now()).toISOString(),
+      endedAt: null,
+      state: null,
+      reason: null
+    };
+    job.attempts.push(attempt);
+    job.status = 'in_progress';
+    job.updatedAt = attempt.startedAt;
+
+    const params = { deviceConfig };
+    CALL_FIELDS.forEach(key => { params[key] = job[key]; });
+
+    let call;
+    try {
+      call = this.placeCall(params);
+    } catch (error) {
+      this._finishAttempt(job, { state: 'FAILED', reason: 'service_unavailable', error: error.message });
+      return;
+    }
+
+    attempt.callId = call.session.callId;
+    this.running.set(job.id, attempt.callId);
+    this._save();
+    logger.info('Scheduled call dialing', { id: job.id, callId: attempt.callId, to: job.to, attempt: attempt.number });
+
+    call.finished.then(
+      (result) => this._finishAttempt(job, result),
+      (error) => this._finishAttempt(job, { state: 'FAILED', reason: 'error', error: error.message })
+    );
+  }
+
+  /**
+   * Record how an attempt ended and retry, complete or fail the call
+   */
+  _finishAttempt(job, { state, reason, error }) {
+    this.running.delete(job.id);
+    const now = this.now();
+    const attempt = job.attempts[job.attempts.length - 1];
+    if (attempt) {
+      attempt.endedAt = new Date(now).toISOString();
+      attempt.state = String(state).toLowerCase();
+      attempt.reason = reason || null;
+      if (error) attempt.error = error;
+    }
+    job.outcome = reason || String(state).toLowerCase();
+    job.updatedAt = new Date(now).toISOString();
+
+    if (state === 'COMPLETED') {
+      job.status = 'completed';
+    } else if (RETRYABLE_REASONS.includes(reason) && job.attempts.length < job.maxAttempts) {
+      const delay = Math.min(job.retryDelaySeconds * 1000 * Math.pow(2, job.attempts.length - 1), MAX_RETRY_DELAY_MS);
+      job.status = 'scheduled';
+      job.nextAttemptAt = new Date(now + delay).toISOString();
+      logger.info('Scheduled call will retry', { id: job.id, to: job.to, reason, retryInSeconds: Math.round(delay / 1000) });
+    } else {
+      job.status = 'failed';
+    }
+
+    if (job.status !== 'scheduled') {
+      logger.info('Scheduled call finished', { id: job.id, to: job.to, status: job.status, outcome: job.outcome, attempts: job.attempts.length });
+    }
+    if (job.campaignId) this._checkCampaign(job.campaignId);
+    this._save();
+  }
+
+  /**
+   * Calls using lines now: ours (by device and campaign) plus other outbound calls
+   */
+  _countActive() {
+    const active = { total: 0, byDevice: new Map(), byCampaign: new Map() };
+    const add = (device, campaignId) => {
+      active.total++;
+      active.byDevice.set(device, (active.byDevice.get(device) || 0) + 1);
+      if (campaignId) active.byCampaign.set(campaignId, (active.byCampaign.get(campaignId) || 0) + 1);
+    };
+
+    const ours = new Set(this.running.values());
+    for (const job of this.jobs.values()) {
+      if (job.status === 'in_progress') add(job.attempts[job.attempts.length - 1].device, job.campaignId);
+    }
+    for (const session of this.activeCalls()) {
+      if (!ours.has(session.callId)) add(session.device || null, null);
+    }
+    return active;
+  }
+
+  _newJob(fields, campaign) {
+    const now = new Date(this.now()).toISOString();
+    const scheduledAt = fields.scheduledAt ? new Date(fields.scheduledAt).toISOString() : now;
+    return {
+      id: crypto.randomUUID(),
+      campaignId: campaign ? campaign.id : null,
+      name: fields.name || null,
+      to: fields.to,
+      message: fields.message,
+      context: fields.context !== undefined ? fields.context : null,
+      mode: fields.mode || 'announce',
+      device: fields.device || null,
+      callerId: fields.callerId || null,
+      timeoutSeconds: fields.timeoutSeconds || 30,
+      webhookUrl: fields.webhookUrl || null,
+      amd: fields.amd !== undefined ? fields.amd : null,
+      callingHours: fields.callingHours || null,
+      maxAttempts: fields.maxAttempts || this.maxAttempts,
+      retryDelaySeconds: fields.retryDelaySeconds !== undefined ? fields.retryDelaySeconds : this.retryDelaySeconds,
+      scheduledAt,
+      nextAttemptAt: scheduledAt,
+      status: 'scheduled',
+      outcome: null,
+      attempts: [],
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Mark an active campaign completed once all its calls are done
+   */
+  _checkCampaign(id) {
+    const campaign = this.campaigns.get(id);
+    if (!campaign || FINISHED.includes(campaign.status)) return;
+    const jobs = Array.from(this.jobs.values()).filter(job => job.campaignId === id);
+    if (jobs.every(job => FINISHED.includes(job.status))) {
+      campaign.status = 'completed';
+      campaign.updatedAt = new Date(this.now()).toISOString();
+      logger.info('Campaign completed', { id, name: campaign.name, calls: jobs.length });
+    }
+  }
+
+  /**
+   * Read the queue file once, before anything overwrites it
+   */
+  _load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+      (data.campaigns || []).forEach(campaign => this.campaigns.set(campaign.id, campaign));
+      (data.jobs || []).forEach(job => this.jobs.set(job.id, job));
+      logger.info('Outbound call queue loaded', { calls: this.jobs.size, campaigns: this.campaigns.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read outbound call queue', { path: this.queuePath, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Write the queue to disk (temp file + rename)
+   */
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.queuePath), { recursive: true });
+      const tmpPath = this.queuePath + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        campaigns: Array.from(this.campaigns.values()),
+        jobs: Array.from(this.jobs.values())
+      }, null, 2));
+      fs.renameSync(tmpPath, this.queuePath);
+    } catch (error) {
+      logger.warn('Failed to save outbound call queue', { path: this.queuePath, error: error.message });
+    }
+  }
+}
+
+// Shared scheduler for the API routes
+const callScheduler = new CallScheduler();
+
+module.exports = {
+  CallScheduler,
+  callScheduler,
+  JOB_STATUSES,
+  CAMPAIGN_STATUSES,
+  validateCallingHours
+};
@@ -0,0 +1,238 @@
+/**
+ * Supervisor Controls
+ * Lets a person step into a live AI conversation, inbound or outbound:
+ *
+ * - say:    speak a line to the caller straight away, cutting off whatever
+ *           the AI was saying or waiting for
+ * - pause:  the AI stops listening and answering. The caller is moved into a
+ *           FreeSWITCH conference ("supervise-<callId>") and, if asked, a
+ *           supervisor extension or number is dialed into it to take over
+ * - resume: the supervisor leg is hung up, the caller leaves the conference
+ *           and the AI carries on (also when the supervisor hangs up)
+ *
+ * Requested over the API (POST /api/call/:callId/say, /pause-ai, /resume-ai);
+ * the conversation loop acts on them between prompts.
+ */
+
+const logger = require('./logger');
+const { initiateOutboundCall } = require('./outbound-handler');
+const { liveEvents } = require('./live-events');
+
+const CONFERENCE_PREFIX = 'supervise-';
+const SUPERVISOR_RING_TIMEOUT = 30;
+
+// Live conversations that take supervisor requests: callId -> CallSupervision
+const supervisedCalls = new Map();
+
+function invalidState(message) {
+  const error = new Error(message);
+  error.code = 'invalid_state';
+  return error;
+}
+
+class CallSupervision {
+  /**
+   * @param {Object} ctx
+   * @param {string} ctx.callUuid
+   * @param {Object} ctx.endpoint - Caller's endpoint
+   * @param {Object} ctx.dialog - Caller's dialog
+   * @param {Object} [ctx.srf] - Needed to dial a supervisor into the conference
+   * @param {Object} [ctx.mediaServer]
+   * @param {Object} [ctx.deviceConfig] - Device placing the supervisor call
+   */
+  constructor(ctx) {
+    this.callUuid = ctx.callUuid;
+    this.endpoint = ctx.endpoint;
+    this.dialog = ctx.dialog;
+    this.srf = ctx.srf || null;
+    this.mediaServer = ctx.mediaServer || null;
+    this.deviceConfig = ctx.deviceConfig || null;
+    this.conference = CONFERENCE_PREFIX + ctx.callUuid;
+
+    this.lines = [];
+    this.paused = false;
+    this.supervisor = null;
+    this.resumeMessage = null;
+    this.onInterrupt = () => {};
+    this._wake = null;
+  }
+
+  /**
+   * Take requests for this call until the returned function is called
+   * @param {function()} onInterrupt - Stops whatever the conversation is waiting on
+   * @returns {function()} Detach
+   */
+  attach(onInterrupt) {
+    this.onInterrupt = onInterrupt;
+    supervisedCalls.set(this.callUuid, this);
+    return () => {
+      if (supervisedCalls.get(this.callUuid) === this) supervisedCalls.delete(this.callUuid);
+      this.onInterrupt = () => {};
+      this._release('detached');
+    };
+  }
+
+  /**
+   * @returns {boolean} A line or a pause is waiting for the conversation
+   */
+  pending() {
+    return this.paused || this.lines.length > 0;
+  }
+
+  /**
+   * @returns {string|null} Next line to speak
+   */
+  nextLine() {
+    return this.lines.shift() || null;
+  }
+
+  /**
+   * Speak a line to the caller as soon as possible
+   * @param {string} text
+   * @returns {number} Lines waiting, including this one
+   * @throws {Error} code 'invalid_state' while the AI is paused
+   */
+  say(text) {
+    if (this.paused) throw invalidState('AI is paused; the caller is with a supervisor');
+    this.lines.push(text);
+    this.onInterrupt();
+    return this.lines.length;
+  }
+
+  /**
+   * Stop the AI and move the caller into the supervisor conference
+   * @param {Object} [opts]
+   * @param {string} [opts.supervisor] - Extension or number to dial into the conference
+   * @returns {{conference: string, supervisor: string|null}}
+   * @throws {Error} code 'invalid_state' if already paused, 'unsupported' if
+   *   a supervisor can't be dialed from this call
+   */
+  pause({ supervisor = null } = {}) {
+    if (this.paused) throw invalidState('AI is already paused');
+    if (supervisor && !(this.srf && this.mediaServer)) {
+      const error = new Error('Dialing a supervisor is not available on this call');
+      error.code = 'unsupported';
+      throw error;
+    }
+    this.paused = true;
+    this.supervisor = supervisor;
+    this.resumeMessage = null;
+    this.onInterrupt();
+    return { conference: this.conference, supervisor };
+  }
+
+  /**
+   * Hand the call back to the AI
+   * @param {Object} [opts]
+   * @param {string} [opts.message] - Spoken to the caller before the AI listens again
+   * @throws {Error} code 'invalid_state' if the AI isn't paused
+   */
+  resume({ message = null } = {}) {
+    if (!this.paused) throw invalidState('AI is not paused');
+    this.resumeMessage = message;
+    this._release('api');
+  }
+
+  /**
+   * Run a pause: join the caller to the conference, dial the supervisor and
+   * wait until the AI is resumed, the supervisor hangs up or the caller does.
+   * Called by the conversation loop once it has stopped speaking and listening.
+   *
+   * @returns {Promise<{reason: string, message: string|null}>} reason: api,
+   *   supervisor_hangup, supervisor_unavailable, conference_failed, caller_hangup or detached
+   */
+  async hold() {
+    const resumed = new Promise(resolve => { this._wake = resolve; });
+    const onCallerHangup = () => this._release('caller_hangup');
+    this.dialog.once('destroy', onCallerHangup);
+    let leg = null;
+    let joined = false;
+
+    liveEvents.publish('call.state', { callId: this.callUuid, state: 'SUPERVISED', previous: 'CONVERSING' });
+    logger.info('AI paused, caller moved to supervisor conference', {
+      callUuid: this.callUuid,
+      conference: this.conference,
+      supervisor: this.supervisor
+    });
+
+    // The join only completes once FreeSWITCH reports the member, which never
+    // happens if the caller hangs up first
+    const joining = this.endpoint.join(this.conference).then(() => { joined = true; }, (error) => {
+      logger.warn('Could not join supervisor conference, resuming AI', { callUuid: this.callUuid, error: error.message });
+      this._release('conference_failed');
+    });
+
+    try {
+      await Promise.race([joining, resumed]);
+
+      if (joined && this.supervisor && this.paused) {
+        try {
+          const dialing = initiateOutboundCall(this.srf, this.mediaServer, {
+            to: this.supervisor,
+            deviceConfig: this.deviceConfig,
+            timeoutSeconds: SUPERVISOR_RING_TIMEOUT
+          });
+          leg = await Promise.race([dialing, resumed.then(() => null)]);
+          if (leg) {
+            leg.dialog.once('destroy', () => this._release('supervisor_hangup'));
+            await leg.endpoint.join(this.conference);
+            logger.info('Supervisor joined', { callUuid: this.callUuid, supervisor: this.supervisor });
+          } else {
+            // Resumed while it was still ringing
+            dialing.then(late => late.dialog.destroy().catch(() => {}), () => {});
+          }
+        } catch (error) {
+          logger.warn('Supervisor call failed, resuming AI', {
+            callUuid: this.callUuid,
+            supervisor: this.supervisor,
+            error: error.message
+          });
+          this._release('supervisor_unavailable');
+        }
+      }
+
+      const reason = await resumed;
+      return { reason, message: reason === 'api' ? this.resumeMessage : null };
+    } finally {
+      this.dialog.off('destroy', onCallerHangup);
+      this.paused = false;
+      this.supervisor = null;
+      this._wake = null;
+
+      if (leg && leg.dialog.connected !== false) leg.dialog.destroy().catch(() => {});
+      const leave = () => this.endpoint.confHup().catch((error) => {
+        logger.warn('Failed to leave supervisor conference', { callUuid: this.callUuid, error: error.message });
+      });
+      if (this.dialog.connected !== false) {
+        if (joined) await leave();
+        else joining.then(() => { if (joined) leave(); });
+      }
+      liveEvents.publish('call.state', { callId: this.callUuid, state: 'CONVERSING', previous: 'SUPERVISED' });
+    }
+  }
+
+  _release(reason) {
+    if (!this.paused) return;
+    if (this._wake) {
+      this._wake(reason);
+    } else {
+      // Paused but the conversation hasn't started holding yet
+      this.paused = false;
+    }
+  }
+}
+
+/**
+ * The supervision of a live conversation
+ * @param {string} callId
+ * @returns {CallSupervision|null}
+ */
+function getSupervision(callId) {
+  return supervisedCalls.get(callId) || null;
+}
+
+module.exports = {
+  CONFERENCE_PREFIX,
+  CallSupervision,
+  getSupervision
+};
@@ -0,0 +1,296 @@
+/**
+ * Call Transcript
+ * Timestamped record of a call (inbound or outbound): caller utterances,
+ * assistant replies and the voice line actually spoken, DTMF and other events.
+ *
+ * Transcripts of calls in progress are kept in memory; finished ones are
+ * written to TRANSCRIPTS_DIR as <callId>.json. Exports to JSON, plain text
+ * and WebVTT. Offsets are measured from the transcript origin, which is moved
+ * to the recording start when the call is recorded so subtitles line up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { liveEvents } = require('./live-events');
+
+const TRANSCRIPTS_DIR = process.env.TRANSCRIPTS_DIR || path.join(__dirname, '../transcripts');
+
+// Call IDs end up in file names
+const SAFE_CALL_ID = /^[\w.-]+$/;
+
+// Transcripts of calls in progress: callId -> CallTranscript
+const activeTranscripts = new Map();
+
+const SPEAKERS = { caller: 'Caller', assistant: 'Assistant' };
+
+// Live event type for each kind of entry (see live-events.js)
+const LIVE_TYPES = { caller: 'caller.utterance', assistant: 'assistant.reply', dtmf: 'dtmf', event: 'call.event' };
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+/**
+ * Cue text as WebVTT allows it: on one line (a blank line would end the cue)
+ * and with &, < and > escaped so speech can't open tags or read as "-->"
+ */
+function escapeCueText(text) {
+  return String(text)
+    .replace(/\s*[\r\n]+\s*/g, ' ')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Format milliseconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS (text)
+ */
+function formatTimestamp(ms, withMillis = true) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const base = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return withMillis ? `${base}.${pad(total % 1000, 3)}` : base;
+}
+
+class CallTranscript {
+  /**
+   * @param {Object} meta
+   * @param {string} meta.callId
+   * @param {string} [meta.direction] - 'inbound' or 'outbound'
+   * @param {string} [meta.from] - Caller number
+   * @param {string} [meta.to] - Dialed number / extension
+   * @param {string} [meta.device] - Device name
+   */
+  constructor({ callId, direction = 'inbound', from = null, to = null, device = null, startedAt = Date.now() }) {
+    this.callId = callId;
+    this.direction = direction;
+    this.from = from;
+    this.to = to;
+    this.device = device;
+    this.startedAt = startedAt;
+    this.endedAt = null;
+    this.origin = startedAt;
+    this.recordingStartedAt = null;
+    this.entries = [];
+  }
+
+  /**
+   * Measure offsets from the recording start
+   * @param {number} timestampMs - CallRecorder.startedAt
+   */
+  alignToRecording(timestampMs) {
+    this.recordingStartedAt = timestampMs;
+    this.origin = timestampMs;
+  }
+
+  /**
+   * Something the caller said
+   * @param {string} text - Transcription
+   * @param {Object} timing
+   * @param {number} timing.start - Speech start (epoch ms)
+   * @param {number} timing.end - Speech end (epoch ms)
+   * @param {string} [timing.sttProvider]
+   * @param {number} [timing.sttLatencyMs]
+   */
+  addCallerUtterance(text, { start, end, sttProvider = null, sttLatencyMs = null }) {
+    return this._add({ type: 'caller', text, start, end, sttProvider, sttLatencyMs });
+  }
+
+  /**
+   * Something played to the caller
+   * @param {Object} reply
+   * @param {string} reply.kind - 'greeting', 'answer', 'goodbye', ...
+   * @param {string} reply.spoken - Voice line actually spoken
+   * @param {string} [reply.text] - Full LLM response (answers only)
+   * @param {number} reply.start - Playback start (epoch ms)
+   * @param {number} reply.end - Playback end (epoch ms)
+   * @param {number} [reply.llmLatencyMs]
+   * @param {boolean} [reply.bargedIn] - Caller interrupted playback
+   */
+  addAssistantReply({ kind, spoken, text = null, start, end, llmLatencyMs = null, bargedIn = false }) {
+    return this._add({ type: 'assistant', kind, text: text || spoken, spoken, start, end, llmLatencyMs, bargedIn });
+  }
+
+  addDtmf(digit, at = Date.now()) {
+    return this._add({ type: 'dtmf', digit: String(digit), start: at, end: at });
+  }
+
+  addEvent(name, data = {}, at = Date.now()) {
+    return this._add({ type: 'event', name, data, start: at, end: at });
+  }
+
+  end(at = Date.now()) {
+    if (!this.endedAt) this.endedAt = at;
+  }
+
+  _add(entry) {
+    this.entries.push(entry);
+    const fields = Object.assign({ callId: this.callId }, entry);
+    delete fields.type;
+    delete fields.start;
+    delete fields.end;
+    liveEvents.publish(LIVE_TYPES[entry.type], fields);
+    return entry;
+  }
+
+  _offset(ms) {
+    return ms - this.origin;
+  }
+
+  toJSON() {
+    return {
+      callId: this.callId,
+      direction: this.direction,
+      from: this.from,
+      to: this.to,
+      device: this.device,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: this.endedAt ? new Date(this.endedAt).toISOString() : null,
+      recordingStartedAt: this.recordingStartedAt ? new Date(this.recordingStartedAt).toISOString() : null,
+      entries: this.entries.map((entry) => {
+        const { start, end, ...rest } = entry;
+        return {
+          ...rest,
+          timestamp: new Date(start).toISOString(),
+          offsetMs: this._offset(start),
+          endOffsetMs: this._offset(end)
+        };
+      })
+    };
+  }
+
+  toText() {
+    const header = `Call ${this.callId} (${this.direction})` +
+      (this.from ? ` from ${this.from}` : '') +
+      (this.to ? ` to ${this.to}` : '') +
+      ` - ${new Date(this.startedAt).toISOString()}`;
+
+    const lines = this.entries.map((entry) => {
+      const time = `[${formatTimestamp(this._offset(entry.start), false)}]`;
+      switch (entry.type) {
+        case 'caller':
+          return `${time} Caller: ${entry.text}`;
+        case 'assistant':
+          return `${time} Assistant: ${entry.spoken}${entry.bargedIn ? ' [interrupted]' : ''}`;
+        case 'dtmf':
+          return `${time} DTMF: ${entry.digit}`;
+        default:
+          return `${time} (${entry.name})`;
+      }
+    });
+    return [header, '', ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * WebVTT subtitles for the recording (speech only; cues before the
+   * recording started are left out)
+   */
+  toWebVTT() {
+    const cues = [];
+    for (const entry of this.entries) {
+      if (entry.type !== 'caller' && entry.type !== 'assistant' && entry.type !== 'dtmf') continue;
+      const start = this._offset(entry.start);
+      // DTMF has no duration; give it half a second on screen
+      const end = entry.type === 'dtmf' ? start + 500 : Math.max(this._offset(entry.end), start + 1);
+      if (end <= 0) continue;
+
+      const text = entry.type === 'dtmf'
+        ? `<v Caller>[DTMF ${escapeCueText(entry.digit)}]`
+        : `<v ${SPEAKERS[entry.type]}>${escapeCueText(entry.type === 'caller' ? entry.text : entry.spoken)}`;
+      cues.push(`${cues.length + 1}\n${formatTimestamp(start)} --> ${formatTimestamp(end)}\n${text}`);
+    }
+    return 'WEBVTT\n\n' + cues.map((cue) => cue + '\n\n').join('');
+  }
+
+  /**
+   * Rebuild a transcript from toJSON() output
+   */
+  static fromJSON(data) {
+    const transcript = new CallTranscript({
+      callId: data.callId,
+      direction: data.direction,
+      from: data.from,
+      to: data.to,
+      device: data.device,
+      startedAt: Date.parse(data.startedAt)
+    });
+    if (data.recordingStartedAt) transcript.alignToRecording(Date.parse(data.recordingStartedAt));
+    if (data.endedAt) transcript.endedAt = Date.parse(data.endedAt);
+    transcript.entries = (data.entries || []).map(({ timestamp, offsetMs, endOffsetMs, ...rest }) => {
+      const start = Date.parse(timestamp);
+      return { ...rest, start, end: start + (endOffsetMs - offsetMs) };
+    });
+    return transcript;
+  }
+}
+
+function getTranscriptPath(callId, dir = TRANSCRIPTS_DIR) {
+  if (!callId || !SAFE_CALL_ID.test(callId)) return null;
+  return path.join(dir, `${callId}.json`);
+}
+
+/**
+ * Start (or return the existing) transcript for a call
+ */
+function startTranscript(meta) {
+  const existing = activeTranscripts.get(meta.callId);
+  if (existing) return existing;
+  const transcript = new CallTranscript(meta);
+  activeTranscripts.set(meta.callId, transcript);
+  return transcript;
+}
+
+/**
+ * End a transcript and write it to disk
+ * @returns {Promise<string|null>} File path, or null if it could not be saved
+ */
+async function finishTranscript(transcript, dir = TRANSCRIPTS_DIR) {
+  transcript.end();
+  activeTranscripts.delete(transcript.callId);
+
+  const filepath = getTranscriptPath(transcript.callId, dir);
+  if (!filepath) {
+    logger.warn('Transcript not saved: unsafe call ID', { callId: transcript.callId });
+    return null;
+  }
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(filepath, JSON.stringify(transcript.toJSON(), null, 2));
+    logger.info('Transcript saved', { callId: transcript.callId, entries: transcript.entries.length });
+    return filepath;
+  } catch (error) {
+    logger.error('Failed to save transcript', { callId: transcript.callId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Transcript of a live or finished call
+ * @returns {Promise<CallTranscript|null>}
+ */
+async function getTranscript(callId, dir = TRANSCRIPTS_DIR) {
+  if (activeTranscripts.has(callId)) return activeTranscripts.get(callId);
+
+  const filepath = getTranscriptPath(callId, dir);
+  if (!filepath) return null;
+  try {
+    return CallTranscript.fromJSON(JSON.parse(await fs.promises.readFile(filepath, 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Failed to read transcript', { callId, error: error.message });
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  CallTranscript,
+  TRANSCRIPTS_DIR,
+  formatTimestamp,
+  startTranscript,
+  finishTranscript,
+  getTranscript
+};
@@ -0,0 +1,346 @@
+/**
+ * Call Transfer
+ * Hands an answered call to a human extension:
+ *
+ * - blind:    SIP REFER; the PBX takes the call to the target
+ * - attended: The bot calls the target, briefs them with a summary of the
+ *             conversation while the caller hears hold music, then bridges
+ *             the two calls
+ *
+ * Transfers are started by the AI (a "TRANSFER: <target>" line in its
+ * response), by the IVR, or over the API (POST /api/call/:callId/transfer).
+ * Devices opt in with a "transfer" block in devices.json:
+ *
+ *   "transfer": {
+ *     "mode": "attended",
+ *     "default": "100",
+ *     "targets": { "sales": "101", "support": "102" },
+ *     "announcement": "Please hold while I transfer your call."
+ *   }
+ */
+
+const logger = require('./logger');
+const { initiateOutboundCall } = require('./outbound-handler');
+const { summarizeCall } = require('./caller-profiles');
+const { phrase } = require('./phrases');
+
+const TRANSFER_DEFAULTS = {
+  mode: process.env.TRANSFER_MODE === 'attended' ? 'attended' : 'blind',
+  ringTimeoutSeconds: parseInt(process.env.TRANSFER_RING_TIMEOUT || '25', 10)
+};
+
+const MODES = ['blind', 'attended'];
+
+// "TRANSFER: sales" anywhere in an AI response (uppercase only, so ordinary
+// sentences mentioning a transfer are left alone)
+const TRANSFER_MARKER = /(?:🔀\s*)?\bTRANSFER:\s*([^\s]*)[^\n]*/g;
+
+// Names the AI may use for the device's default target
+const DEFAULT_TARGET_NAMES = /^(default|operator|human|agent|person)$/i;
+
+// Live calls that accept transfer requests: callId -> listener(request)
+const transferListeners = new Map();
+
+/**
+ * Resolve transfer settings for a device
+ * @param {Object} [deviceConfig] - Device config, may contain a "transfer" block
+ * @returns {{enabled: boolean, mode: string, default: string|null, targets: Object,
+ *   announcement: string, ringTimeoutSeconds: number}} announcement is the
+ *   transferAnnouncement phrase in the device's language (see phrases.js)
+ */
+function resolveTransferConfig(deviceConfig) {
+  const device = (deviceConfig && deviceConfig.transfer) || null;
+  return {
+    enabled: Boolean(device),
+    mode: device && MODES.includes(device.mode) ? device.mode : TRANSFER_DEFAULTS.mode,
+    default: device && device.default ? String(device.default) : null,
+    targets: (device && device.targets) || {},
+    announcement: phrase('transferAnnouncement', { language: deviceConfig && deviceConfig.language, device: deviceConfig }),
+    ringTimeoutSeconds: (device && device.ringTimeoutSeconds) || TRANSFER_DEFAULTS.ringTimeoutSeconds
+  };
+}
+
+/**
+ * Target the AI asked for, or null
+ * @param {string} response - Full AI response
+ * @returns {string|null} Target as written ("sales", "101", ...)
+ */
+function extractTransferTarget(response) {
+  const match = new RegExp(TRANSFER_MARKER.source).exec(response || '');
+  if (!match) return null;
+  return match[1].replace(/[.,;:!?]+$/, '');
+}
+
+/**
+ * Remove TRANSFER lines so they are never spoken
+ */
+function stripTransferMarker(text) {
+  return text.replace(TRANSFER_MARKER, '').trim();
+}
+
+/**
+ * Map a requested target to an extension allowed for the device
+ * (a target name, one of the target extensions, or the default target)
+ * @returns {string|null} Extension / SIP URI, or null if not allowed
+ */
+function resolveTransferTarget(config, requested) {
+  const value = String(requested || '').trim();
+  const names = Object.keys(config.targets);
+  const name = names.find(n => n.toLowerCase() === value.toLowerCase());
+  if (name) return String(config.targets[name]);
+  if (names.some(n => String(config.targets[n]) === value)) return value;
+  if (config.default && (!value || value === config.default || DEFAULT_TARGET_NAMES.test(value))) {
+    return config.default;
+  }
+  return null;
+}
+
+/**
+ * System prompt addition telling the AI how to transfer the caller
+ * @returns {string} Prompt text, or '' if the device has no transfer targets
+ */
+function buildTransferPrompt(config) {
+  const names = Object.keys(config.targets);
+  if (config.default) names.push('operator');
+  if (names.length === 0) return '';
+  return [
+    'You can transfer the caller to a person when they ask for one or you cannot help.',
+    'To do so, tell them you are connecting them and add a separate line:',
+    'TRANSFER: <target>',
+    `Targets: ${names.join(', ')}.`
+  ].join('\n');
+}
+
+/**
+ * Refer-To URI for an extension, number or SIP URI
+ * @param {string} target - "1001", "+15551234567" or "sip:1001@pbx.example.com"
+ * @param {string} [domain] - SIP domain for bare extensions (SIP_DOMAIN)
+ * @returns {string}
+ */
+function buildReferTarget(target, domain = process.env.SIP_DOMAIN) {
+  const value = String(target).trim();
+  if (/^sips?:/i.test(value)) return value;
+  if (!domain) throw new Error('SIP_DOMAIN is required to transfer to an extension');
+  return `sip:${value}@${domain}`;
+}
+
+/**
+ * Wait for the outcome of a REFER: the PBX reports the target's answer in
+ * NOTIFY (message/sipfrag) and usually hangs up on us once it is connected
+ * @returns {Promise<number|null>} Final SIP status, 200 on hangup, null on timeout
+ */
+function waitForReferOutcome(dialog, timeoutMs) {
+  let cleanup;
+  const outcome = new Promise((resolve) => {
+    const onNotify = (req, res) => {
+      res.send(200);
+      const match = /^SIP\/2\.0\s+(\d{3})/.exec(req.body || '');
+      const status = match ? parseInt(match[1], 10) : 0;
+      if (status >= 200) resolve(status);
+    };
+    const onDestroy = () => resolve(200);
+    const timer = setTimeout(() => resolve(null), timeoutMs);
+    dialog.on('notify', onNotify);
+    dialog.on('destroy', onDestroy);
+    cleanup = () => {
+      clearTimeout(timer);
+      dialog.off('notify', onNotify);
+      dialog.off('destroy', onDestroy);
+    };
+  });
+  return { outcome: outcome.finally(() => cleanup()), cancel: () => cleanup() };
+}
+
+/**
+ * Blind transfer: ask the PBX to take the call to another destination
+ *
+ * @param {Object} dialog - drachtio dialog of the call
+ * @param {string} target - Extension, number or SIP URI
+ * @param {Object} [options]
+ * @param {string} [options.domain] - SIP domain for bare extensions
+ * @param {number} [options.waitMs=15000] - How long to wait for the target to answer
+ * @returns {Promise<string>} The Refer-To URI, once the transfer went through
+ *   (or the PBX stopped reporting on it)
+ */
+async function transferCall(dialog, target, options = {}) {
+  const referTo = buildReferTarget(target, options.domain);
+  logger.info('Transferring call', { callId: dialog.sip && dialog.sip.callId, referTo });
+
+  const waiter = waitForReferOutcome(dialog, options.waitMs || 15000);
+  let res;
+  try {
+    res = await dialog.request({
+      method: 'REFER',
+      headers: { 'Refer-To': `<${referTo}>` }
+    });
+  } catch (error) {
+    waiter.cancel();
+    throw error;
+  }
+  if (!res || res.status < 200 || res.status >= 300) {
+    waiter.cancel();
+    throw new Error(`REFER rejected (${res ? res.status : 'no response'})`);
+  }
+
+  const status = await waiter.outcome;
+  if (status !== null && status >= 300) {
+    throw new Error(`Transfer target answered ${status}`);
+  }
+  return referTo;
+}
+
+/**
+ * Attended transfer: call the target, play them the brief, then bridge
+ * the caller through. Resolves when the bridged call ends.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.srf
+ * @param {Object} opts.mediaServer
+ * @param {Object} opts.endpoint - Caller's endpoint
+ * @param {Object} opts.dialog - Caller's dialog
+ * @param {string} opts.target - Extension or number to call
+ * @param {string} opts.brief - What to tell the target before connecting
+ * @param {Object} opts.ttsService
+ * @param {Object} [opts.deviceConfig] - Device placing the consult call
+ * @param {string} [opts.holdMusicUrl] - Played to the caller meanwhile
+ * @param {number} [opts.ringTimeoutSeconds]
+ */
+async function attendedTransfer(opts) {
+  const {
+    srf, mediaServer, endpoint, dialog, target, brief, ttsService,
+    deviceConfig = null, holdMusicUrl = null, ringTimeoutSeconds = TRANSFER_DEFAULTS.ringTimeoutSeconds
+  } = opts;
+  const voiceId = (deviceConfig && deviceConfig.voiceId) || null;
+  const language = (deviceConfig && deviceConfig.language) || 'en';
+  const stopHoldMusic = () => endpoint.api('uuid_break', endpoint.uuid).catch(() => {});
+
+  if (holdMusicUrl) endpoint.play(holdMusicUrl).catch(() => {});
+
+  let consult;
+  try {
+    consult = await initiateOutboundCall(srf, mediaServer, {
+      to: target,
+      message: brief,
+      deviceConfig: deviceConfig,
+      timeoutSeconds: ringTimeoutSeconds
+    });
+  } catch (error) {
+    await stopHoldMusic();
+    throw error;
+  }
+
+  const hangupConsult = () => {
+    if (consult.dialog.connected !== false) consult.dialog.destroy().catch(() => {});
+  };
+
+  try {
+    await consult.endpoint.play(await ttsService.generateSpeech(brief, voiceId, language, null, deviceConfig && deviceConfig.tts));
+  } catch (error) {
+    logger.warn('Transfer brief failed', { target, error: error.message });
+  }
+
+  if (!dialog.connected) {
+    hangupConsult();
+    throw new Error('Caller hung up during transfer');
+  }
+
+  await stopHoldMusic();
+  await endpoint.bridge(consult.endpoint);
+  logger.info('Attended transfer bridged', { target });
+
+  // Stay on the call until either side hangs up
+  await new Promise((resolve) => {
+    dialog.once('destroy', resolve);
+    consult.dialog.once('destroy', resolve);
+  });
+  hangupConsult();
+}
+
+/**
+ * Transfer function for runConversationLoop's `transferHandler` option
+ *
+ * @param {Object} ctx - srf, mediaServer, endpoint, dialog, deviceConfig, ttsService,
+ *   claudeBridge, callUuid, callerNumber, holdMusicUrl, domain (SIP_DOMAIN)
+ * @returns {function({target: string, mode?: string, exchanges?: Array}): Promise<string>}
+ *   Resolves with the mode used once the call has been handed over (after the
+ *   bridged call ends for attended transfers); rejects if the transfer failed
+ *   and the caller is still on the line
+ */
+function createTransferHandler(ctx) {
+  const config = resolveTransferConfig(ctx.deviceConfig);
+
+  return async function(request) {
+    const mode = MODES.includes(request.mode) ? request.mode : config.mode;
+    if (mode === 'blind' || /^sips?:/i.test(request.target)) {
+      await transferCall(ctx.dialog, request.target, { domain: ctx.domain });
+      return 'blind';
+    }
+
+    // Brief the human with what the caller wanted, in the device's language
+    const exchanges = request.exchanges || [];
+    const summary = exchanges.length > 0 ? await summarizeCall(exchanges, ctx.claudeBridge, ctx.callUuid) : null;
+    const phraseOptions = {
+      language: ctx.deviceConfig && ctx.deviceConfig.language,
+      device: ctx.deviceConfig,
+      vars: { callerNumber: ctx.callerNumber }
+    };
+    const brief = [
+      phrase('transferBrief', phraseOptions),
+      summary || '',
+      phrase('transferConnecting', phraseOptions)
+    ].filter(Boolean).join(' ');
+
+    await attendedTransfer({
+      srf: ctx.srf,
+      mediaServer: ctx.mediaServer,
+      endpoint: ctx.endpoint,
+      dialog: ctx.dialog,
+      target: request.target,
+      brief: brief,
+      ttsService: ctx.ttsService,
+      deviceConfig: ctx.deviceConfig,
+      holdMusicUrl: ctx.holdMusicUrl,
+      ringTimeoutSeconds: config.ringTimeoutSeconds
+    });
+    return 'attended';
+  };
+}
+
+/**
+ * Let a live call receive transfer requests from the API
+ * @param {string} callId
+ * @param {function(Object)} listener - Gets { target, mode }
+ * @returns {function()} Unregister
+ */
+function onTransferRequest(callId, listener) {
+  transferListeners.set(callId, listener);
+  return () => {
+    if (transferListeners.get(callId) === listener) transferListeners.delete(callId);
+  };
+}
+
+/**
+ * Ask a live call to transfer
+ * @returns {boolean} False if the call is not in a conversation
+ */
+function requestTransfer(callId, request) {
+  const listener = transferListeners.get(callId);
+  if (!listener) return false;
+  listener(request);
+  return true;
+}
+
+module.exports = {
+  TRANSFER_MODES: MODES,
+  resolveTransferConfig,
+  resolveTransferTarget,
+  extractTransferTarget,
+  stripTransferMarker,
+  buildTransferPrompt,
+  buildReferTarget,
+  transferCall,
+  attendedTransfer,
+  createTransferHandler,
+  onTransferRequest,
+  requestTransfer
+};
@@ -0,0 +1,211 @@
+/**
+ * Caller Profiles Module
+ *
+ * Remembers returning callers by caller ID. Profiles are kept in a JSON file
+ * (config/caller-profiles.json by default) so they can be seeded by a CRM sync
+ * through the /api/callers routes.
+ *
+ * Each profile has:
+ * - number: Normalized caller number (digits, optional leading +)
+ * - name: Caller's name
+ * - language: Preferred language code (e.g. "en", "he")
+ * - lastCallSummary: One or two sentences about the last call
+ * - lastCallAt: ISO timestamp of the last call
+ * - callCount: Number of calls recorded
+ * - notes: Free-form notes (e.g. from the CRM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_PATH = process.env.CALLER_PROFILES_PATH ||
+  path.join(__dirname, '../config/caller-profiles.json');
+
+// Fields that can be set through the API; the rest are maintained by the store
+const EDITABLE_FIELDS = ['name', 'language', 'lastCallSummary', 'notes'];
+
+/**
+ * Normalize a phone number so "+1 (555) 123-4567" and "+15551234567" match
+ * @param {string} number
+ * @returns {string|null} Normalized number, or null if it has no digits
+ */
+function normalizeNumber(number) {
+  if (number === undefined || number === null) return null;
+  const raw = String(number).trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+  return (raw.startsWith('+') ? '+' : '') + digits;
+}
+
+/**
+ * Build the system prompt addition describing a known caller
+ * @param {Object} profile
+ * @returns {string} Prompt text, or '' if the profile has nothing useful
+ */
+function buildProfilePrompt(profile) {
+  if (!profile) return '';
+  const lines = [];
+  if (profile.name) lines.push(`Name: ${profile.name}`);
+  if (profile.language) lines.push(`Preferred language: ${profile.language}`);
+  if (profile.callCount) lines.push(`Previous calls: ${profile.callCount}`);
+  if (profile.lastCallSummary) {
+    const when = profile.lastCallAt ? ` (${profile.lastCallAt.slice(0, 10)})` : '';
+    lines.push(`Last call${when}: ${profile.lastCallSummary}`);
+  }
+  if (profile.notes) lines.push(`Notes: ${profile.notes}`);
+  if (lines.length === 0) return '';
+
+  return '[RETURNING CALLER - use this to personalize the call, do not read it out]\n' + lines.join('\n');
+}
+
+class CallerProfileStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - JSON file path (CALLER_PROFILES_PATH)
+   */
+  constructor({ filePath = DEFAULT_PATH } = {}) {
+    this.filePath = filePath;
+    this.profiles = {};
+    this.load();
+  }
+
+  /**
+   * Load profiles from disk (missing file = no profiles)
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.profiles = {};
+        return;
+      }
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        throw new Error('Caller profiles file must be an object keyed by number');
+      }
+      this.profiles = data;
+      logger.info('Caller profiles loaded', { count: Object.keys(this.profiles).length });
+    } catch (error) {
+      logger.error('Failed to load caller profiles', { path: this.filePath, error: error.message });
+      this.profiles = {};
+    }
+  }
+
+  /**
+   * Write profiles to disk (temp file + rename so a crash never leaves half a file)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = this.filePath + '.tmp';
+    fs.writeFileSync(tmpPath, JSON.stringify(this.profiles, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(number) {
+    const key = normalizeNumber(number);
+    if (!key || !this.profiles[key]) return null;
+    return { ...this.profiles[key] };
+  }
+
+  getAll() {
+    return Object.values(this.profiles).map(profile => ({ ...profile }));
+  }
+
+  /**
+   * Create a profile or update the given fields of an existing one
+   * @param {string} number
+   * @param {Object} fields - Any of name, language, lastCallSummary, notes
+   * @returns {Object} The stored profile
+   */
+  upsert(number, fields = {}) {
+    const key = normalizeNumber(number);
+    if (!key) throw new Error('Invalid caller number');
+
+    const now = new Date().toISOString();
+    const profile = this.profiles[key] || { number: key, callCount: 0, createdAt: now };
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] !== undefined) profile[field] = fields[field];
+    }
+    profile.updatedAt = now;
+
+    this.profiles[key] = profile;
+    this.save();
+    return { ...profile };
+  }
+
+  /**
+   * @returns {boolean} True if a profile was removed
+   */
+  delete(number) {
+    const key = normalizeNumber(number);
+    if (!key || !this.profiles[key]) return false;
+    delete this.profiles[key];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Record a finished call (creates the profile for first-time callers)
+   * @param {string} number
+   * @param {Object} call
+   * @param {string} [call.summary] - Summary of the call that just ended
+   * @returns {Object|null} The updated profile, or null for an unusable number
+   */
+  recordCall(number, { summary } = {}) {
+    const key = normalizeNumber(number);
+    if (!key) return null;
+
+    const now = new Date().toISOString();
+    const profile = this.profiles[key] || { number: key, callCount: 0, createdAt: now };
+    profile.callCount = (profile.callCount || 0) + 1;
+    profile.lastCallAt = now;
+    if (summary) profile.lastCallSummary = summary;
+    profile.updatedAt = now;
+
+    this.profiles[key] = profile;
+    this.save();
+    return { ...profile };
+  }
+}
+
+/**
+ * Summarize a finished call for the caller's profile
+ * Asks Claude for a one-sentence summary; falls back to the caller's first request.
+ *
+ * @param {Array<{caller: string, assistant: string}>} exchanges - Turns from runConversationLoop
+ * @param {Object} claudeBridge - Claude API bridge
+ * @param {string} callUuid - Call UUID (the summary uses its own session, which is not stored)
+ * @returns {Promise<string|null>} Summary, or null if nothing was said
+ */
+async function summarizeCall(exchanges, claudeBridge, callUuid) {
+  if (!exchanges || exchanges.length === 0) return null;
+
+  const transcript = exchanges
+    .map(e => `Caller: ${e.caller}\nAssistant: ${e.assistant}`)
+    .join('\n');
+  const fallback = `Caller asked: ${exchanges[0].caller}`.substring(0, 200);
+  const sessionId = `${callUuid}-summary`;
+
+  try {
+    // An error reply from the bridge or claude-api-server is no summary
+    let failed = false;
+    const summary = await claudeBridge.query(
+      '[SYSTEM TASK - CALL SUMMARY]: Summarize this phone call in one short sentence for the caller\'s profile. ' +
+      'Reply with the sentence only.\n\n' + transcript,
+      { callId: sessionId, persist: false, timeout: 20, onFallback: () => { failed = true; } }
+    );
+    const text = (summary || '').trim();
+    if (!text || failed) return fallback;
+    return text.substring(0, 500);
+  } catch (error) {
+    logger.warn('Call summary failed', { callUuid, error: error.message });
+    return fallback;
+  }
+}
+
+module.exports = {
+  CallerProfileStore,
+  normalizeNumber,
+  buildProfilePrompt,
+  summarizeCall
+};
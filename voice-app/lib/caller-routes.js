@@ -0,0 +1,161 @@
+/**
+ * Caller Profile API Routes
+ * CRUD for returning-caller profiles (used by CRM sync)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { normalizeNumber } = require('./caller-profiles');
+
+// Dependencies injected via setupRoutes()
+let callerProfiles = null;
+
+const STRING_FIELDS = ['name', 'language', 'lastCallSummary', 'notes'];
+
+/**
+ * Validate profile fields in a request body
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateProfile(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, error: 'Request body must be a JSON object' };
+  }
+  for (const field of STRING_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return { valid: false, error: `Field "${field}" must be a string` };
+    }
+  }
+  return { valid: true };
+}
+
+function sendError(res, error, message) {
+  logger.error(message, { error: error.message });
+  res.status(500).json({
+    success: false,
+    error: 'internal_error',
+    message: message
+  });
+}
+
+/**
+ * GET /callers
+ * List all caller profiles
+ */
+router.get('/callers', (req, res) => {
+  try {
+    const profiles = callerProfiles.getAll();
+    res.json({
+      success: true,
+      count: profiles.length,
+      callers: profiles
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list caller profiles');
+  }
+});
+
+/**
+ * GET /callers/:number
+ * Get one caller profile
+ */
+router.get('/callers/:number', (req, res) => {
+  try {
+    const profile = callerProfiles.get(req.params.number);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: 'Caller profile not found'
+      });
+    }
+    res.json({ success: true, caller: profile });
+  } catch (error) {
+    sendError(res, error, 'Failed to retrieve caller profile');
+  }
+});
+
+/**
+ * POST /callers
+ * Create or update a profile. Body: { number, name?, language?, lastCallSummary?, notes? }
+ */
+router.post('/callers', (req, res) => {
+  try {
+    const validation = validateProfile(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: 'validation_failed', message: validation.error });
+    }
+    if (!normalizeNumber(req.body.number)) {
+      return res.status(400).json({ success: false, error: 'validation_failed', message: 'Field "number" must be a phone number' });
+    }
+
+    const existed = !!callerProfiles.get(req.body.number);
+    const profile = callerProfiles.upsert(req.body.number, req.body);
+    logger.info('Caller profile saved', { number: profile.number, created: !existed });
+    res.status(existed ? 200 : 201).json({ success: true, caller: profile });
+  } catch (error) {
+    sendError(res, error, 'Failed to save caller profile');
+  }
+});
+
+/**
+ * PUT /callers/:number
+ * Create or update a profile; only the fields given are changed
+ */
+router.put('/callers/:number', (req, res) => {
+  try {
+    const validation = validateProfile(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: 'validation_failed', message: validation.error });
+    }
+    if (!normalizeNumber(req.params.number)) {
+      return res.status(400).json({ success: false, error: 'validation_failed', message: 'Invalid phone number' });
+    }
+
+    const existed = !!callerProfiles.get(req.params.number);
+    const profile = callerProfiles.upsert(req.params.number, req.body);
+    logger.info('Caller profile saved', { number: profile.number, created: !existed });
+    res.status(existed ? 200 : 201).json({ success: true, caller: profile });
+  } catch (error) {
+    sendError(res, error, 'Failed to save caller profile');
+  }
+});
+
+/**
+ * DELETE /callers/:number
+ * Remove a caller profile
+ */
+router.delete('/callers/:number', (req, res) => {
+  try {
+    if (!callerProfiles.delete(req.params.number)) {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: 'Caller profile not found'
+      });
+    }
+    logger.info('Caller profile deleted', { number: normalizeNumber(req.params.number) });
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete caller profile');
+  }
+});
+
+/**
+ * Setup routes with dependencies
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.callerProfiles - CallerProfileStore instance
+ */
+function setupRoutes(deps) {
+  callerProfiles = deps.callerProfiles;
+
+  logger.info('Caller profile routes initialized', {
+    profiles: callerProfiles.getAll().length
+  });
+}
+
+module.exports = {
+  router,
+  setupRoutes
+};
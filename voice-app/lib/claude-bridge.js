@@ -4,6 +4,9 @@
  */
 
 const axios = require('axios');
+const metrics = require('./metrics');
+const { tracer } = require('./tracing');
+const { phrase } = require('./phrases');
 
 const CLAUDE_API_URL = process.env.CLAUDE_API_URL || 'http://localhost:3333';
 
@@ -13,12 +16,26 @@ const CLAUDE_API_URL = process.env.CLAUDE_API_URL || 'http://localhost:3333';
  * @param {Object} options - Options including callId for session management
  * @param {string} options.callId - Call UUID for maintaining conversation context
  * @param {string} options.devicePrompt - Device-specific personality prompt
+ * @param {string} [options.callerNumber] - Caller's phone number (lets the server recall earlier calls)
+ * @param {string} [options.language] - Language the caller is speaking; the answer is asked for in it
+ * @param {string} [options.callLanguage] - Language of the call, for error replies (default: language, else en)
+ * @param {Object} [options.device] - Device config whose phrases the error replies use (not sent)
+ * @param {boolean} [options.isSystemPrime] - Context for the call rather than something the caller
+ *   said; the server keeps it out of the caller's history
+ * @param {boolean} [options.persist=true] - False for a one-off task (e.g. a call summary):
+ *   the server answers without storing a conversation for it
  * @param {number} options.timeout - Timeout in seconds (default: 30, AC27)
+ * @param {Function} [options.onFallback] - Called with the reason when the result is an error
+ *   reply rather than an answer: unreachable, timeout, error, or claude-api-server's
+ *   "fallback" (unavailable, upstream_error); see isBackendDown
  * @returns {Promise<string>} Claude's response
  */
 async function query(prompt, options = {}) {
-  const { callId, devicePrompt, timeout = 30 } = options; // AC27: Default 30s timeout
+  const { callId, devicePrompt, callerNumber, language, isSystemPrime, persist, timeout = 30, onFallback = () => {} } = options; // AC27: Default 30s timeout
+  const callLanguage = options.callLanguage || language || 'en';
+  const reply = (key) => phrase(key, { language: callLanguage, device: options.device || null });
   const timestamp = new Date().toISOString();
+  const span = tracer.startSpan('llm.query', { attributes: { callId: callId || undefined, promptCharacters: prompt.length } });
 
   try {
     console.log(`[${timestamp}] CLAUDE Sending query to ${CLAUDE_API_URL}...`);
@@ -31,10 +48,10 @@ async function query(prompt, options = {}) {
 
     const response = await axios.post(
       `${CLAUDE_API_URL}/ask`,
-      { prompt, callId, devicePrompt },
+      { prompt, callId, devicePrompt, callerNumber, language, callLanguage, isSystemPrime, persist },
       {
         timeout: timeout * 1000,
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json', ...tracer.propagationHeaders(span) }
       }
     );
 
@@ -42,6 +59,12 @@ async function query(prompt, options = {}) {
       throw new Error(response.data.error || 'Claude API returned failure');
     }
 
+    metrics.aiRequest('query', 'ok');
+    span.setAttribute('outcome', 'ok');
+    if (response.data.fallback) {
+      span.setAttribute('fallback', response.data.fallback);
+      onFallback(response.data.fallback);
+    }
     console.log(`[${timestamp}] CLAUDE Response received (${response.data.duration_ms}ms)`);
     if (response.data.sessionId) {
       console.log(`[${timestamp}] CLAUDE Session ID: ${response.data.sessionId}`);
@@ -52,19 +75,168 @@ async function query(prompt, options = {}) {
     // AC26: API server unreachable during call - don't crash, return helpful message
     if (error.code === 'ECONNREFUSED' || error.code === 'EHOSTUNREACH' || error.code === 'ENETUNREACH') {
       console.warn(`[${timestamp}] CLAUDE API server unreachable (${error.code})`);
-      return "I'm having trouble connecting to my brain right now. The API server may be offline or unreachable. Please try again later.";
+      metrics.aiRequest('query', 'unreachable');
+      span.fail(error).setAttribute('outcome', 'unreachable');
+      onFallback('unreachable');
+      return reply('aiUnreachable');
     }
 
     // AC27: Timeout with helpful error message
     if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
       console.error(`[${timestamp}] CLAUDE Timeout after ${timeout} seconds`);
-      return "I'm sorry, that request took too long. This might mean the API server is slow or there's a network issue. Try asking something simpler, or check that claude-phone api-server is running.";
+      metrics.aiRequest('query', 'timeout');
+      span.fail(error).setAttribute('outcome', 'timeout');
+      onFallback('timeout');
+      return reply('aiTimeout');
     }
 
     console.error(`[${timestamp}] CLAUDE Error:`, error.message);
+    metrics.aiRequest('query', 'error');
+    span.fail(error).setAttribute('outcome', 'error');
     // AC26: Don't crash on unknown errors, return friendly message
-    return "I encountered an unexpected error. Please check that the API server is running claude-phone api-server and is on the same network.";
+    onFallback('error');
+    return reply('aiError');
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Query Claude and receive the answer incrementally via /ask-stream (SSE)
+ * Falls back to the non-streaming /ask if the stream cannot be opened. A stream
+ * that goes quiet for options.timeout seconds is cut off: what arrived is the
+ * answer, or the timeout reply if nothing did.
+ * @param {string} prompt - The prompt/question to send to Claude
+ * @param {Object} options - Same as query(), plus:
+ * @param {Function} options.onText - Called with each text fragment as it arrives
+ * @param {AbortSignal} [options.signal] - Aborts the stream (e.g. caller barged in)
+ * @returns {Promise<string>} Full response (partial if aborted)
+ */
+async function queryStream(prompt, options = {}) {
+  const { callId, devicePrompt, callerNumber, language, timeout = 30, onText = () => {}, onFallback = () => {}, signal } = options;
+  const callLanguage = options.callLanguage || language || 'en';
+  const timestamp = new Date().toISOString();
+  // Aborts on the caller's signal, or when the stream stalls
+  const controller = new AbortController();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  const span = tracer.startSpan('llm.stream', { attributes: { callId: callId || undefined, promptCharacters: prompt.length } });
+  const startedAt = Date.now();
+  let full = '';
+
+  let response;
+  // Not axios' timeout: that one keeps running once the stream is open
+  let headersTimedOut = false;
+  const headersTimer = setTimeout(() => {
+    headersTimedOut = true;
+    controller.abort();
+  }, timeout * 1000);
+  try {
+    console.log(`[${timestamp}] CLAUDE Streaming query to ${CLAUDE_API_URL}...`);
+    response = await axios.post(
+      `${CLAUDE_API_URL}/ask-stream`,
+      { prompt, callId, devicePrompt, callerNumber, language, callLanguage },
+      {
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...tracer.propagationHeaders(span) },
+        responseType: 'stream',
+        signal: controller.signal
+      }
+    );
+  } catch (error) {
+    if (signal && signal.aborted) {
+      span.end({ outcome: 'aborted' });
+      return full;
+    }
+    const reason = headersTimedOut ? 'timeout' : (error.code || error.message);
+    console.warn(`[${timestamp}] CLAUDE Stream unavailable (${reason}), using /ask`);
+    metrics.aiRequest('stream', 'unavailable');
+    span.fail(error).setAttribute('outcome', 'unavailable');
+    try {
+      const text = await tracer.runWithSpan(span, () => query(prompt, options));
+      onText(text);
+      return text;
+    } finally {
+      span.end();
+    }
+  } finally {
+    clearTimeout(headersTimer);
   }
+
+  return new Promise((resolve) => {
+    let buffer = '';
+    let finished = false;
+    let stalled = false;
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        stalled = true;
+        controller.abort();
+        response.data.destroy();
+      }, timeout * 1000);
+    };
+    const finish = (outcome) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(idleTimer);
+      if (stalled) {
+        console.error(`[${new Date().toISOString()}] CLAUDE Stream stalled for ${timeout} seconds`);
+        metrics.aiRequest('stream', 'timeout');
+        if (!full) {
+          full = phrase('aiTimeout', { language: callLanguage, device: options.device || null });
+          onFallback('timeout');
+          onText(full);
+        }
+        span.end({ outcome: 'timeout', characters: full.length });
+        return resolve(full);
+      }
+      metrics.aiRequest('stream', outcome);
+      span.end({ outcome, characters: full.length });
+      resolve(full);
+    };
+
+    resetIdleTimer();
+    response.data.setEncoding('utf8');
+    response.data.on('data', (chunk) => {
+      resetIdleTimer();
+      buffer += chunk;
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const dataLine = frame.split('\n').find(line => line.startsWith('data:'));
+        if (!dataLine) continue;
+        try {
+          const data = JSON.parse(dataLine.slice(5).trim());
+          if (typeof data.text === 'string' && data.text) {
+            if (!full) span.setAttribute('firstTextMs', Date.now() - startedAt);
+            full += data.text;
+            if (data.fallback) onFallback(data.fallback);
+            onText(data.text);
+          }
+        } catch {
+          // Ignore malformed frames
+        }
+      }
+    });
+    response.data.on('end', () => {
+      console.log(`[${new Date().toISOString()}] CLAUDE Stream complete (${full.length} chars)`);
+      finish('ok');
+    });
+    response.data.on('error', (error) => {
+      if (!stalled && !(signal && signal.aborted)) {
+        console.warn(`[${new Date().toISOString()}] CLAUDE Stream interrupted: ${error.message}`);
+        span.fail(error);
+      }
+      finish(signal && signal.aborted ? 'aborted' : 'interrupted');
+    });
+    // Aborted streams may close without 'end'
+    response.data.on('close', () => finish('aborted'));
+  });
 }
 
 /**
@@ -94,19 +266,48 @@ async function endSession(callId) {
 
 /**
  * Check if Claude API is available
+ * @param {number} [timeoutMs=5000]
  * @returns {Promise<boolean>} True if API is reachable
  */
-async function isAvailable() {
+async function isAvailable(timeoutMs = 5000) {
   try {
-    await axios.get(`${CLAUDE_API_URL}/health`, { timeout: 5000 });
+    await axios.get(`${CLAUDE_API_URL}/health`, { timeout: timeoutMs });
     return true;
   } catch {
     return false;
   }
 }
 
+/**
+ * Trace spans claude-api-server recorded for a call (its GET /traces/:callId)
+ * @param {string} callId
+ * @param {number} [timeoutMs=2000]
+ * @returns {Promise<Array<Object>>} Empty if the server is unreachable
+ */
+async function getTraceSpans(callId, timeoutMs = 2000) {
+  try {
+    const response = await axios.get(`${CLAUDE_API_URL}/traces/${encodeURIComponent(callId)}`, { timeout: timeoutMs });
+    return Array.isArray(response.data.spans) ? response.data.spans : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Whether an error reply (the onFallback reason) stands in for an unreachable
+ * or failing backend (timeouts don't count: the next one may work)
+ * @param {string|null} reason
+ * @returns {boolean}
+ */
+function isBackendDown(reason) {
+  return Boolean(reason) && reason !== 'timeout';
+}
+
 module.exports = {
   query,
+  queryStream,
   endSession,
-  isAvailable
+  isAvailable,
+  isBackendDown,
+  getTraceSpans
 };
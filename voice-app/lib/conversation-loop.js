@@ -10,62 +10,159 @@
  * - TTS response generation
  * - Turn-taking audio cues (beeps)
  * - Hold music during processing
+ * - Barge-in: caller speech interrupts prompt playback (per-device opt-in)
+ * - Streaming answers: each sentence is spoken as soon as it is synthesized
+ * - Supervisor controls: lines spoken on request, AI paused while a human takes over
  */
 
 const logger = require('./logger');
+const { SentenceSplitter } = require('./sentence-splitter');
+const { CallRecorder } = require('./call-recorder');
+const { startTranscript, finishTranscript } = require('./call-transcript');
+const { webhooks } = require('./webhook-dispatcher');
+const {
+  resolveTransferConfig,
+  resolveTransferTarget,
+  extractTransferTarget,
+  stripTransferMarker,
+  buildTransferPrompt,
+  onTransferRequest
+} = require('./call-transfer');
+const { CallSupervision } = require('./call-supervisor');
+const metrics = require('./metrics');
+const { tracer } = require('./tracing');
+const { resolveStreamingBackend, attachRecognizer } = require('./streaming-stt');
+const { resolveVadConfig } = require('./vad');
+const { resolveLanguages, detectFromText, normalizeLanguage } = require('./languages');
+const { phrase, phraseList } = require('./phrases');
 
 // Audio cue URLs
 const READY_BEEP_URL = 'http://127.0.0.1:3000/static/ready-beep.wav';
 const GOTIT_BEEP_URL = 'http://127.0.0.1:3000/static/gotit-beep.wav';
 const HOLD_MUSIC_URL = 'http://127.0.0.1:3000/static/hold-music.wav';
 
-// Claude Code-style thinking phrases
-const THINKING_PHRASES = [
-  "Pondering...",
-  "Elucidating...",
-  "Cogitating...",
-  "Ruminating...",
-  "Contemplating...",
-  "Consulting the oracle...",
-  "Summoning knowledge...",
-  "Engaging neural pathways...",
-  "Accessing the mainframe...",
-  "Querying the void...",
-  "Let me think about that...",
-  "Processing...",
-  "Hmm, interesting question...",
-  "One moment...",
-  "Searching my brain...",
-];
-
-function getRandomThinkingPhrase() {
-  return THINKING_PHRASES[Math.floor(Math.random() * THINKING_PHRASES.length)];
+// Stream Claude's answers sentence-by-sentence; a device's `streaming` flag overrides this
+const LLM_STREAMING = process.env.LLM_STREAMING === 'true';
+
+// Barge-in defaults; a device's `bargeIn` block in devices.json overrides these
+const BARGE_IN_DEFAULTS = {
+  enabled: process.env.BARGE_IN_ENABLED === 'true',
+  minSpeechMs: parseInt(process.env.BARGE_IN_MIN_SPEECH_MS || '400', 10),
+  vadThreshold: parseFloat(process.env.VAD_THRESHOLD || '0.5')
+};
+
+// Call recording default; a device's `record` overrides it (the announcement is
+// the recordingAnnouncement phrase, see phrases.js)
+const RECORDING_DEFAULTS = {
+  enabled: process.env.RECORDING_ENABLED === 'true'
+};
+
+/**
+ * Resolve call recording settings for a device
+ *
+ * @param {Object} [deviceConfig] - Device config, may contain { record, recordingAnnouncement }
+ * @returns {{enabled: boolean, announcement: string}} Empty announcement = none
+ */
+function resolveRecordingConfig(deviceConfig) {
+  const device = deviceConfig || {};
+  return {
+    enabled: device.record !== undefined ? Boolean(device.record) : RECORDING_DEFAULTS.enabled,
+    announcement: phrase('recordingAnnouncement', { language: device.language, device })
+  };
+}
+
+/**
+ * Resolve barge-in settings for a device
+ *
+ * @param {Object} [deviceConfig] - Device config, may contain { bargeIn: { enabled, minSpeechMs, vadThreshold } }
+ * @returns {{enabled: boolean, minSpeechMs: number, vadThreshold: number}}
+ */
+function resolveBargeInConfig(deviceConfig) {
+  const device = (deviceConfig && deviceConfig.bargeIn) || {};
+  return {
+    enabled: device.enabled !== undefined ? Boolean(device.enabled) : BARGE_IN_DEFAULTS.enabled,
+    minSpeechMs: Number(device.minSpeechMs) || BARGE_IN_DEFAULTS.minSpeechMs,
+    vadThreshold: Number(device.vadThreshold) || BARGE_IN_DEFAULTS.vadThreshold
+  };
+}
+
+/**
+ * Play a prompt, letting the caller interrupt it when barge-in is enabled.
+ * On barge-in, playback is stopped with uuid_break and the audio fork session
+ * is left capturing the caller's new utterance.
+ *
+ * @param {Object} endpoint - FreeSWITCH endpoint
+ * @param {string} url - Audio URL to play
+ * @param {Object} session - AudioForkSession (may be null before the fork connects)
+ * @param {Object} bargeIn - Resolved barge-in config
+ * @param {string} callUuid - Call identifier for logging
+ * @returns {Promise<boolean>} True if the caller barged in
+ */
+async function playWithBargeIn(endpoint, url, session, bargeIn, callUuid) {
+  if (!bargeIn.enabled || !session) {
+    await endpoint.play(url);
+    return false;
+  }
+
+  let onBargeIn;
+  const interrupted = new Promise(resolve => {
+    onBargeIn = () => resolve(true);
+    session.once('bargein', onBargeIn);
+  });
+
+  session.setBargeInEnabled(true, bargeIn);
+  try {
+    const playback = endpoint.play(url).then(() => false);
+    const bargedIn = await Promise.race([playback, interrupted]);
+    if (bargedIn) {
+      logger.info('Caller barged in, stopping playback', { callUuid });
+      playback.catch(() => {});
+      try {
+        await endpoint.api('uuid_break', endpoint.uuid);
+      } catch (e) {
+        // Ignore - playback may have just finished
+      }
+    }
+    return bargedIn;
+  } finally {
+    session.off('bargein', onBargeIn);
+    if (session.bargeInEnabled) session.setBargeInEnabled(false);
+  }
 }
 
-function isGoodbye(transcript) {
+function getRandomThinkingPhrase(language = 'en', device = null) {
+  return phrase('thinking', { language, device });
+}
+
+function isGoodbye(transcript, language = 'en', device = null) {
   const lower = transcript.toLowerCase().trim();
-  const goodbyePhrases = ['goodbye', 'good bye', 'bye', 'hang up', 'end call', "that's all", 'thats all'];
-  return goodbyePhrases.some(phrase => {
-    return lower === phrase || lower.includes(` ${phrase}`) ||
-           lower.startsWith(`${phrase} `) || lower.endsWith(` ${phrase}`);
+  // English goodbyes work in every language
+  const goodbyePhrases = phraseList('goodbyeWords', { language, device })
+    .concat(language === 'en' ? [] : phraseList('goodbyeWords', { device }));
+  return goodbyePhrases.some(word => {
+    return lower === word || lower.includes(` ${word}`) ||
+           lower.startsWith(`${word} `) || lower.endsWith(` ${word}`);
   });
 }
 
+/**
+ * Clean markdown and formatting from text for speech
+ */
+function cleanForSpeech(text) {
+  return text
+    .replace(/\*+/g, '')              // Remove bold/italic markers
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')  // Convert [text](url) to just text
+    .replace(/\[([^\]]+)\]/g, '$1')   // Remove remaining brackets
+    .trim();
+}
+
 /**
  * Extract voice-friendly line from Claude's response
  * Priority: VOICE_RESPONSE > CUSTOM COMPLETED > COMPLETED > first sentence
  */
 function extractVoiceLine(response) {
-  /**
-   * Clean markdown and formatting from text for speech
-   */
-  function cleanForSpeech(text) {
-    return text
-      .replace(/\*+/g, '')              // Remove bold/italic markers
-      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')  // Convert [text](url) to just text
-      .replace(/\[([^\]]+)\]/g, '$1')   // Remove remaining brackets
-      .trim();
-  }
+  // TRANSFER lines are instructions, never spoken
+  response = stripTransferMarker(response);
 
   // Priority 1: Check for new VOICE_RESPONSE line (voice-optimized content)
   const voiceMatch = response.match(/🗣️\s*VOICE_RESPONSE:\s*([^\n]+)/im);
@@ -107,6 +204,134 @@ function extractVoiceLine(response) {
   return response.substring(0, 500).trim();
 }
 
+/**
+ * Query Claude with a streamed answer and speak each sentence as soon as its
+ * TTS is ready, instead of waiting for the whole response. Synthesis of later
+ * sentences overlaps playback of earlier ones.
+ *
+ * Responses in the marker format (VOICE_RESPONSE / COMPLETED) stop sentence
+ * playback once a marker shows up; the extracted voice line is spoken at the end.
+ *
+ * @param {string} transcript - What the caller said
+ * @param {Object} ctx - Call context (endpoint, session, bargeIn, callUuid, claudeBridge,
+ *   ttsService, devicePrompt, voiceId, language, referenceAudio, tts, isCallActive, stopHoldMusic,
+ *   holdBack - optional predicate on the error-reply reason (claudeBridge's onFallback):
+ *     true keeps the reply from being spoken,
+ *   signal - optional AbortSignal that stops the answer, e.g. for a supervisor,
+ *   replyLanguage - optional language the AI is told to answer in,
+ *   device - optional device config, for the bridge's error replies)
+ * @returns {Promise<{response: string, voiceLine: string, bargedIn: boolean,
+ *   firstTextAt: number|null, firstAudioAt: number|null, fallback: string|null}>}
+ */
+async function streamAnswer(transcript, ctx) {
+  const {
+    endpoint, session, bargeIn, callUuid, claudeBridge, ttsService,
+    devicePrompt, callerNumber, voiceId, language, referenceAudio, tts = null, isCallActive, stopHoldMusic,
+    holdBack = null, signal = null, replyLanguage = null, device = null
+  } = ctx;
+
+  const splitter = new SentenceSplitter();
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  const spoken = [];
+  let received = '';
+  let structured = false;
+  let stopped = false;
+  let bargedIn = false;
+  let firstAudio = false;
+  let firstAudioAt = null;
+  let firstTextAt = null;
+  let fallback = null;
+  let playbackError = null;
+  let playback = Promise.resolve();
+
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      stopped = true;
+      controller.abort();
+    }, { once: true });
+  }
+
+  const speak = (sentence) => {
+    const text = cleanForSpeech(stripTransferMarker(sentence));
+    if (!text) return;
+
+    // Start synthesis now; playback waits for the previous sentence
+    const urlPromise = ttsService.generateSpeech(text, voiceId, language, referenceAudio, tts);
+    urlPromise.catch(() => {});
+
+    playback = playback.then(async () => {
+      if (stopped || !isCallActive()) return;
+
+      let url;
+      try {
+        url = await urlPromise;
+      } catch (err) {
+        logger.warn('Sentence TTS failed, skipping', { callUuid, error: err.message });
+        return;
+      }
+      if (stopped || !isCallActive()) return;
+
+      try {
+        if (!firstAudio) {
+          firstAudio = true;
+          await stopHoldMusic();
+          firstAudioAt = Date.now();
+          logger.info('First sentence ready', { callUuid, timeToFirstAudioMs: firstAudioAt - startedAt });
+        }
+
+        spoken.push(text);
+        if (await playWithBargeIn(endpoint, url, session, bargeIn, callUuid)) {
+          stopped = true;
+          bargedIn = true;
+          controller.abort();
+        }
+      } catch (err) {
+        stopped = true;
+        playbackError = err;
+        controller.abort();
+      }
+    });
+  };
+
+  const response = await claudeBridge.queryStream(transcript, {
+    callId: callUuid,
+    devicePrompt: devicePrompt,
+    callerNumber: callerNumber,
+    language: replyLanguage,
+    callLanguage: language,
+    device: device,
+    signal: controller.signal,
+    onFallback: (reason) => { fallback = reason; },
+    onText: (text) => {
+      if (firstTextAt === null) firstTextAt = Date.now();
+      received += text;
+      if (stopped || structured) return;
+      if (holdBack && holdBack(fallback)) return;
+      if (/🗣️|🎯/.test(received)) {
+        structured = true;
+        return;
+      }
+      for (const sentence of splitter.push(text)) speak(sentence);
+    }
+  });
+
+  if (!stopped) {
+    if (structured) {
+      speak(extractVoiceLine(response));
+    } else {
+      const rest = splitter.flush();
+      if (rest) speak(rest);
+    }
+  }
+
+  await playback;
+  if (!firstAudio) await stopHoldMusic();
+  if (playbackError) throw playbackError;
+
+  return { response, voiceLine: spoken.join(' '), bargedIn, firstTextAt, firstAudioAt, fallback };
+}
+
 /**
  * Run the conversation loop
  *
@@ -121,10 +346,44 @@ function extractVoiceLine(response) {
  * @param {number} options.wsPort - WebSocket port
  * @param {string} [options.initialContext] - Context for outbound calls (why we're calling)
  * @param {boolean} [options.skipGreeting=false] - Skip greeting (for outbound, greeting already played)
+ * @param {Object} [options.deviceConfig] - Device config (prompt, voice, language, languages, bargeIn, record)
+ * @param {string} [options.greeting] - Greeting text (defaults to the device's greeting phrase, see phrases.js)
+ * @param {string} [options.callerNumber] - Remote party's number, used to recall earlier calls
+ * @param {Function} [options.transferHandler] - Hands the call to a human (see
+ *   call-transfer.createTransferHandler); enables TRANSFER markers and API transfers
+ * @param {CallSupervision} [options.supervision] - Supervisor controls for this call (see
+ *   call-supervisor.js); without one, supervisors can't dial into a paused call
+ * @param {boolean} [options.voicemailFallback=false] - End the loop (stats.backendUnavailable)
+ *   instead of speaking claudeBridge's "can't connect" answer, so the caller can leave a message
+ * @param {CallTranscript} [options.transcript] - Transcript to add this conversation to; the
+ *   caller finishes it. Without one the loop keeps (and saves) its own.
+ *   deviceConfig.streaming (or LLM_STREAMING=true) speaks answers sentence-by-sentence
  * @param {number} [options.maxTurns=20] - Maximum conversation turns
- * @returns {Promise<void>}
+ * @returns {Promise<{turns: number, bargeIns: number, exchanges: Array<{caller: string, assistant: string}>, language: string, recording?: string, transfer?: Object, backendUnavailable?: boolean}>}
+ *   Conversation stats, including what the caller said and what was answered each turn,
+ *   the language the call ended in (see languages.js),
+ *   the recording file (deviceConfig.record), where the call was transferred and whether
+ *   the AI backend stopped answering
  */
 async function runConversationLoop(endpoint, dialog, callUuid, options) {
+  const span = tracer.startSpan('conversation', {
+    attributes: { callId: callUuid, device: options.deviceConfig?.name || undefined }
+  });
+  try {
+    const stats = await tracer.runWithSpan(span, () => conversationLoop(endpoint, dialog, callUuid, options));
+    span.setAttributes({ turns: stats.turns, bargeIns: stats.bargeIns });
+    return stats;
+  } catch (error) {
+    span.fail(error);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+// runConversationLoop() inside the call's "conversation" span; each turn is
+// a "conversation.turn" span under it
+async function conversationLoop(endpoint, dialog, callUuid, options) {
   const {
     audioForkServer,
     whisperClient,
@@ -134,19 +393,65 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
     initialContext = null,
     skipGreeting = false,
     deviceConfig = null,
+    greeting = null,
+    callerNumber = null,
+    transcript: givenTranscript = null,
+    transferHandler = null,
+    supervision = new CallSupervision({ callUuid, endpoint, dialog }),
+    voicemailFallback = false,
     maxTurns = 20
   } = options;
 
-  // Extract devicePrompt, voiceId, language, thinkingPhrase and referenceAudio from deviceConfig
-  const devicePrompt = deviceConfig?.prompt || null;
+  // Extract devicePrompt, voiceId, language, thinkingPhrase, referenceAudio, tts and stt settings from deviceConfig
+  const transfer = resolveTransferConfig(deviceConfig);
+  const canTransfer = Boolean(transferHandler);
+  const devicePrompt = [
+    deviceConfig?.prompt,
+    canTransfer && transfer.enabled ? buildTransferPrompt(transfer) : ''
+  ].filter(Boolean).join('\n\n') || null;
   const voiceId = deviceConfig?.voiceId || null;
-  const language = deviceConfig?.language || 'en';
-  const deviceThinkingPhrase = deviceConfig?.thinkingPhrase || null;
+  // The caller's language: switches when they speak another of the device's languages
+  const languages = resolveLanguages(deviceConfig);
+  const detectLanguage = languages.length > 1;
+  let language = deviceConfig?.language || 'en';
   const referenceAudio = deviceConfig?.referenceAudio || null;
+  const tts = deviceConfig?.tts || null;
+  const sttSettings = deviceConfig?.stt || null;
+  const streamingBackend = resolveStreamingBackend(sttSettings);
+  const vad = resolveVadConfig(deviceConfig);
+  const bargeIn = resolveBargeInConfig(deviceConfig);
+  const recording = resolveRecordingConfig(deviceConfig);
+  const streaming = (deviceConfig?.streaming !== undefined ? Boolean(deviceConfig.streaming) : LLM_STREAMING) &&
+    typeof claudeBridge.queryStream === 'function';
+  const stats = { turns: 0, bargeIns: 0, exchanges: [], language };
+  // What the system says on its own, in the caller's current language
+  const systemPhrase = (key) => phrase(key, { language, device: deviceConfig });
+  const backendDown = (reason) => voicemailFallback &&
+    typeof claudeBridge.isBackendDown === 'function' && claudeBridge.isBackendDown(reason);
+  const callTranscript = givenTranscript || startTranscript({
+    callId: callUuid,
+    from: callerNumber,
+    device: deviceConfig?.name || null
+  });
   let session = null;
+  let recorder = null;
   let forkRunning = false;
   let callActive = true;
   let dtmfHandler = null;
+  let pendingTransfer = null;
+  let interruptWait = null;
+  let stopTransferRequests = null;
+  let stopSupervision = null;
+  let speakingSupervisorLines = false;
+  const callSpan = tracer.activeSpan();
+  let turnSpan = null;
+
+  const endTurn = () => {
+    if (!turnSpan) return;
+    turnSpan.end();
+    turnSpan = null;
+    tracer.setActiveSpan(callSpan);
+  };
 
   // Track when call ends to prevent operations on dead endpoints
   const onDialogDestroy = () => {
@@ -154,41 +459,76 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
     logger.info('Call ended (dialog destroyed)', { callUuid });
   };
 
+  // Play a prompt and add it to the transcript; returns true if the caller barged in
+  const say = async (kind, spoken, url, { interruptible = true, ...details } = {}) => {
+    const start = Date.now();
+    let interrupted = false;
+    if (interruptible) {
+      interrupted = await playWithBargeIn(endpoint, url, session, bargeIn, callUuid);
+    } else {
+      await endpoint.play(url);
+    }
+    callTranscript.addAssistantReply({ kind, spoken, start, end: Date.now(), bargedIn: interrupted, ...details });
+    return interrupted;
+  };
+
+  // Hand the call over (pendingTransfer); true once the caller is gone,
+  // false if the transfer failed and the conversation goes on
+  const handOver = async () => {
+    const request = pendingTransfer;
+    pendingTransfer = null;
+    logger.info('Transferring call', { callUuid, target: request.target, mode: request.mode, source: request.source });
+    callTranscript.addEvent('transfer', { target: request.target, mode: request.mode || null, source: request.source });
+    session.setCaptureEnabled(false);
+
+    try {
+      const announcement = systemPhrase('transferAnnouncement');
+      if (announcement) {
+        const announcementUrl = await ttsService.generateSpeech(announcement, voiceId, language, referenceAudio, tts);
+        if (callActive) await say('transfer', announcement, announcementUrl, { interruptible: false });
+      }
+      const mode = await transferHandler({ target: request.target, mode: request.mode, exchanges: stats.exchanges });
+      stats.transfer = { target: request.target, mode: mode || request.mode || transfer.mode, source: request.source };
+      return true;
+    } catch (error) {
+      logger.warn('Transfer failed', { callUuid, target: request.target, error: error.message });
+      callTranscript.addEvent('transfer_failed', { target: request.target, error: error.message });
+      if (!callActive) return true;
+      const sorry = systemPhrase('transferFailed');
+      const sorryUrl = await ttsService.generateSpeech(sorry, voiceId, language, referenceAudio, tts);
+      if (callActive) await say('transfer_failed', sorry, sorryUrl);
+      return false;
+    }
+  };
+
   try {
     logger.info('Conversation loop starting', {
       callUuid,
       skipGreeting,
-      hasInitialContext: !!initialContext
+      hasInitialContext: !!initialContext,
+      bargeIn: bargeIn.enabled,
+      streaming,
+      recording: recording.enabled,
+      transfer: canTransfer && transfer.enabled
     });
 
     // Listen for call end
     dialog.on('destroy', onDialogDestroy);
 
-    // Play greeting (skip for outbound where initial message already played)
-    if (!skipGreeting && callActive) {
-      const greetingUrl = await ttsService.generateSpeech(
-        "Hello! I'm your server. How can I help you today?",
-        voiceId,
-        language,
-        referenceAudio
-      );
-      await endpoint.play(greetingUrl);
-    }
-
     // Prime Claude with context if this is an outbound call (NON-BLOCKING)
     // Fire-and-forget: we don't use the response, just establishing session context
     if (initialContext && callActive) {
       logger.info('Priming Claude with outbound context (non-blocking)', { callUuid });
       claudeBridge.query(
         `[SYSTEM CONTEXT - DO NOT REPEAT]: You just called the user to tell them: "${initialContext}". They have answered. Now listen to their response and help them.`,
-        { callId: callUuid, devicePrompt: devicePrompt, isSystemPrime: true }
+        { callId: callUuid, devicePrompt: devicePrompt, callerNumber: callerNumber, isSystemPrime: true }
       ).catch(err => logger.warn('Prime query failed', { callUuid, error: err.message }));
     }
 
     // Check if call is still active before starting audio fork
     if (!callActive) {
       logger.info('Call ended before audio fork could start', { callUuid });
-      return;
+      return stats;
     }
 
     // Start audio fork for entire call
@@ -200,7 +540,7 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
       sessionPromise = audioForkServer.expectSession(callUuid, { timeoutMs: 10000 });
     } catch (err) {
       logger.warn('Failed to set up session expectation', { callUuid, error: err.message });
-      return;
+      return stats;
     }
 
     await endpoint.forkAudioStart({
@@ -213,17 +553,37 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
     try {
       session = await sessionPromise;
       logger.info('Audio fork connected', { callUuid });
+      session.configureVad(vad);
     } catch (err) {
       logger.warn('Audio fork session failed', { callUuid, error: err.message });
       // Cancel the pending expectation if still there
       audioForkServer.cancelExpectation && audioForkServer.cancelExpectation(callUuid);
-      return;
+      return stats;
+    }
+
+    // Nothing is captured until the first turn; the fork runs early so the
+    // greeting can be interrupted
+    session.setCaptureEnabled(false);
+
+    // Record both legs (caller from the fork, everything we play) if enabled for this device
+    if (recording.enabled) {
+      try {
+        recorder = new CallRecorder({ callUuid, sampleRate: session.sampleRate });
+        recorder.attachSession(session);
+        recorder.attachEndpoint(endpoint);
+        callTranscript.alignToRecording(recorder.startedAt);
+        logger.info('Call recording started', { callUuid, path: recorder.filePath });
+      } catch (err) {
+        logger.warn('Call recording could not start', { callUuid, error: err.message });
+        recorder = null;
+      }
     }
 
     // Set up DTMF handler for # key
     dtmfHandler = (evt) => {
       const digit = evt.dtmf || evt.digit;
       logger.info('DTMF received', { callUuid, digit });
+      callTranscript.addDtmf(digit);
 
       if (digit === '#' && session) {
         logger.info('DTMF # pressed - forcing utterance finalization', { callUuid });
@@ -242,18 +602,85 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
       // Continue without DTMF - not critical
     }
 
+    // Transfers requested over the API: stop waiting / speaking and hand over
+    if (canTransfer) {
+      stopTransferRequests = onTransferRequest(callUuid, (request) => {
+        pendingTransfer = { target: request.target, mode: request.mode, source: 'api' };
+        if (interruptWait) interruptWait();
+        endpoint.api('uuid_break', endpoint.uuid).catch(() => {});
+      });
+    }
+
+    // Supervisor requests over the API: same, but a supervisor line that is
+    // being spoken is left to finish
+    stopSupervision = supervision.attach(() => {
+      if (interruptWait) interruptWait();
+      if (!speakingSupervisorLines) endpoint.api('uuid_break', endpoint.uuid).catch(() => {});
+    });
+
     // Emit session event for external monitoring
     if (audioForkServer.emit) {
       audioForkServer.emit('session', session);
     }
     console.log('[AUDIO] New session for call ' + callUuid);
 
+    // Consent announcement, played in full before anything else
+    if (recorder && recording.announcement && callActive) {
+      const announcementUrl = await ttsService.generateSpeech(recording.announcement, voiceId, language, referenceAudio, tts);
+      if (callActive) await say('announcement', recording.announcement, announcementUrl, { interruptible: false });
+    }
+
+    // Play greeting (skip for outbound where initial message already played)
+    let bargedIn = false;
+    if (!skipGreeting && callActive) {
+      const greetingText = greeting || systemPhrase('greeting');
+      const greetingUrl = await ttsService.generateSpeech(greetingText, voiceId, language, referenceAudio, tts);
+      bargedIn = await say('greeting', greetingText, greetingUrl);
+    }
+
     // Main conversation loop
     let turnCount = 0;
 
     while (turnCount < maxTurns && callActive) {
+      endTurn();
+
+      if (pendingTransfer) {
+        if (await handOver()) break;
+      }
+
+      // A supervisor took over: wait until the AI is handed the call back
+      if (supervision.paused) {
+        session.setCaptureEnabled(false);
+        callTranscript.addEvent('ai_paused', { supervisor: supervision.supervisor });
+        const outcome = await supervision.hold();
+        if (!callActive) break;
+        logger.info('AI resumed', { callUuid, reason: outcome.reason });
+        callTranscript.addEvent('ai_resumed', { reason: outcome.reason });
+        if (outcome.message) supervision.lines.unshift(outcome.message);
+        bargedIn = false;
+      }
+
+      // Lines a supervisor asked to be spoken
+      if (supervision.lines.length > 0) {
+        speakingSupervisorLines = true;
+        try {
+          let line;
+          while (callActive && !supervision.paused && (line = supervision.nextLine())) {
+            const lineUrl = await ttsService.generateSpeech(line, voiceId, language, referenceAudio, tts);
+            if (callActive) await say('supervisor', line, lineUrl, { interruptible: false });
+          }
+        } finally {
+          speakingSupervisorLines = false;
+        }
+        bargedIn = false;
+        if (supervision.paused) continue;
+      }
+
       turnCount++;
+      stats.turns = turnCount;
       logger.info('Conversation turn', { callUuid, turn: turnCount, maxTurns });
+      turnSpan = tracer.startSpan('conversation.turn', { parent: callSpan, attributes: { turn: turnCount } });
+      tracer.setActiveSpan(turnSpan);
 
       // Check if call is still active
       if (!callActive) {
@@ -263,44 +690,75 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
 
       // ============================================
       // READY BEEP: Signal "your turn to speak"
+      // (skipped after barge-in - the caller is already talking)
       // ============================================
-      try {
-        if (callActive) await endpoint.play(READY_BEEP_URL);
-      } catch (e) {
-        if (!callActive) break;
-        logger.warn('Ready beep failed', { callUuid, error: e.message });
+      if (bargedIn) {
+        bargedIn = false;
+      } else {
+        try {
+          if (callActive) await endpoint.play(READY_BEEP_URL);
+        } catch (e) {
+          if (!callActive) break;
+          logger.warn('Ready beep failed', { callUuid, error: e.message });
+        }
       }
 
-      // Enable capture and wait for speech
+      // Enable capture and wait for speech (streamed to the recognizer as it comes)
+      const recognition = streamingBackend
+        ? attachRecognizer(session, { backend: streamingBackend, language, callUuid })
+        : null;
       session.setCaptureEnabled(true);
       logger.info('Waiting for speech (press # to send immediately)', { callUuid });
 
       let utterance = null;
+      const utteranceWait = session.waitForUtterance({ timeoutMs: 30000 });
+      utteranceWait.catch(() => {});
       try {
-        utterance = await session.waitForUtterance({ timeoutMs: 30000 });
-        logger.info('Got utterance', { callUuid, bytes: utterance.audio.length, reason: utterance.reason });
+        // A transfer or supervisor request ends the wait early (resolves null)
+        utterance = await Promise.race([
+          utteranceWait,
+          new Promise(resolve => { interruptWait = () => resolve(null); })
+        ]);
+        if (utterance) {
+          utterance.heardAt = Date.now();
+          logger.info('Got utterance', { callUuid, bytes: utterance.audio.length, reason: utterance.reason });
+          metrics.observeStage('vad', utterance.trailingSilenceMs);
+          turnSpan.setAttribute('vadMs', utterance.trailingSilenceMs);
+        }
       } catch (err) {
-        if (!callActive) break;
+        if (!callActive) {
+          if (recognition) recognition.abort();
+          break;
+        }
         logger.info('Utterance timeout', { callUuid, error: err.message });
       }
+      interruptWait = null;
 
       session.setCaptureEnabled(false);
 
+      // The streamed result settles while the got-it beep plays
+      let streamed = null;
+      if (recognition) {
+        if (utterance && callActive && !pendingTransfer && !supervision.pending()) {
+          streamed = recognition.finish(utterance);
+        } else {
+          recognition.abort();
+        }
+      }
+
       // Check if call ended during speech detection
       if (!callActive) {
         logger.info('Call ended during speech detection', { callUuid });
         break;
       }
 
+      if (pendingTransfer || supervision.pending()) continue;
+
       // Handle no speech
       if (!utterance) {
-        const promptUrl = await ttsService.generateSpeech(
-          "I didn't hear anything. Are you still there?",
-          voiceId,
-          language,
-          referenceAudio
-        );
-        if (callActive) await endpoint.play(promptUrl);
+        const reprompt = systemPhrase('noSpeech');
+        const promptUrl = await ttsService.generateSpeech(reprompt, voiceId, language, referenceAudio, tts);
+        if (callActive) bargedIn = await say('reprompt', reprompt, promptUrl);
         continue;
       }
 
@@ -314,31 +772,57 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
         logger.warn('Got-it beep failed', { callUuid, error: e.message });
       }
 
-      // Transcribe
-      const transcript = await whisperClient.transcribe(utterance.audio, {
-        format: 'pcm',
-        sampleRate: 16000,
-        language
-      });
+      // Transcribe (batch when not streaming or the stream failed)
+      const sttStartedAt = Date.now();
+      let stt = streamed ? await streamed : null;
+      if (!stt) {
+        stt = typeof whisperClient.transcribeDetailed === 'function'
+          ? await whisperClient.transcribeDetailed(utterance.audio, {
+            format: 'pcm', sampleRate: 16000, language, stt: sttSettings, languages: detectLanguage ? languages : undefined
+          })
+          : { text: await whisperClient.transcribe(utterance.audio, { format: 'pcm', sampleRate: 16000, language, stt: sttSettings }), provider: null };
+      }
+      const transcript = stt.text;
+      // Streamed: time from the end of speech to the final result
+      const sttLatencyMs = stt.latencyMs !== undefined ? stt.latencyMs : Date.now() - sttStartedAt;
+      metrics.observeStage('stt', sttLatencyMs);
 
       logger.info('Transcribed', { callUuid, transcript });
 
       // Handle empty transcription
       if (!transcript || transcript.trim().length < 2) {
-        const clarifyUrl = await ttsService.generateSpeech(
-          "Sorry, I didn't catch that. Could you repeat?",
-          voiceId,
-          language,
-          referenceAudio
-        );
-        if (callActive) await endpoint.play(clarifyUrl);
+        callTranscript.addEvent('no_transcript', { speechMs: utterance.speechMs });
+        const clarify = systemPhrase('clarify');
+        const clarifyUrl = await ttsService.generateSpeech(clarify, voiceId, language, referenceAudio, tts);
+        if (callActive) bargedIn = await say('clarify', clarify, clarifyUrl);
         continue;
       }
 
+      callTranscript.addCallerUtterance(transcript, {
+        start: utterance.heardAt - utterance.durationMs,
+        end: utterance.heardAt,
+        sttProvider: stt.provider,
+        sttLatencyMs
+      });
+
+      // Another of the device's languages: STT provider metadata, or the
+      // alphabet of the first thing the caller says
+      if (detectLanguage) {
+        const heard = stt.language || (turnCount === 1 ? detectFromText(transcript, languages) : null);
+        if (heard && heard !== normalizeLanguage(language)) {
+          logger.info('Caller language changed', { callUuid, from: language, to: heard, source: stt.language ? stt.provider : 'text' });
+          callTranscript.addEvent('language_changed', { from: language, to: heard });
+          turnSpan.setAttribute('language', heard);
+          language = heard;
+          stats.language = heard;
+        }
+      }
+
       // Handle goodbye
-      if (isGoodbye(transcript)) {
-        const byeUrl = await ttsService.generateSpeech("Goodbye! Call again anytime.", voiceId, language, referenceAudio);
-        if (callActive) await endpoint.play(byeUrl);
+      if (isGoodbye(transcript, language, deviceConfig)) {
+        const bye = systemPhrase('goodbye');
+        const byeUrl = await ttsService.generateSpeech(bye, voiceId, language, referenceAudio, tts);
+        if (callActive) await say('goodbye', bye, byeUrl, { interruptible: false });
         break;
       }
 
@@ -349,11 +833,12 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
       // Check if call still active before thinking feedback
       if (!callActive) break;
 
-      // 1. Play thinking phrase (use device-specific phrase if set, otherwise random)
-      const thinkingPhrase = deviceThinkingPhrase || getRandomThinkingPhrase();
+      // 1. Play thinking phrase (the device's thinkingPhrase if set, otherwise random)
+      const thinkingPhrase = getRandomThinkingPhrase(language, deviceConfig);
       logger.info('Playing thinking phrase', { callUuid, phrase: thinkingPhrase });
-      const thinkingUrl = await ttsService.generateSpeech(thinkingPhrase, voiceId, language, referenceAudio);
-      if (callActive) await endpoint.play(thinkingUrl);
+      const thinkingUrl = await ttsService.generateSpeech(thinkingPhrase, voiceId, language, referenceAudio, tts);
+      if (callActive) await say('thinking', thinkingPhrase, thinkingUrl, { interruptible: false });
+      if (supervision.pending()) continue;
 
       // 2. Start hold music in background
       let musicPlaying = false;
@@ -364,52 +849,183 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
         musicPlaying = true;
       }
 
-      // 3. Query Claude
-      logger.info('Querying Claude', { callUuid });
-      const claudeResponse = await claudeBridge.query(
-        transcript,
-        { callId: callUuid, devicePrompt: devicePrompt }
-      );
-
-      // 4. Stop hold music
-      if (musicPlaying && callActive) {
+      const stopHoldMusic = async () => {
+        if (!musicPlaying || !callActive) return;
+        musicPlaying = false;
         try {
           await endpoint.api('uuid_break', endpoint.uuid);
         } catch (e) {
           // Ignore - music may have already stopped
         }
-      }
+      };
+
+      let response;
+      if (streaming) {
+        // 3-5. Query Claude and speak the answer sentence-by-sentence as it streams in
+        logger.info('Querying Claude (streaming)', { callUuid });
+        const queryStartedAt = Date.now();
+        const answerAbort = new AbortController();
+        interruptWait = () => answerAbort.abort();
+        const answer = await streamAnswer(transcript, {
+          endpoint,
+          session,
+          bargeIn,
+          callUuid,
+          claudeBridge,
+          ttsService,
+          devicePrompt,
+          callerNumber,
+          voiceId,
+          language,
+          referenceAudio,
+          tts,
+          isCallActive: () => callActive,
+          stopHoldMusic,
+          holdBack: backendDown,
+          signal: answerAbort.signal,
+          replyLanguage: detectLanguage ? language : null,
+          device: deviceConfig
+        });
+        interruptWait = null;
 
-      // Check if call ended during Claude processing
-      if (!callActive) {
-        logger.info('Call ended during Claude processing', { callUuid });
-        break;
-      }
+        if (!callActive) {
+          logger.info('Call ended during Claude processing', { callUuid });
+          break;
+        }
 
-      logger.info('Claude responded', { callUuid });
+        if (backendDown(answer.fallback)) {
+          logger.warn('AI backend unavailable, ending conversation for voicemail', { callUuid });
+          callTranscript.addEvent('backend_unavailable');
+          stats.backendUnavailable = true;
+          break;
+        }
 
-      // 5. Extract and play voice line
-      const voiceLine = extractVoiceLine(claudeResponse);
-      logger.info('Voice line', { callUuid, voiceLine });
+        if (answer.firstTextAt) metrics.observeStage('llm', answer.firstTextAt - queryStartedAt);
+        if (answer.firstAudioAt) {
+          const firstAudioMs = answer.firstAudioAt - utterance.heardAt;
+          metrics.observeStage('first_audio', firstAudioMs);
+          turnSpan.setAttribute('firstAudioMs', firstAudioMs);
+        }
 
-      const responseUrl = await ttsService.generateSpeech(voiceLine, voiceId, language, referenceAudio);
-      if (callActive) await endpoint.play(responseUrl);
+        bargedIn = answer.bargedIn;
+        response = answer.response;
+        stats.exchanges.push({ caller: transcript, assistant: answer.voiceLine });
+        callTranscript.addAssistantReply({
+          kind: 'answer',
+          spoken: answer.voiceLine,
+          text: answer.response,
+          start: answer.firstAudioAt || Date.now(),
+          end: Date.now(),
+          llmLatencyMs: answer.firstTextAt ? answer.firstTextAt - queryStartedAt : null,
+          bargedIn
+        });
+        logger.info('Voice line', { callUuid, voiceLine: answer.voiceLine });
+      } else {
+        // 3. Query Claude
+        logger.info('Querying Claude', { callUuid });
+        const queryStartedAt = Date.now();
+        // A transfer or supervisor request drops the answer (resolves null)
+        let fallback = null;
+        const claudeResponse = await Promise.race([
+          claudeBridge.query(
+            transcript,
+            {
+              callId: callUuid,
+              devicePrompt: devicePrompt,
+              callerNumber: callerNumber,
+              language: detectLanguage ? language : null,
+              callLanguage: language,
+              device: deviceConfig,
+              onFallback: (reason) => { fallback = reason; }
+            }
+          ),
+          new Promise(resolve => { interruptWait = () => resolve(null); })
+        ]);
+        interruptWait = null;
+
+        const llmLatencyMs = Date.now() - queryStartedAt;
+        metrics.observeStage('llm', llmLatencyMs);
+
+        // 4. Stop hold music
+        await stopHoldMusic();
+
+        // Check if call ended during Claude processing
+        if (!callActive) {
+          logger.info('Call ended during Claude processing', { callUuid });
+          break;
+        }
+
+        if (claudeResponse === null) {
+          logger.info('Answer dropped, call interrupted', { callUuid, turn: turnCount });
+          continue;
+        }
+
+        if (backendDown(fallback)) {
+          logger.warn('AI backend unavailable, ending conversation for voicemail', { callUuid });
+          callTranscript.addEvent('backend_unavailable');
+          stats.backendUnavailable = true;
+          break;
+        }
+
+        logger.info('Claude responded', { callUuid });
+
+        // 5. Extract and play voice line
+        response = claudeResponse;
+        const voiceLine = extractVoiceLine(claudeResponse);
+        stats.exchanges.push({ caller: transcript, assistant: voiceLine });
+        logger.info('Voice line', { callUuid, voiceLine });
+
+        const responseUrl = await ttsService.generateSpeech(voiceLine, voiceId, language, referenceAudio, tts);
+        if (callActive) {
+          const firstAudioMs = Date.now() - utterance.heardAt;
+          metrics.observeStage('first_audio', firstAudioMs);
+          turnSpan.setAttribute('firstAudioMs', firstAudioMs);
+          bargedIn = await say('answer', voiceLine, responseUrl, { text: claudeResponse, llmLatencyMs });
+        }
+      }
+
+      if (bargedIn) {
+        logger.info('Answer interrupted by caller', { callUuid, turn: turnCount });
+      }
 
       logger.info('Turn complete', { callUuid, turn: turnCount });
+      turnSpan.setAttribute('bargedIn', bargedIn);
+
+      // The AI asked to transfer the caller (handled at the start of the next turn)
+      const requestedTarget = canTransfer && transfer.enabled ? extractTransferTarget(response) : null;
+      if (requestedTarget && !pendingTransfer) {
+        const target = resolveTransferTarget(transfer, requestedTarget);
+        if (target) {
+          pendingTransfer = { target, source: 'assistant' };
+        } else {
+          logger.warn('Ignoring transfer to unknown target', { callUuid, requested: requestedTarget });
+        }
+      }
+
+      const exchange = stats.exchanges[stats.exchanges.length - 1];
+      webhooks.dispatch('turn.completed', {
+        callId: callUuid,
+        direction: callTranscript.direction,
+        from: callTranscript.from,
+        to: callTranscript.to,
+        device: callTranscript.device,
+        turn: turnCount,
+        caller: exchange.caller,
+        assistant: exchange.assistant,
+        bargedIn
+      }, { device: deviceConfig });
     }
 
+    endTurn();
+
     // Max turns reached
-    if (turnCount >= maxTurns && callActive) {
-      const maxUrl = await ttsService.generateSpeech(
-        "We've been talking for a while. Goodbye!",
-        voiceId,
-        language,
-        referenceAudio
-      );
-      await endpoint.play(maxUrl);
+    if (turnCount >= maxTurns && callActive && !stats.transfer && !stats.backendUnavailable) {
+      const maxTurnsLine = systemPhrase('maxTurns');
+      const maxUrl = await ttsService.generateSpeech(maxTurnsLine, voiceId, language, referenceAudio, tts);
+      await say('max_turns', maxTurnsLine, maxUrl, { interruptible: false });
     }
 
-    logger.info('Conversation loop ended normally', { callUuid, turns: turnCount });
+    logger.info('Conversation loop ended normally', { callUuid, turns: turnCount, bargeIns: session.bargeInCount });
 
   } catch (error) {
     logger.error('Conversation loop error', {
@@ -417,22 +1033,32 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
       error: error.message,
       stack: error.stack
     });
+    callTranscript.addEvent('error', { message: error.message });
 
     try {
       if (session) session.setCaptureEnabled(false);
       if (callActive) {
-        const errUrl = await ttsService.generateSpeech("Sorry, something went wrong.", voiceId, language, referenceAudio);
+        const errUrl = await ttsService.generateSpeech(systemPhrase('error'), voiceId, language, referenceAudio, tts);
         await endpoint.play(errUrl);
       }
     } catch (e) {
       // Ignore cleanup errors
     }
   } finally {
+    endTurn();
     logger.info('Conversation loop cleanup', { callUuid });
 
+    if (session) {
+      session.setBargeInEnabled(false);
+      stats.bargeIns = session.bargeInCount;
+    }
+
     // Remove dialog listener
     dialog.off('destroy', onDialogDestroy);
 
+    if (stopTransferRequests) stopTransferRequests();
+    if (stopSupervision) stopSupervision();
+
     // Remove DTMF handler
     if (dtmfHandler) {
       endpoint.off('dtmf', dtmfHandler);
@@ -458,11 +1084,27 @@ async function runConversationLoop(endpoint, dialog, callUuid, options) {
         // Ignore
       }
     }
+
+    // Write the recording in the background so hangup is not delayed
+    if (recorder) {
+      stats.recording = recorder.filePath;
+      recorder.stop().catch(err => {
+        logger.error('Failed to save call recording', { callUuid, error: err.message });
+      });
+    }
+
+    if (!givenTranscript) {
+      await finishTranscript(callTranscript);
+    }
   }
+
+  return stats;
 }
 
 module.exports = {
   runConversationLoop,
+  resolveBargeInConfig,
+  resolveRecordingConfig,
   extractVoiceLine,
   isGoodbye,
   getRandomThinkingPhrase,
@@ -11,11 +11,35 @@
  * - password: 3CX authentication password
  * - voiceId: ElevenLabs voice ID for TTS
  * - prompt: System prompt that defines device personality
+ * - ivr: Optional DTMF menu played before the AI conversation (see ivr-menu.js)
+ * - schedule: Optional business hours, holidays and closed-call handling
+ *   (see business-hours.js)
+ * - tts: Optional TTS provider chain, voices, speaking rate, pitch and format
+ *   (see tts-providers/index.js)
+ * - stt: Optional local STT position, model and language (see whisper-client.js)
+ *   and streaming recognition (see streaming-stt.js)
+ * - languages: Optional list of languages the caller may speak; the call
+ *   switches to the detected one (see languages.js)
+ * - vad: Optional speech detection backend, noise adaptation and end-of-speech
+ *   timing (see vad.js)
+ * - phrases: Optional per-language overrides of what the system says
+ *   (greeting, reprompts, announcements; see phrases.js)
+ *
+ * reload() re-reads the config and emits "reloaded" with the devices.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const logger = require('./logger');
+const { validateMenu } = require('./ivr-menu');
+const { validateSchedule, getScheduleStatus } = require('./business-hours');
+const { validateTtsConfig } = require('./tts-providers');
+const { validateSttConfig } = require('./whisper-client');
+const { validateStreamingSetting } = require('./streaming-stt');
+const { validateVadConfig } = require('./vad');
+const { validateLanguages } = require('./languages');
+const { validatePhrases } = require('./phrases');
 
 const CONFIG_PATH = path.join(__dirname, '../config/devices.json');
 
@@ -29,8 +53,9 @@ const MORPHEUS_DEFAULT = {
   prompt: 'You are Morpheus, Chuck\'s principal AI assistant. You are meticulous, systematic, and excellence-driven. Keep voice responses under 40 words.'
 };
 
-class DeviceRegistry {
+class DeviceRegistry extends EventEmitter {
   constructor() {
+    super();
     this.devices = {};
     this.devicesByName = {};
     this.loaded = false;
@@ -72,6 +97,63 @@ class DeviceRegistry {
           continue;
         }
 
+        if (device.ivr) {
+          const ivrErrors = validateMenu(device.ivr);
+          if (ivrErrors.length > 0) {
+            logger.warn('Ignoring invalid IVR menu', { device: device.name, errors: ivrErrors });
+            delete device.ivr;
+          }
+        }
+
+        if (device.schedule) {
+          const scheduleErrors = validateSchedule(device.schedule);
+          if (scheduleErrors.length > 0) {
+            logger.warn('Ignoring invalid schedule', { device: device.name, errors: scheduleErrors });
+            delete device.schedule;
+          }
+        }
+
+        if (device.tts) {
+          const ttsErrors = validateTtsConfig(device.tts);
+          if (ttsErrors.length > 0) {
+            logger.warn('Ignoring invalid TTS settings', { device: device.name, errors: ttsErrors });
+            delete device.tts;
+          }
+        }
+
+        if (device.stt) {
+          const sttErrors = validateSttConfig(device.stt);
+          if (sttErrors.length === 0) sttErrors.push(...validateStreamingSetting(device.stt));
+          if (sttErrors.length > 0) {
+            logger.warn('Ignoring invalid STT settings', { device: device.name, errors: sttErrors });
+            delete device.stt;
+          }
+        }
+
+        if (device.languages !== undefined) {
+          const languageErrors = validateLanguages(device.languages);
+          if (languageErrors.length > 0) {
+            logger.warn('Ignoring invalid languages', { device: device.name, errors: languageErrors });
+            delete device.languages;
+          }
+        }
+
+        if (device.vad) {
+          const vadErrors = validateVadConfig(device.vad);
+          if (vadErrors.length > 0) {
+            logger.warn('Ignoring invalid VAD settings', { device: device.name, errors: vadErrors });
+            delete device.vad;
+          }
+        }
+
+        if (device.phrases) {
+          const phraseErrors = validatePhrases(device.phrases);
+          if (phraseErrors.length > 0) {
+            logger.warn('Ignoring invalid phrases', { device: device.name, errors: phraseErrors });
+            delete device.phrases;
+          }
+        }
+
         this.devices[extension] = device;
         this.devicesByName[device.name.toLowerCase()] = device;
       }
@@ -100,6 +182,7 @@ class DeviceRegistry {
   reload() {
     logger.info('Reloading device registry...');
     this.load();
+    this.emit('reloaded', Object.values(this.devices));
   }
 
   getByExtension(extension) {
@@ -132,6 +215,17 @@ class DeviceRegistry {
     return { ...MORPHEUS_DEFAULT };
   }
 
+  /**
+   * Whether a device is open (business hours, holidays, overrides)
+   * Devices without a schedule are always open
+   * @param {Object|string} device - Device config, extension or name
+   * @param {Date} [now]
+   */
+  getScheduleStatus(device, now = new Date()) {
+    const config = typeof device === 'string' ? this.get(device) : device;
+    return getScheduleStatus(config && config.schedule, now);
+  }
+
   isLoaded() {
     return this.loaded;
   }
@@ -0,0 +1,295 @@
+/**
+ * IVR Menus
+ * Declarative DTMF menus per device ("ivr" in devices.json), run before
+ * (or instead of) the AI conversation:
+ *
+ *   "ivr": {
+ *     "greeting": "Press 1 for sales, 2 for support, 0 for the operator.",
+ *     "timeoutMs": 5000,
+ *     "maxAttempts": 3,
+ *     "invalidPrompt": "Sorry, that is not a valid option.",
+ *     "timeoutPrompt": "Sorry, I didn't get a choice.",
+ *     "fallback": { "action": "conversation" },
+ *     "options": {
+ *       "1": { "action": "device", "device": "SalesBot" },
+ *       "2": { "action": "menu", "menu": { "greeting": "...", "options": { "*": { "action": "back" } } } },
+ *       "3": { "action": "message", "text": "We are open 9 to 5.", "then": "menu" },
+ *       "0": { "action": "transfer", "target": "100" },
+ *       "9": { "action": "conversation" }
+ *     }
+ *   }
+ *
+ * Actions:
+ * - conversation: Hand the call to the AI (current device)
+ * - device:       Hand the call to the AI as another device (persona)
+ * - transfer:     Blind transfer to an extension / SIP URI
+ * - message:      Play "text" (TTS) or "url" (recording), then "menu" (default),
+ *                 "conversation" or "hangup"
+ * - menu:         Go to a submenu (inherits timeouts and prompts)
+ * - back:         Return to the parent menu
+ * - repeat:       Play the current menu again
+ * - hangup:       End the call (after "text", if given)
+ *
+ * The fallback (used once maxAttempts run out) ends the menu, so it can only
+ * be conversation, device, transfer or hangup.
+ *
+ * Digits pressed while a prompt is playing stop it and count as the choice.
+ * Without invalidPrompt / timeoutPrompt the ivrInvalid / ivrTimeout phrases
+ * are used (see phrases.js).
+ */
+
+const logger = require('./logger');
+const { phrase } = require('./phrases');
+
+const ACTIONS = ['conversation', 'device', 'transfer', 'message', 'menu', 'back', 'repeat', 'hangup'];
+const THEN_ACTIONS = ['menu', 'conversation', 'hangup'];
+const FALLBACK_ACTIONS = ['conversation', 'device', 'transfer', 'hangup'];
+const DIGIT = /^[0-9*#]$/;
+
+const DEFAULTS = {
+  timeoutMs: 5000,
+  maxAttempts: 3,
+  invalidPrompt: phrase('ivrInvalid'),
+  timeoutPrompt: phrase('ivrTimeout'),
+  fallback: { action: 'conversation' }
+};
+
+// Settings a submenu takes from its parent unless it sets its own
+const INHERITED = ['timeoutMs', 'maxAttempts', 'invalidPrompt', 'timeoutPrompt', 'fallback'];
+
+/**
+ * Check a menu definition
+ * @param {Object} menu - devices.json "ivr" block
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateMenu(menu, where = 'ivr') {
+  const errors = [];
+  if (!menu || typeof menu !== 'object') return [`${where} must be an object`];
+  if (!menu.options || typeof menu.options !== 'object' || Object.keys(menu.options).length === 0) {
+    errors.push(`${where}.options must map digits to actions`);
+    return errors;
+  }
+
+  const checkAction = (option, at, allowed = ACTIONS) => {
+    if (!option || !allowed.includes(option.action)) {
+      errors.push(`${at}.action must be one of: ${allowed.join(', ')}`);
+      return;
+    }
+    if (option.action === 'device' && !option.device) errors.push(`${at}.device is required`);
+    if (option.action === 'transfer' && !option.target) errors.push(`${at}.target is required`);
+    if (option.action === 'message') {
+      if (!option.text && !option.url) errors.push(`${at} needs "text" or "url"`);
+      if (option.then && !THEN_ACTIONS.includes(option.then)) {
+        errors.push(`${at}.then must be one of: ${THEN_ACTIONS.join(', ')}`);
+      }
+    }
+    if (option.action === 'menu') errors.push(...validateMenu(option.menu, `${at}.menu`));
+  };
+
+  for (const [digit, option] of Object.entries(menu.options)) {
+    if (!DIGIT.test(digit)) errors.push(`${where}.options key "${digit}" must be a single digit, * or #`);
+    checkAction(option, `${where}.options.${digit}`);
+  }
+  if (menu.fallback) checkAction(menu.fallback, `${where}.fallback`, FALLBACK_ACTIONS);
+  return errors;
+}
+
+/**
+ * Menu with defaults and parent settings filled in
+ */
+function resolveMenu(menu, parent = DEFAULTS) {
+  const resolved = { ...menu };
+  for (const key of INHERITED) {
+    if (resolved[key] === undefined) resolved[key] = parent[key];
+  }
+  return resolved;
+}
+
+/**
+ * Run a device's IVR menu until the caller picks a destination
+ *
+ * @param {Object} endpoint - FreeSWITCH endpoint
+ * @param {Object} dialog - SIP dialog
+ * @param {string} callUuid
+ * @param {Object} options
+ * @param {Object} options.menu - devices.json "ivr" block
+ * @param {Object} options.ttsService
+ * @param {Object} [options.deviceRegistry] - For "device" actions
+ * @param {string} [options.voiceId]
+ * @param {string} [options.language]
+ * @param {Object} [options.deviceConfig] - Device the menu belongs to (its phrases)
+ * @param {string} [options.referenceAudio]
+ * @param {Object} [options.tts] - Device "tts" block (provider chain, see tts-providers)
+ * @param {CallTranscript} [options.transcript] - Gets the prompts and digits
+ * @returns {Promise<{action: string, device?: Object, target?: string, digits: string[]}>}
+ *   action is "conversation" (device is set when the caller picked another
+ *   persona), "transfer" (with target) or "hangup"
+ */
+async function runIvrMenu(endpoint, dialog, callUuid, options) {
+  const {
+    menu,
+    ttsService,
+    deviceRegistry = null,
+    voiceId = null,
+    language = 'en',
+    deviceConfig = null,
+    referenceAudio = null,
+    tts = null,
+    transcript = null
+  } = options;
+
+  const pressed = [];
+  const queued = [];
+  let wake = null;
+  let playing = false;
+  let callActive = true;
+
+  const onDtmf = (evt) => {
+    const digit = String(evt.dtmf || evt.digit);
+    logger.info('IVR digit', { callUuid, digit });
+    if (transcript) transcript.addDtmf(digit);
+    queued.push(digit);
+    if (playing) {
+      playing = false;
+      endpoint.api('uuid_break', endpoint.uuid).catch(() => {});
+    }
+    if (wake) wake();
+  };
+  const onDestroy = () => {
+    callActive = false;
+    if (wake) wake();
+  };
+
+  const play = async (kind, spoken, url) => {
+    const start = Date.now();
+    playing = true;
+    try {
+      await endpoint.play(url);
+    } finally {
+      playing = false;
+    }
+    if (transcript) transcript.addAssistantReply({ kind, spoken, start, end: Date.now() });
+  };
+
+  const speak = async (kind, text) => {
+    if (!text || !callActive) return;
+    const url = await ttsService.generateSpeech(text, voiceId, language, referenceAudio, tts);
+    if (callActive) await play(kind, text, url);
+  };
+
+  // Next digit (typed ahead or within timeoutMs), or null
+  const nextDigit = (timeoutMs) => new Promise((resolve) => {
+    if (queued.length > 0 || !callActive) return resolve(queued.shift() || null);
+    const timer = setTimeout(() => wake(), timeoutMs);
+    wake = () => {
+      clearTimeout(timer);
+      wake = null;
+      resolve(queued.shift() || null);
+    };
+  });
+
+  const finish = async (option) => {
+    const result = { action: option.action, digits: pressed };
+    switch (option.action) {
+      case 'transfer':
+        result.target = String(option.target);
+        break;
+      case 'device': {
+        const device = deviceRegistry ? deviceRegistry.get(String(option.device)) : null;
+        if (!device) {
+          logger.warn('IVR device not found, staying on current device', { callUuid, device: option.device });
+        }
+        result.action = 'conversation';
+        result.device = device;
+        break;
+      }
+      case 'hangup':
+        await speak('ivr', option.text);
+        break;
+      default:
+        result.action = 'conversation';
+    }
+    logger.info('IVR selection', { callUuid, digits: pressed.join(''), action: result.action });
+    if (transcript) transcript.addEvent('ivr', { digits: pressed.join(''), action: result.action, target: result.target || (result.device && result.device.name) });
+    return result;
+  };
+
+  dialog.on('destroy', onDestroy);
+  endpoint.on('dtmf', onDtmf);
+
+  try {
+    try {
+      await endpoint.api('uuid_recv_dtmf', `${endpoint.uuid} true`);
+    } catch (err) {
+      logger.warn('Failed to enable DTMF detection for IVR', { callUuid, error: err.message });
+    }
+
+    const stack = [resolveMenu(menu, Object.assign({}, DEFAULTS, {
+      invalidPrompt: phrase('ivrInvalid', { language, device: deviceConfig }),
+      timeoutPrompt: phrase('ivrTimeout', { language, device: deviceConfig })
+    }))];
+    let attempts = 0;
+    let announce = true;
+
+    while (callActive) {
+      const current = stack[stack.length - 1];
+
+      // Skip the prompt when the caller already typed ahead
+      if (announce && queued.length === 0) await speak('ivr', current.greeting);
+      announce = true;
+
+      const digit = await nextDigit(current.timeoutMs);
+      if (!callActive) break;
+
+      const option = digit !== null ? current.options[digit] : null;
+      if (!option) {
+        attempts++;
+        if (attempts >= current.maxAttempts) {
+          logger.info('IVR attempts exhausted, using fallback', { callUuid, attempts });
+          return await finish(current.fallback);
+        }
+        await speak('ivr', digit === null ? current.timeoutPrompt : current.invalidPrompt);
+        continue;
+      }
+
+      attempts = 0;
+      pressed.push(digit);
+
+      switch (option.action) {
+        case 'menu':
+          stack.push(resolveMenu(option.menu, current));
+          break;
+        case 'back':
+          if (stack.length > 1) stack.pop();
+          break;
+        case 'repeat':
+          break;
+        case 'message': {
+          if (option.url) {
+            await play('ivr_message', option.text || option.url, option.url);
+          } else {
+            await speak('ivr_message', option.text);
+          }
+          const then = option.then || 'menu';
+          if (then !== 'menu') return await finish({ action: then });
+          break;
+        }
+        default:
+          return await finish(option);
+      }
+    }
+
+    return { action: 'hangup', digits: pressed };
+
+  } finally {
+    endpoint.off('dtmf', onDtmf);
+    dialog.off('destroy', onDestroy);
+  }
+}
+
+module.exports = {
+  runIvrMenu,
+  validateMenu,
+  resolveMenu,
+  IVR_DEFAULTS: DEFAULTS
+};
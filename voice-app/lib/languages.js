@@ -0,0 +1,109 @@
+/**
+ * Caller Languages
+ * A device speaks its "language" unless it lists more in "languages":
+ *
+ *   "language": "he",
+ *   "languages": ["he", "en"]
+ *
+ * Then the caller's language is detected from what they say (STT provider
+ * metadata, or the script of the first utterance) and the rest of the call
+ * (STT, TTS voices, the AI's replies, canned prompts) switches to it.
+ */
+
+// Languages by name, for providers that report "english" rather than "en"
+const LANGUAGE_NAMES = {
+  en: 'English',
+  he: 'Hebrew',
+  ar: 'Arabic',
+  ru: 'Russian',
+  fr: 'French',
+  es: 'Spanish',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese'
+};
+
+// Languages recognizable from their alphabet alone
+const SCRIPTS = {
+  he: /[\u0590-\u05FF]/g,
+  ar: /[\u0600-\u06FF]/g,
+  ru: /[\u0400-\u04FF]/g
+};
+const LATIN = /[A-Za-z\u00C0-\u024F]/g;
+
+/**
+ * Short language code for a provider's language ("en-US", "iw", "english")
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  const byName = Object.keys(LANGUAGE_NAMES).find(code => LANGUAGE_NAMES[code].toLowerCase() === lower);
+  if (byName) return byName;
+  const base = lower.split(/[-_]/)[0];
+  return base === 'iw' ? 'he' : base || null;
+}
+
+/**
+ * @param {string} code
+ * @returns {string} English name of the language (the code if unknown)
+ */
+function languageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+/**
+ * Languages a device can talk in, its main language first
+ * @param {Object} [deviceConfig]
+ * @returns {string[]}
+ */
+function resolveLanguages(deviceConfig) {
+  const device = deviceConfig || {};
+  const all = [device.language || 'en'].concat(Array.isArray(device.languages) ? device.languages : []);
+  return all.map(normalizeLanguage).filter((code, i, list) => code && list.indexOf(code) === i);
+}
+
+/**
+ * Guess the language of a transcript from its alphabet
+ * Only decides between candidates with different alphabets: Hebrew text on
+ * a Hebrew/English device is Hebrew, Latin text is English unless another
+ * Latin-alphabet language is a candidate too.
+ *
+ * @param {string} text
+ * @param {string[]} candidates
+ * @returns {string|null} null when it can't tell
+ */
+function detectFromText(text, candidates) {
+  const count = (pattern) => (text.match(pattern) || []).length;
+  const counts = Object.keys(SCRIPTS).map(code => ({ code, letters: count(SCRIPTS[code]) }));
+  counts.push({ code: null, letters: count(LATIN) });
+  const total = counts.reduce((sum, c) => sum + c.letters, 0);
+  const dominant = counts.find(c => c.letters > total / 2);
+  if (!dominant) return null;
+
+  if (dominant.code) return candidates.includes(dominant.code) ? dominant.code : null;
+  const latin = candidates.filter(code => !SCRIPTS[code]);
+  return latin.length === 1 ? latin[0] : null;
+}
+
+/**
+ * Validate a device's "languages" list
+ * @param {*} languages
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateLanguages(languages) {
+  if (!Array.isArray(languages) || languages.length === 0 ||
+    !languages.every(code => typeof code === 'string' && code.trim())) {
+    return ['languages must be a non-empty list of language codes'];
+  }
+  return [];
+}
+
+module.exports = {
+  normalizeLanguage,
+  languageName,
+  resolveLanguages,
+  detectFromText,
+  validateLanguages
+};
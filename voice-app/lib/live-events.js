@@ -0,0 +1,105 @@
+/**
+ * Live Call Events
+ * In-process feed of what's happening on every active call, inbound and
+ * outbound, for the /api/live WebSocket (see live-server.js):
+ *
+ *   call.started      direction, from, to, device, state
+ *   call.state        state, previous, reason
+ *   call.ended        state, reason, durationSeconds
+ *   caller.utterance  text, sttProvider, sttLatencyMs (from the call transcript)
+ *   caller.partial    text, final (streaming STT hypotheses while the caller talks)
+ *   assistant.reply   kind, spoken, text, llmLatencyMs, bargedIn
+ *   dtmf              digit
+ *   call.event        name, data (transfer, voicemail, amd, ...)
+ *   tts               provider, latencyMs, characters
+ *
+ * Every event has seq, type, timestamp and callId. Code running inside
+ * runWithCall() (the conversation of one call) doesn't need to pass the
+ * callId: it comes from the async context, which is how TTS requests made
+ * deep inside a call are attributed to it.
+ */
+
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+class LiveEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per connected wallboard
+    this.setMaxListeners(0);
+    this.seq = 0;
+    this.calls = new Map(); // callId -> summary of an active call
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run fn with callId as the current call for publish()
+   * @returns {*} Whatever fn returns
+   */
+  runWithCall(callId, fn) {
+    return this.context.run({ callId }, fn);
+  }
+
+  /**
+   * @returns {string|null} Call the current code is running for
+   */
+  currentCallId() {
+    const store = this.context.getStore();
+    return store ? store.callId : null;
+  }
+
+  /**
+   * Publish an event to every listener
+   *
+   * @param {string} type - Event type (see above)
+   * @param {Object} [data] - Event fields; callId defaults to the current call
+   * @returns {Object} The event
+   */
+  publish(type, data = {}) {
+    const event = Object.assign({
+      seq: ++this.seq,
+      type,
+      timestamp: new Date().toISOString()
+    }, data);
+    if (!event.callId) event.callId = this.currentCallId();
+
+    this._track(event);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Active calls, oldest first (sent to wallboards when they connect)
+   */
+  activeCalls() {
+    return Array.from(this.calls.values()).map(call => Object.assign({}, call));
+  }
+
+  _track(event) {
+    if (!event.callId) return;
+    if (event.type === 'call.started') {
+      this.calls.set(event.callId, {
+        callId: event.callId,
+        direction: event.direction || null,
+        from: event.from || null,
+        to: event.to || null,
+        device: event.device || null,
+        state: event.state || null,
+        startedAt: event.timestamp
+      });
+    } else if (event.type === 'call.state') {
+      const call = this.calls.get(event.callId);
+      if (call) call.state = event.state;
+    } else if (event.type === 'call.ended') {
+      this.calls.delete(event.callId);
+    }
+  }
+}
+
+// Shared feed for the whole app
+const liveEvents = new LiveEvents();
+
+module.exports = {
+  LiveEvents,
+  liveEvents
+};
@@ -0,0 +1,121 @@
+/**
+ * Live Call Monitoring WebSocket
+ * Streams live call events (see live-events.js) to wallboards and dashboards
+ * on the HTTP port:
+ *
+ *   ws://SERVER_IP:3000/api/live                      every call
+ *   ws://SERVER_IP:3000/api/live?callId=<id>          one call
+ *   ws://SERVER_IP:3000/api/live?types=call,tts       event types (or prefixes)
+ *
+ * Each client first gets { type: "snapshot", calls: [...] } with the calls in
+ * progress, then one JSON message per event. Clients that stop answering
+ * pings are dropped, and events are skipped for clients too slow to keep up.
+ */
+
+const { URL } = require('url');
+const WebSocket = require('ws');
+const logger = require('./logger');
+const { liveEvents } = require('./live-events');
+
+const LIVE_PATH = '/api/live';
+const HEARTBEAT_MS = 30000;
+// Skip events for a client with this much unsent data
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Which events a client asked for
+ * @param {URLSearchParams} params - callId, types (comma-separated)
+ * @returns {function(Object): boolean}
+ */
+function createFilter(params) {
+  const callId = params.get('callId');
+  const types = (params.get('types') || '').split(',').map(t => t.trim()).filter(Boolean);
+  return (event) => {
+    if (callId && event.callId !== callId) return false;
+    if (types.length === 0) return true;
+    return types.some(t => event.type === t || event.type.startsWith(t + '.'));
+  };
+}
+
+/**
+ * Serve live call events over WebSocket on an HTTP server
+ *
+ * @param {http.Server} server - The voice-app HTTP server
+ * @param {Object} [options]
+ * @param {LiveEvents} [options.events] - Event feed (default: the shared one)
+ * @param {string} [options.path='/api/live']
+ * @param {number} [options.heartbeatMs=30000]
+ * @returns {{wss: WebSocket.Server, clientCount: function(): number, close: function(): void}}
+ */
+function createLiveServer(server, { events = liveEvents, path = LIVE_PATH, heartbeatMs = HEARTBEAT_MS } = {}) {
+  const wss = new WebSocket.Server({ noServer: true });
+
+  const onUpgrade = (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, url));
+  };
+  server.on('upgrade', onUpgrade);
+
+  wss.on('connection', (ws, req, url) => {
+    const wants = createFilter(url.searchParams);
+    let skipped = 0;
+    ws.isAlive = true;
+
+    const send = (message) => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        skipped++;
+        return;
+      }
+      ws.send(JSON.stringify(message));
+    };
+    const onEvent = (event) => {
+      if (wants(event)) send(event);
+    };
+
+    const calls = events.activeCalls().filter(call => wants({ type: 'call.started', callId: call.callId }));
+    send({ type: 'snapshot', timestamp: new Date().toISOString(), calls });
+    events.on('event', onEvent);
+
+    logger.info('Live monitor connected', { remote: req.socket.remoteAddress, filter: url.search || null });
+
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('error', (error) => logger.warn('Live monitor error', { error: error.message }));
+    ws.on('close', () => {
+      events.off('event', onEvent);
+      logger.info('Live monitor disconnected', { remote: req.socket.remoteAddress, skipped });
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    wss,
+    clientCount: () => wss.clients.size,
+    close() {
+      clearInterval(heartbeat);
+      server.off('upgrade', onUpgrade);
+      for (const ws of wss.clients) ws.terminate();
+      wss.close();
+    }
+  };
+}
+
+module.exports = {
+  LIVE_PATH,
+  createLiveServer
+};
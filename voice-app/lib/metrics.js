@@ -0,0 +1,317 @@
+/**
+ * Prometheus Metrics
+ * Served at GET /metrics in the Prometheus text format:
+ *
+ *   voice_active_calls{direction}                    calls in progress
+ *   voice_calls_total{direction,device,outcome}      finished calls (outcome: the
+ *                                                    end reason, e.g. hangup, busy)
+ *   voice_call_duration_seconds{direction}           length of finished calls
+ *   voice_stage_latency_seconds{stage}               vad (end-of-speech wait), stt, llm,
+ *                                                    tts, first_audio (caller stops
+ *                                                    talking -> answer starts playing)
+ *   voice_provider_requests_total{kind,provider}     TTS / STT requests each provider answered
+ *   voice_provider_fallbacks_total{kind,provider}    requests a provider failed, passing
+ *                                                    them to the next one in the chain
+ *   voice_tts_cache_requests_total{result}           speech requests answered from the
+ *                                                    TTS cache (hit) or synthesized (miss)
+ *   voice_sip_registered{device,extension}           1 while the extension is registered
+ *   voice_ai_requests_total{mode,outcome}            requests to claude-api-server
+ *                                                    (ok, unreachable, timeout, error, unavailable;
+ *                                                    streams also aborted, interrupted)
+ *
+ * Call counts come from the live event feed (see live-events.js); the rest is
+ * recorded where it happens.
+ */
+
+const { liveEvents } = require('./live-events');
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13, 20];
+const DURATION_BUCKETS = [10, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return '{' + pairs.map(([name, value]) => name + '="' + escapeLabel(value) + '"').join(',') + '}';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label values (JSON) -> series
+  }
+
+  _series(labels, create) {
+    const values = this.labelNames.map(name => {
+      const value = labels ? labels[name] : undefined;
+      return value === undefined || value === null ? '' : String(value);
+    });
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = create(values);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  _pairs(values) {
+    return this.labelNames.map((name, i) => [name, values[i]]);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return ['# HELP ' + this.name + ' ' + this.help, '# TYPE ' + this.name + ' ' + this.type]
+      .concat(this._lines())
+      .join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this._series(labels, values => ({ values, value: 0 })).value += value;
+  }
+
+  _lines() {
+    return Array.from(this.series.values())
+      .map(s => this.name + formatLabels(this._pairs(s.values)) + ' ' + formatValue(s.value));
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {function(): Array<{labels: Object, value: number}>} [collect] - Reads
+   *   the current values at scrape time instead of set()
+   */
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this._series(labels, values => ({ values, value: 0 })).value = value;
+  }
+
+  _lines() {
+    if (this.collect) {
+      this.reset();
+      for (const { labels, value } of this.collect()) this.set(labels, value);
+    }
+    return Array.from(this.series.values())
+      .map(s => this.name + formatLabels(this._pairs(s.values)) + ' ' + formatValue(s.value));
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this._series(labels, values => ({
+      values,
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  _lines() {
+    const lines = [];
+    for (const s of this.series.values()) {
+      const pairs = this._pairs(s.values);
+      this.buckets.forEach((bound, i) => {
+        lines.push(this.name + '_bucket' + formatLabels(pairs.concat([['le', formatValue(bound)]])) + ' ' + s.counts[i]);
+      });
+      lines.push(this.name + '_bucket' + formatLabels(pairs.concat([['le', '+Inf']])) + ' ' + s.count);
+      lines.push(this.name + '_sum' + formatLabels(pairs) + ' ' + formatValue(s.sum));
+      lines.push(this.name + '_count' + formatLabels(pairs) + ' ' + s.count);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this._add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this._add(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  _add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  render() {
+    return this.metrics.map(m => m.render()).join('\n') + '\n';
+  }
+
+  reset() {
+    this.metrics.forEach(m => m.reset());
+  }
+}
+
+// ---------------------------------------------------------------------------
+// voice-app metrics
+// ---------------------------------------------------------------------------
+
+const registry = new MetricsRegistry();
+let callSource = liveEvents;
+let registrationSource = () => [];
+
+registry.gauge('voice_active_calls', 'Calls in progress', ['direction'], () => {
+  const byDirection = { inbound: 0, outbound: 0 };
+  for (const call of callSource.activeCalls()) {
+    const direction = call.direction || 'unknown';
+    byDirection[direction] = (byDirection[direction] || 0) + 1;
+  }
+  return Object.entries(byDirection).map(([direction, value]) => ({ labels: { direction }, value }));
+});
+const callsTotal = registry.counter('voice_calls_total', 'Finished calls', ['direction', 'device', 'outcome']);
+const callDuration = registry.histogram('voice_call_duration_seconds', 'Length of finished calls', ['direction'], DURATION_BUCKETS);
+const stageLatency = registry.histogram('voice_stage_latency_seconds', 'Latency of each step of a conversation turn', ['stage']);
+const providerRequests = registry.counter('voice_provider_requests_total', 'TTS / STT requests answered, by provider', ['kind', 'provider']);
+const providerFallbacks = registry.counter('voice_provider_fallbacks_total', 'TTS / STT requests a provider failed, handed to the next provider', ['kind', 'provider']);
+const ttsCacheRequests = registry.counter('voice_tts_cache_requests_total', 'Speech requests answered from the TTS cache (hit) or synthesized (miss)', ['result']);
+registry.gauge('voice_sip_registered', 'SIP registration state per device (1 = registered)', ['device', 'extension'], () => {
+  return registrationSource().map(r => ({ labels: { device: r.device, extension: r.extension }, value: r.registered ? 1 : 0 }));
+});
+const aiRequests = registry.counter('voice_ai_requests_total', 'Requests to claude-api-server, by outcome', ['mode', 'outcome']);
+
+/**
+ * Record how long a step of a turn took
+ * @param {string} stage - vad, stt, llm, tts or first_audio
+ * @param {number} ms - Ignored when missing
+ */
+function observeStage(stage, ms) {
+  if (typeof ms !== 'number' || !(ms >= 0)) return;
+  stageLatency.observe({ stage }, ms / 1000);
+}
+
+/**
+ * @param {string} kind - tts or stt
+ * @param {string} provider - Provider that answered
+ */
+function providerAnswered(kind, provider) {
+  providerRequests.inc({ kind, provider });
+}
+
+/**
+ * @param {string} kind - tts or stt
+ * @param {string} provider - Provider that failed (the next one is tried)
+ */
+function providerFailed(kind, provider) {
+  providerFallbacks.inc({ kind, provider });
+}
+
+/**
+ * @param {string} result - hit or miss
+ */
+function ttsCache(result) {
+  ttsCacheRequests.inc({ result });
+}
+
+/**
+ * @param {string} mode - query or stream
+ * @param {string} outcome - ok, unreachable, timeout, error, unavailable, and for
+ *   streams aborted (we stopped it) or interrupted (the connection broke)
+ */
+function aiRequest(mode, outcome) {
+  aiRequests.inc({ mode, outcome });
+}
+
+/**
+ * Count calls from a live event feed
+ * @param {LiveEvents} [events] - Default: the shared feed
+ * @returns {function()} Stop counting
+ */
+function trackCalls(events = liveEvents) {
+  const calls = new Map(); // callId -> { direction, device }
+  callSource = events;
+
+  const onEvent = (event) => {
+    if (event.type === 'call.started') {
+      calls.set(event.callId, { direction: event.direction || 'unknown', device: event.device || '' });
+    } else if (event.type === 'call.ended') {
+      const call = calls.get(event.callId) || { direction: 'unknown', device: '' };
+      calls.delete(event.callId);
+      callsTotal.inc({
+        direction: call.direction,
+        device: call.device,
+        outcome: event.reason || String(event.state || 'unknown').toLowerCase()
+      });
+      if (typeof event.durationSeconds === 'number') {
+        callDuration.observe({ direction: call.direction }, event.durationSeconds);
+      }
+    }
+  };
+  events.on('event', onEvent);
+  return () => events.off('event', onEvent);
+}
+
+/**
+ * Where voice_sip_registered reads registrations from
+ * @param {function(): Array<{device: string, extension: string, registered: boolean}>} source
+ */
+function setRegistrationSource(source) {
+  registrationSource = source;
+}
+
+/**
+ * GET /metrics
+ */
+function metricsHandler(req, res) {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.render());
+}
+
+module.exports = {
+  MetricsRegistry,
+  registry,
+  observeStage,
+  providerAnswered,
+  providerFailed,
+  ttsCache,
+  aiRequest,
+  trackCalls,
+  setRegistrationSource,
+  metricsHandler
+};
@@ -8,6 +8,8 @@ class MultiRegistrar {
     this.srf = srf;
     this.baseConfig = baseConfig;
     this.registrations = new Map();
+    // Latest outcome per extension, registered or not (for /metrics)
+    this.states = new Map();
   }
 
   /**
@@ -40,6 +42,7 @@ class MultiRegistrar {
     };
 
     console.log('[MULTI-REGISTRAR] Registering ' + device.name + ' (ext ' + device.extension + ')');
+    if (!this.states.has(config.extension)) this.setState(device, config, false, null);
     this.sendRegister(device, config);
   }
 
@@ -72,6 +75,7 @@ class MultiRegistrar {
     }, function(err, req) {
       if (err) {
         console.error('[MULTI-REGISTRAR] ' + device.name + ' request error: ' + err.message);
+        self.setState(device, config, false, null);
         self.scheduleRetry(device, config, 60);
         return;
       }
@@ -93,6 +97,7 @@ class MultiRegistrar {
             expiry: expiry,
             registeredAt: Date.now()
           });
+          self.setState(device, config, true, res.status);
           
           var refreshTime = Math.floor(expiry * 0.9);
           console.log('[MULTI-REGISTRAR] ' + device.name + ' refresh in ' + refreshTime + 's');
@@ -102,12 +107,31 @@ class MultiRegistrar {
           console.log('[MULTI-REGISTRAR] ' + device.name + ' auth challenge - handled by drachtio');
         } else {
           console.error('[MULTI-REGISTRAR] ' + device.name + ' FAILED: ' + res.status + ' ' + res.reason);
+          self.setState(device, config, false, res.status);
           self.scheduleRetry(device, config, 60);
         }
       });
     });
   }
 
+  setState(device, config, registered, status) {
+    this.states.set(config.extension, {
+      device: device.name,
+      extension: config.extension,
+      registered: registered,
+      status: status,
+      updatedAt: Date.now()
+    });
+  }
+
+  /**
+   * Registration state of every device
+   * @returns {Array<{device: string, extension: string, registered: boolean, status: number|null, updatedAt: number}>}
+   */
+  getStatus() {
+    return Array.from(this.states.values());
+  }
+
   scheduleRefresh(device, config, seconds) {
     const self = this;
     setTimeout(function() {
@@ -126,6 +150,7 @@ class MultiRegistrar {
 
   stop() {
     this.registrations.clear();
+    this.states.clear();
     console.log('[MULTI-REGISTRAR] Stopped all registrations');
   }
 }
@@ -215,12 +215,14 @@ async function initiateOutboundCall(srf, mediaServer, options) {
  * @param {string} message - Text to convert to speech and play
  * @param {Object} [options] - Playback options
  * @param {string} [options.voiceId] - ElevenLabs voice ID for device-specific voice
+ * @param {Object} [options.tts] - Device "tts" block (provider chain, see tts-providers)
  * @returns {Promise<void>}
  */
 async function playMessage(endpoint, message, options) {
   options = options || {};
   var voiceId = options.voiceId || null;
   var language = options.language || 'en';
+  var tts = options.tts || null;
   var startTime = Date.now();
 
   try {
@@ -231,7 +233,7 @@ async function playMessage(endpoint, message, options) {
     });
 
     // Generate TTS audio file with optional device voice and language
-    var audioUrl = await ttsService.generateSpeech(message, voiceId, language);
+    var audioUrl = await ttsService.generateSpeech(message, voiceId, language, null, tts);
 
     logger.info('Playing TTS to caller', { audioUrl: audioUrl });
 
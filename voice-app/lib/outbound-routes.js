@@ -11,7 +11,14 @@ const router = express.Router();
 const logger = require('./logger');
 const { OutboundSession, getSession, getAllSessions } = require('./outbound-session');
 const { initiateOutboundCall, playMessage, hangupCall } = require('./outbound-handler');
-const { runConversationLoop } = require('./conversation-loop');
+const { runConversationLoop, HOLD_MUSIC_URL } = require('./conversation-loop');
+const { startTranscript, finishTranscript } = require('./call-transcript');
+const { summarizeCall } = require('./caller-profiles');
+const { webhooks } = require('./webhook-dispatcher');
+const { createTransferHandler } = require('./call-transfer');
+const { CallSupervision } = require('./call-supervisor');
+const { resolveAmdOptions, validateAmdOptions, detectAnsweringMachine } = require('./answering-machine');
+const { liveEvents } = require('./live-events');
 
 // Dependencies injected via setupRoutes()
 var srf = null;
@@ -45,6 +52,33 @@ function isValidPhoneNumber(phoneNumber) {
   return e164Regex.test(phoneNumber) || dialStringRegex.test(phoneNumber);
 }
 
+/**
+ * Dispatch call.ended with the transcript and a summary of the conversation
+ */
+async function sendCallEnded(session, callInfo, deviceConfig, transcript, exchanges, transfer) {
+  if (!webhooks.hasSubscribers('call.ended', deviceConfig)) return;
+
+  var summary = null;
+  if (exchanges.length > 0 && claudeBridge) {
+    try {
+      summary = await summarizeCall(exchanges, claudeBridge, callInfo.callId);
+    } catch (error) {
+      logger.warn('Call summary failed', { callId: callInfo.callId, error: error.message });
+    }
+  }
+
+  webhooks.dispatch('call.ended', Object.assign({}, callInfo, {
+    state: session.state.toLowerCase(),
+    reason: session.endReason,
+    durationSeconds: session.getDuration(),
+    turns: exchanges.length,
+    transfer: transfer || null,
+    amd: session.amd,
+    summary: summary,
+    transcript: transcript ? transcript.toJSON() : null
+  }), { device: deviceConfig });
+}
+
 /**
  * Validate outbound call request
  */
@@ -92,6 +126,11 @@ function validateRequest(body) {
     }
   }
 
+  var amdError = validateAmdOptions(body.amd);
+  if (amdError) {
+    return { valid: false, error: amdError };
+  }
+
   if (body.timeoutSeconds !== undefined) {
     var timeout = Number(body.timeoutSeconds);
     if (!Number.isInteger(timeout) || timeout < 5 || timeout > 120) {
@@ -102,6 +141,299 @@ function validateRequest(body) {
   return { valid: true };
 }
 
+/**
+ * Device for an outbound call: the requested one (extension or name), else
+ * the first configured device
+ * @param {string} [deviceParam]
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet] - Don't log the lookup
+ */
+function resolveOutboundDevice(deviceParam, options) {
+  if (!deviceRegistry) return null;
+  var log = (options && options.quiet) ? function() {} : logger.info.bind(logger);
+
+  var deviceConfig = null;
+  if (deviceParam) {
+    // Use get() which tries extension first, then name (case-insensitive)
+    deviceConfig = deviceRegistry.get(deviceParam);
+
+    if (deviceConfig) {
+      log('Device found for outbound call', {
+        device: deviceConfig.name,
+        extension: deviceConfig.extension,
+        voiceId: deviceConfig.voiceId || 'default'
+      });
+    } else {
+      logger.warn('Device not found, falling back to default device', { requested: deviceParam });
+    }
+  }
+
+  // If no device specified (or lookup failed), pick first configured device
+  if (!deviceConfig) {
+    var all = deviceRegistry.getAllDevices();
+    var keys = Object.keys(all || {});
+    if (keys.length > 0) {
+      deviceConfig = all[keys[0]];
+      log('Using default device for outbound call', {
+        device: deviceConfig.name,
+        extension: deviceConfig.extension
+      });
+    }
+  }
+
+  return deviceConfig;
+}
+
+/**
+ * Check the voice infrastructure can place a call in this mode
+ * @returns {string|null} Why not, or null if ready
+ */
+function checkReady(mode) {
+  if (!srf || !mediaServer) {
+    logger.error('Infrastructure not ready', {
+      srf: !!srf,
+      mediaServer: !!mediaServer
+    });
+    return 'Voice infrastructure is not ready';
+  }
+
+  // For conversation mode, check additional dependencies
+  if (mode === 'conversation' && (!audioForkServer || !whisperClient || !claudeBridge || !ttsService)) {
+    logger.error('Conversation mode dependencies not ready', {
+      audioForkServer: !!audioForkServer,
+      whisperClient: !!whisperClient,
+      claudeBridge: !!claudeBridge,
+      ttsService: !!ttsService
+    });
+    return 'Conversation mode dependencies not ready';
+  }
+
+  return null;
+}
+
+/**
+ * Place an outbound call and run it (announce or conversation) in the background
+ *
+ * @param {Object} params
+ * @param {string} params.to - Validated phone number
+ * @param {string} params.message - What the device says when answered
+ * @param {string|Object} [params.context] - Background data for Claude
+ * @param {string} [params.mode='announce'] - 'announce' or 'conversation'
+ * @param {Object} [params.deviceConfig] - Device (see resolveOutboundDevice)
+ * @param {string} [params.callerId]
+ * @param {number} [params.timeoutSeconds=30] - Ring timeout
+ * @param {string} [params.webhookUrl] - Per-call state webhook
+ * @param {boolean|string|Object} [params.amd] - Answering machine detection
+ *   (see resolveAmdOptions in answering-machine.js)
+ * @returns {{session: OutboundSession, finished: Promise<{state: string, reason: string}>}}
+ *   finished resolves once the call is COMPLETED or FAILED
+ * @throws {Error} When the infrastructure isn't ready (see checkReady)
+ */
+function startOutboundCall(params) {
+  var startTime = Date.now();
+  var to = params.to;
+  var message = params.message;
+  var context = params.context || null;
+  var mode = params.mode || 'announce';
+  var deviceConfig = params.deviceConfig || null;
+  var callerId = params.callerId;
+  var timeoutSeconds = params.timeoutSeconds || 30;
+  var amdSettings = resolveAmdOptions(params.amd);
+
+  var notReady = checkReady(mode);
+  if (notReady) throw new Error(notReady);
+
+  if (amdSettings && !audioForkServer) {
+    logger.warn('Answering machine detection needs the audio fork server, skipping', { to: to });
+    amdSettings = null;
+  }
+
+  // Create session
+  var session = new OutboundSession(null, {
+    to: to,
+    message: message,
+    mode: mode,
+    callerId: callerId,
+    webhookUrl: params.webhookUrl,
+    device: deviceConfig ? deviceConfig.name : null
+  });
+
+  var callId = session.callId;
+  var callInfo = {
+    callId: callId,
+    direction: 'outbound',
+    from: callerId || null,
+    to: to,
+    device: deviceConfig ? deviceConfig.name : null
+  };
+  webhooks.dispatch('call.started', Object.assign({ mode: mode, message: message }, callInfo), { device: deviceConfig });
+
+  logger.info('Processing outbound call request', {
+    callId: callId,
+    to: to,
+    mode: mode,
+    device: deviceConfig ? deviceConfig.name : 'default',
+    messageLength: message.length,
+    hasContext: !!context,
+    amd: amdSettings ? amdSettings.onMachine : 'off'
+  });
+
+  // Run the call as this callId so its live events (TTS, ...) are attributed to it
+  var finished = liveEvents.runWithCall(callId, async function() {
+    var transcript = null;
+    var exchanges = [];
+    var transfer = null;
+    try {
+      session.transition('DIALING');
+
+      var result = await initiateOutboundCall(srf, mediaServer, {
+        to: to,
+        message: message,
+        callerId: callerId,
+        timeoutSeconds: timeoutSeconds,
+        deviceConfig: deviceConfig  // Pass device for From header display name
+      });
+
+      var dialog = result.dialog;
+      var endpoint = result.endpoint;
+
+      session.setDialog(dialog);
+      session.setEndpoint(endpoint);
+      webhooks.dispatch('call.answered', callInfo, { device: deviceConfig });
+
+      transcript = startTranscript(callInfo);
+
+      var amd = null;
+      if (amdSettings) {
+        session.transition('DETECTING');
+        amd = await detectAnsweringMachine(endpoint, dialog, callId, {
+          audioForkServer: audioForkServer,
+          wsPort: wsPort,
+          settings: amdSettings,
+          waitForBeep: amdSettings.onMachine === 'leave_message'
+        });
+        session.setAmd(Object.assign({ onMachine: amdSettings.onMachine }, amd));
+        transcript.addEvent('amd', { result: amd.result, reason: amd.reason, beep: !!amd.beep });
+      }
+
+      if (amd && amd.hangup) {
+        // Hung up while we listened; setDialog() already ended the session
+      } else if (amd && amd.result === 'machine' && amdSettings.onMachine !== 'leave_message') {
+        await hangupCall(dialog, endpoint, callId);
+        // 'retry' fails the attempt so the call scheduler tries again later
+        session.transition(amdSettings.onMachine === 'retry' ? 'FAILED' : 'COMPLETED', 'machine');
+      } else {
+        session.transition('PLAYING');
+
+        // Play the initial message with device voice and language
+        var voiceId = (deviceConfig && deviceConfig.voiceId) ? deviceConfig.voiceId : null;
+        var language = (deviceConfig && deviceConfig.language) ? deviceConfig.language : 'en';
+        var messageStartedAt = Date.now();
+        await playMessage(endpoint, message, {
+          voiceId: voiceId,
+          language: language,
+          tts: deviceConfig ? deviceConfig.tts : null
+        });
+        transcript.addAssistantReply({ kind: 'message', spoken: message, start: messageStartedAt, end: Date.now() });
+
+        if (amd && amd.result === 'machine') {
+          // Message left after the beep; there's nobody to talk to
+          await hangupCall(dialog, endpoint, callId);
+          session.transition('COMPLETED', 'machine_message_left');
+
+        } else if (mode === 'announce') {
+          await hangupCall(dialog, endpoint, callId);
+          session.transition('COMPLETED', 'announce_complete');
+
+        } else if (mode === 'conversation') {
+          logger.info('Entering conversation mode', {
+            callId: callId,
+            device: deviceConfig ? deviceConfig.name : 'default',
+            hasContext: !!context
+          });
+          session.transition('CONVERSING');
+
+          try {
+            var loopStats = await runConversationLoop(endpoint, dialog, callId, {
+              audioForkServer: audioForkServer,
+              whisperClient: whisperClient,
+              claudeBridge: claudeBridge,
+              ttsService: ttsService,
+              wsPort: wsPort,
+              deviceConfig: deviceConfig,
+              initialContext: message,
+              context: context,           // NEW: pass structured context
+              skipGreeting: true,
+              callerNumber: to,
+              transcript: transcript,
+              transferHandler: createTransferHandler({
+                srf: srf,
+                mediaServer: mediaServer,
+                endpoint: endpoint,
+                dialog: dialog,
+                deviceConfig: deviceConfig,
+                ttsService: ttsService,
+                claudeBridge: claudeBridge,
+                callUuid: callId,
+                callerNumber: to,
+                holdMusicUrl: HOLD_MUSIC_URL
+              }),
+              supervision: new CallSupervision({
+                callUuid: callId,
+                endpoint: endpoint,
+                dialog: dialog,
+                srf: srf,
+                mediaServer: mediaServer,
+                deviceConfig: deviceConfig
+              }),
+              maxTurns: 20
+            });
+            session.bargeInCount = loopStats.bargeIns;
+            exchanges = loopStats.exchanges;
+            transfer = loopStats.transfer || null;
+            loopStats.exchanges.forEach(function(exchange) {
+              session.recordTurn(exchange.caller, exchange.assistant);
+            });
+
+            await hangupCall(dialog, endpoint, callId);
+            session.transition('COMPLETED', loopStats.transfer ? 'transferred' : 'conversation_complete');
+
+          } catch (convError) {
+            logger.error('Conversation loop error', {
+              callId: callId,
+              error: convError.message
+            });
+            await hangupCall(dialog, endpoint, callId);
+            session.transition('COMPLETED', 'conversation_error');
+          }
+        }
+      }
+
+    } catch (error) {
+      logger.error('Outbound call failed', {
+        callId: callId,
+        error: error.message,
+        elapsed: Date.now() - startTime
+      });
+
+      var reason = 'error';
+      if (error.message === 'busy') reason = 'busy';
+      else if (error.message === 'no_answer') reason = 'no_answer';
+      else if (error.message === 'not_found') reason = 'not_found';
+      else if (error.message === 'service_unavailable') reason = 'service_unavailable';
+
+      session.transition('FAILED', reason);
+    } finally {
+      if (transcript) await finishTranscript(transcript);
+      await sendCallEnded(session, callInfo, deviceConfig, transcript, exchanges, transfer);
+    }
+
+    return { state: session.state, reason: session.endReason };
+  });
+
+  return { session: session, finished: finished };
+}
+
 /**
  * POST /api/outbound-call
  * Initiate an outbound call
@@ -114,10 +446,10 @@ function validateRequest(body) {
  *   - device: Device extension or name for voice/personality (optional)
  *   - callerId: Caller ID (optional)
  *   - timeoutSeconds: Ring timeout (optional, default: 30)
+ *   - amd: Answering machine detection (optional): true, or what to do on a
+ *     machine ("leave_message", "hangup", "retry"), or { onMachine, maxGreetingMs, ... }
  */
 router.post('/outbound-call', async function(req, res) {
-  var startTime = Date.now();
-
   try {
     // Validate request
     var validation = validateRequest(req.body);
@@ -143,6 +475,7 @@ router.post('/outbound-call', async function(req, res) {
     var callerId = req.body.callerId;
     var timeoutSeconds = req.body.timeoutSeconds || 30;
     var webhookUrl = req.body.webhookUrl;
+    var amd = req.body.amd;
 
     // v2 percentage rollout router (safe fallback to v1)
     if (shouldRouteToV2(req)) {
@@ -161,7 +494,8 @@ router.post('/outbound-call', async function(req, res) {
           device: deviceParam,
           callerId: callerId,
           timeoutSeconds: timeoutSeconds,
-          webhookUrl: webhookUrl
+          webhookUrl: webhookUrl,
+          amd: amd
         }, {
           timeout: timeoutSeconds * 1000,
           headers: {
@@ -186,181 +520,38 @@ router.post('/outbound-call', async function(req, res) {
       }
     }
 
-    // Look up device configuration
-    var deviceConfig = null;
-    if (deviceRegistry) {
-      if (deviceParam) {
-        // Use get() which tries extension first, then name (case-insensitive)
-        deviceConfig = deviceRegistry.get(deviceParam);
-
-        if (deviceConfig) {
-          logger.info('Device found for outbound call', {
-            device: deviceConfig.name,
-            extension: deviceConfig.extension,
-            voiceId: deviceConfig.voiceId || 'default'
-          });
-        } else {
-          logger.warn('Device not found, falling back to default device', { requested: deviceParam });
-        }
-      }
-
-      // If no device specified (or lookup failed), pick first configured device
-      if (!deviceConfig) {
-        var all = deviceRegistry.getAllDevices();
-        var keys = Object.keys(all || {});
-        if (keys.length > 0) {
-          deviceConfig = all[keys[0]];
-          logger.info('Using default device for outbound call', {
-            device: deviceConfig.name,
-            extension: deviceConfig.extension
-          });
-        }
-      }
-    }
-
-    // Check if infrastructure is available
-    if (!srf || !mediaServer) {
-      logger.error('Infrastructure not ready', {
-        srf: !!srf,
-        mediaServer: !!mediaServer
-      });
+    var deviceConfig = resolveOutboundDevice(deviceParam);
 
+    var notReady = checkReady(mode);
+    if (notReady) {
       return res.status(503).json({
         success: false,
         error: 'service_unavailable',
-        message: 'Voice infrastructure is not ready'
+        message: notReady
       });
     }
 
-    // For conversation mode, check additional dependencies
-    if (mode === 'conversation') {
-      if (!audioForkServer || !whisperClient || !claudeBridge || !ttsService) {
-        logger.error('Conversation mode dependencies not ready', {
-          audioForkServer: !!audioForkServer,
-          whisperClient: !!whisperClient,
-          claudeBridge: !!claudeBridge,
-          ttsService: !!ttsService
-        });
-
-        return res.status(503).json({
-          success: false,
-          error: 'service_unavailable',
-          message: 'Conversation mode dependencies not ready'
-        });
-      }
-    }
-
-    // Create session
-    var session = new OutboundSession(null, {
+    var call = startOutboundCall({
       to: to,
       message: message,
+      context: context,
       mode: mode,
+      deviceConfig: deviceConfig,
       callerId: callerId,
+      timeoutSeconds: timeoutSeconds,
       webhookUrl: webhookUrl,
-      device: deviceConfig ? deviceConfig.name : null
-    });
-
-    var callId = session.callId;
-
-    logger.info('Processing outbound call request', {
-      callId: callId,
-      to: to,
-      mode: mode,
-      device: deviceConfig ? deviceConfig.name : 'default',
-      messageLength: message.length,
-      hasContext: !!context
+      amd: amd
     });
 
     // Return immediately with callId
     res.json({
       success: true,
-      callId: callId,
+      callId: call.session.callId,
       status: 'queued',
       message: 'Call initiated',
       device: deviceConfig ? deviceConfig.name : null
     });
 
-    // Continue asynchronously
-    (async function() {
-      try {
-        session.transition('DIALING');
-
-        var result = await initiateOutboundCall(srf, mediaServer, {
-          to: to,
-          message: message,
-          callerId: callerId,
-          timeoutSeconds: timeoutSeconds,
-          deviceConfig: deviceConfig  // Pass device for From header display name
-        });
-
-        var dialog = result.dialog;
-        var endpoint = result.endpoint;
-
-        session.setDialog(dialog);
-        session.setEndpoint(endpoint);
-        session.transition('PLAYING');
-
-        // Play the initial message with device voice and language
-        var voiceId = (deviceConfig && deviceConfig.voiceId) ? deviceConfig.voiceId : null;
-        var language = (deviceConfig && deviceConfig.language) ? deviceConfig.language : 'en';
-        await playMessage(endpoint, message, { voiceId: voiceId, language: language });
-
-        if (mode === 'announce') {
-          await hangupCall(dialog, endpoint, callId);
-          session.transition('COMPLETED', 'announce_complete');
-
-        } else if (mode === 'conversation') {
-          logger.info('Entering conversation mode', {
-            callId: callId,
-            device: deviceConfig ? deviceConfig.name : 'default',
-            hasContext: !!context
-          });
-          session.transition('CONVERSING');
-
-          try {
-            await runConversationLoop(endpoint, dialog, callId, {
-              audioForkServer: audioForkServer,
-              whisperClient: whisperClient,
-              claudeBridge: claudeBridge,
-              ttsService: ttsService,
-              wsPort: wsPort,
-              deviceConfig: deviceConfig,
-              initialContext: message,
-              context: context,           // NEW: pass structured context
-              skipGreeting: true,
-              maxTurns: 20
-            });
-
-            await hangupCall(dialog, endpoint, callId);
-            session.transition('COMPLETED', 'conversation_complete');
-
-          } catch (convError) {
-            logger.error('Conversation loop error', {
-              callId: callId,
-              error: convError.message
-            });
-            await hangupCall(dialog, endpoint, callId);
-            session.transition('COMPLETED', 'conversation_error');
-          }
-        }
-
-      } catch (error) {
-        logger.error('Outbound call failed', {
-          callId: callId,
-          error: error.message,
-          elapsed: Date.now() - startTime
-        });
-
-        var reason = 'error';
-        if (error.message === 'busy') reason = 'busy';
-        else if (error.message === 'no_answer') reason = 'no_answer';
-        else if (error.message === 'not_found') reason = 'not_found';
-        else if (error.message === 'service_unavailable') reason = 'service_unavailable';
-
-        session.transition('FAILED', reason);
-      }
-    })();
-
   } catch (error) {
     logger.error('Outbound call endpoint error', {
       error: error.message,
@@ -478,5 +669,8 @@ function setupRoutes(deps) {
 
 module.exports = {
   router: router,
-  setupRoutes: setupRoutes
+  setupRoutes: setupRoutes,
+  startOutboundCall: startOutboundCall,
+  resolveOutboundDevice: resolveOutboundDevice,
+  validateRequest: validateRequest
 };
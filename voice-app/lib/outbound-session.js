@@ -4,11 +4,16 @@
  *
  * Announce Mode:      QUEUED → DIALING → PLAYING → COMPLETED/FAILED
  * Conversation Mode:  QUEUED → DIALING → PLAYING → CONVERSING → COMPLETED/FAILED
+ *
+ * With answering machine detection the call is DETECTING between DIALING and
+ * PLAYING; a machine may end it there (reason "machine").
  */
 
 const { EventEmitter } = require('events');
 const { randomUUID } = require('crypto');
 const logger = require('./logger');
+const { webhooks } = require('./webhook-dispatcher');
+const { liveEvents } = require('./live-events');
 
 // Active session tracking
 const activeSessions = new Map(); // callId -> OutboundSession
@@ -27,12 +32,14 @@ class OutboundSession extends EventEmitter {
     this.mode = options.mode || 'announce'; // 'announce' or 'conversation'
     this.callerId = options.callerId;
     this.webhookUrl = options.webhookUrl;
+    this.device = options.device || null;
 
     // State tracking
     this.state = 'QUEUED';
     this.createdAt = Date.now();
     this.answeredAt = null;
     this.endedAt = null;
+    this.endReason = null;
 
     // Media objects
     this.endpoint = null;
@@ -41,9 +48,22 @@ class OutboundSession extends EventEmitter {
     // Conversation mode tracking
     this.conversationHistory = [];
     this.turnCount = 0;
+    this.bargeInCount = 0;
+
+    // Answering machine detection result (see answering-machine.js)
+    this.amd = null;
 
     // Register in active sessions
     activeSessions.set(this.callId, this);
+    liveEvents.publish('call.started', {
+      callId: this.callId,
+      direction: 'outbound',
+      from: this.callerId || null,
+      to: this.to,
+      device: this.device,
+      mode: this.mode,
+      state: this.state
+    });
 
     logger.info('Outbound session created', {
       callId: this.callId,
@@ -83,11 +103,17 @@ class OutboundSession extends EventEmitter {
       to: newState,
       reason
     });
+    liveEvents.publish('call.state', {
+      callId: this.callId,
+      state: newState,
+      previous: oldState,
+      reason: reason || null
+    });
 
     // Send webhook on key events
     if (this.webhookUrl) {
       this.sendWebhook(newState, reason).catch(err => {
-        logger.warn('Webhook delivery failed', {
+        logger.warn('Webhook queueing failed', {
           callId: this.callId,
           error: err.message
         });
@@ -97,6 +123,13 @@ class OutboundSession extends EventEmitter {
     // Cleanup on terminal states
     if (newState === 'COMPLETED' || newState === 'FAILED') {
       this.endedAt = Date.now();
+      this.endReason = reason || null;
+      liveEvents.publish('call.ended', {
+        callId: this.callId,
+        state: newState,
+        reason: this.endReason,
+        durationSeconds: this.getDuration()
+      });
 
       // Keep session for 1 minute for status queries, then remove
       setTimeout(() => {
@@ -107,7 +140,8 @@ class OutboundSession extends EventEmitter {
   }
 
   /**
-   * Send webhook notification
+   * Queue a state-change notification to the call's webhookUrl
+   * (signed and retried by the webhook dispatcher)
    *
    * @param {string} event - Event type (state name)
    * @param {string} [reason] - Optional reason
@@ -117,40 +151,21 @@ class OutboundSession extends EventEmitter {
       return;
     }
 
-    try {
-      const payload = {
-        callId: this.callId,
-        timestamp: new Date().toISOString(),
-        event: event.toLowerCase(),
-        to: this.to,
-        duration: this.getDuration(),
-        reason: reason || undefined
-      };
-
-      const response = await fetch(this.webhookUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        logger.warn('Webhook returned non-200', {
-          callId: this.callId,
-          status: response.status
-        });
-      } else {
-        logger.info('Webhook delivered', {
-          callId: this.callId,
-          event
-        });
-      }
+    const payload = {
+      callId: this.callId,
+      timestamp: new Date().toISOString(),
+      event: event.toLowerCase(),
+      to: this.to,
+      duration: this.getDuration(),
+      reason: reason || undefined,
+      amd: this.amd || undefined
+    };
 
-    } catch (error) {
-      logger.error('Webhook send failed', {
-        callId: this.callId,
-        error: error.message
-      });
-    }
+    webhooks.enqueue({
+      url: this.webhookUrl,
+      event: payload.event,
+      payload
+    });
   }
 
   /**
@@ -193,6 +208,21 @@ class OutboundSession extends EventEmitter {
     });
   }
 
+  /**
+   * Record the answering machine detection result
+   *
+   * @param {Object} amd - { result, reason, greetingMs, beep, onMachine, ... }
+   */
+  setAmd(amd) {
+    this.amd = amd;
+
+    logger.info('AMD result recorded', {
+      callId: this.callId,
+      result: amd.result,
+      reason: amd.reason
+    });
+  }
+
   /**
    * Hangup the call
    */
@@ -272,15 +302,18 @@ class OutboundSession extends EventEmitter {
       to: this.to,
       state: this.state,
       mode: this.mode,
+      device: this.device,
       createdAt: new Date(this.createdAt).toISOString(),
       answeredAt: this.answeredAt ? new Date(this.answeredAt).toISOString() : null,
       endedAt: this.endedAt ? new Date(this.endedAt).toISOString() : null,
-      duration: this.getDuration()
+      duration: this.getDuration(),
+      amd: this.amd
     };
 
     // Include conversation stats for conversation mode
     if (this.mode === 'conversation') {
       info.turnCount = this.turnCount;
+      info.bargeInCount = this.bargeInCount;
       info.conversationHistory = this.conversationHistory;
     }
 
@@ -0,0 +1,417 @@
+/**
+ * System Phrases
+ * Everything the system says on its own (greeting, reprompts, announcements,
+ * IVR and voicemail prompts, transfer lines, AI backend errors), per language.
+ * Every language in languages.js has the full set; any other uses English
+ * (and nothing is prerendered for it).
+ *
+ * A device's "phrases" block in devices.json overrides phrases per language:
+ *
+ *   "phrases": {
+ *     "en": { "greeting": "Hi {callerName}, {deviceName} here. What's up?" },
+ *     "he": { "noSpeech": "הלו? אני עדיין כאן." }
+ *   }
+ *
+ * Templates: {callerName}, {callerNumber}, {deviceName} (the device's name
+ * unless given), with an optional fallback: {deviceName|your server}. A
+ * placeholder without a value or fallback is dropped with the space before it.
+ *
+ * The older single-language settings (greeting, thinkingPhrase,
+ * recordingAnnouncement, transfer.announcement, ivr prompts, voicemail
+ * messages, and RECORDING_ANNOUNCEMENT, TRANSFER_ANNOUNCEMENT,
+ * VOICEMAIL_*_MESSAGE) still win, in the device's main language.
+ */
+
+const { normalizeLanguage, resolveLanguages } = require('./languages');
+
+// Claude Code-style thinking phrases
+const THINKING_PHRASES = [
+  "Pondering...",
+  "Elucidating...",
+  "Cogitating...",
+  "Ruminating...",
+  "Contemplating...",
+  "Consulting the oracle...",
+  "Summoning knowledge...",
+  "Engaging neural pathways...",
+  "Accessing the mainframe...",
+  "Querying the void...",
+  "Let me think about that...",
+  "Processing...",
+  "Hmm, interesting question...",
+  "One moment...",
+  "Searching my brain...",
+];
+
+const CATALOG = {
+  en: {
+    greeting: "Hello {callerName}! I'm {deviceName|your server}. How can I help you today?",
+    noSpeech: "I didn't hear anything. Are you still there?",
+    clarify: "Sorry, I didn't catch that. Could you repeat?",
+    goodbye: "Goodbye! Call again anytime.",
+    maxTurns: "We've been talking for a while. Goodbye!",
+    error: "Sorry, something went wrong.",
+    transferFailed: "Sorry, I couldn't transfer you right now. How else can I help?",
+    thinking: THINKING_PHRASES,
+    goodbyeWords: ['goodbye', 'good bye', 'bye', 'hang up', 'end call', "that's all", 'thats all'],
+    recordingAnnouncement: 'This call is being recorded.',
+    transferAnnouncement: 'Please hold while I transfer your call.',
+    transferBrief: 'Transferred call from {callerNumber|an unknown number}.',
+    transferConnecting: 'Connecting you now.',
+    ivrInvalid: 'Sorry, that is not a valid option.',
+    ivrTimeout: "Sorry, I didn't get a choice.",
+    ivrTransferFailed: "Sorry, I couldn't transfer your call.",
+    voicemailUnavailable: "Sorry, I can't take your call right now. Please leave a message after the tone, and press pound when you're done.",
+    voicemailClosed: "We're closed right now. Please leave a message after the tone, and press pound when you're done.",
+    voicemailThanks: 'Thank you, your message has been recorded. Goodbye.',
+    aiUnreachable: "I'm having trouble connecting to my brain right now. The API server may be offline or unreachable. Please try again later.",
+    aiError: "I encountered an unexpected error. Please check that the API server is running claude-phone api-server and is on the same network.",
+    aiTimeout: "I'm sorry, that request took too long. This might mean the API server is slow or there's a network issue. Try asking something simpler, or check that claude-phone api-server is running."
+  },
+  he: {
+    greeting: 'שלום {callerName}! אני {deviceName|העוזר שלך}. במה אפשר לעזור היום?',
+    noSpeech: 'לא שמעתי כלום. יש מישהו על הקו?',
+    clarify: 'סליחה, לא הבנתי. אפשר לחזור על זה?',
+    goodbye: 'להתראות! אפשר להתקשר שוב בכל זמן.',
+    maxTurns: 'אנחנו מדברים כבר זמן מה. להתראות!',
+    error: 'סליחה, משהו השתבש.',
+    transferFailed: 'סליחה, לא הצלחתי להעביר את השיחה כרגע. במה עוד אפשר לעזור?',
+    thinking: ['רק רגע...', 'בודק את זה...', 'שאלה מעניינת, רגע...'],
+    goodbyeWords: ['להתראות', 'ביי', 'זה הכל', 'זהו זה'],
+    recordingAnnouncement: 'השיחה מוקלטת.',
+    transferAnnouncement: 'נא להמתין, אני מעביר את השיחה.',
+    transferBrief: 'שיחה מועברת ממספר {callerNumber|לא מזוהה}.',
+    transferConnecting: 'מחבר אותך עכשיו.',
+    ivrInvalid: 'סליחה, זו לא אפשרות תקינה.',
+    ivrTimeout: 'סליחה, לא התקבלה בחירה.',
+    ivrTransferFailed: 'סליחה, לא הצלחתי להעביר את השיחה.',
+    voicemailUnavailable: 'מצטערים, אין לנו אפשרות לענות כרגע. נא להשאיר הודעה אחרי הצליל וללחוץ סולמית בסיום.',
+    voicemailClosed: 'אנחנו סגורים כרגע. נא להשאיר הודעה אחרי הצליל וללחוץ סולמית בסיום.',
+    voicemailThanks: 'תודה, ההודעה שלך נשמרה. להתראות.',
+    aiUnreachable: 'מצטער, יש כרגע תקלה זמנית במנוע השיחה. אפשר לנסות שוב בעוד רגע?',
+    aiError: 'מצטער, הייתה לי תקלה רגעית בתשובה. אפשר לנסות שוב?',
+    aiTimeout: 'מצטער, התשובה לקחה יותר מדי זמן. אפשר לנסות שאלה פשוטה יותר?'
+  },
+  ar: {
+    noSpeech: 'لم أسمع شيئًا. هل ما زلت على الخط؟',
+    clarify: 'عذرًا، لم أفهم ذلك. هل يمكنك التكرار؟',
+    goodbye: 'مع السلامة! اتصل بنا في أي وقت.',
+    maxTurns: 'لقد تحدثنا لفترة طويلة. مع السلامة!',
+    error: 'عذرًا، حدث خطأ ما.',
+    transferFailed: 'عذرًا، لم أتمكن من تحويلك الآن. كيف يمكنني مساعدتك بطريقة أخرى؟',
+    thinking: ['لحظة من فضلك...', 'دعني أفكر...', 'جارٍ التحقق...'],
+    goodbyeWords: ['مع السلامة', 'وداعا', 'باي'],
+    greeting: 'مرحبًا {callerName}! أنا {deviceName|مساعدك}. كيف يمكنني مساعدتك اليوم؟',
+    recordingAnnouncement: 'يتم تسجيل هذه المكالمة.',
+    transferAnnouncement: 'يرجى الانتظار بينما أحوّل مكالمتك.',
+    transferBrief: 'مكالمة محوّلة من الرقم {callerNumber|غير معروف}.',
+    transferConnecting: 'جارٍ توصيلك الآن.',
+    ivrInvalid: 'عذرًا، هذا ليس خيارًا صحيحًا.',
+    ivrTimeout: 'عذرًا، لم يتم اختيار أي خيار.',
+    ivrTransferFailed: 'عذرًا، لم أتمكن من تحويل مكالمتك.',
+    voicemailUnavailable: 'عذرًا، لا يمكننا الرد على مكالمتك الآن. يرجى ترك رسالة بعد النغمة والضغط على مفتاح المربع عند الانتهاء.',
+    voicemailClosed: 'نحن مغلقون الآن. يرجى ترك رسالة بعد النغمة والضغط على مفتاح المربع عند الانتهاء.',
+    voicemailThanks: 'شكرًا لك، تم تسجيل رسالتك. مع السلامة.',
+    aiUnreachable: 'عذرًا، هناك عطل مؤقت في نظام المحادثة. هل يمكنك المحاولة مرة أخرى بعد قليل؟',
+    aiError: 'عذرًا، حدث خطأ مؤقت في الإجابة. هل يمكنك المحاولة مرة أخرى؟',
+    aiTimeout: 'عذرًا، استغرقت الإجابة وقتًا طويلًا. هل يمكنك طرح سؤال أبسط؟'
+  },
+  ru: {
+    noSpeech: 'Я ничего не слышу. Вы ещё на линии?',
+    clarify: 'Извините, я не расслышал. Повторите, пожалуйста.',
+    goodbye: 'До свидания! Звоните в любое время.',
+    maxTurns: 'Мы уже долго разговариваем. До свидания!',
+    error: 'Извините, что-то пошло не так.',
+    transferFailed: 'Извините, не удалось перевести звонок. Чем ещё могу помочь?',
+    thinking: ['Минутку...', 'Дайте подумать...', 'Проверяю...'],
+    goodbyeWords: ['до свидания', 'пока', 'всего доброго'],
+    greeting: 'Здравствуйте, {callerName}! Я {deviceName|ваш помощник}. Чем могу помочь?',
+    recordingAnnouncement: 'Этот звонок записывается.',
+    transferAnnouncement: 'Пожалуйста, подождите, я перевожу ваш звонок.',
+    transferBrief: 'Переведённый звонок с номера {callerNumber|неизвестного абонента}.',
+    transferConnecting: 'Соединяю.',
+    ivrInvalid: 'Извините, такого варианта нет.',
+    ivrTimeout: 'Извините, вы ничего не выбрали.',
+    ivrTransferFailed: 'Извините, не удалось перевести ваш звонок.',
+    voicemailUnavailable: 'Извините, сейчас мы не можем ответить. Оставьте сообщение после сигнала и нажмите решётку, когда закончите.',
+    voicemailClosed: 'Сейчас мы закрыты. Оставьте сообщение после сигнала и нажмите решётку, когда закончите.',
+    voicemailThanks: 'Спасибо, ваше сообщение записано. До свидания.',
+    aiUnreachable: 'Извините, сейчас временные неполадки. Попробуйте ещё раз чуть позже.',
+    aiError: 'Извините, при ответе произошла ошибка. Попробуйте ещё раз.',
+    aiTimeout: 'Извините, ответ занял слишком много времени. Попробуйте задать вопрос попроще.'
+  },
+  fr: {
+    noSpeech: "Je n'ai rien entendu. Êtes-vous toujours là ?",
+    clarify: "Désolé, je n'ai pas compris. Pouvez-vous répéter ?",
+    goodbye: 'Au revoir ! Rappelez quand vous voulez.',
+    maxTurns: 'Cela fait un moment que nous parlons. Au revoir !',
+    error: "Désolé, une erreur s'est produite.",
+    transferFailed: "Désolé, je n'ai pas pu vous transférer. Puis-je vous aider autrement ?",
+    thinking: ['Un instant...', 'Laissez-moi réfléchir...', 'Je vérifie...'],
+    goodbyeWords: ['au revoir', 'bonne journée', 'à bientôt'],
+    greeting: 'Bonjour {callerName} ! Je suis {deviceName|votre assistant}. Comment puis-je vous aider ?',
+    recordingAnnouncement: 'Cet appel est enregistré.',
+    transferAnnouncement: 'Veuillez patienter, je transfère votre appel.',
+    transferBrief: 'Appel transféré du {callerNumber|numéro inconnu}.',
+    transferConnecting: 'Je vous mets en relation.',
+    ivrInvalid: "Désolé, ce choix n'est pas valide.",
+    ivrTimeout: "Désolé, je n'ai reçu aucun choix.",
+    ivrTransferFailed: "Désolé, je n'ai pas pu transférer votre appel.",
+    voicemailUnavailable: 'Désolé, nous ne pouvons pas répondre pour le moment. Laissez un message après le bip, puis appuyez sur la touche dièse.',
+    voicemailClosed: 'Nous sommes fermés pour le moment. Laissez un message après le bip, puis appuyez sur la touche dièse.',
+    voicemailThanks: 'Merci, votre message a été enregistré. Au revoir.',
+    aiUnreachable: 'Désolé, nous avons un problème technique passager. Pouvez-vous réessayer dans un instant ?',
+    aiError: "Désolé, une erreur s'est produite pendant ma réponse. Pouvez-vous réessayer ?",
+    aiTimeout: 'Désolé, la réponse a pris trop de temps. Pouvez-vous poser une question plus simple ?'
+  },
+  es: {
+    noSpeech: 'No escuché nada. ¿Sigue ahí?',
+    clarify: 'Perdón, no le entendí. ¿Puede repetirlo?',
+    goodbye: '¡Adiós! Llame cuando quiera.',
+    maxTurns: 'Llevamos un buen rato hablando. ¡Adiós!',
+    error: 'Perdón, algo salió mal.',
+    transferFailed: 'Perdón, no pude transferirle ahora. ¿En qué más puedo ayudarle?',
+    thinking: ['Un momento...', 'Déjeme pensar...', 'Lo estoy revisando...'],
+    goodbyeWords: ['adiós', 'adios', 'hasta luego', 'chao'],
+    greeting: '¡Hola {callerName}! Soy {deviceName|su asistente}. ¿En qué puedo ayudarle hoy?',
+    recordingAnnouncement: 'Esta llamada está siendo grabada.',
+    transferAnnouncement: 'Espere un momento, estoy transfiriendo su llamada.',
+    transferBrief: 'Llamada transferida del número {callerNumber|desconocido}.',
+    transferConnecting: 'Le comunico ahora.',
+    ivrInvalid: 'Perdón, esa opción no es válida.',
+    ivrTimeout: 'Perdón, no recibí ninguna opción.',
+    ivrTransferFailed: 'Perdón, no pude transferir su llamada.',
+    voicemailUnavailable: 'Perdón, no podemos atenderle ahora. Deje un mensaje después del tono y pulse la tecla numeral al terminar.',
+    voicemailClosed: 'Ahora estamos cerrados. Deje un mensaje después del tono y pulse la tecla numeral al terminar.',
+    voicemailThanks: 'Gracias, su mensaje ha sido grabado. Adiós.',
+    aiUnreachable: 'Perdón, tenemos un problema técnico pasajero. ¿Puede intentarlo de nuevo en un momento?',
+    aiError: 'Perdón, hubo un error al responder. ¿Puede intentarlo de nuevo?',
+    aiTimeout: 'Perdón, la respuesta tardó demasiado. ¿Puede hacer una pregunta más sencilla?'
+  },
+  de: {
+    greeting: 'Hallo {callerName}! Ich bin {deviceName|Ihr Assistent}. Wie kann ich Ihnen heute helfen?',
+    noSpeech: 'Ich habe nichts gehört. Sind Sie noch da?',
+    clarify: 'Entschuldigung, das habe ich nicht verstanden. Können Sie das wiederholen?',
+    goodbye: 'Auf Wiederhören! Rufen Sie jederzeit wieder an.',
+    maxTurns: 'Wir sprechen schon eine ganze Weile. Auf Wiederhören!',
+    error: 'Entschuldigung, da ist etwas schiefgelaufen.',
+    transferFailed: 'Entschuldigung, ich konnte Sie gerade nicht weiterverbinden. Wie kann ich sonst helfen?',
+    thinking: ['Einen Moment...', 'Lassen Sie mich nachdenken...', 'Ich sehe nach...'],
+    goodbyeWords: ['auf wiederhören', 'auf wiedersehen', 'tschüss', 'das wars', 'das war alles'],
+    recordingAnnouncement: 'Dieser Anruf wird aufgezeichnet.',
+    transferAnnouncement: 'Bitte bleiben Sie dran, ich verbinde Sie weiter.',
+    transferBrief: 'Weitergeleiteter Anruf von {callerNumber|einer unbekannten Nummer}.',
+    transferConnecting: 'Ich verbinde Sie jetzt.',
+    ivrInvalid: 'Entschuldigung, das ist keine gültige Auswahl.',
+    ivrTimeout: 'Entschuldigung, ich habe keine Auswahl erhalten.',
+    ivrTransferFailed: 'Entschuldigung, ich konnte Ihren Anruf nicht weiterverbinden.',
+    voicemailUnavailable: 'Leider können wir Ihren Anruf gerade nicht annehmen. Bitte hinterlassen Sie nach dem Ton eine Nachricht und drücken Sie am Ende die Rautetaste.',
+    voicemailClosed: 'Wir haben gerade geschlossen. Bitte hinterlassen Sie nach dem Ton eine Nachricht und drücken Sie am Ende die Rautetaste.',
+    voicemailThanks: 'Danke, Ihre Nachricht wurde aufgezeichnet. Auf Wiederhören.',
+    aiUnreachable: 'Entschuldigung, es gibt gerade eine vorübergehende Störung. Bitte versuchen Sie es gleich noch einmal.',
+    aiError: 'Entschuldigung, bei der Antwort ist ein Fehler aufgetreten. Bitte versuchen Sie es noch einmal.',
+    aiTimeout: 'Entschuldigung, die Antwort hat zu lange gedauert. Versuchen Sie es mit einer einfacheren Frage.'
+  },
+  it: {
+    greeting: 'Ciao {callerName}! Sono {deviceName|il tuo assistente}. Come posso aiutarti oggi?',
+    noSpeech: 'Non ho sentito nulla. Sei ancora in linea?',
+    clarify: 'Scusa, non ho capito. Puoi ripetere?',
+    goodbye: 'Arrivederci! Chiama quando vuoi.',
+    maxTurns: 'Stiamo parlando da un po\'. Arrivederci!',
+    error: 'Scusa, qualcosa è andato storto.',
+    transferFailed: 'Scusa, non sono riuscito a trasferirti adesso. Come posso aiutarti altrimenti?',
+    thinking: ['Un momento...', 'Fammi pensare...', 'Sto controllando...'],
+    goodbyeWords: ['arrivederci', 'ciao ciao', 'a presto', 'è tutto'],
+    recordingAnnouncement: 'Questa chiamata viene registrata.',
+    transferAnnouncement: 'Attendi in linea, sto trasferendo la chiamata.',
+    transferBrief: 'Chiamata trasferita dal numero {callerNumber|sconosciuto}.',
+    transferConnecting: 'Ti metto in contatto ora.',
+    ivrInvalid: 'Scusa, questa opzione non è valida.',
+    ivrTimeout: 'Scusa, non ho ricevuto nessuna scelta.',
+    ivrTransferFailed: 'Scusa, non sono riuscito a trasferire la chiamata.',
+    voicemailUnavailable: 'Spiacenti, al momento non possiamo rispondere. Lascia un messaggio dopo il segnale acustico e premi cancelletto quando hai finito.',
+    voicemailClosed: 'Al momento siamo chiusi. Lascia un messaggio dopo il segnale acustico e premi cancelletto quando hai finito.',
+    voicemailThanks: 'Grazie, il tuo messaggio è stato registrato. Arrivederci.',
+    aiUnreachable: 'Scusa, c\'è un problema tecnico temporaneo. Puoi riprovare tra poco?',
+    aiError: 'Scusa, c\'è stato un errore nella risposta. Puoi riprovare?',
+    aiTimeout: 'Scusa, la risposta ha richiesto troppo tempo. Puoi fare una domanda più semplice?'
+  },
+  pt: {
+    greeting: 'Olá {callerName}! Eu sou {deviceName|o seu assistente}. Como posso ajudar hoje?',
+    noSpeech: 'Não ouvi nada. Ainda está na linha?',
+    clarify: 'Desculpe, não entendi. Pode repetir?',
+    goodbye: 'Tchau! Ligue quando quiser.',
+    maxTurns: 'Já estamos conversando há um bom tempo. Tchau!',
+    error: 'Desculpe, algo deu errado.',
+    transferFailed: 'Desculpe, não consegui transferir a sua ligação agora. Como mais posso ajudar?',
+    thinking: ['Um momento...', 'Deixe-me pensar...', 'Estou verificando...'],
+    goodbyeWords: ['tchau', 'adeus', 'até logo', 'é só isso'],
+    recordingAnnouncement: 'Esta ligação está sendo gravada.',
+    transferAnnouncement: 'Aguarde, estou transferindo a sua ligação.',
+    transferBrief: 'Ligação transferida do número {callerNumber|desconhecido}.',
+    transferConnecting: 'Conectando agora.',
+    ivrInvalid: 'Desculpe, essa opção não é válida.',
+    ivrTimeout: 'Desculpe, não recebi nenhuma opção.',
+    ivrTransferFailed: 'Desculpe, não consegui transferir a sua ligação.',
+    voicemailUnavailable: 'Desculpe, não podemos atender agora. Deixe uma mensagem após o sinal e pressione a tecla cerquilha ao terminar.',
+    voicemailClosed: 'Estamos fechados agora. Deixe uma mensagem após o sinal e pressione a tecla cerquilha ao terminar.',
+    voicemailThanks: 'Obrigado, a sua mensagem foi gravada. Tchau.',
+    aiUnreachable: 'Desculpe, estamos com um problema técnico temporário. Pode tentar de novo daqui a pouco?',
+    aiError: 'Desculpe, houve um erro na resposta. Pode tentar de novo?',
+    aiTimeout: 'Desculpe, a resposta demorou demais. Pode fazer uma pergunta mais simples?'
+  }
+};
+
+// Phrases that are lists (one is picked at random, or all are matched)
+const LIST_KEYS = ['thinking', 'goodbyeWords'];
+
+// Older single-language settings, in the device's main language
+const DEVICE_FIELDS = {
+  greeting: (device) => device.greeting,
+  thinking: (device) => device.thinkingPhrase,
+  recordingAnnouncement: (device) => device.recordingAnnouncement,
+  transferAnnouncement: (device) => device.transfer && device.transfer.announcement,
+  ivrInvalid: (device) => device.ivr && device.ivr.invalidPrompt,
+  ivrTimeout: (device) => device.ivr && device.ivr.timeoutPrompt,
+  voicemailUnavailable: (device) => device.voicemail && device.voicemail.unavailableMessage,
+  voicemailClosed: (device) => device.voicemail && device.voicemail.closedMessage,
+  voicemailThanks: (device) => device.voicemail && device.voicemail.thanksMessage
+};
+const ENV_FIELDS = {
+  recordingAnnouncement: 'RECORDING_ANNOUNCEMENT',
+  transferAnnouncement: 'TRANSFER_ANNOUNCEMENT',
+  voicemailUnavailable: 'VOICEMAIL_UNAVAILABLE_MESSAGE',
+  voicemailClosed: 'VOICEMAIL_CLOSED_MESSAGE'
+};
+
+// Said without per-call values, so they can be synthesized ahead of calls
+// (the greeting as heard by callers without a profile name)
+const PRERENDERED_KEYS = Object.keys(CATALOG.en).filter(key => !['goodbyeWords', 'transferBrief', 'transferConnecting'].includes(key));
+
+// {name} or {name|fallback}, with the space before it
+const PLACEHOLDER = /(\s?)\{(\w+)(?:\|([^}]*))?\}/g;
+
+/**
+ * Fill in a phrase's placeholders
+ * @param {string} template
+ * @param {Object} [vars] - callerName, callerNumber, deviceName, ...
+ * @returns {string}
+ */
+function renderPhrase(template, vars = {}) {
+  return template.replace(PLACEHOLDER, (match, space, name, fallback) => {
+    const value = vars[name] !== undefined && vars[name] !== null && vars[name] !== '' ? String(vars[name]) : fallback;
+    return value ? space + value : '';
+  });
+}
+
+function isMainLanguage(language, device) {
+  return normalizeLanguage(language) === normalizeLanguage((device && device.language) || 'en');
+}
+
+// Unrendered text (or list) for a key: older setting, device override, catalog.
+// language is the one it is in: the asked-for one, or "en" when it fell back.
+function lookup(key, language, device) {
+  const code = normalizeLanguage(language) || 'en';
+  if (isMainLanguage(language, device)) {
+    const field = device && DEVICE_FIELDS[key] ? DEVICE_FIELDS[key](device) : undefined;
+    if (typeof field === 'string') return { value: field, language: code };
+    if (ENV_FIELDS[key] && process.env[ENV_FIELDS[key]] !== undefined) return { value: process.env[ENV_FIELDS[key]], language: code };
+  }
+  const overrides = (device && device.phrases) || {};
+  for (const lang of [code, 'en']) {
+    if (overrides[lang] && overrides[lang][key] !== undefined) return { value: overrides[lang][key], language: lang };
+    if (CATALOG[lang] && CATALOG[lang][key] !== undefined) return { value: CATALOG[lang][key], language: lang };
+  }
+  return { value: '', language: code };
+}
+
+/**
+ * A system phrase in a language ("he-IL" uses "he"); list phrases give a random entry
+ * @param {string} key - greeting, noSpeech, clarify, ... (see CATALOG.en)
+ * @param {Object} [options]
+ * @param {string} [options.language='en']
+ * @param {Object} [options.device] - Device config (overrides, deviceName)
+ * @param {Object} [options.vars] - Template values
+ * @returns {string} Empty when the phrase is turned off (e.g. recordingAnnouncement: "")
+ */
+function phrase(key, { language = 'en', device = null, vars = {} } = {}) {
+  const { value } = lookup(key, language, device);
+  const text = Array.isArray(value) ? value[Math.floor(Math.random() * value.length)] : value;
+  return renderPhrase(text || '', Object.assign({ deviceName: device && device.name }, vars));
+}
+
+/**
+ * Every entry of a list phrase (thinking, goodbyeWords)
+ * @param {string} key
+ * @param {Object} [options] - As for phrase()
+ * @returns {string[]}
+ */
+function phraseList(key, { language = 'en', device = null, vars = {} } = {}) {
+  const { value } = lookup(key, language, device);
+  const values = Object.assign({ deviceName: device && device.name }, vars);
+  return [].concat(value || []).map(text => renderPhrase(text, values));
+}
+
+/**
+ * What to synthesize ahead of calls for a device: each of its languages'
+ * fixed phrases (not English stand-ins for phrases a language lacks)
+ * @param {Object} [device] - Device config
+ * @param {Object} [vars] - Template values, as the calls will use them
+ * @returns {Array<{language: string, text: string}>}
+ */
+function prerenderTexts(device, vars = {}) {
+  const main = (device && device.language) || 'en';
+  // The main language as configured ("he-IL"): that's what calls start with
+  const languages = [main].concat(resolveLanguages(device).filter(code => !isMainLanguage(code, device)));
+  const texts = [];
+  for (const language of languages) {
+    const code = normalizeLanguage(language) || 'en';
+    for (const key of PRERENDERED_KEYS) {
+      if (lookup(key, language, device).language !== code) continue;
+      for (const text of phraseList(key, { language, device, vars })) {
+        if (text && !texts.some(t => t.language === language && t.text === text)) texts.push({ language, text });
+      }
+    }
+  }
+  return texts;
+}
+
+/**
+ * Validate a device's "phrases" block
+ * @param {*} phrases
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validatePhrases(phrases) {
+  if (!phrases || typeof phrases !== 'object' || Array.isArray(phrases)) {
+    return ['phrases must map language codes to phrases'];
+  }
+  const errors = [];
+  for (const [language, entries] of Object.entries(phrases)) {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push(`phrases.${language} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(entries)) {
+      if (CATALOG.en[key] === undefined) {
+        errors.push(`phrases.${language}.${key} is not a phrase (one of: ${Object.keys(CATALOG.en).join(', ')})`);
+      } else if (LIST_KEYS.includes(key)) {
+        const list = [].concat(value);
+        if (list.length === 0 || !list.every(text => typeof text === 'string' && text)) {
+          errors.push(`phrases.${language}.${key} must be text or a list of text`);
+        }
+      } else if (typeof value !== 'string') {
+        errors.push(`phrases.${language}.${key} must be text`);
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  CATALOG,
+  phrase,
+  phraseList,
+  renderPhrase,
+  prerenderTexts,
+  validatePhrases
+};
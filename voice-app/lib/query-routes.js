@@ -399,7 +399,8 @@ router.get('/devices', (req, res) => {
       name: device.name,
       extension: device.extension,
       hasVoice: !!device.voiceId,
-      hasPrompt: !!device.prompt
+      hasPrompt: !!device.prompt,
+      open: deviceRegistry.getScheduleStatus(device).open
     }));
 
     res.json({
@@ -423,7 +424,8 @@ router.get('/devices', (req, res) => {
 
 /**
  * GET /device/:identifier
- * Get specific device by name or extension
+ * Get specific device by name or extension, with its open/closed state
+ * (schedule.reason: always, hours, holiday or override)
  */
 router.get('/device/:identifier', (req, res) => {
   try {
@@ -439,6 +441,8 @@ router.get('/device/:identifier', (req, res) => {
       });
     }
 
+    const schedule = deviceRegistry.getScheduleStatus(device);
+
     res.json({
       success: true,
       device: {
@@ -446,7 +450,9 @@ router.get('/device/:identifier', (req, res) => {
         extension: device.extension,
         hasVoice: !!device.voiceId,
         hasPrompt: !!device.prompt,
-        voiceId: device.voiceId
+        voiceId: device.voiceId,
+        open: schedule.open,
+        schedule: schedule
       }
     });
 
@@ -0,0 +1,76 @@
+/**
+ * Call Recording API Routes
+ * Download or delete the stereo WAV recording of a call
+ * (left = caller, right = assistant prompts)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const router = express.Router();
+const logger = require('./logger');
+const { RECORDINGS_DIR, getRecordingPath } = require('./call-recorder');
+
+// Dependencies injected via setupRoutes()
+let recordingsDir = RECORDINGS_DIR;
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'not_found',
+    message: 'Recording not found'
+  });
+}
+
+/**
+ * GET /api/call/:callId/recording
+ * Streams the WAV file; add ?download=1 to get it as an attachment
+ */
+router.get('/call/:callId/recording', function(req, res) {
+  var filepath = getRecordingPath(req.params.callId, recordingsDir);
+  if (!filepath || !fs.existsSync(filepath)) return notFound(res);
+
+  res.type('audio/wav');
+  if (req.query.download) {
+    res.attachment(req.params.callId + '.wav');
+  }
+  res.sendFile(filepath, function(err) {
+    if (err && !res.headersSent) {
+      logger.error('Failed to send recording', { callId: req.params.callId, error: err.message });
+      res.status(500).json({ success: false, error: 'internal_error', message: 'Failed to read recording' });
+    }
+  });
+});
+
+/**
+ * DELETE /api/call/:callId/recording
+ */
+router.delete('/call/:callId/recording', async function(req, res) {
+  var filepath = getRecordingPath(req.params.callId, recordingsDir);
+  if (!filepath || !fs.existsSync(filepath)) return notFound(res);
+
+  try {
+    await fs.promises.unlink(filepath);
+    logger.info('Recording deleted', { callId: req.params.callId });
+    res.json({ success: true, callId: req.params.callId });
+  } catch (error) {
+    logger.error('Failed to delete recording', { callId: req.params.callId, error: error.message });
+    res.status(500).json({ success: false, error: 'internal_error', message: 'Failed to delete recording' });
+  }
+});
+
+/**
+ * Setup routes with dependencies
+ *
+ * @param {Object} [deps] - Dependencies
+ * @param {string} [deps.recordingsDir] - Where recordings are stored (RECORDINGS_DIR)
+ */
+function setupRoutes(deps) {
+  if (deps && deps.recordingsDir) recordingsDir = deps.recordingsDir;
+
+  logger.info('Recording routes initialized', { recordingsDir: recordingsDir });
+}
+
+module.exports = {
+  router: router,
+  setupRoutes: setupRoutes
+};
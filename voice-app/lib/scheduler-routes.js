@@ -0,0 +1,274 @@
+/**
+ * Scheduled Call and Campaign API Routes
+ * Queue outbound calls for later, run campaigns over a list of numbers and
+ * read back each call's attempts and outcome (see call-scheduler.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { callScheduler, JOB_STATUSES, CAMPAIGN_STATUSES, validateCallingHours } = require('./call-scheduler');
+const { validateRequest } = require('./outbound-routes');
+
+// Dependencies injected via setupRoutes()
+let scheduler = callScheduler;
+
+const MAX_CONTACTS = 10000;
+
+function badRequest(res, message) {
+  return res.status(400).json({ success: false, error: 'validation_failed', message: message });
+}
+
+function notFound(res, what) {
+  return res.status(404).json({ success: false, error: 'not_found', message: what + ' not found' });
+}
+
+function failed(res, message, error, meta) {
+  if (error.code === 'invalid_state') {
+    return res.status(409).json({ success: false, error: 'invalid_state', message: error.message });
+  }
+  logger.error(message, Object.assign({ error: error.message }, meta));
+  res.status(500).json({ success: false, error: 'internal_error', message: message });
+}
+
+function isDate(value) {
+  return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+// Stored calls keep unset fields as null; validateRequest() wants them left out
+function withoutNulls(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value !== null) result[key] = value;
+  }
+  return result;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Checks shared by scheduled calls and campaigns
+ * @returns {string|null} Error message
+ */
+function validateQueueFields(body) {
+  if (body.callingHours !== undefined && body.callingHours !== null) {
+    const errors = validateCallingHours(body.callingHours);
+    if (errors.length > 0) return errors[0];
+  }
+  if (body.maxAttempts !== undefined && !(isPositiveInteger(body.maxAttempts) && body.maxAttempts <= 10)) {
+    return 'Field "maxAttempts" must be an integer between 1 and 10';
+  }
+  if (body.retryDelaySeconds !== undefined && !(Number.isInteger(body.retryDelaySeconds) && body.retryDelaySeconds >= 0)) {
+    return 'Field "retryDelaySeconds" must be a non-negative integer';
+  }
+  return null;
+}
+
+/**
+ * POST /api/scheduled-calls
+ * Body: the POST /api/outbound-call fields, plus
+ *   - scheduledAt: ISO time to dial (default: now)
+ *   - callingHours: "09:00-20:00" or { timezone, hours, holidays } (default: OUTBOUND_CALLING_HOURS)
+ *   - maxAttempts, retryDelaySeconds: retry busy / no-answer calls
+ */
+router.post('/scheduled-calls', function(req, res) {
+  const validation = validateRequest(req.body);
+  if (!validation.valid) return badRequest(res, validation.error);
+  if (req.body.scheduledAt !== undefined && !isDate(req.body.scheduledAt)) {
+    return badRequest(res, 'Field "scheduledAt" must be an ISO date');
+  }
+  const invalid = validateQueueFields(req.body);
+  if (invalid) return badRequest(res, invalid);
+
+  try {
+    const call = scheduler.scheduleCall(req.body);
+    res.status(201).json(Object.assign({ success: true }, call));
+  } catch (error) {
+    failed(res, 'Failed to schedule call', error);
+  }
+});
+
+/**
+ * GET /api/scheduled-calls?status=&campaign=&limit=
+ * Soonest first
+ */
+router.get('/scheduled-calls', function(req, res) {
+  const { status, campaign } = req.query;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return badRequest(res, 'Field "status" must be one of: ' + JOB_STATUSES.join(', '));
+  }
+  if (limit !== undefined && !(limit > 0)) return badRequest(res, 'Field "limit" must be a positive number');
+
+  const calls = scheduler.listCalls({ status, campaignId: campaign, limit });
+  res.json({ success: true, count: calls.length, calls: calls });
+});
+
+/**
+ * GET /api/scheduled-calls/:id
+ * Includes every attempt (callId, state, reason) and the final outcome
+ */
+router.get('/scheduled-calls/:id', function(req, res) {
+  const call = scheduler.getCall(req.params.id);
+  if (!call) return notFound(res, 'Scheduled call');
+  res.json(Object.assign({ success: true }, call));
+});
+
+/**
+ * PATCH /api/scheduled-calls/:id
+ * Change a call that hasn't been dialed yet; { "status": "cancelled" } cancels it
+ */
+router.patch('/scheduled-calls/:id', function(req, res) {
+  const body = req.body || {};
+  const existing = scheduler.getCall(req.params.id);
+  if (!existing) return notFound(res, 'Scheduled call');
+
+  const validation = validateRequest(Object.assign(withoutNulls(existing), body));
+  if (!validation.valid) return badRequest(res, validation.error);
+  if (body.scheduledAt !== undefined && !isDate(body.scheduledAt)) {
+    return badRequest(res, 'Field "scheduledAt" must be an ISO date');
+  }
+  if (body.status !== undefined && body.status !== 'cancelled') {
+    return badRequest(res, 'Field "status" can only be set to "cancelled"');
+  }
+  const invalid = validateQueueFields(body);
+  if (invalid) return badRequest(res, invalid);
+
+  try {
+    res.json(Object.assign({ success: true }, scheduler.updateCall(req.params.id, body)));
+  } catch (error) {
+    failed(res, 'Failed to update scheduled call', error, { id: req.params.id });
+  }
+});
+
+/**
+ * DELETE /api/scheduled-calls/:id
+ * Delete a call and its history (not while it's in progress)
+ */
+router.delete('/scheduled-calls/:id', function(req, res) {
+  try {
+    if (!scheduler.removeCall(req.params.id)) return notFound(res, 'Scheduled call');
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    failed(res, 'Failed to delete scheduled call', error, { id: req.params.id });
+  }
+});
+
+/**
+ * POST /api/campaigns
+ * Body:
+ *   - name (required)
+ *   - contacts (required): [{ to, name?, message?, context? }]
+ *   - message: what to say (required unless every contact has one)
+ *   - context: shared background for Claude, merged with each contact's
+ *   - mode, device, callerId, timeoutSeconds: as for POST /api/outbound-call
+ *   - startAt, callingHours, maxConcurrent, maxAttempts, retryDelaySeconds, paused
+ */
+router.post('/campaigns', function(req, res) {
+  const body = req.body || {};
+  if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+    return badRequest(res, 'Field "name" must be a non-empty string');
+  }
+  if (!Array.isArray(body.contacts) || body.contacts.length === 0 || body.contacts.length > MAX_CONTACTS) {
+    return badRequest(res, 'Field "contacts" must be a list of 1 to ' + MAX_CONTACTS + ' contacts');
+  }
+  for (let i = 0; i < body.contacts.length; i++) {
+    const contact = body.contacts[i] || {};
+    const validation = validateRequest(Object.assign({}, body, contact, { message: contact.message || body.message }));
+    if (!validation.valid) return badRequest(res, 'contacts[' + i + ']: ' + validation.error);
+  }
+  if (body.startAt !== undefined && !isDate(body.startAt)) return badRequest(res, 'Field "startAt" must be an ISO date');
+  if (body.maxConcurrent !== undefined && !isPositiveInteger(body.maxConcurrent)) {
+    return badRequest(res, 'Field "maxConcurrent" must be a positive integer');
+  }
+  const invalid = validateQueueFields(body);
+  if (invalid) return badRequest(res, invalid);
+
+  try {
+    const campaign = scheduler.createCampaign(body);
+    res.status(201).json(Object.assign({ success: true }, campaign));
+  } catch (error) {
+    failed(res, 'Failed to create campaign', error);
+  }
+});
+
+/**
+ * GET /api/campaigns?status=
+ * Newest first, with a count of calls per status
+ */
+router.get('/campaigns', function(req, res) {
+  if (req.query.status && !CAMPAIGN_STATUSES.includes(req.query.status)) {
+    return badRequest(res, 'Field "status" must be one of: ' + CAMPAIGN_STATUSES.join(', '));
+  }
+  const campaigns = scheduler.listCampaigns({ status: req.query.status });
+  res.json({ success: true, count: campaigns.length, campaigns: campaigns });
+});
+
+/**
+ * GET /api/campaigns/:id
+ * The campaign and its calls (outcome per number)
+ */
+router.get('/campaigns/:id', function(req, res) {
+  const campaign = scheduler.getCampaign(req.params.id);
+  if (!campaign) return notFound(res, 'Campaign');
+  res.json(Object.assign({ success: true }, campaign, { calls: scheduler.listCalls({ campaignId: campaign.id }) }));
+});
+
+/**
+ * PATCH /api/campaigns/:id
+ * Body: { status: "paused" | "active" | "cancelled", name, callingHours, maxConcurrent }
+ */
+router.patch('/campaigns/:id', function(req, res) {
+  const body = req.body || {};
+  if (body.status !== undefined && !['active', 'paused', 'cancelled'].includes(body.status)) {
+    return badRequest(res, 'Field "status" must be one of: active, paused, cancelled');
+  }
+  if (body.name !== undefined && (typeof body.name !== 'string' || body.name.trim().length === 0)) {
+    return badRequest(res, 'Field "name" must be a non-empty string');
+  }
+  if (body.maxConcurrent !== undefined && body.maxConcurrent !== null && !isPositiveInteger(body.maxConcurrent)) {
+    return badRequest(res, 'Field "maxConcurrent" must be a positive integer');
+  }
+  const invalid = validateQueueFields({ callingHours: body.callingHours });
+  if (invalid) return badRequest(res, invalid);
+
+  try {
+    const campaign = scheduler.updateCampaign(req.params.id, body);
+    if (!campaign) return notFound(res, 'Campaign');
+    res.json(Object.assign({ success: true }, campaign));
+  } catch (error) {
+    failed(res, 'Failed to update campaign', error, { id: req.params.id });
+  }
+});
+
+/**
+ * DELETE /api/campaigns/:id
+ * Delete a campaign and its calls (not while any is in progress)
+ */
+router.delete('/campaigns/:id', function(req, res) {
+  try {
+    if (!scheduler.removeCampaign(req.params.id)) return notFound(res, 'Campaign');
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    failed(res, 'Failed to delete campaign', error, { id: req.params.id });
+  }
+});
+
+/**
+ * Setup routes with dependencies
+ *
+ * @param {Object} [deps] - Dependencies
+ * @param {CallScheduler} [deps.scheduler] - Outbound call queue (OUTBOUND_QUEUE_PATH)
+ */
+function setupRoutes(deps) {
+  if (deps && deps.scheduler) scheduler = deps.scheduler;
+
+  logger.info('Scheduler routes initialized', { queuePath: scheduler.queuePath });
+}
+
+module.exports = {
+  router: router,
+  setupRoutes: setupRoutes
+};
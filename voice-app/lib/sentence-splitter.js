@@ -0,0 +1,63 @@
+/**
+ * Sentence Splitter
+ * Turns a stream of LLM text fragments into speakable sentences so each one
+ * can be sent to TTS as soon as it is complete.
+ */
+
+// Sentence end: terminal punctuation (incl. Arabic/CJK) followed by whitespace, or a newline
+const SENTENCE_END = /[.!?;؟。！？]+["'”’)\]]*\s+|\n+/g;
+
+class SentenceSplitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minLength=20] - Shorter sentences are merged with the next one
+   *   so TTS is not called for fragments like "Sure."
+   */
+  constructor({ minLength = 20 } = {}) {
+    this.minLength = minLength;
+    this._buffer = '';
+    this._pending = '';
+  }
+
+  /**
+   * Add a text fragment
+   * @param {string} text
+   * @returns {string[]} Sentences completed by this fragment
+   */
+  push(text) {
+    this._buffer += text;
+    const sentences = [];
+
+    let lastEnd = 0;
+    let match;
+    SENTENCE_END.lastIndex = 0;
+    while ((match = SENTENCE_END.exec(this._buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const sentence = (this._pending + this._buffer.slice(lastEnd, end)).trim();
+      lastEnd = end;
+
+      if (sentence.length < this.minLength) {
+        this._pending = sentence ? sentence + ' ' : '';
+        continue;
+      }
+      this._pending = '';
+      sentences.push(sentence);
+    }
+
+    this._buffer = this._buffer.slice(lastEnd);
+    return sentences;
+  }
+
+  /**
+   * Return whatever text is left once the stream has ended
+   * @returns {string}
+   */
+  flush() {
+    const rest = (this._pending + this._buffer).trim();
+    this._buffer = '';
+    this._pending = '';
+    return rest;
+  }
+}
+
+module.exports = { SentenceSplitter };
@@ -1,40 +1,35 @@
 /**
  * SIP Call Handler with Conversation Loop
  * v12: Device registry integration with proper method names
+ * v13: Runs the shared conversation loop (barge-in support)
+ * v14: Returning caller profiles (prompt context, preferred language, call summary)
+ * v15: Webhook events (call.started, call.answered, call.ended)
+ * v16: Per-device DTMF IVR menu before the AI conversation
+ * v17: Blind / attended transfer to a human (AI marker, IVR, API)
+ * v18: Voicemail when the AI backend is down
+ * v19: Business hours: voicemail, after-hours AI or forwarding while closed
+ * v20: Live call events (/api/live)
+ * v21: Supervisor controls (say, pause-ai, resume-ai)
+ * v22: Greeting and prompts from the phrase catalog (phrases.js)
  */
 
-const { setTimeout: sleep } = require('node:timers/promises');
-
-// Audio cue URLs
-const READY_BEEP_URL = 'http://127.0.0.1:3000/static/ready-beep.wav';
-const GOTIT_BEEP_URL = 'http://127.0.0.1:3000/static/gotit-beep.wav';
-const HOLD_MUSIC_URL = 'http://127.0.0.1:3000/static/hold-music.wav';
+const { runConversationLoop, HOLD_MUSIC_URL } = require('./conversation-loop');
+const { buildProfilePrompt, summarizeCall } = require('./caller-profiles');
+const { startTranscript, finishTranscript } = require('./call-transcript');
+const { webhooks } = require('./webhook-dispatcher');
+const { runIvrMenu } = require('./ivr-menu');
+const { createTransferHandler } = require('./call-transfer');
+const { CallSupervision } = require('./call-supervisor');
+const { resolveVoicemailConfig, takeVoicemail } = require('./voicemail');
+const { resolveClosedAction } = require('./business-hours');
+const { liveEvents } = require('./live-events');
+const { phrase, prerenderTexts } = require('./phrases');
 
 // Default voice ID (Morpheus)
 const DEFAULT_VOICE_ID = 'JAgnJveGGUh4qy4kh6dF';
 
-// Claude Code-style thinking phrases
-const THINKING_PHRASES = [
-  "Pondering...",
-  "Elucidating...",
-  "Cogitating...",
-  "Ruminating...",
-  "Contemplating...",
-  "Consulting the oracle...",
-  "Summoning knowledge...",
-  "Engaging neural pathways...",
-  "Accessing the mainframe...",
-  "Querying the void...",
-  "Let me think about that...",
-  "Processing...",
-  "Hmm, interesting question...",
-  "One moment...",
-  "Searching my brain...",
-];
-
-function getRandomThinkingPhrase() {
-  return THINKING_PHRASES[Math.floor(Math.random() * THINKING_PHRASES.length)];
-}
+// How long the AI backend health check may delay answering
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
 
 function extractCallerId(req) {
   var from = req.get("From") || "";
@@ -57,224 +52,319 @@ function extractDialedExtension(req) {
   return null;
 }
 
-function isGoodbye(transcript) {
-  const lower = transcript.toLowerCase().trim();
-  const goodbyePhrases = ['goodbye', 'good bye', 'bye', 'hang up', 'end call', "that's all", 'thats all'];
-  return goodbyePhrases.some(function(phrase) {
-    return lower === phrase || lower.includes(' ' + phrase) ||
-           lower.startsWith(phrase + ' ') || lower.endsWith(' ' + phrase);
-  });
+/**
+ * Template values for the greeting phrase; the default device introduces
+ * itself as "your server"
+ */
+function greetingVars(deviceConfig, profile) {
+  return {
+    callerName: profile && profile.name,
+    deviceName: deviceConfig && deviceConfig.name !== 'Morpheus' ? deviceConfig.name : null
+  };
 }
 
 /**
- * Extract voice-friendly line from Claude's response
- * Priority: VOICE_RESPONSE > CUSTOM COMPLETED > COMPLETED > first sentence
+ * Synthesize the devices' fixed phrases (see phrases.js) with the voices
+ * their calls use, so callers don't wait on TTS for them
+ * @param {Object} ttsService
+ * @param {Object[]} devices - Device configs
+ * @returns {Promise<number>} Phrases ready
  */
-function extractVoiceLine(response) {
-  // Priority 1: VOICE_RESPONSE (new format)
-  var voiceMatch = response.match(/🗣️\s*VOICE_RESPONSE:\s*([^\n]+)/im);
-  if (voiceMatch) {
-    var text = voiceMatch[1].trim().replace(/\*+/g, '').replace(/\[.*?\]/g, '').trim();
-    if (text && text.split(/\s+/).length <= 60) {
-      return text;
-    }
-  }
-
-  // Priority 2: CUSTOM COMPLETED
-  var customMatch = response.match(/🗣️\s*CUSTOM\s+COMPLETED:\s*(.+?)(?:\n|$)/im);
-  if (customMatch) {
-    text = customMatch[1].trim().replace(/\*+/g, '').replace(/\[.*?\]/g, '').trim();
-    if (text && text.split(/\s+/).length <= 50) {
-      return text;
+async function prerenderPhrases(ttsService, devices) {
+  let ready = 0;
+  for (const device of devices) {
+    const voiceId = device.voiceId || DEFAULT_VOICE_ID;
+    for (const item of prerenderTexts(device, greetingVars(device, null))) {
+      try {
+        if (await ttsService.prerender(item.text, voiceId, item.language, device.referenceAudio || null, device.tts || null)) {
+          ready++;
+        }
+      } catch (error) {
+        console.warn('[' + new Date().toISOString() + '] PHRASES Pre-render failed for ' + device.name + ': ' + error.message);
+      }
     }
   }
-
-  // Priority 3: COMPLETED
-  var completedMatch = response.match(/🎯\s*COMPLETED:\s*(.+?)(?:\n|$)/im);
-  if (completedMatch) {
-    return completedMatch[1].trim().replace(/\*+/g, '').replace(/\[.*?\]/g, '').trim();
-  }
-
-  // Priority 4: First sentence
-  var firstSentence = response.split(/[.!?]/)[0];
-  if (firstSentence && firstSentence.length < 500) {
-    return firstSentence.trim();
-  }
-
-  return response.substring(0, 500).trim();
+  return ready;
 }
 
 /**
- * Main conversation loop
- * @param {Object} deviceConfig - Device configuration (name, prompt, voiceId, etc.) or null for default
+ * Transfer function for this call (see call-transfer.createTransferHandler)
  */
-async function conversationLoop(endpoint, dialog, callUuid, options, deviceConfig) {
-  const { ttsService, whisperClient, claudeBridge, wsPort, audioForkServer } = options;
-
-  let session = null;
-  let forkRunning = false;
+function buildTransferHandler(endpoint, dialog, callUuid, options, deviceConfig, callerNumber) {
+  return createTransferHandler({
+    srf: options.srf,
+    mediaServer: options.mediaServer,
+    endpoint: endpoint,
+    dialog: dialog,
+    deviceConfig: deviceConfig,
+    ttsService: options.ttsService,
+    claudeBridge: options.claudeBridge,
+    callUuid: callUuid,
+    callerNumber: callerNumber,
+    holdMusicUrl: HOLD_MUSIC_URL
+  });
+}
 
-  // Get device-specific settings
-  const deviceName = deviceConfig ? deviceConfig.name : 'Morpheus';
-  const devicePrompt = deviceConfig ? deviceConfig.prompt : null;
-  const voiceId = (deviceConfig && deviceConfig.voiceId) ? deviceConfig.voiceId : DEFAULT_VOICE_ID;
-  const language = (deviceConfig && deviceConfig.language) ? deviceConfig.language : 'en';
-  const thinkingPhrase = (deviceConfig && deviceConfig.thinkingPhrase) ? deviceConfig.thinkingPhrase : null;
-  const greeting = (deviceConfig && deviceConfig.greeting)
-    ? deviceConfig.greeting
-    : deviceConfig && deviceConfig.name !== 'Morpheus'
-      ? "Hello! I'm " + deviceConfig.name + ". How can I help you today?"
-      : "Hello! I'm your server. How can I help you today?";
+/**
+ * Run the device's IVR menu
+ * @returns {Promise<{converse: boolean, deviceConfig: Object|null}>} Whether the
+ *   AI conversation should follow, and the device the caller picked (if any)
+ */
+async function routeThroughIvr(endpoint, dialog, callUuid, options, deviceConfig, profile, transcript) {
+  const { ttsService, deviceRegistry } = options;
+  const voiceId = deviceConfig.voiceId || DEFAULT_VOICE_ID;
+  const language = (profile && profile.language) || deviceConfig.language || 'en';
 
   try {
-    console.log('[' + new Date().toISOString() + '] CONVERSATION Starting (session: ' + callUuid + ', device: ' + deviceName + ', voice: ' + voiceId + ', lang: ' + language + ')...');
-
-    // Play device-specific greeting with device voice
-    const greetingUrl = await ttsService.generateSpeech(greeting, voiceId, language);
-    await endpoint.play(greetingUrl);
-
-    // Start fork for entire call
-    const wsUrl = 'ws://127.0.0.1:' + wsPort + '/' + encodeURIComponent(callUuid);
-    const sessionPromise = audioForkServer.expectSession(callUuid, { timeoutMs: 10000 });
-
-    await endpoint.forkAudioStart({
-      wsUrl: wsUrl,
-      mixType: 'mono',
-      sampling: '16k'
+    const route = await runIvrMenu(endpoint, dialog, callUuid, {
+      menu: deviceConfig.ivr,
+      ttsService: ttsService,
+      deviceRegistry: deviceRegistry,
+      voiceId: voiceId,
+      language: language,
+      deviceConfig: deviceConfig,
+      referenceAudio: deviceConfig.referenceAudio || null,
+      tts: deviceConfig.tts || null,
+      transcript: transcript
     });
-    forkRunning = true;
-
-    session = await sessionPromise;
-    console.log('[' + new Date().toISOString() + '] AUDIO Fork connected');
-
-    // Main conversation loop
-    let turnCount = 0;
-    const MAX_TURNS = 20;
 
-    while (turnCount < MAX_TURNS) {
-      turnCount++;
-      console.log('[' + new Date().toISOString() + '] CONVERSATION Turn ' + turnCount + '/' + MAX_TURNS);
+    if (route.action === 'hangup') {
+      return { converse: false, deviceConfig: null };
+    }
 
-      // READY BEEP
+    if (route.action === 'transfer') {
       try {
-        await endpoint.play(READY_BEEP_URL);
-      } catch (e) {
-        console.log('[' + new Date().toISOString() + '] BEEP: Ready beep failed, continuing');
+        const transfer = buildTransferHandler(endpoint, dialog, callUuid, options, deviceConfig, null);
+        const mode = await transfer({ target: route.target });
+        console.log('[' + new Date().toISOString() + '] IVR Transferred to ' + route.target + ' (' + mode + ')');
+        return { converse: false, deviceConfig: null };
+      } catch (error) {
+        console.error('[' + new Date().toISOString() + '] IVR Transfer failed:', error.message);
+        const sorry = phrase('ivrTransferFailed', { language: language, device: deviceConfig });
+        await endpoint.play(await ttsService.generateSpeech(sorry, voiceId, language, null, deviceConfig.tts));
+        return { converse: true, deviceConfig: null };
       }
+    }
 
-      session.setCaptureEnabled(true);
-      console.log('[' + new Date().toISOString() + '] LISTEN Waiting for speech...');
+    if (route.device) {
+      console.log('[' + new Date().toISOString() + '] IVR Routed to device ' + route.device.name);
+    }
+    return { converse: true, deviceConfig: route.device || null };
 
-      let utterance = null;
-      try {
-        utterance = await session.waitForUtterance({ timeoutMs: 30000 });
-        console.log('[' + new Date().toISOString() + '] LISTEN Got: ' + utterance.audio.length + ' bytes');
-      } catch (err) {
-        console.log('[' + new Date().toISOString() + '] LISTEN Timeout: ' + err.message);
-      }
+  } catch (error) {
+    console.error('[' + new Date().toISOString() + '] IVR Error:', error.message);
+    return { converse: true, deviceConfig: null };
+  }
+}
 
-      session.setCaptureEnabled(false);
+/**
+ * Handle a call while the device is closed (see business-hours.js)
+ * @returns {Promise<{converse: boolean, voicemail: boolean, deviceConfig: Object|null}>}
+ *   Whether the AI conversation should follow, whether to take a message instead,
+ *   and the device config to talk with (after-hours greeting and prompt)
+ */
+async function routeWhenClosed(endpoint, dialog, callUuid, options, deviceConfig, schedule, callerNumber, transcript) {
+  const { ttsService } = options;
+  const closed = resolveClosedAction(deviceConfig.schedule);
+  const voiceId = deviceConfig.voiceId || DEFAULT_VOICE_ID;
+  const language = deviceConfig.language || 'en';
 
-      if (!utterance) {
-        const promptUrl = await ttsService.generateSpeech("I didn't hear anything. Are you still there?", voiceId, language);
-        await endpoint.play(promptUrl);
-        continue;
-      }
+  console.log('[' + new Date().toISOString() + '] HOURS ' + deviceConfig.name + ' is closed (' +
+    (schedule.name || schedule.reason) + '), action: ' + closed.action);
+  transcript.addEvent('closed', { reason: schedule.reason, name: schedule.name, action: closed.action });
 
-      // GOT-IT BEEP
-      try {
-        await endpoint.play(GOTIT_BEEP_URL);
-      } catch (e) {
-        console.log('[' + new Date().toISOString() + '] BEEP: Got-it beep failed, continuing');
+  if (closed.action === 'forward') {
+    try {
+      if (closed.message) {
+        await endpoint.play(await ttsService.generateSpeech(closed.message, voiceId, language, null, deviceConfig.tts));
       }
+      const transfer = buildTransferHandler(endpoint, dialog, callUuid, options, deviceConfig, callerNumber);
+      await transfer({ target: closed.target, mode: 'blind' });
+      console.log('[' + new Date().toISOString() + '] HOURS Forwarded to ' + closed.target);
+      return { converse: false, voicemail: false, deviceConfig: null };
+    } catch (error) {
+      // Nobody to forward to: take a message if we can, else let the AI answer
+      console.error('[' + new Date().toISOString() + '] HOURS Forward failed:', error.message);
+    }
+  }
 
-      // Transcribe
-      const transcript = await whisperClient.transcribe(utterance.audio, {
-        format: 'pcm',
-        sampleRate: 16000,
-        language: language
-      });
+  if (closed.action !== 'conversation' && resolveVoicemailConfig(deviceConfig).enabled) {
+    return { converse: false, voicemail: true, deviceConfig: null };
+  }
 
-      console.log('[' + new Date().toISOString() + '] WHISPER: "' + transcript + '"');
+  const afterHours = Object.assign({}, deviceConfig);
+  if (closed.greeting) afterHours.greeting = closed.greeting;
+  if (closed.prompt) afterHours.prompt = [deviceConfig.prompt, closed.prompt].filter(Boolean).join('\n\n');
+  return { converse: true, voicemail: false, deviceConfig: afterHours };
+}
 
-      if (!transcript || transcript.trim().length < 2) {
-        const clarifyUrl = await ttsService.generateSpeech("Sorry, I didn't catch that. Could you repeat?", voiceId, language);
-        await endpoint.play(clarifyUrl);
-        continue;
-      }
+/**
+ * Main conversation loop
+ * Runs the shared conversation loop with device-specific greeting and voice
+ * @param {Object} deviceConfig - Device configuration (name, prompt, voiceId, etc.) or null for default
+ * @param {string} callerId - Caller number from the From header ("unknown" if absent)
+ * @param {CallTranscript} transcript - Transcript for this call (saved when the call ends)
+ * @param {Object} [schedule] - Device open/closed state (DeviceRegistry.getScheduleStatus)
+ */
+async function conversationLoop(endpoint, dialog, callUuid, options, deviceConfig, callerId, transcript, schedule) {
+  const { ttsService, whisperClient, claudeBridge, wsPort, audioForkServer, callerProfiles } = options;
+  const callerNumber = callerId !== 'unknown' ? callerId : null;
+
+  // Returning caller? (profile keyed by caller ID)
+  const profile = (callerProfiles && callerNumber) ? callerProfiles.get(callerNumber) : null;
+  const profilePrompt = buildProfilePrompt(profile);
+  if (profile) {
+    console.log('[' + new Date().toISOString() + '] CALLER Known caller ' + profile.number + (profile.name ? ' (' + profile.name + ')' : ''));
+  }
 
-      if (isGoodbye(transcript)) {
-        const byeUrl = await ttsService.generateSpeech("Goodbye! Call again anytime.", voiceId, language);
-        await endpoint.play(byeUrl);
-        break;
-      }
+  // Closed: take a message, forward or talk after hours. Otherwise the IVR
+  // menu first, if the device has one: the caller may pick another device,
+  // be transferred or hang up without reaching the AI
+  let converse = true;
+  let voicemailReason = null;
+  let liveState = 'ANSWERED';
+  const setLiveState = (state, reason) => {
+    liveEvents.publish('call.state', { callId: callUuid, state: state, previous: liveState, reason: reason || null });
+    liveState = state;
+  };
+  if (deviceConfig && schedule && !schedule.open) {
+    setLiveState('CLOSED', schedule.reason);
+    const route = await routeWhenClosed(endpoint, dialog, callUuid, options, deviceConfig, schedule, callerNumber, transcript);
+    converse = route.converse;
+    if (route.voicemail) voicemailReason = 'closed';
+    if (route.deviceConfig) deviceConfig = route.deviceConfig;
+  } else if (deviceConfig && deviceConfig.ivr) {
+    setLiveState('IVR');
+    const route = await routeThroughIvr(endpoint, dialog, callUuid, options, deviceConfig, profile, transcript);
+    converse = route.converse;
+    if (route.deviceConfig) {
+      deviceConfig = route.deviceConfig;
+      transcript.device = deviceConfig.name;
+    }
+  }
 
-      // THINKING FEEDBACK
-      const phrase = thinkingPhrase || getRandomThinkingPhrase();
-      console.log('[' + new Date().toISOString() + '] THINKING: "' + phrase + '"');
-      const thinkingUrl = await ttsService.generateSpeech(phrase, voiceId, language);
-      await endpoint.play(thinkingUrl);
+  // Get device-specific settings
+  const deviceName = deviceConfig ? deviceConfig.name : 'Morpheus';
+  const voiceId = (deviceConfig && deviceConfig.voiceId) ? deviceConfig.voiceId : DEFAULT_VOICE_ID;
+  const language = (profile && profile.language) || ((deviceConfig && deviceConfig.language) ? deviceConfig.language : 'en');
+  const greeting = phrase('greeting', { language: language, device: deviceConfig, vars: greetingVars(deviceConfig, profile) });
+  const devicePrompt = [deviceConfig && deviceConfig.prompt, profilePrompt].filter(Boolean).join('\n\n') || null;
+  let stats = null;
+  let voicemail = null;
+
+  // No AI to talk to? Let the caller leave a message instead
+  const voicemailConfig = resolveVoicemailConfig(deviceConfig);
+  if (converse && voicemailConfig.enabled && !(await claudeBridge.isAvailable(HEALTH_CHECK_TIMEOUT_MS))) {
+    console.log('[' + new Date().toISOString() + '] VOICEMAIL AI backend unavailable, taking a message');
+    voicemailReason = 'unavailable';
+    converse = false;
+  }
 
-      // Hold music in background
-      let musicPlaying = false;
-      endpoint.play(HOLD_MUSIC_URL).catch(function(e) {
-        console.log('[' + new Date().toISOString() + '] MUSIC: Hold music failed, continuing');
+  try {
+    if (converse) {
+      console.log('[' + new Date().toISOString() + '] CONVERSATION Starting (session: ' + callUuid + ', device: ' + deviceName + ', voice: ' + voiceId + ', lang: ' + language + ')...');
+
+      const loopDeviceConfig = Object.assign({}, deviceConfig, { voiceId: voiceId, language: language, prompt: devicePrompt });
+      setLiveState('CONVERSING');
+      stats = await runConversationLoop(endpoint, dialog, callUuid, {
+        audioForkServer: audioForkServer,
+        whisperClient: whisperClient,
+        claudeBridge: claudeBridge,
+        ttsService: ttsService,
+        wsPort: wsPort,
+        deviceConfig: loopDeviceConfig,
+        greeting: greeting,
+        callerNumber: callerNumber,
+        transcript: transcript,
+        transferHandler: buildTransferHandler(endpoint, dialog, callUuid, options, loopDeviceConfig, callerNumber),
+        supervision: new CallSupervision({
+          callUuid: callUuid,
+          endpoint: endpoint,
+          dialog: dialog,
+          srf: options.srf,
+          mediaServer: options.mediaServer,
+          deviceConfig: loopDeviceConfig
+        }),
+        voicemailFallback: voicemailConfig.enabled,
+        maxTurns: 20
       });
-      musicPlaying = true;
-
-      // Query Claude with device-specific prompt
-      console.log('[' + new Date().toISOString() + '] CLAUDE Querying (device: ' + deviceName + ')...');
-      const claudeResponse = await claudeBridge.query(
-        transcript,
-        { callId: callUuid, devicePrompt: devicePrompt }
-      );
-
-      // Stop hold music
-      if (musicPlaying) {
-        try {
-          await endpoint.api('uuid_break', endpoint.uuid);
-        } catch (e) {}
+      if (stats.backendUnavailable) {
+        console.log('[' + new Date().toISOString() + '] VOICEMAIL AI backend stopped answering, taking a message');
+        voicemailReason = 'unavailable';
       }
 
-      console.log('[' + new Date().toISOString() + '] CLAUDE Response received');
-
-      // Extract and play voice line with device voice
-      const voiceLine = extractVoiceLine(claudeResponse);
-      console.log('[' + new Date().toISOString() + '] VOICE: "' + voiceLine + '"');
-
-      const responseUrl = await ttsService.generateSpeech(voiceLine, voiceId, language);
-      await endpoint.play(responseUrl);
-
-      console.log('[' + new Date().toISOString() + '] CONVERSATION Turn ' + turnCount + ' complete');
+      console.log('[' + new Date().toISOString() + '] CONVERSATION Ended (turns: ' + stats.turns + ', barge-ins: ' + stats.bargeIns +
+        (stats.transfer ? ', transferred to ' + stats.transfer.target : '') + ')');
     }
 
-    if (turnCount >= MAX_TURNS) {
-      const maxUrl = await ttsService.generateSpeech("We've been talking for a while. Goodbye!", voiceId, language);
-      await endpoint.play(maxUrl);
+    if (voicemailReason) {
+      setLiveState('VOICEMAIL', voicemailReason);
+      voicemail = await takeVoicemail(endpoint, dialog, callUuid, {
+        reason: voicemailReason,
+        audioForkServer: audioForkServer,
+        whisperClient: whisperClient,
+        ttsService: ttsService,
+        wsPort: wsPort,
+        deviceConfig: deviceConfig,
+        callerNumber: callerNumber,
+        voiceId: voiceId,
+        language: language,
+        transcript: transcript
+      });
+      console.log('[' + new Date().toISOString() + '] VOICEMAIL ' + (voicemail ? 'Saved ' + voicemail.id : 'No message left'));
     }
 
   } catch (error) {
     console.error('[' + new Date().toISOString() + '] CONVERSATION Error:', error.message);
-    try {
-      if (session) session.setCaptureEnabled(false);
-      const errUrl = await ttsService.generateSpeech("Sorry, something went wrong.", voiceId);
-      await endpoint.play(errUrl);
-    } catch (e) {}
   } finally {
-    console.log('[' + new Date().toISOString() + '] CONVERSATION Cleanup...');
+    try { dialog.destroy(); } catch (e) {}
+    await finishTranscript(transcript);
+    liveEvents.publish('call.ended', {
+      callId: callUuid,
+      state: 'COMPLETED',
+      reason: (stats && stats.transfer) ? 'transferred' : voicemail ? 'voicemail' : 'hangup',
+      durationSeconds: Math.round((transcript.endedAt - transcript.startedAt) / 1000)
+    });
+  }
 
+  // Remember the call for next time and report it (after hangup so the caller never waits on it)
+  const exchanges = stats ? stats.exchanges : [];
+  const rememberCaller = Boolean(callerProfiles && callerNumber);
+  const reportCall = webhooks.hasSubscribers('call.ended', deviceConfig);
+  let summary = null;
+  if (rememberCaller || (reportCall && exchanges.length > 0)) {
     try {
-      await claudeBridge.endSession(callUuid);
-    } catch (e) {}
-
-    if (forkRunning) {
-      try {
-        await endpoint.forkAudioStop();
-      } catch (e) {}
+      summary = await summarizeCall(exchanges, claudeBridge, callUuid);
+    } catch (error) {
+      console.error('[' + new Date().toISOString() + '] CALLER Call summary failed:', error.message);
     }
+  }
+  if (!summary && voicemail && voicemail.transcript) {
+    summary = ('Left a voicemail: ' + voicemail.transcript).substring(0, 500);
+  }
 
-    try { dialog.destroy(); } catch (e) {}
+  if (rememberCaller) {
+    try {
+      callerProfiles.recordCall(callerNumber, { summary: summary });
+      console.log('[' + new Date().toISOString() + '] CALLER Profile updated for ' + callerNumber);
+    } catch (error) {
+      console.error('[' + new Date().toISOString() + '] CALLER Profile update failed:', error.message);
+    }
   }
+
+  webhooks.dispatch('call.ended', {
+    callId: callUuid,
+    direction: 'inbound',
+    from: transcript.from,
+    to: transcript.to,
+    device: transcript.device,
+    durationSeconds: Math.round((transcript.endedAt - transcript.startedAt) / 1000),
+    turns: exchanges.length,
+    transfer: (stats && stats.transfer) || null,
+    voicemail: voicemail ? { id: voicemail.id, transcript: voicemail.transcript } : null,
+    summary: summary,
+    transcript: transcript.toJSON()
+  }, { device: deviceConfig });
 }
 
 /**
@@ -332,8 +422,22 @@ async function handleInvite(req, res, options) {
     }
   }
 
+  // Business hours decide how the call is handled (see conversationLoop)
+  const schedule = (deviceRegistry && deviceConfig) ? deviceRegistry.getScheduleStatus(deviceConfig) : null;
+
   console.log('[' + new Date().toISOString() + '] CALL Incoming from: ' + callerId + ' to ext: ' + (dialedExt || 'unknown'));
 
+  // The media UUID (callId) is only known once answered; sipCallId ties the events together
+  const sipCallId = req.get('Call-ID') || null;
+  const callInfo = {
+    direction: 'inbound',
+    from: callerId !== 'unknown' ? callerId : null,
+    to: dialedExt,
+    device: deviceConfig ? deviceConfig.name : null,
+    sipCallId: sipCallId
+  };
+  webhooks.dispatch('call.started', Object.assign({ callId: null }, callInfo), { device: deviceConfig });
+
   try {
     // Strip video from SDP to avoid FreeSWITCH 488 error with unsupported video codecs
     const originalSdp = req.body;
@@ -353,7 +457,21 @@ async function handleInvite(req, res, options) {
       if (endpoint) endpoint.destroy().catch(function() {});
     });
 
-    await conversationLoop(endpoint, dialog, callUuid, options, deviceConfig);
+    webhooks.dispatch('call.answered', Object.assign({ callId: callUuid }, callInfo), { device: deviceConfig });
+    liveEvents.publish('call.started', Object.assign({ callId: callUuid, state: 'ANSWERED' }, callInfo));
+
+    const transcript = startTranscript({
+      callId: callUuid,
+      direction: 'inbound',
+      from: callInfo.from,
+      to: dialedExt,
+      device: callInfo.device
+    });
+
+    // Run the call as callUuid so its live events (TTS, ...) are attributed to it
+    await liveEvents.runWithCall(callUuid, function() {
+      return conversationLoop(endpoint, dialog, callUuid, options, deviceConfig, callerId, transcript, schedule);
+    });
     return { endpoint: endpoint, dialog: dialog, callerId: callerId, callUuid: callUuid };
 
   } catch (error) {
@@ -366,5 +484,6 @@ async function handleInvite(req, res, options) {
 module.exports = {
   handleInvite: handleInvite,
   extractCallerId: extractCallerId,
-  extractDialedExtension: extractDialedExtension
+  extractDialedExtension: extractDialedExtension,
+  prerenderPhrases: prerenderPhrases
 };
@@ -0,0 +1,187 @@
+/**
+ * Minimal SMTP Client
+ * Sends plain-text mail (with optional attachments) through an SMTP relay
+ * on the local network — e.g. Postfix, or a Mailpit/MailHog container in
+ * development. No TLS or authentication: point it at a relay that accepts
+ * mail from this host.
+ */
+
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Read SMTP replies from a socket one at a time (multi-line replies are joined)
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      lines.push(line);
+      // "250-..." continues, "250 ..." ends the reply
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') };
+        lines = [];
+        if (waiters.length > 0) waiters.shift()(reply);
+        else replies.push(reply);
+      }
+    }
+  });
+
+  return () => new Promise((resolve) => {
+    if (replies.length > 0) resolve(replies.shift());
+    else waiters.push(resolve);
+  });
+}
+
+/**
+ * Lines starting with "." are doubled so they don't end the message
+ */
+function dotStuff(text) {
+  return text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+/**
+ * Printable ASCII as is; anything else (non-ASCII, or CR/LF that would start
+ * another header) as an RFC 2047 encoded word
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Lines(buffer) {
+  return buffer.toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build the RFC 5322 message
+ */
+function buildMessage({ from, to, subject, text, attachments = [] }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0'
+  ];
+  const body = base64Lines(Buffer.from(text || ''));
+
+  if (attachments.length === 0) {
+    return [
+      ...headers,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body
+    ].join('\r\n');
+  }
+
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ];
+  for (const attachment of attachments) {
+    parts.push(
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${attachment.filename}"`,
+      `Content-Disposition: attachment; filename="${attachment.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(attachment.content)
+    );
+  }
+  parts.push(`--${boundary}--`, '');
+
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    ...parts
+  ].join('\r\n');
+}
+
+/**
+ * Send an email
+ *
+ * @param {Object} mail
+ * @param {string} mail.host - SMTP relay host
+ * @param {number} [mail.port=25]
+ * @param {string} mail.from - Envelope and header sender
+ * @param {string|string[]} mail.to - Recipients
+ * @param {string} mail.subject
+ * @param {string} mail.text - Plain-text body
+ * @param {Array<{filename: string, content: Buffer, contentType?: string}>} [mail.attachments]
+ * @param {number} [mail.timeoutMs=15000]
+ * @returns {Promise<void>}
+ */
+function sendMail(mail) {
+  const { host, port = 25, from, subject, text, attachments, timeoutMs = DEFAULT_TIMEOUT_MS } = mail;
+  const to = (Array.isArray(mail.to) ? mail.to : String(mail.to || '').split(','))
+    .map(s => s.trim()).filter(Boolean);
+  if (!host) return Promise.reject(new Error('SMTP host is required'));
+  if (!from || to.length === 0) return Promise.reject(new Error('Sender and at least one recipient are required'));
+
+  const address = (value) => `<${value.replace(/^.*<([^>]+)>.*$/, '$1')}>`;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const nextReply = createReplyReader(socket);
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) reject(error);
+      else resolve();
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error('SMTP timeout')));
+    socket.on('error', finish);
+    socket.on('close', () => finish(new Error('SMTP connection closed')));
+
+    // Send a command and check the reply code
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(line + '\r\n');
+      const reply = await nextReply();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.text}`);
+      }
+      return reply;
+    };
+
+    (async () => {
+      await command(null, [220]);
+      await command(`EHLO ${os.hostname()}`, [250]);
+      await command(`MAIL FROM:${address(from)}`, [250]);
+      for (const recipient of to) {
+        await command(`RCPT TO:${address(recipient)}`, [250, 251]);
+      }
+      await command('DATA', [354]);
+      socket.write(dotStuff(buildMessage({ from, to, subject, text, attachments: attachments || [] })) + '\r\n');
+      await command('.', [250]);
+      socket.write('QUIT\r\n');
+      finish();
+    })().catch(finish);
+  });
+}
+
+module.exports = {
+  sendMail,
+  buildMessage
+};
@@ -0,0 +1,316 @@
+/**
+ * Streaming Speech-to-Text
+ * Feeds caller audio from the audio fork to a streaming recognizer while the
+ * caller is still talking, instead of transcribing a WAV of the whole
+ * utterance afterwards. Partial hypotheses go to the live call feed
+ * (caller.partial) and the recognizer's end-of-speech result ends the turn
+ * without waiting out the VAD's silence timeout.
+ *
+ *   STREAMING_STT=vosk       Vosk server over WebSocket (VOSK_URL, default
+ *                            ws://127.0.0.1:2700), offline on the CPU
+ *   STREAMING_STT=deepgram   Deepgram live API (DEEPGRAM_API_KEY, DEEPGRAM_MODEL)
+ *
+ * A device's "stt" block can set "streaming" to false, true (STREAMING_STT,
+ * or vosk) or a backend name. When streaming fails the turn falls back to
+ * batch transcription (whisper-client.js).
+ */
+
+const { EventEmitter } = require('events');
+const { URLSearchParams } = require('url');
+const WebSocket = require('ws');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { liveEvents } = require('./live-events');
+const { tracer } = require('./tracing');
+
+// How long to wait for the final result once the VAD ended the utterance
+const FINAL_TIMEOUT_MS = 3000;
+
+// Each backend: url, headers, start (after connect), parse (message → result
+// or null), finish (ask for the last result). Results: { text, final, endOfSpeech }
+const BACKENDS = {
+  vosk: {
+    isConfigured: () => true,
+    url: () => process.env.VOSK_URL || 'ws://127.0.0.1:2700',
+    headers: () => ({}),
+    start: (ws, options) => ws.send(JSON.stringify({ config: { sample_rate: options.sampleRate } })),
+    parse: (msg) => {
+      if (typeof msg.partial === 'string') return { text: msg.partial, final: false, endOfSpeech: false };
+      if (typeof msg.text === 'string') return { text: msg.text, final: true, endOfSpeech: true };
+      return null;
+    },
+    finish: (ws) => ws.send(JSON.stringify({ eof: 1 }))
+  },
+  deepgram: {
+    isConfigured: () => Boolean(process.env.DEEPGRAM_API_KEY),
+    url: (options) => 'wss://api.deepgram.com/v1/listen?' + new URLSearchParams({
+      encoding: 'linear16',
+      sample_rate: String(options.sampleRate),
+      channels: '1',
+      language: options.language,
+      model: process.env.DEEPGRAM_MODEL || 'nova-2',
+      interim_results: 'true',
+      punctuate: 'true',
+      endpointing: '300'
+    }).toString(),
+    headers: () => ({ Authorization: 'Token ' + process.env.DEEPGRAM_API_KEY }),
+    start: () => {},
+    parse: (msg) => {
+      if (msg.type !== 'Results' || !msg.channel) return null;
+      const alternative = (msg.channel.alternatives || [])[0];
+      return {
+        text: (alternative && alternative.transcript) || '',
+        final: Boolean(msg.is_final),
+        endOfSpeech: Boolean(msg.speech_final)
+      };
+    },
+    finish: (ws) => ws.send(JSON.stringify({ type: 'CloseStream' }))
+  }
+};
+
+/**
+ * One utterance's recognition over a backend's WebSocket
+ *
+ * Events: 'partial' (text so far, including the unfinished part),
+ * 'final' ({text, endOfSpeech} for each finished segment), 'error'
+ */
+class StreamingRecognizer extends EventEmitter {
+  /**
+   * @param {string} backendName - Key of BACKENDS
+   * @param {Object} options - language, sampleRate
+   */
+  constructor(backendName, { language = 'en', sampleRate = 16000 } = {}) {
+    super();
+    this.name = backendName;
+    this.backend = BACKENDS[backendName];
+    this.segments = [];
+    this.closed = false;
+    this.error = null;
+    this._queue = [];
+    this._finishing = null;
+
+    this.ws = new WebSocket(this.backend.url({ language, sampleRate }), { headers: this.backend.headers() });
+    this.ws.on('open', () => {
+      this.backend.start(this.ws, { language, sampleRate });
+      this._queue.forEach(buf => this.ws.send(buf));
+      this._queue = [];
+      if (this._finishing) this.backend.finish(this.ws);
+    });
+    this.ws.on('message', (data, isBinary) => {
+      if (isBinary) return;
+      let result = null;
+      try {
+        result = this.backend.parse(JSON.parse(data.toString()));
+      } catch (error) {
+        return;
+      }
+      if (result) this._onResult(result);
+    });
+    this.ws.on('error', (error) => {
+      this.closed = true;
+      this.error = error;
+      this.emit('error', error);
+    });
+    this.ws.on('close', () => {
+      this.closed = true;
+      this.emit('close');
+    });
+    // Errors reach finish() and the loop through the promise; don't crash on them
+    this.on('error', () => {});
+  }
+
+  /**
+   * Finished segments joined
+   */
+  get text() {
+    return this.segments.join(' ').trim();
+  }
+
+  _onResult({ text, final, endOfSpeech }) {
+    const trimmed = text.trim();
+    if (!final) {
+      if (trimmed) this.emit('partial', [this.text, trimmed].filter(Boolean).join(' '));
+      return;
+    }
+    if (trimmed) this.segments.push(trimmed);
+    this.emit('final', { text: trimmed, endOfSpeech });
+  }
+
+  /**
+   * Send caller audio (16-bit PCM); queued until the connection is open
+   * @param {Buffer} pcm
+   */
+  write(pcm) {
+    if (this.closed || this._finishing) return;
+    if (this.ws.readyState === WebSocket.OPEN) this.ws.send(pcm);
+    else this._queue.push(pcm);
+  }
+
+  /**
+   * Ask for the last result and wait for the backend to close
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs]
+   * @returns {Promise<string>} Everything recognized
+   */
+  finish({ timeoutMs = FINAL_TIMEOUT_MS } = {}) {
+    if (this._finishing) return this._finishing;
+    this._finishing = new Promise((resolve, reject) => {
+      if (this.closed) return this.error ? reject(this.error) : resolve(this.text);
+      const timer = setTimeout(() => {
+        cleanup();
+        this.abort();
+        reject(new Error(this.name + ' gave no final result within ' + timeoutMs + 'ms'));
+      }, timeoutMs);
+      const onClose = () => { cleanup(); resolve(this.text); };
+      const onError = (error) => { cleanup(); reject(error); };
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off('close', onClose);
+        this.off('error', onError);
+      };
+      this.on('close', onClose);
+      this.on('error', onError);
+      if (this.ws.readyState === WebSocket.OPEN) this.backend.finish(this.ws);
+    });
+    return this._finishing;
+  }
+
+  abort() {
+    this.closed = true;
+    try {
+      this.ws.terminate();
+    } catch (error) {
+      // Not connected yet
+    }
+  }
+}
+
+/**
+ * Streaming backend to use for a device, or null for batch transcription
+ * @param {Object} [stt] - Device "stt" block
+ * @returns {string|null}
+ */
+function resolveStreamingBackend(stt) {
+  const setting = stt && stt.streaming !== undefined ? stt.streaming : (process.env.STREAMING_STT || false);
+  if (!setting || setting === 'off') return null;
+  const fromEnv = process.env.STREAMING_STT && process.env.STREAMING_STT !== 'off' ? process.env.STREAMING_STT : 'vosk';
+  const name = setting === true ? fromEnv : setting;
+  const backend = BACKENDS[name];
+  if (!backend) {
+    logger.warn('Unknown streaming STT backend, using batch STT', { backend: name });
+    return null;
+  }
+  return backend.isConfigured() ? name : null;
+}
+
+/**
+ * Validate the "streaming" setting of a device's "stt" block
+ * @param {Object} stt
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateStreamingSetting(stt) {
+  const value = stt.streaming;
+  if (value === undefined || typeof value === 'boolean' || BACKENDS[value]) return [];
+  return [`stt.streaming must be true, false or one of: ${Object.keys(BACKENDS).join(', ')}`];
+}
+
+/**
+ * Stream one turn's caller audio from an audio fork session
+ *
+ * Starts a recognizer when the session's VAD hears speech (seeding it with an
+ * utterance a barge-in already started) and ends the utterance when the
+ * recognizer reports end of speech.
+ *
+ * @param {AudioForkSession} session
+ * @param {Object} options
+ * @param {string} options.backend - From resolveStreamingBackend()
+ * @param {string} [options.language]
+ * @param {string} [options.callUuid]
+ * @returns {{detach: Function, finish: Function, abort: Function}}
+ *   detach() stops listening to the session; finish(utterance) resolves
+ *   {text, provider, latencyMs} or null when streaming failed; abort() drops it
+ */
+function attachRecognizer(session, { backend, language = 'en', callUuid = null }) {
+  let recognizer = null;
+  const provider = backend + '-stream';
+
+  const start = () => {
+    if (recognizer) recognizer.abort();
+    const current = new StreamingRecognizer(backend, { language, sampleRate: session.sampleRate });
+    current.on('partial', (text) => {
+      liveEvents.publish('caller.partial', { callId: callUuid || undefined, text, final: false });
+    });
+    current.on('final', ({ text, endOfSpeech }) => {
+      if (text) liveEvents.publish('caller.partial', { callId: callUuid || undefined, text: current.text, final: true });
+      // The caller finished a sentence: end the turn without the VAD's silence wait
+      if (endOfSpeech && current.text && recognizer === current) session.endUtterance('stt_final');
+    });
+    current.on('error', (error) => {
+      logger.warn('Streaming STT error', { callUuid, backend, error: error.message });
+    });
+    recognizer = current;
+  };
+  const onAudio = (buf) => {
+    if (recognizer) recognizer.write(buf);
+  };
+
+  const inProgress = typeof session.currentUtteranceAudio === 'function' ? session.currentUtteranceAudio() : null;
+  if (inProgress) {
+    start();
+    recognizer.write(inProgress);
+  }
+  session.on('speechstart', start);
+  session.on('speechaudio', onAudio);
+
+  const detach = () => {
+    session.off('speechstart', start);
+    session.off('speechaudio', onAudio);
+  };
+
+  const finish = (utterance) => {
+    detach();
+    const current = recognizer;
+    if (!current) return Promise.resolve(null);
+    const endedAt = Date.now();
+
+    return tracer.trace('stt.transcribe', { language, provider, streaming: true }, async (span) => {
+      try {
+        // After an end-of-speech result there's nothing left to wait for
+        let text;
+        if (utterance && utterance.reason === 'stt_final') {
+          text = current.text;
+          current.abort();
+        } else {
+          text = await current.finish();
+        }
+        // Nothing recognized: let batch STT have a go at the audio
+        if (!text) throw new Error('no speech recognized');
+        const latencyMs = Date.now() - endedAt;
+        span.setAttributes({ characters: text.length });
+        metrics.providerAnswered('stt', provider);
+        logger.info('Streaming STT final', { callUuid, backend, latencyMs, text: text.substring(0, 100) });
+        return { text, provider, latencyMs };
+      } catch (error) {
+        span.fail(error);
+        metrics.providerFailed('stt', provider);
+        logger.warn('Streaming STT failed, using batch STT', { callUuid, backend, error: error.message });
+        return null;
+      }
+    });
+  };
+
+  const abort = () => {
+    detach();
+    if (recognizer) recognizer.abort();
+  };
+
+  return { detach, finish, abort };
+}
+
+module.exports = {
+  StreamingRecognizer,
+  resolveStreamingBackend,
+  validateStreamingSetting,
+  attachRecognizer,
+  BACKENDS
+};
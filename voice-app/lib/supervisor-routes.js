@@ -0,0 +1,137 @@
+/**
+ * Supervisor Control API Routes
+ * Speak into a live AI conversation, or pause the AI while a human takes
+ * over and hand the call back afterwards (see call-supervisor.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { getSupervision } = require('./call-supervisor');
+
+const MAX_TEXT_LENGTH = 1000;
+
+// Extension or phone number
+const SUPERVISOR = /^\+?[0-9*#]{1,32}$/;
+
+function notLive(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'not_found',
+    message: 'No live conversation with this call ID'
+  });
+}
+
+// Same shape as outbound-routes' validation errors
+function invalid(res, message) {
+  return res.status(400).json({ success: false, error: 'validation_failed', message: message });
+}
+
+function failed(res, error) {
+  if (error.code === 'invalid_state') {
+    return res.status(409).json({ success: false, error: 'invalid_state', message: error.message });
+  }
+  if (error.code === 'unsupported') {
+    return res.status(400).json({ success: false, error: 'unsupported', message: error.message });
+  }
+  logger.error('Supervisor request failed', { error: error.message });
+  res.status(500).json({ success: false, error: 'internal_error', message: 'Supervisor request failed' });
+}
+
+function optionalText(body, field) {
+  var value = body ? body[field] : undefined;
+  if (value === undefined || value === null) return { value: null };
+  if (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_TEXT_LENGTH) {
+    return { error: 'Field "' + field + '" must be a non-empty string of at most ' + MAX_TEXT_LENGTH + ' characters' };
+  }
+  return { value: value.trim() };
+}
+
+/**
+ * POST /api/call/:callId/say
+ * Body: { text: "A colleague will call you back today." }
+ * Cuts off whatever the AI is saying or waiting for and speaks the text
+ */
+router.post('/call/:callId/say', function(req, res) {
+  var callId = req.params.callId;
+  var text = optionalText(req.body, 'text');
+  if (text.error || text.value === null) {
+    return invalid(res, text.error || 'Field "text" is required');
+  }
+
+  var supervision = getSupervision(callId);
+  if (!supervision) return notLive(res);
+
+  var queued;
+  try {
+    queued = supervision.say(text.value);
+  } catch (error) {
+    return failed(res, error);
+  }
+
+  logger.info('Supervisor line requested via API', { callId: callId, characters: text.value.length });
+  res.status(202).json({ success: true, callId: callId, queued: queued });
+});
+
+/**
+ * POST /api/call/:callId/pause-ai
+ * Body: { supervisor?: "100" | "+15551234567" }
+ * Stops the AI and moves the caller into a conference; the supervisor, if
+ * given, is called and joined to it
+ */
+router.post('/call/:callId/pause-ai', function(req, res) {
+  var callId = req.params.callId;
+  var supervisor = req.body && req.body.supervisor !== undefined ? String(req.body.supervisor).trim() : null;
+
+  if (supervisor !== null && !SUPERVISOR.test(supervisor)) {
+    return invalid(res, 'Field "supervisor" must be an extension or phone number');
+  }
+
+  var supervision = getSupervision(callId);
+  if (!supervision) return notLive(res);
+
+  var paused;
+  try {
+    paused = supervision.pause({ supervisor: supervisor });
+  } catch (error) {
+    return failed(res, error);
+  }
+
+  logger.info('AI pause requested via API', { callId: callId, supervisor: supervisor });
+  res.status(202).json({
+    success: true,
+    callId: callId,
+    conference: paused.conference,
+    supervisor: paused.supervisor
+  });
+});
+
+/**
+ * POST /api/call/:callId/resume-ai
+ * Body: { message?: "Thanks for holding, I'm back." }
+ * Hangs up the supervisor, takes the caller out of the conference and lets
+ * the AI carry on, speaking the message first if given
+ */
+router.post('/call/:callId/resume-ai', function(req, res) {
+  var callId = req.params.callId;
+  var message = optionalText(req.body, 'message');
+  if (message.error) {
+    return invalid(res, message.error);
+  }
+
+  var supervision = getSupervision(callId);
+  if (!supervision) return notLive(res);
+
+  try {
+    supervision.resume({ message: message.value });
+  } catch (error) {
+    return failed(res, error);
+  }
+
+  logger.info('AI resume requested via API', { callId: callId });
+  res.status(202).json({ success: true, callId: callId });
+});
+
+module.exports = {
+  router: router
+};
@@ -0,0 +1,48 @@
+/**
+ * Call Timeline API Routes
+ * Trace spans of a recent call (see tracing.js), with claude-api-server's
+ * spans for the same call merged in
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const claudeBridge = require('./claude-bridge');
+const { tracer, buildTimeline } = require('./tracing');
+
+/**
+ * GET /api/call/:callId/timeline
+ * Spans oldest first plus a per-turn breakdown (stt, llm, gateway, tts)
+ */
+router.get('/call/:callId/timeline', async function(req, res) {
+  var callId = req.params.callId;
+
+  try {
+    var spans = tracer.getCallSpans(callId);
+    if (spans.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: 'No trace for this call (only recent calls are kept)'
+      });
+    }
+
+    var live = spans.some(function(span) { return span.name === 'conversation' && span.endTime === null; });
+    var remote = await claudeBridge.getTraceSpans(callId);
+    var timeline = buildTimeline(spans.map(function(span) { return span.toJSON(); }).concat(remote));
+
+    res.json(Object.assign({ success: true, callId: callId, live: live }, timeline));
+
+  } catch (error) {
+    logger.error('Get timeline error', { callId: callId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'internal_error',
+      message: 'Failed to build timeline'
+    });
+  }
+});
+
+module.exports = {
+  router: router
+};
@@ -0,0 +1,466 @@
+/**
+ * Call Tracing
+ * OpenTelemetry-style spans for each step of a conversation, so a slow turn
+ * can be pinned on STT, the AI backend or TTS:
+ *
+ *   conversation            the whole conversation loop of a call
+ *     conversation.turn     one turn (turn number)
+ *       stt.transcribe      whisperClient.transcribeDetailed
+ *         stt.provider      one provider attempt (fallbacks show up as failed attempts)
+ *       llm.query           claudeBridge.query / queryStream (-> claude-api-server,
+ *       llm.stream            which continues the trace from the traceparent header)
+ *       tts.generate        ttsService.generateSpeech
+ *         tts.provider      one provider attempt
+ *
+ *   tts.prerender           ttsService.prerender (phrases synthesized into the
+ *                           TTS cache ahead of calls, at startup and reload)
+ *
+ * Every span carries callId and turn, inherited from its parent. The parent
+ * is the span of the current async context (runWithSpan), so code deep inside
+ * a call - a TTS request - is traced without passing anything down.
+ *
+ * Spans of recent calls are kept in memory for GET /api/call/:callId/timeline.
+ * Finished spans are also exported, per TRACING_EXPORTER (comma-separated):
+ *   otlp - OTLP/HTTP JSON to OTEL_EXPORTER_OTLP_ENDPOINT (default http://localhost:4318)
+ *   file - one JSON span per line in TRACES_FILE; past TRACES_FILE_MAX_MB it is
+ *          moved to TRACES_FILE.1 (replacing the one before) and started afresh
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'voice-app';
+const OTLP_ENDPOINT = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/+$/, '');
+const TRACES_FILE = process.env.TRACES_FILE || path.join(__dirname, '../traces/spans.jsonl');
+const TRACES_FILE_MAX_BYTES = parseFloat(process.env.TRACES_FILE_MAX_MB || '50') * 1024 * 1024;
+
+// Calls whose spans are kept for the timeline, and spans per call
+const MAX_CALLS = 200;
+const MAX_SPANS_PER_CALL = 1000;
+
+// Attributes a span inherits from its parent
+const INHERITED = ['callId', 'turn'];
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+class Span {
+  /**
+   * @param {Tracer} tracer
+   * @param {string} name
+   * @param {Object} context
+   * @param {string} context.traceId
+   * @param {string|null} context.parentSpanId
+   * @param {Object} [context.attributes]
+   */
+  constructor(tracer, name, { traceId, parentSpanId, attributes = {} }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = randomId(8);
+    this.parentSpanId = parentSpanId;
+    this.attributes = Object.assign({}, attributes);
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.status = 'ok';
+    this.error = null;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.keys(attributes).forEach(key => this.setAttribute(key, attributes[key]));
+    return this;
+  }
+
+  /**
+   * Mark the span as failed
+   * @param {Error|string} error
+   */
+  fail(error) {
+    this.status = 'error';
+    this.error = error && error.message ? error.message : String(error);
+    return this;
+  }
+
+  /**
+   * End the span (later calls are ignored)
+   * @param {Object} [attributes] - Set before ending
+   */
+  end(attributes) {
+    if (this.endTime !== null) return;
+    if (attributes) this.setAttributes(attributes);
+    this.endTime = Date.now();
+    this.tracer._finish(this);
+  }
+
+  get durationMs() {
+    return this.endTime === null ? null : this.endTime - this.startTime;
+  }
+
+  /**
+   * @returns {string} W3C traceparent header continuing this trace
+   */
+  traceparent() {
+    return '00-' + this.traceId + '-' + this.spanId + '-01';
+  }
+
+  toJSON() {
+    return {
+      service: this.tracer.serviceName,
+      name: this.name,
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: this.endTime === null ? null : new Date(this.endTime).toISOString(),
+      durationMs: this.durationMs,
+      status: this.status,
+      error: this.error,
+      attributes: Object.assign({}, this.attributes)
+    };
+  }
+}
+
+/**
+ * Appends finished spans to a file, one JSON object per line. A file that
+ * would grow past maxBytes is rotated to <file>.1, so the two take at most
+ * twice that (0 = no limit).
+ */
+class FileExporter {
+  constructor(filePath, { maxBytes = TRACES_FILE_MAX_BYTES } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    try {
+      this.size = fs.statSync(filePath).size;
+    } catch {
+      this.size = 0;
+    }
+  }
+
+  export(span) {
+    const line = JSON.stringify(span.toJSON()) + '\n';
+    const bytes = Buffer.byteLength(line);
+    if (this.maxBytes > 0 && this.size > 0 && this.size + bytes > this.maxBytes) this.rotate();
+    this.size += bytes;
+    fs.appendFile(this.filePath, line, (err) => {
+      if (err) logger.warn('Trace file export failed', { path: this.filePath, error: err.message });
+    });
+  }
+
+  rotate() {
+    try {
+      fs.renameSync(this.filePath, this.filePath + '.1');
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn('Trace file rotation failed', { path: this.filePath, error: err.message });
+    }
+    this.size = 0;
+  }
+}
+
+function otlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+function otlpAttributes(attributes) {
+  return Object.keys(attributes)
+    .filter(key => attributes[key] !== null && attributes[key] !== undefined)
+    .map(key => ({ key, value: otlpValue(attributes[key]) }));
+}
+
+/**
+ * Sends finished spans to an OpenTelemetry collector (OTLP/HTTP, JSON encoding)
+ * in batches
+ */
+class OtlpExporter {
+  constructor(endpoint, { serviceName = SERVICE_NAME, batchSize = 100, intervalMs = 5000 } = {}) {
+    this.url = endpoint + '/v1/traces';
+    this.serviceName = serviceName;
+    this.batchSize = batchSize;
+    this.pending = [];
+    this.timer = setInterval(() => { this.flush(); }, intervalMs);
+    this.timer.unref();
+  }
+
+  export(span) {
+    this.pending.push(span);
+    if (this.pending.length >= this.batchSize) this.flush();
+  }
+
+  /**
+   * @returns {Promise<void>} Never rejects
+   */
+  async flush() {
+    if (this.pending.length === 0) return;
+    const spans = this.pending.splice(0);
+    try {
+      await axios.post(this.url, this.toOtlp(spans), {
+        timeout: 5000,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (err) {
+      logger.warn('OTLP trace export failed', { url: this.url, spans: spans.length, error: err.message });
+    }
+  }
+
+  toOtlp(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: otlpAttributes({ 'service.name': this.serviceName }) },
+        scopeSpans: [{
+          scope: { name: 'voice-app' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId || undefined,
+            name: span.name,
+            kind: span.name.startsWith('llm.') ? 3 : 1, // CLIENT : INTERNAL
+            startTimeUnixNano: String(span.startTime) + '000000',
+            endTimeUnixNano: String(span.endTime) + '000000',
+            attributes: otlpAttributes(span.attributes),
+            status: span.status === 'error' ? { code: 2, message: span.error || '' } : { code: 1 }
+          }))
+        }]
+      }]
+    };
+  }
+}
+
+class Tracer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.serviceName]
+   * @param {Array<{export: function(Span)}>} [options.exporters]
+   */
+  constructor({ serviceName = SERVICE_NAME, exporters = [] } = {}) {
+    this.serviceName = serviceName;
+    this.exporters = exporters;
+    this.calls = new Map(); // callId -> spans, oldest call first
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Start a span, by default a child of the current span
+   *
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {Object} [options.attributes]
+   * @param {Span|null} [options.parent] - Default: activeSpan()
+   * @returns {Span}
+   */
+  startSpan(name, { attributes = {}, parent = this.activeSpan() } = {}) {
+    const inherited = {};
+    if (parent) {
+      INHERITED.forEach(key => {
+        if (parent.attributes[key] !== undefined) inherited[key] = parent.attributes[key];
+      });
+    }
+    const span = new Span(this, name, {
+      traceId: parent ? parent.traceId : randomId(16),
+      parentSpanId: parent ? parent.spanId : null,
+      attributes: inherited
+    });
+    span.setAttributes(attributes);
+    this._record(span);
+    return span;
+  }
+
+  /**
+   * Run fn with span as the current span
+   * @returns {*} Whatever fn returns
+   */
+  runWithSpan(span, fn) {
+    return this.context.run({ span }, fn);
+  }
+
+  /**
+   * Make span the current span for the rest of the runWithSpan() it is
+   * called in (e.g. a new turn of the conversation)
+   */
+  setActiveSpan(span) {
+    const store = this.context.getStore();
+    if (store) store.span = span;
+  }
+
+  /**
+   * @returns {Span|null}
+   */
+  activeSpan() {
+    const store = this.context.getStore();
+    return store ? store.span : null;
+  }
+
+  /**
+   * Run fn in a child span that ends (failed if fn throws) when fn settles
+   *
+   * @param {string} name
+   * @param {Object} attributes
+   * @param {function(Span): Promise} fn
+   * @returns {Promise} Whatever fn resolves to
+   */
+  async trace(name, attributes, fn) {
+    const span = this.startSpan(name, { attributes });
+    try {
+      return await this.runWithSpan(span, () => fn(span));
+    } catch (err) {
+      span.fail(err);
+      throw err;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Headers continuing a trace in another service
+   * @param {Span|null} [span] - Default: activeSpan()
+   * @returns {Object} traceparent and baggage (callId, turn), or {} outside a trace
+   */
+  propagationHeaders(span = this.activeSpan()) {
+    if (!span) return {};
+    const baggage = INHERITED
+      .filter(key => span.attributes[key] !== undefined)
+      .map(key => key + '=' + encodeURIComponent(span.attributes[key]));
+    const headers = { traceparent: span.traceparent() };
+    if (baggage.length) headers.baggage = baggage.join(',');
+    return headers;
+  }
+
+  /**
+   * @param {string} callId
+   * @returns {Array<Span>} Spans of a recent call (running ones too), oldest first
+   */
+  getCallSpans(callId) {
+    return (this.calls.get(callId) || []).slice();
+  }
+
+  _record(span) {
+    const callId = span.attributes.callId;
+    if (!callId) return;
+    let spans = this.calls.get(callId);
+    if (!spans) {
+      if (this.calls.size >= MAX_CALLS) this.calls.delete(this.calls.keys().next().value);
+      spans = [];
+      this.calls.set(callId, spans);
+    }
+    if (spans.length < MAX_SPANS_PER_CALL) spans.push(span);
+  }
+
+  _finish(span) {
+    for (const exporter of this.exporters) {
+      try {
+        exporter.export(span);
+      } catch (err) {
+        logger.warn('Trace export failed', { error: err.message });
+      }
+    }
+  }
+}
+
+/**
+ * Exporters named in TRACING_EXPORTER
+ * @param {string} [setting]
+ * @returns {Array<FileExporter|OtlpExporter>}
+ */
+function createExporters(setting = process.env.TRACING_EXPORTER || '') {
+  const exporters = [];
+  setting.split(',').map(s => s.trim().toLowerCase()).filter(Boolean).forEach(name => {
+    if (name === 'otlp') {
+      exporters.push(new OtlpExporter(OTLP_ENDPOINT));
+    } else if (name === 'file') {
+      exporters.push(new FileExporter(TRACES_FILE));
+    } else if (name !== 'none') {
+      logger.warn('Unknown trace exporter, ignoring', { exporter: name });
+    }
+  });
+  return exporters;
+}
+
+// Span names whose time is added up per turn in buildTimeline()
+const TURN_STAGES = {
+  'stt.transcribe': 'sttMs',
+  'llm.query': 'llmMs',
+  'llm.stream': 'llmMs',
+  'gateway.request': 'gatewayMs',
+  'tts.generate': 'ttsMs'
+};
+
+/**
+ * Order a call's spans (from any service) into a timeline
+ *
+ * @param {Array<Object>} spans - Span JSON (Span#toJSON or claude-api-server)
+ * @returns {{startTime: string|null, durationMs: number|null, turns: Array<Object>, spans: Array<Object>}}
+ *   spans oldest first with offsetMs from the first one; turns with the time
+ *   each turn spent in stt, llm, gateway and tts (summed, so overlapping
+ *   sentence synthesis counts in full) and the turn's vadMs / firstAudioMs
+ */
+function buildTimeline(spans) {
+  const sorted = spans.slice().sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+  if (sorted.length === 0) return { startTime: null, durationMs: null, turns: [], spans: [] };
+
+  const origin = Date.parse(sorted[0].startTime);
+  const byId = new Map(sorted.map(span => [span.spanId, span]));
+  const turns = new Map();
+
+  sorted.forEach(span => {
+    if (span.name !== 'conversation.turn') return;
+    turns.set(span.attributes.turn, {
+      turn: span.attributes.turn,
+      offsetMs: Date.parse(span.startTime) - origin,
+      durationMs: span.durationMs,
+      vadMs: span.attributes.vadMs !== undefined ? span.attributes.vadMs : null,
+      firstAudioMs: span.attributes.firstAudioMs !== undefined ? span.attributes.firstAudioMs : null,
+      sttMs: 0,
+      llmMs: 0,
+      gatewayMs: 0,
+      ttsMs: 0,
+      errors: 0
+    });
+  });
+
+  sorted.forEach(span => {
+    const turn = turns.get(span.attributes.turn);
+    if (!turn || span.name === 'conversation.turn') return;
+    if (span.status === 'error') turn.errors++;
+    const stage = TURN_STAGES[span.name];
+    // llm.query inside llm.stream is the stream's /ask fallback, already counted
+    const parent = byId.get(span.parentSpanId);
+    if (!stage || span.durationMs === null || (parent && TURN_STAGES[parent.name] === stage)) return;
+    turn[stage] += span.durationMs;
+  });
+
+  let end = origin;
+  sorted.forEach(span => {
+    if (span.endTime) end = Math.max(end, Date.parse(span.endTime));
+  });
+
+  return {
+    startTime: sorted[0].startTime,
+    durationMs: end - origin,
+    turns: Array.from(turns.values()),
+    spans: sorted.map(span => Object.assign({ offsetMs: Date.parse(span.startTime) - origin }, span))
+  };
+}
+
+const tracer = new Tracer({ exporters: createExporters() });
+
+module.exports = {
+  Tracer,
+  Span,
+  FileExporter,
+  OtlpExporter,
+  createExporters,
+  buildTimeline,
+  tracer
+};
@@ -0,0 +1,60 @@
+/**
+ * Call Transcript API Routes
+ * Timestamped transcripts of live and finished calls (inbound and outbound)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { getTranscript } = require('./call-transcript');
+
+const FORMATS = {
+  json: null,
+  text: 'text/plain; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8'
+};
+
+/**
+ * GET /api/call/:callId/transcript?format=json|text|vtt
+ * WebVTT cues are aligned to the call recording when there is one
+ */
+router.get('/call/:callId/transcript', async function(req, res) {
+  var format = (req.query.format || 'json').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_failed',
+      message: 'Field "format" must be one of: ' + Object.keys(FORMATS).join(', ')
+    });
+  }
+
+  try {
+    var transcript = await getTranscript(req.params.callId);
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: 'Transcript not found'
+      });
+    }
+
+    if (format === 'json') {
+      return res.json(Object.assign({ success: true, live: !transcript.endedAt }, transcript.toJSON()));
+    }
+
+    res.type(FORMATS[format]);
+    res.send(format === 'vtt' ? transcript.toWebVTT() : transcript.toText());
+
+  } catch (error) {
+    logger.error('Get transcript error', { callId: req.params.callId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'internal_error',
+      message: 'Failed to retrieve transcript'
+    });
+  }
+});
+
+module.exports = {
+  router: router
+};
@@ -0,0 +1,65 @@
+/**
+ * Call Transfer API Routes
+ * Hand a live AI conversation (inbound or outbound) to a human
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { TRANSFER_MODES, requestTransfer } = require('./call-transfer');
+
+// Extension, phone number or SIP URI
+const TARGET = /^(\+?[0-9*#]{1,32}|sips?:[^\s<>]+)$/i;
+
+/**
+ * POST /api/call/:callId/transfer
+ * Body: { target: "100" | "+15551234567" | "sip:100@pbx", mode?: "blind" | "attended" }
+ * The transfer starts after the current reply; 202 means it was requested
+ */
+router.post('/call/:callId/transfer', function(req, res) {
+  var callId = req.params.callId;
+  var target = req.body && req.body.target !== undefined ? String(req.body.target).trim() : '';
+  var mode = req.body ? req.body.mode : undefined;
+
+  if (!TARGET.test(target)) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_failed',
+      message: 'Field "target" must be an extension, phone number or SIP URI'
+    });
+  }
+  if (mode !== undefined && TRANSFER_MODES.indexOf(mode) === -1) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_failed',
+      message: 'Field "mode" must be one of: ' + TRANSFER_MODES.join(', ')
+    });
+  }
+  if (mode === 'attended' && /^sips?:/i.test(target)) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_failed',
+      message: 'Attended transfers need an extension or phone number'
+    });
+  }
+
+  if (!requestTransfer(callId, { target: target, mode: mode })) {
+    return res.status(404).json({
+      success: false,
+      error: 'not_found',
+      message: 'No live conversation with this call ID'
+    });
+  }
+
+  logger.info('Transfer requested via API', { callId: callId, target: target, mode: mode || 'default' });
+  res.status(202).json({
+    success: true,
+    callId: callId,
+    target: target,
+    mode: mode || null
+  });
+});
+
+module.exports = {
+  router: router
+};
@@ -0,0 +1,60 @@
+/**
+ * ElevenLabs (requires ELEVENLABS_API_KEY and a voice: the entry's voice or
+ * the device's voiceId). Supports speakingRate (0.7-1.2). Always produces MP3.
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const logger = require('../logger');
+
+const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+
+async function synthesize(text, options, output) {
+  if (!ELEVENLABS_API_KEY) throw new Error('ELEVENLABS_API_KEY not set');
+
+  const voiceId = options.voice || options.voiceId;
+  logger.info('Generating speech with ElevenLabs', {
+    textLength: text.length,
+    voiceId,
+    model: 'eleven_turbo_v2'
+  });
+
+  const voiceSettings = {
+    stability: 0.5,
+    similarity_boost: 0.75,
+    style: 0.0,
+    use_speaker_boost: true
+  };
+  if (options.speakingRate !== null) voiceSettings.speed = Math.min(1.2, Math.max(0.7, options.speakingRate));
+
+  const response = await axios({
+    method: 'POST',
+    url: `${ELEVENLABS_API_URL}/text-to-speech/${voiceId}`,
+    headers: {
+      'Accept': 'audio/mpeg',
+      'Content-Type': 'application/json',
+      'xi-api-key': ELEVENLABS_API_KEY
+    },
+    data: {
+      text,
+      model_id: 'eleven_turbo_v2',
+      voice_settings: voiceSettings
+    },
+    responseType: 'arraybuffer'
+  });
+
+  const file = output.file('mp3');
+  fs.writeFileSync(file.filepath, response.data);
+
+  logger.info('ElevenLabs TTS successful', { filename: file.filename, fileSize: response.data.length });
+  return file.url;
+}
+
+module.exports = {
+  name: 'elevenlabs',
+  label: 'ElevenLabs',
+  formats: ['mp3'],
+  isConfigured: (options) => Boolean(ELEVENLABS_API_KEY && (options.voice || options.voiceId)),
+  synthesize
+};
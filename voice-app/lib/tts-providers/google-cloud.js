@@ -0,0 +1,82 @@
+/**
+ * Google Cloud Text-to-Speech (requires GOOGLE_CLOUD_KEY)
+ * Supports voice (e.g. "en-GB-Wavenet-B"), speakingRate, pitch and every format.
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const logger = require('../logger');
+
+const GOOGLE_CLOUD_KEY = process.env.GOOGLE_CLOUD_KEY;
+
+const GOOGLE_TTS_LANG = {
+  'he': 'he-IL',
+  'en': 'en-US',
+  'ar': 'ar-XA',
+  'ru': 'ru-RU',
+  'fr': 'fr-FR',
+  'es': 'es-ES',
+};
+
+// Preferred Wavenet voices per language (high quality, natural-sounding)
+const GOOGLE_TTS_VOICE = {
+  'he-IL': 'he-IL-Wavenet-A',
+  'en-US': 'en-US-Wavenet-F',
+  'ar-XA': 'ar-XA-Wavenet-A',
+  'ru-RU': 'ru-RU-Wavenet-A',
+  'fr-FR': 'fr-FR-Wavenet-A',
+  'es-ES': 'es-ES-Wavenet-B',
+};
+
+const ENCODINGS = { mp3: 'MP3', wav: 'LINEAR16', ogg: 'OGG_OPUS' };
+
+function resolveVoice(options) {
+  // A voice name starts with its language code (en-GB-Wavenet-B)
+  const langCode = options.voice
+    ? options.voice.split('-').slice(0, 2).join('-')
+    : GOOGLE_TTS_LANG[options.language] || GOOGLE_TTS_LANG['en'];
+  const voiceName = options.voice || process.env.GOOGLE_TTS_VOICE || GOOGLE_TTS_VOICE[langCode] || null;
+  return { langCode, voiceName };
+}
+
+async function synthesize(text, options, output) {
+  if (!GOOGLE_CLOUD_KEY) throw new Error('GOOGLE_CLOUD_KEY not set');
+
+  const { langCode, voiceName } = resolveVoice(options);
+
+  logger.info('Generating speech with Google Cloud TTS', {
+    textLength: text.length,
+    language: langCode,
+    voice: voiceName
+  });
+
+  const requestBody = {
+    input: { text },
+    voice: { languageCode: langCode },
+    audioConfig: { audioEncoding: ENCODINGS[options.format] }
+  };
+  if (voiceName) requestBody.voice.name = voiceName;
+  if (options.speakingRate !== null) requestBody.audioConfig.speakingRate = options.speakingRate;
+  if (options.pitch !== null) requestBody.audioConfig.pitch = options.pitch;
+
+  const response = await axios.post(
+    `https://texttospeech.googleapis.com/v1/text:synthesize?key=${GOOGLE_CLOUD_KEY}`,
+    requestBody
+  );
+
+  const audioContent = Buffer.from(response.data.audioContent, 'base64');
+  const file = output.file(options.format);
+  fs.writeFileSync(file.filepath, audioContent);
+
+  logger.info('Google Cloud TTS successful', { filename: file.filename, fileSize: audioContent.length });
+  return file.url;
+}
+
+module.exports = {
+  name: 'google',
+  label: 'Google Cloud TTS',
+  formats: ['mp3', 'wav', 'ogg'],
+  isConfigured: () => Boolean(GOOGLE_CLOUD_KEY),
+  cacheIdentity: resolveVoice,
+  synthesize
+};
@@ -0,0 +1,39 @@
+/**
+ * gTTS - Google Translate TTS through the Python gtts package (free, no API key)
+ * Only speaks slowly or normally: a speakingRate of 0.75 or less is slow.
+ * Always produces MP3.
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const logger = require('../logger');
+
+// gTTS uses old ISO 639-1 codes in some cases
+const GTTS_LANG_MAP = { 'he': 'iw', 'yi': 'iw' };
+
+function synthesize(text, options, output) {
+  return new Promise((resolve, reject) => {
+    const file = output.file('mp3');
+    const rawLang = options.language || 'en';
+    const lang = GTTS_LANG_MAP[rawLang] || rawLang;
+    const slow = options.speakingRate !== null && options.speakingRate <= 0.75;
+
+    logger.info('Generating speech with gTTS', { textLength: text.length, lang });
+
+    execFile('python3', ['-c',
+      `from gtts import gTTS; t=gTTS(${JSON.stringify(text)}, lang=${JSON.stringify(lang)}, slow=${slow ? 'True' : 'False'}); t.save(${JSON.stringify(file.filepath)})`
+    ], { timeout: 15000 }, (error) => {
+      if (error) return reject(new Error(`gTTS failed: ${error.message}`));
+      if (!fs.existsSync(file.filepath)) return reject(new Error('gTTS produced no output file'));
+      logger.info('gTTS successful', { filename: file.filename, fileSize: fs.statSync(file.filepath).size });
+      resolve(file.url);
+    });
+  });
+}
+
+module.exports = {
+  name: 'gtts',
+  label: 'gTTS',
+  formats: ['mp3'],
+  synthesize
+};
@@ -0,0 +1,44 @@
+/**
+ * Any TTS server behind a simple HTTP API (requires TTS_HTTP_URL), e.g. a
+ * local stand-in or a wrapper around Piper / Coqui. Not in the default chain.
+ *
+ * POST TTS_HTTP_URL with JSON {text, language, voice, speakingRate, pitch,
+ * format}; the response body is the audio in that format.
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const logger = require('../logger');
+
+const TTS_HTTP_URL = process.env.TTS_HTTP_URL;
+
+async function synthesize(text, options, output) {
+  if (!TTS_HTTP_URL) throw new Error('TTS_HTTP_URL not set');
+
+  logger.info('Generating speech with HTTP TTS', { textLength: text.length, url: TTS_HTTP_URL, voice: options.voice });
+
+  const response = await axios.post(TTS_HTTP_URL, {
+    text,
+    language: options.language,
+    voice: options.voice,
+    speakingRate: options.speakingRate,
+    pitch: options.pitch,
+    format: options.format
+  }, { responseType: 'arraybuffer', timeout: 30000 });
+
+  if (!response.data || response.data.length === 0) throw new Error('HTTP TTS returned no audio');
+  const file = output.file(options.format);
+  fs.writeFileSync(file.filepath, response.data);
+
+  logger.info('HTTP TTS successful', { filename: file.filename, fileSize: response.data.length });
+  return file.url;
+}
+
+module.exports = {
+  name: 'http',
+  label: 'HTTP TTS',
+  formats: ['mp3', 'wav', 'ogg'],
+  isConfigured: () => Boolean(TTS_HTTP_URL),
+  cacheIdentity: () => TTS_HTTP_URL,
+  synthesize
+};
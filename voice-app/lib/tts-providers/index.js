@@ -0,0 +1,207 @@
+/**
+ * TTS Provider Registry
+ * Every text-to-speech engine is a provider module with a common interface:
+ *
+ *   name                       id used in chains, metrics and logs
+ *   label                      human-readable name for logs
+ *   formats                    audio formats it can produce, preferred first
+ *   isConfigured(options)      false to skip it (e.g. no API key)
+ *   synthesize(text, options, output) -> Promise<string>  URL of the audio
+ *   cacheIdentity(options)     optional: what else decides the audio, e.g. the voice
+ *                              it picks from env or defaults (part of the TTS cache key)
+ *
+ * options: language, voice, speakingRate, pitch, format, voiceId (the device's
+ * ElevenLabs voice), referenceAudio. output.file(ext) allocates the audio file
+ * ({filename, filepath, url}). Providers ignore options they don't support.
+ *
+ * generateSpeech (tts-service.js) tries providers in chain order. The default
+ * chain is TTS_PROVIDERS (default google,moss,piper,gtts,openai,elevenlabs); a
+ * device's "tts" block in devices.json replaces it:
+ *
+ *   "tts": {
+ *     "chain": [
+ *       "google",
+ *       { "provider": "piper", "voices": { "en": "en_US-lessac-medium", "he": "he_IL-motek-medium" } },
+ *       { "provider": "openai", "voice": "shimmer" }
+ *     ],
+ *     "speakingRate": 1.1,
+ *     "pitch": -2,
+ *     "format": "mp3"
+ *   }
+ *
+ * Chain entries are provider names or objects overriding voice, speakingRate,
+ * pitch and format for that provider. "voices" maps languages to voices, for
+ * providers whose voices only speak one language.
+ *
+ * Built in: google, moss, piper, gtts, openai, elevenlabs and http (any server
+ * speaking the http.js contract). More can be added with registerProvider()
+ * or listed as module paths in TTS_PROVIDER_MODULES (comma-separated).
+ */
+
+const path = require('path');
+const logger = require('../logger');
+
+const providers = new Map();
+
+const FORMATS = ['mp3', 'wav', 'ogg'];
+const ENTRY_OPTIONS = ['voice', 'speakingRate', 'pitch', 'format'];
+
+// Voice for a language from a chain entry's "voices" map ("he" or "he-IL")
+function voiceForLanguage(voices, language) {
+  if (!voices) return undefined;
+  return voices[language] || voices[language.split('-')[0]];
+}
+
+/**
+ * Add a provider (replaces one with the same name)
+ * @param {Object} provider - See the interface above
+ */
+function registerProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || !provider.name) {
+    throw new Error('TTS provider needs a name');
+  }
+  if (typeof provider.synthesize !== 'function') {
+    throw new Error(`TTS provider "${provider.name}" needs a synthesize() function`);
+  }
+  providers.set(provider.name, Object.assign({
+    label: provider.name,
+    formats: ['mp3'],
+    isConfigured: () => true,
+    cacheIdentity: () => null
+  }, provider));
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * @returns {string[]} Registered provider names
+ */
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+function defaultChain() {
+  return (process.env.TTS_PROVIDERS || 'google,moss,piper,gtts,openai,elevenlabs')
+    .split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Providers to try for a request, in order, with their options
+ *
+ * @param {Object|null} tts - Device "tts" block
+ * @param {Object} request - language, voiceId, referenceAudio
+ * @returns {Array<{provider: Object, options: Object}>} Unknown providers are left out
+ */
+function resolveChain(tts, request = {}) {
+  const settings = tts || {};
+  const chain = Array.isArray(settings.chain) && settings.chain.length > 0 ? settings.chain : defaultChain();
+  const base = {
+    language: request.language || 'en',
+    voiceId: request.voiceId || null,
+    referenceAudio: request.referenceAudio || null,
+    voice: null,
+    speakingRate: settings.speakingRate !== undefined ? settings.speakingRate : null,
+    pitch: settings.pitch !== undefined ? settings.pitch : null,
+    format: settings.format || 'mp3'
+  };
+
+  const resolved = [];
+  chain.forEach(entry => {
+    const spec = typeof entry === 'string' ? { provider: entry } : entry;
+    const provider = spec && getProvider(spec.provider);
+    if (!provider) return;
+    const options = Object.assign({}, base);
+    ENTRY_OPTIONS.forEach(key => {
+      if (spec[key] !== undefined) options[key] = spec[key];
+    });
+    if (spec.voice === undefined) options.voice = voiceForLanguage(spec.voices, options.language) || null;
+    // Ask for a format the provider can produce
+    if (!provider.formats.includes(options.format)) options.format = provider.formats[0];
+    resolved.push({ provider, options });
+  });
+  return resolved;
+}
+
+function validateOptions(options, where, errors) {
+  if (options.voice !== undefined && (typeof options.voice !== 'string' || !options.voice)) {
+    errors.push(`${where}.voice must be a non-empty string`);
+  }
+  if (options.speakingRate !== undefined &&
+    !(typeof options.speakingRate === 'number' && options.speakingRate >= 0.25 && options.speakingRate <= 4)) {
+    errors.push(`${where}.speakingRate must be a number from 0.25 to 4`);
+  }
+  if (options.pitch !== undefined && !(typeof options.pitch === 'number' && options.pitch >= -20 && options.pitch <= 20)) {
+    errors.push(`${where}.pitch must be a number from -20 to 20 (semitones)`);
+  }
+  if (options.format !== undefined && !FORMATS.includes(options.format)) {
+    errors.push(`${where}.format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (options.voices !== undefined && !(options.voices && typeof options.voices === 'object' &&
+    !Array.isArray(options.voices) && Object.values(options.voices).every(v => typeof v === 'string' && v))) {
+    errors.push(`${where}.voices must map languages to voice names`);
+  }
+}
+
+/**
+ * Validate a device's "tts" block
+ * @param {Object} tts
+ * @param {string} [where] - Prefix for error messages
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateTtsConfig(tts, where = 'tts') {
+  if (!tts || typeof tts !== 'object' || Array.isArray(tts)) return [`${where} must be an object`];
+  const errors = [];
+
+  if (tts.chain !== undefined) {
+    if (!Array.isArray(tts.chain) || tts.chain.length === 0) {
+      errors.push(`${where}.chain must be a non-empty list of providers`);
+    } else {
+      tts.chain.forEach((entry, i) => {
+        const name = typeof entry === 'string' ? entry : entry && entry.provider;
+        if (!getProvider(name)) {
+          errors.push(`${where}.chain[${i}] must be one of: ${listProviders().join(', ')}`);
+        } else if (typeof entry === 'object') {
+          validateOptions(entry, `${where}.chain[${i}]`, errors);
+        }
+      });
+    }
+  }
+  if (tts.voice !== undefined || tts.voices !== undefined) {
+    errors.push(`${where}.voice is per provider: set it on a chain entry`);
+  }
+  validateOptions(Object.assign({}, tts, { voice: undefined, voices: undefined }), where, errors);
+  return errors;
+}
+
+[
+  require('./google-cloud'),
+  require('./moss'),
+  require('./piper'),
+  require('./gtts'),
+  require('./openai'),
+  require('./elevenlabs'),
+  require('./http')
+].forEach(registerProvider);
+
+(process.env.TTS_PROVIDER_MODULES || '').split(',').map(p => p.trim()).filter(Boolean).forEach(modulePath => {
+  try {
+    registerProvider(require(path.resolve(modulePath)));
+    logger.info('Loaded TTS provider module', { path: modulePath });
+  } catch (error) {
+    logger.warn('Could not load TTS provider module', { path: modulePath, error: error.message });
+  }
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  resolveChain,
+  validateTtsConfig
+};
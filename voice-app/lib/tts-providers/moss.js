@@ -0,0 +1,56 @@
+/**
+ * MOSS TTS (GPU-accelerated voice cloning via Gradio, requires MOSS_TTS_URL)
+ * voice is the reference audio to clone (path or URL; default: the device's
+ * referenceAudio). Always produces WAV.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const logger = require('../logger');
+
+const MOSS_TTS_URL = process.env.MOSS_TTS_URL;
+
+// Path to the MOSS TTS Python client script
+const MOSS_TTS_SCRIPT = path.join(__dirname, '../moss-tts.py');
+
+function synthesize(text, options, output) {
+  return new Promise((resolve, reject) => {
+    if (!MOSS_TTS_URL) return reject(new Error('MOSS_TTS_URL not configured'));
+
+    const referenceAudio = options.voice || options.referenceAudio;
+    const file = output.file('wav');
+
+    const args = [MOSS_TTS_SCRIPT, text, file.filepath];
+    if (referenceAudio) args.push(referenceAudio);
+
+    logger.info('Generating speech with MOSS TTS', {
+      textLength: text.length,
+      hasRef: !!referenceAudio,
+      url: MOSS_TTS_URL
+    });
+
+    const env = { ...process.env, MOSS_TTS_URL };
+    execFile('python3', args, { timeout: 30000, env }, (error, stdout, stderr) => {
+      if (error) {
+        const msg = stderr?.trim() || error.message;
+        return reject(new Error(`MOSS TTS failed: ${msg}`));
+      }
+      const out = stdout.trim();
+      if (!out.startsWith('OK:') || !fs.existsSync(file.filepath)) {
+        return reject(new Error(`MOSS TTS error: ${out || stderr}`));
+      }
+      const fileSize = fs.statSync(file.filepath).size;
+      logger.info('MOSS TTS successful', { filename: file.filename, fileSize });
+      resolve(file.url);
+    });
+  });
+}
+
+module.exports = {
+  name: 'moss',
+  label: 'MOSS TTS',
+  formats: ['wav'],
+  isConfigured: () => Boolean(MOSS_TTS_URL),
+  synthesize
+};
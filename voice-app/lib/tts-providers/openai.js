@@ -0,0 +1,59 @@
+/**
+ * OpenAI TTS (requires OPENAI_API_KEY)
+ * Supports voice (default OPENAI_TTS_VOICE or nova), speakingRate and every format.
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const logger = require('../logger');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_TTS_VOICE = process.env.OPENAI_TTS_VOICE || 'nova';
+const OPENAI_TTS_MODEL = 'tts-1';
+
+const RESPONSE_FORMATS = { mp3: 'mp3', wav: 'wav', ogg: 'opus' };
+
+async function synthesize(text, options, output) {
+  if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not set');
+
+  const voice = options.voice || OPENAI_TTS_VOICE;
+  logger.info('Generating speech with OpenAI TTS', {
+    textLength: text.length,
+    voice,
+    model: OPENAI_TTS_MODEL
+  });
+
+  const data = {
+    model: OPENAI_TTS_MODEL,
+    input: text,
+    voice,
+    response_format: RESPONSE_FORMATS[options.format]
+  };
+  if (options.speakingRate !== null) data.speed = options.speakingRate;
+
+  const response = await axios({
+    method: 'POST',
+    url: 'https://api.openai.com/v1/audio/speech',
+    headers: {
+      'Authorization': `Bearer ${OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    data,
+    responseType: 'arraybuffer'
+  });
+
+  const file = output.file(options.format);
+  fs.writeFileSync(file.filepath, response.data);
+
+  logger.info('OpenAI TTS successful', { filename: file.filename, fileSize: response.data.length });
+  return file.url;
+}
+
+module.exports = {
+  name: 'openai',
+  label: 'OpenAI TTS',
+  formats: ['mp3', 'wav', 'ogg'],
+  isConfigured: () => Boolean(OPENAI_API_KEY),
+  cacheIdentity: (options) => options.voice || OPENAI_TTS_VOICE,
+  synthesize
+};
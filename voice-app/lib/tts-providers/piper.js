@@ -0,0 +1,95 @@
+/**
+ * Piper TTS (offline, CPU-only; requires PIPER_URL or PIPER_BIN)
+ * Works with no network: either the Piper sidecar container (PIPER_URL, the
+ * piper.http_server of the "offline" compose profile) or a local piper binary
+ * (PIPER_BIN) reading <PIPER_MODELS_DIR>/<voice>.onnx. voice is a Piper voice
+ * model (e.g. "en_US-lessac-medium") or a path to an .onnx file; without one
+ * the language's default voice below is used. Supports speakingRate; always
+ * produces WAV.
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const logger = require('../logger');
+
+const PIPER_URL = process.env.PIPER_URL;
+const PIPER_BIN = process.env.PIPER_BIN;
+const PIPER_MODELS_DIR = process.env.PIPER_MODELS_DIR || '/app/piper-voices';
+
+// Voice per language when the device doesn't name one (the sidecar image ships these)
+const PIPER_VOICE = {
+  'en': 'en_US-lessac-medium',
+  'he': 'he_IL-motek-medium'
+};
+
+function resolveVoice(options) {
+  const voice = options.voice || PIPER_VOICE[options.language];
+  if (!voice) throw new Error(`No Piper voice for language "${options.language}"`);
+  return voice;
+}
+
+// Piper takes a length scale: 2 is half speed
+function lengthScale(options) {
+  return options.speakingRate ? Number((1 / options.speakingRate).toFixed(3)) : null;
+}
+
+async function synthesizeWithSidecar(text, voice, options, file) {
+  const body = { text, voice };
+  const scale = lengthScale(options);
+  if (scale !== null) body.length_scale = scale;
+
+  const response = await axios.post(PIPER_URL, body, { responseType: 'arraybuffer', timeout: 30000 });
+  if (!response.data || response.data.length === 0) throw new Error('Piper returned no audio');
+  fs.writeFileSync(file.filepath, response.data);
+}
+
+function synthesizeWithBinary(text, voice, options, file) {
+  return new Promise((resolve, reject) => {
+    const model = voice.endsWith('.onnx') ? voice : path.join(PIPER_MODELS_DIR, voice + '.onnx');
+    if (!fs.existsSync(model)) return reject(new Error(`Piper model not found: ${model}`));
+
+    const args = ['--model', model, '--output_file', file.filepath];
+    const scale = lengthScale(options);
+    if (scale !== null) args.push('--length_scale', String(scale));
+
+    const child = execFile(PIPER_BIN, args, { timeout: 30000 }, (error, stdout, stderr) => {
+      if (error) return reject(new Error(`Piper failed: ${stderr?.trim() || error.message}`));
+      if (!fs.existsSync(file.filepath)) return reject(new Error('Piper wrote no audio'));
+      resolve();
+    });
+    child.stdin.end(text);
+  });
+}
+
+async function synthesize(text, options, output) {
+  if (!PIPER_URL && !PIPER_BIN) throw new Error('PIPER_URL or PIPER_BIN not set');
+
+  const voice = resolveVoice(options);
+  const file = output.file('wav');
+
+  logger.info('Generating speech with Piper', {
+    textLength: text.length,
+    voice,
+    mode: PIPER_URL ? 'sidecar' : 'binary'
+  });
+
+  if (PIPER_URL) {
+    await synthesizeWithSidecar(text, voice, options, file);
+  } else {
+    await synthesizeWithBinary(text, voice, options, file);
+  }
+
+  logger.info('Piper TTS successful', { filename: file.filename, fileSize: fs.statSync(file.filepath).size });
+  return file.url;
+}
+
+module.exports = {
+  name: 'piper',
+  label: 'Piper TTS',
+  formats: ['wav'],
+  isConfigured: () => Boolean(PIPER_URL || PIPER_BIN),
+  cacheIdentity: (options) => options.voice || PIPER_VOICE[options.language] || null,
+  synthesize
+};
@@ -1,311 +1,265 @@
 /**
  * Text-to-Speech Service
- * Primary: OpenAI TTS
- * Fallback: ElevenLabs (if ELEVENLABS_API_KEY set and quota available)
+ * Tries TTS providers (see tts-providers/) in chain order until one answers.
+ * Default chain: Google Cloud TTS → MOSS TTS (GPU) → Piper (offline) → gTTS (free)
+ * → OpenAI TTS → ElevenLabs; a device's "tts" block can replace it.
+ *
+ * Audio is cached on disk in the "cache" subdirectory of the audio directory,
+ * named by a hash of provider, voice (as the provider resolves it, see
+ * cacheIdentity in tts-providers/index.js), language, speaking rate, pitch,
+ * format and text, so the greeting or a reprompt is synthesized once rather
+ * than on every call. Audio cached for any provider in the chain is used
+ * before synthesizing. Providers write to a temporary file that is renamed
+ * into the cache once complete. The least recently used files are deleted once the cache grows
+ * past TTS_CACHE_MAX_MB (default 200; 0 turns the cache off and audio is
+ * written as tts-*.mp3 files the periodic cleanup deletes). prerender() warms
+ * the cache with phrases said on every call (see phrases.js).
  */
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { execFile } = require('child_process');
 const logger = require('./logger');
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
-const MOSS_TTS_URL = process.env.MOSS_TTS_URL;
-const GOOGLE_CLOUD_KEY = process.env.GOOGLE_CLOUD_KEY;
-
-// OpenAI TTS voice (used when voiceId is an ElevenLabs ID or unrecognized)
-const OPENAI_TTS_VOICE = process.env.OPENAI_TTS_VOICE || 'nova';
-const OPENAI_TTS_MODEL = 'tts-1';
-
-// Path to the MOSS TTS Python client script
-const MOSS_TTS_SCRIPT = path.join(__dirname, 'moss-tts.py');
+const { liveEvents } = require('./live-events');
+const metrics = require('./metrics');
+const { tracer } = require('./tracing');
+const { registerProvider, listProviders, resolveChain } = require('./tts-providers');
 
 // Audio output directory (set via setAudioDir)
 let audioDir = path.join(__dirname, '../audio-temp');
 
+const CACHE_DIR = 'cache';
+const TEMP_PREFIX = '.tmp-';
+const CACHE_MAX_BYTES = parseFloat(process.env.TTS_CACHE_MAX_MB || '200') * 1024 * 1024;
+
+// Cached audio: hash -> { filename, bytes }, least recently used first
+const cache = new Map();
+let cacheBytes = 0;
+
 function setAudioDir(dir) {
   audioDir = dir;
   if (!fs.existsSync(audioDir)) {
     fs.mkdirSync(audioDir, { recursive: true });
     logger.info('Created audio directory', { path: audioDir });
   }
-}
-
-function generateFilename(text) {
-  const hash = crypto.createHash('md5').update(text).digest('hex').substring(0, 8);
-  const timestamp = Date.now();
-  return `tts-${timestamp}-${hash}.mp3`;
+  if (CACHE_MAX_BYTES > 0) loadCache();
 }
 
 /**
- * Generate speech using MOSS TTS (GPU-accelerated voice cloning via Gradio)
- * @param {string} text - Text to synthesize
- * @param {string} [referenceAudio] - Optional path or URL for voice cloning
+ * Index the cache directory, oldest files first (they are touched on every hit)
  */
-function generateSpeechMoss(text, referenceAudio) {
-  return new Promise((resolve, reject) => {
-    if (!MOSS_TTS_URL) return reject(new Error('MOSS_TTS_URL not configured'));
-
-    const hash = require('crypto').createHash('md5').update(text).digest('hex').substring(0, 8);
-    const filename = `tts-${Date.now()}-${hash}.wav`;
-    const filepath = path.join(audioDir, filename);
-
-    const args = [MOSS_TTS_SCRIPT, text, filepath];
-    if (referenceAudio) args.push(referenceAudio);
+function loadCache() {
+  const dir = path.join(audioDir, CACHE_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  cache.clear();
+  cacheBytes = 0;
+  fs.readdirSync(dir)
+    .filter(filename => {
+      // Left over from a synthesis interrupted by a restart
+      if (!filename.startsWith(TEMP_PREFIX)) return true;
+      fs.rmSync(path.join(dir, filename), { force: true });
+      return false;
+    })
+    .map(filename => ({ filename, stats: fs.statSync(path.join(dir, filename)) }))
+    .filter(f => f.stats.isFile())
+    .sort((a, b) => a.stats.mtimeMs - b.stats.mtimeMs)
+    .forEach(f => addToCache(f.filename.split('.')[0], f.filename));
+  evictFromCache();
+  if (cache.size > 0) logger.info('TTS cache loaded', { files: cache.size, bytes: cacheBytes });
+}
 
-    logger.info('Generating speech with MOSS TTS', {
-      textLength: text.length,
-      hasRef: !!referenceAudio,
-      url: MOSS_TTS_URL
-    });
+// Provider, its options (voice, language, speakingRate, pitch, format, ...), the
+// voice it resolves from them and text
+function cacheKey(text, provider, options) {
+  const values = [provider.name, options.language, options.voice, options.voiceId, options.speakingRate,
+    options.pitch, options.format, options.referenceAudio, provider.cacheIdentity(options), text];
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+}
 
-    const env = { ...process.env, MOSS_TTS_URL };
-    execFile('python3', args, { timeout: 30000, env }, (error, stdout, stderr) => {
-      if (error) {
-        const msg = stderr?.trim() || error.message;
-        return reject(new Error(`MOSS TTS failed: ${msg}`));
-      }
-      const out = stdout.trim();
-      if (!out.startsWith('OK:') || !fs.existsSync(filepath)) {
-        return reject(new Error(`MOSS TTS error: ${out || stderr}`));
-      }
-      const fileSize = fs.statSync(filepath).size;
-      logger.info('MOSS TTS successful', { filename, fileSize });
-      resolve(`http://127.0.0.1:3000/audio-files/${filename}`);
-    });
-  });
+function cacheUrl(filename) {
+  return `http://127.0.0.1:3000/audio-files/${CACHE_DIR}/${filename}`;
 }
 
 /**
- * Generate speech using Google Cloud Text-to-Speech API
- * Requires GOOGLE_CLOUD_KEY env var
+ * @returns {string|null} URL of the cached audio, marked as just used
  */
-const GOOGLE_TTS_LANG = {
-  'he': 'he-IL',
-  'en': 'en-US',
-  'ar': 'ar-XA',
-  'ru': 'ru-RU',
-  'fr': 'fr-FR',
-  'es': 'es-ES',
-};
-
-// Preferred Wavenet voices per language (high quality, natural-sounding)
-const GOOGLE_TTS_VOICE = {
-  'he-IL': 'he-IL-Wavenet-A',
-  'en-US': 'en-US-Wavenet-F',
-  'ar-XA': 'ar-XA-Wavenet-A',
-  'ru-RU': 'ru-RU-Wavenet-A',
-  'fr-FR': 'fr-FR-Wavenet-A',
-  'es-ES': 'es-ES-Wavenet-B',
-};
-
-async function generateSpeechGoogleCloud(text, language) {
-  if (!GOOGLE_CLOUD_KEY) throw new Error('GOOGLE_CLOUD_KEY not set');
-
-  const langCode = GOOGLE_TTS_LANG[language] || GOOGLE_TTS_LANG['en'];
-  const voiceName = process.env.GOOGLE_TTS_VOICE || GOOGLE_TTS_VOICE[langCode] || null;
-
-  logger.info('Generating speech with Google Cloud TTS', {
-    textLength: text.length,
-    language: langCode,
-    voice: voiceName
-  });
-
-  const requestBody = {
-    input: { text },
-    voice: { languageCode: langCode },
-    audioConfig: { audioEncoding: 'MP3' }
-  };
-  if (voiceName) requestBody.voice.name = voiceName;
-
-  const response = await axios.post(
-    `https://texttospeech.googleapis.com/v1/text:synthesize?key=${GOOGLE_CLOUD_KEY}`,
-    requestBody
-  );
-
-  const audioContent = Buffer.from(response.data.audioContent, 'base64');
-  const filename = generateFilename(text);
-  const filepath = path.join(audioDir, filename);
-  fs.writeFileSync(filepath, audioContent);
-
-  logger.info('Google Cloud TTS successful', { filename, fileSize: audioContent.length });
-  return `http://127.0.0.1:3000/audio-files/${filename}`;
+function cachedAudio(hash) {
+  const entry = cache.get(hash);
+  if (!entry) return null;
+  const filepath = path.join(audioDir, CACHE_DIR, entry.filename);
+  if (!fs.existsSync(filepath)) {
+    removeFromCache(hash);
+    return null;
+  }
+  cache.delete(hash);
+  cache.set(hash, entry);
+  const now = new Date();
+  fs.utimesSync(filepath, now, now);
+  return cacheUrl(entry.filename);
 }
 
-/**
- * Generate speech using local gTTS (Google Translate TTS - no API key needed)
- */
-// gTTS uses old ISO 639-1 codes in some cases
-const GTTS_LANG_MAP = { 'he': 'iw', 'yi': 'iw' };
+function addToCache(hash, filename) {
+  removeFromCache(hash);
+  const bytes = fs.statSync(path.join(audioDir, CACHE_DIR, filename)).size;
+  cache.set(hash, { filename, bytes });
+  cacheBytes += bytes;
+}
 
-function generateSpeechGTTS(text, language) {
-  return new Promise((resolve, reject) => {
-    const filename = generateFilename(text);
-    const filepath = path.join(audioDir, filename);
-    const rawLang = language || 'en';
-    const lang = GTTS_LANG_MAP[rawLang] || rawLang;
+function removeFromCache(hash) {
+  const entry = cache.get(hash);
+  if (!entry) return;
+  cache.delete(hash);
+  cacheBytes -= entry.bytes;
+}
 
-    logger.info('Generating speech with gTTS', { textLength: text.length, lang });
+// Delete least recently used files until the cache fits (the newest one always stays)
+function evictFromCache() {
+  let evicted = 0;
+  while (cacheBytes > CACHE_MAX_BYTES && cache.size > 1) {
+    const [hash, entry] = cache.entries().next().value;
+    removeFromCache(hash);
+    fs.rmSync(path.join(audioDir, CACHE_DIR, entry.filename), { force: true });
+    evicted++;
+  }
+  if (evicted > 0) logger.info('TTS cache evicted files', { evicted, bytes: cacheBytes });
+}
 
-    execFile('python3', ['-c',
-      `from gtts import gTTS; t=gTTS(${JSON.stringify(text)}, lang=${JSON.stringify(lang)}); t.save(${JSON.stringify(filepath)})`
-    ], { timeout: 15000 }, (error) => {
-      if (error) return reject(new Error(`gTTS failed: ${error.message}`));
-      if (!fs.existsSync(filepath)) return reject(new Error('gTTS produced no output file'));
-      logger.info('gTTS successful', { filename, fileSize: fs.statSync(filepath).size });
-      resolve(`http://127.0.0.1:3000/audio-files/${filename}`);
-    });
-  });
+function generateFilename(text, ext = 'mp3') {
+  const hash = crypto.createHash('md5').update(text).digest('hex').substring(0, 8);
+  const timestamp = Date.now();
+  return `tts-${timestamp}-${hash}.${ext}`;
 }
 
 /**
- * Generate speech using OpenAI TTS
+ * Where a provider writes the audio for text (the "output" argument of synthesize)
+ * @param {string} text
+ * @param {string} [hash] - Cache key: the file is written under a temporary name
+ *   and moved to CACHE_DIR/<hash>.<ext> by commit()
  */
-async function generateSpeechOpenAI(text) {
-  if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not set');
-
-  logger.info('Generating speech with OpenAI TTS', {
-    textLength: text.length,
-    voice: OPENAI_TTS_VOICE,
-    model: OPENAI_TTS_MODEL
-  });
-
-  const response = await axios({
-    method: 'POST',
-    url: 'https://api.openai.com/v1/audio/speech',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json'
+function audioOutput(text, hash = null) {
+  const files = [];
+  return {
+    file(ext = 'mp3') {
+      if (!hash) {
+        const filename = generateFilename(text, ext);
+        return { filename, filepath: path.join(audioDir, filename), url: `http://127.0.0.1:3000/audio-files/${filename}` };
+      }
+      const filename = `${hash}.${ext}`;
+      const suffix = crypto.randomBytes(4).toString('hex');
+      const filepath = path.join(audioDir, CACHE_DIR, `${TEMP_PREFIX}${suffix}-${filename}`);
+      files.push({ filepath, filename });
+      return { filename, filepath, url: cacheUrl(filename) };
     },
-    data: {
-      model: OPENAI_TTS_MODEL,
-      input: text,
-      voice: OPENAI_TTS_VOICE,
-      response_format: 'mp3'
+    // Synthesis finished: move the file for url into the cache (atomically, so
+    // a call playing the same phrase never reads it half-written)
+    commit(url) {
+      const file = files.find(f => url.endsWith('/' + f.filename));
+      if (!file) return;
+      fs.renameSync(file.filepath, path.join(audioDir, CACHE_DIR, file.filename));
+      addToCache(hash, file.filename);
+      evictFromCache();
     },
-    responseType: 'arraybuffer'
-  });
-
-  const filename = generateFilename(text);
-  const filepath = path.join(audioDir, filename);
-  fs.writeFileSync(filepath, response.data);
-
-  logger.info('OpenAI TTS successful', { filename, fileSize: response.data.length });
-  return `http://127.0.0.1:3000/audio-files/${filename}`;
+    discard() {
+      files.forEach(f => fs.rmSync(f.filepath, { force: true }));
+    }
+  };
 }
 
 /**
- * Generate speech using ElevenLabs
+ * Log which provider spoke and report it to the live call feed, metrics and
+ * the tts.generate span
  */
-async function generateSpeechElevenLabs(text, voiceId) {
-  if (!ELEVENLABS_API_KEY) throw new Error('ELEVENLABS_API_KEY not set');
-
-  logger.info('Generating speech with ElevenLabs', {
-    textLength: text.length,
-    voiceId,
-    model: 'eleven_turbo_v2'
-  });
-
-  const response = await axios({
-    method: 'POST',
-    url: `${ELEVENLABS_API_URL}/text-to-speech/${voiceId}`,
-    headers: {
-      'Accept': 'audio/mpeg',
-      'Content-Type': 'application/json',
-      'xi-api-key': ELEVENLABS_API_KEY
-    },
-    data: {
-      text,
-      model_id: 'eleven_turbo_v2',
-      voice_settings: {
-        stability: 0.5,
-        similarity_boost: 0.75,
-        style: 0.0,
-        use_speaker_boost: true
-      }
-    },
-    responseType: 'arraybuffer'
-  });
-
-  const filename = generateFilename(text);
-  const filepath = path.join(audioDir, filename);
-  fs.writeFileSync(filepath, response.data);
-
-  logger.info('ElevenLabs TTS successful', { filename, fileSize: response.data.length });
-  return `http://127.0.0.1:3000/audio-files/${filename}`;
+function speechGenerated(label, provider, startTime, text, span) {
+  const latency = Date.now() - startTime;
+  span.setAttribute('provider', provider);
+  logger.info('Speech generated via ' + label, { latency });
+  liveEvents.publish('tts', { provider, latencyMs: latency, characters: text.length });
+  metrics.providerAnswered('tts', provider);
+  metrics.observeStage('tts', latency);
 }
 
 /**
  * Convert text to speech
- * Chain: Google Cloud TTS → MOSS TTS (GPU) → gTTS (free) → OpenAI TTS → ElevenLabs
  *
  * @param {string} text - Text to convert
- * @param {string} voiceId - ElevenLabs voice ID (last-resort fallback)
+ * @param {string} voiceId - ElevenLabs voice ID (used when the chain entry has no voice)
  * @param {string} [language] - BCP-47 language code
  * @param {string} [referenceAudio] - Path or URL for MOSS TTS voice cloning
+ * @param {Object} [tts] - Device "tts" block: chain, speakingRate, pitch, format
+ *   (see tts-providers/index.js)
  * @returns {Promise<string>} HTTP URL to audio file
  */
-async function generateSpeech(text, voiceId, language, referenceAudio) {
-  const startTime = Date.now();
-
-  // Primary: Google Cloud TTS (high quality, requires GOOGLE_CLOUD_KEY)
-  if (GOOGLE_CLOUD_KEY) {
-    try {
-      const url = await generateSpeechGoogleCloud(text, language);
-      logger.info('Speech generated via Google Cloud TTS', { latency: Date.now() - startTime });
-      return url;
-    } catch (error) {
-      logger.warn('Google Cloud TTS failed, falling back', { error: error.message });
-    }
-  }
-
-  // Fallback 1: MOSS TTS (GPU-accelerated, voice cloning)
-  if (MOSS_TTS_URL) {
-    try {
-      const url = await generateSpeechMoss(text, referenceAudio);
-      logger.info('Speech generated via MOSS TTS', { latency: Date.now() - startTime });
-      return url;
-    } catch (error) {
-      logger.warn('MOSS TTS failed, falling back to gTTS', { error: error.message });
+async function generateSpeech(text, voiceId, language, referenceAudio, tts) {
+  return tracer.trace('tts.generate', { language: language || null, characters: text.length }, async (span) => {
+    const startTime = Date.now();
+    const { url, cached } = await generateSpeechWithFallback(text, { voiceId, language, referenceAudio }, tts, span);
+    if (CACHE_MAX_BYTES > 0) {
+      span.setAttribute('cache', cached ? 'hit' : 'miss');
+      metrics.ttsCache(cached ? 'hit' : 'miss');
     }
-  }
+    if (cached) metrics.observeStage('tts', Date.now() - startTime);
+    return url;
+  });
+}
 
-  // Fallback 2: gTTS (free, no API key)
-  try {
-    const url = await generateSpeechGTTS(text, language);
-    logger.info('Speech generated via gTTS', { latency: Date.now() - startTime });
+/**
+ * Synthesize a phrase ahead of calls into the cache; generateSpeech() with
+ * the same arguments finds it there
+ *
+ * @param {string} text
+ * @param {string} voiceId
+ * @param {string} [language]
+ * @param {string} [referenceAudio]
+ * @param {Object} [tts]
+ * @returns {Promise<string|null>} HTTP URL to audio file, null when the cache is off
+ */
+async function prerender(text, voiceId, language, referenceAudio, tts) {
+  if (!(CACHE_MAX_BYTES > 0)) return null;
+  return tracer.trace('tts.prerender', { language: language || null, characters: text.length }, async (span) => {
+    const { url, cached } = await generateSpeechWithFallback(text, { voiceId, language, referenceAudio }, tts, span);
+    span.setAttribute('cache', cached ? 'hit' : 'miss');
     return url;
-  } catch (error) {
-    logger.warn('gTTS failed, trying OpenAI TTS', { error: error.message });
-  }
+  });
+}
 
-  // Fallback 2: OpenAI TTS
-  if (OPENAI_API_KEY) {
-    try {
-      const url = await generateSpeechOpenAI(text);
-      logger.info('Speech generated via OpenAI TTS', { latency: Date.now() - startTime });
-      return url;
-    } catch (error) {
-      logger.warn('OpenAI TTS failed, trying ElevenLabs', { error: error.message });
+/**
+ * @returns {Promise<{url: string, cached: boolean}>}
+ */
+async function generateSpeechWithFallback(text, request, tts, span) {
+  const startTime = Date.now();
+  let lastError = null;
+
+  const chain = resolveChain(tts, request).filter(({ provider, options }) => provider.isConfigured(options));
+  const hashes = chain.map(({ provider, options }) => (CACHE_MAX_BYTES > 0 ? cacheKey(text, provider, options) : null));
+
+  // Audio any provider already made beats waiting on one that may be down
+  for (let i = 0; i < chain.length; i++) {
+    const cachedUrl = hashes[i] && cachedAudio(hashes[i]);
+    if (cachedUrl) {
+      span.setAttribute('provider', chain[i].provider.name);
+      return { url: cachedUrl, cached: true };
     }
   }
 
-  // Fallback 3: ElevenLabs
-  if (ELEVENLABS_API_KEY && voiceId) {
+  for (let i = 0; i < chain.length; i++) {
+    const { provider, options } = chain[i];
+    const output = audioOutput(text, hashes[i]);
     try {
-      const url = await generateSpeechElevenLabs(text, voiceId);
-      logger.info('Speech generated via ElevenLabs', { latency: Date.now() - startTime });
-      return url;
+      const url = await tracer.trace('tts.provider', { provider: provider.name }, () => {
+        return provider.synthesize(text, options, output);
+      });
+      output.commit(url);
+      speechGenerated(provider.label, provider.name, startTime, text, span);
+      return { url, cached: false };
     } catch (error) {
-      logger.error('ElevenLabs TTS failed', { error: error.message });
-      throw new Error(`TTS generation failed: ${error.message}`);
+      lastError = error;
+      logger.warn(provider.label + ' failed, falling back', { error: error.message });
+      metrics.providerFailed('tts', provider.name);
+      output.discard();
     }
   }
 
+  if (lastError) throw new Error(`TTS generation failed: ${lastError.message}`);
   throw new Error('No TTS provider available');
 }
 
@@ -315,7 +269,7 @@ function cleanupOldFiles(maxAgeMs = 60 * 60 * 1000) {
     const files = fs.readdirSync(audioDir);
     let deletedCount = 0;
     files.forEach(file => {
-      if (!file.startsWith('tts-') || !file.endsWith('.mp3')) return;
+      if (!/^tts-.*\.(mp3|wav|ogg)$/.test(file)) return;
       const filepath = path.join(audioDir, file);
       const stats = fs.statSync(filepath);
       if (now - stats.mtimeMs > maxAgeMs) {
@@ -333,10 +287,13 @@ function cleanupOldFiles(maxAgeMs = 60 * 60 * 1000) {
 
 // Initialize
 setAudioDir(audioDir);
-setInterval(() => { cleanupOldFiles(); }, 30 * 60 * 1000);
+setInterval(() => { cleanupOldFiles(); }, 30 * 60 * 1000).unref();
 
 module.exports = {
   generateSpeech,
+  prerender,
   setAudioDir,
-  cleanupOldFiles
+  cleanupOldFiles,
+  registerProvider,
+  listProviders
 };
@@ -0,0 +1,222 @@
+/**
+ * Voice Activity Detection
+ * Decides which audio frames from the fork are caller speech. Backends share
+ * one interface:
+ *
+ *   create(options) -> { isSpeech(frame) -> boolean }
+ *
+ * frame: buf (16-bit PCM), endian ('LE' / 'BE'), sampleRate, durationMs and
+ * stats ({rms, maxAbs, nearZeroRatio}). isSpeech is called for every frame of
+ * the call, whether or not the caller's turn is being captured, so a backend
+ * can follow the line's background noise.
+ *
+ * Built in: "energy" — RMS / peak thresholds. Unless "adaptive" is false it
+ * measures the line's noise floor over the first second of the call and keeps
+ * following it (the quietest frames of the last few seconds), raising the
+ * thresholds on noisy lines. More backends (e.g. a WebRTC or model-based VAD
+ * for noisy mobile callers) can be added with registerVadBackend() or listed
+ * as module paths in VAD_BACKEND_MODULES (comma-separated); a module exports
+ * { name, create }.
+ *
+ * A device's "vad" block in devices.json overrides the defaults:
+ *
+ *   "vad": {
+ *     "backend": "energy",
+ *     "adaptive": true,
+ *     "noiseMultiplier": 3,
+ *     "endSilenceMs": 1200,
+ *     "minSpeechMs": 300,
+ *     "maxUtteranceMs": 30000
+ *   }
+ */
+
+const path = require('path');
+const logger = require('./logger');
+
+const backends = new Map();
+
+// Fixed thresholds: used as-is when not adaptive, as the minimum when adaptive
+const BASE_RMS_THRESHOLD = 650;
+const BASE_MAX_THRESHOLD = 2200;
+// Loud constant noise must not make the caller inaudible
+const MAX_RMS_THRESHOLD = 3000;
+
+const DEFAULTS = {
+  backend: process.env.VAD_BACKEND || 'energy',
+  adaptive: process.env.VAD_ADAPTIVE !== 'false',
+  noiseMultiplier: parseFloat(process.env.VAD_NOISE_MULTIPLIER || '3'),
+  endSilenceMs: parseInt(process.env.VAD_END_SILENCE_MS || '1500', 10),
+  minSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS || '350', 10),
+  maxUtteranceMs: parseInt(process.env.VAD_MAX_UTTERANCE_MS || '60000', 10)
+};
+
+// Numeric settings: [min, max]
+const RANGES = {
+  noiseMultiplier: [1, 20],
+  endSilenceMs: [200, 10000],
+  minSpeechMs: [50, 5000],
+  maxUtteranceMs: [1000, 300000]
+};
+
+/**
+ * Energy VAD with noise-floor calibration
+ */
+class EnergyVad {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.adaptive=true] - Follow the line's noise floor
+   * @param {number} [options.noiseMultiplier=3] - Speech must be this many times louder than the noise
+   * @param {number} [options.calibrationMs=1000] - Audio measured before adapting
+   * @param {number} [options.windowMs=3000] - Window the noise floor is followed over
+   * @param {string} [options.callUuid] - For logs
+   */
+  constructor({ adaptive = true, noiseMultiplier = 3, calibrationMs = 1000, windowMs = 3000, callUuid = null } = {}) {
+    this.adaptive = adaptive;
+    this.noiseMultiplier = noiseMultiplier;
+    this.calibrationMs = calibrationMs;
+    this.windowMs = windowMs;
+    this.callUuid = callUuid;
+
+    this.noiseFloor = null;
+    this.rmsThreshold = BASE_RMS_THRESHOLD;
+    this.maxThreshold = BASE_MAX_THRESHOLD;
+    this._calibration = [];
+    this._calibrationMs = 0;
+    this._window = [];
+    this._windowMs = 0;
+  }
+
+  isSpeech(frame) {
+    const { stats } = frame;
+    const looksSilent = stats.nearZeroRatio > 0.94 && stats.rms < this.rmsThreshold;
+    const speech = !looksSilent && (stats.maxAbs >= this.maxThreshold || stats.rms >= this.rmsThreshold);
+    if (this.adaptive) this._track(stats.rms, frame.durationMs);
+    return speech;
+  }
+
+  _track(rms, durationMs) {
+    if (this.noiseFloor === null) {
+      this._calibration.push(rms);
+      this._calibrationMs += durationMs;
+      if (this._calibrationMs < this.calibrationMs) return;
+      // Median: a word or a click in the first second doesn't skew it
+      const sorted = this._calibration.slice().sort((a, b) => a - b);
+      this._setNoiseFloor(sorted[Math.floor(sorted.length / 2)]);
+      this._calibration = [];
+      logger.info('VAD noise floor calibrated', {
+        callUuid: this.callUuid,
+        noiseFloor: Math.round(this.noiseFloor),
+        rmsThreshold: Math.round(this.rmsThreshold)
+      });
+      return;
+    }
+
+    // The quietest frame of the last few seconds is background noise, even mid-sentence
+    this._window.push({ rms, ms: durationMs });
+    this._windowMs += durationMs;
+    while (this._windowMs - this._window[0].ms >= this.windowMs) this._windowMs -= this._window.shift().ms;
+    if (this._windowMs < this.windowMs) return;
+    const quietest = this._window.reduce((min, f) => Math.min(min, f.rms), Infinity);
+    this._setNoiseFloor(this.noiseFloor + (quietest - this.noiseFloor) * 0.05);
+  }
+
+  _setNoiseFloor(noiseFloor) {
+    this.noiseFloor = noiseFloor;
+    this.rmsThreshold = Math.min(MAX_RMS_THRESHOLD, Math.max(BASE_RMS_THRESHOLD, noiseFloor * this.noiseMultiplier));
+    this.maxThreshold = BASE_MAX_THRESHOLD * (this.rmsThreshold / BASE_RMS_THRESHOLD);
+  }
+}
+
+/**
+ * Add a VAD backend (replaces one with the same name)
+ * @param {Object} backend - { name, create(options) }
+ */
+function registerVadBackend(backend) {
+  if (!backend || typeof backend.name !== 'string' || !backend.name) {
+    throw new Error('VAD backend needs a name');
+  }
+  if (typeof backend.create !== 'function') {
+    throw new Error(`VAD backend "${backend.name}" needs a create() function`);
+  }
+  backends.set(backend.name, backend);
+}
+
+/**
+ * @returns {string[]} Registered backend names
+ */
+function listVadBackends() {
+  return Array.from(backends.keys());
+}
+
+/**
+ * Create a VAD for one call; an unknown backend falls back to energy
+ * @param {string} name
+ * @param {Object} [options] - Passed to the backend (adaptive, noiseMultiplier, callUuid, ...)
+ * @returns {{isSpeech: Function}}
+ */
+function createVad(name, options = {}) {
+  let backend = backends.get(name);
+  if (!backend) {
+    logger.warn('Unknown VAD backend, using energy', { backend: name, callUuid: options.callUuid });
+    backend = backends.get('energy');
+  }
+  return backend.create(options);
+}
+
+/**
+ * Resolve VAD settings for a device
+ * @param {Object} [deviceConfig] - Device config, may contain a "vad" block
+ * @returns {{backend: string, adaptive: boolean, noiseMultiplier: number,
+ *   endSilenceMs: number, minSpeechMs: number, maxUtteranceMs: number}}
+ */
+function resolveVadConfig(deviceConfig) {
+  const vad = (deviceConfig && deviceConfig.vad) || {};
+  const resolved = Object.assign({}, DEFAULTS);
+  Object.keys(DEFAULTS).forEach(key => {
+    if (vad[key] !== undefined) resolved[key] = vad[key];
+  });
+  return resolved;
+}
+
+/**
+ * Validate a device's "vad" block
+ * @param {Object} vad
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateVadConfig(vad) {
+  if (!vad || typeof vad !== 'object' || Array.isArray(vad)) return ['vad must be an object'];
+  const errors = [];
+  if (vad.backend !== undefined && !backends.has(vad.backend)) {
+    errors.push(`vad.backend must be one of: ${listVadBackends().join(', ')}`);
+  }
+  if (vad.adaptive !== undefined && typeof vad.adaptive !== 'boolean') {
+    errors.push('vad.adaptive must be true or false');
+  }
+  Object.keys(RANGES).forEach(key => {
+    const [min, max] = RANGES[key];
+    if (vad[key] !== undefined && !(typeof vad[key] === 'number' && vad[key] >= min && vad[key] <= max)) {
+      errors.push(`vad.${key} must be a number from ${min} to ${max}`);
+    }
+  });
+  return errors;
+}
+
+registerVadBackend({ name: 'energy', create: (options) => new EnergyVad(options) });
+
+(process.env.VAD_BACKEND_MODULES || '').split(',').map(p => p.trim()).filter(Boolean).forEach(modulePath => {
+  try {
+    registerVadBackend(require(path.resolve(modulePath)));
+    logger.info('Loaded VAD backend module', { path: modulePath });
+  } catch (error) {
+    logger.warn('Could not load VAD backend module', { path: modulePath, error: error.message });
+  }
+});
+
+module.exports = {
+  EnergyVad,
+  registerVadBackend,
+  listVadBackends,
+  createVad,
+  resolveVadConfig,
+  validateVadConfig
+};
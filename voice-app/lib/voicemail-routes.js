@@ -0,0 +1,129 @@
+/**
+ * Voicemail API Routes
+ * Messages left while the AI was unavailable or the device was closed
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+const { voicemails } = require('./voicemail');
+
+// Dependencies injected via setupRoutes()
+let store = voicemails;
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'not_found',
+    message: 'Voicemail not found'
+  });
+}
+
+function internalError(res, message, error, meta) {
+  logger.error(message, Object.assign({ error: error.message }, meta));
+  res.status(500).json({ success: false, error: 'internal_error', message: message });
+}
+
+/**
+ * GET /api/voicemails?device=&from=&since=&limit=
+ * Newest first
+ */
+router.get('/voicemails', async function(req, res) {
+  var limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+  if (limit !== undefined && !(limit > 0)) {
+    return res.status(400).json({ success: false, error: 'validation_failed', message: 'Field "limit" must be a positive number' });
+  }
+  if (req.query.since && isNaN(new Date(req.query.since).getTime())) {
+    return res.status(400).json({ success: false, error: 'validation_failed', message: 'Field "since" must be a date' });
+  }
+
+  try {
+    var list = await store.list({
+      device: req.query.device,
+      from: req.query.from,
+      since: req.query.since,
+      limit: limit
+    });
+    res.json({ success: true, count: list.length, voicemails: list });
+  } catch (error) {
+    internalError(res, 'Failed to list voicemails', error);
+  }
+});
+
+/**
+ * GET /api/voicemails/:id
+ */
+router.get('/voicemails/:id', async function(req, res) {
+  try {
+    var voicemail = await store.get(req.params.id);
+    if (!voicemail) return notFound(res);
+    res.json(Object.assign({ success: true }, voicemail));
+  } catch (error) {
+    internalError(res, 'Failed to read voicemail', error, { id: req.params.id });
+  }
+});
+
+/**
+ * GET /api/voicemails/:id/audio
+ * Streams the WAV file; add ?download=1 to get it as an attachment
+ */
+router.get('/voicemails/:id/audio', function(req, res) {
+  var filepath = store.getAudioPath(req.params.id);
+  if (!filepath) return notFound(res);
+
+  res.type('audio/wav');
+  if (req.query.download) {
+    res.attachment('voicemail-' + req.params.id + '.wav');
+  }
+  res.sendFile(filepath, function(err) {
+    if (err && !res.headersSent) internalError(res, 'Failed to read voicemail audio', err, { id: req.params.id });
+  });
+});
+
+/**
+ * PATCH /api/voicemails/:id
+ * Body: { heard: true } - mark a message as listened to
+ */
+router.patch('/voicemails/:id', async function(req, res) {
+  if (!req.body || typeof req.body.heard !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'validation_failed', message: 'Field "heard" must be true or false' });
+  }
+
+  try {
+    var voicemail = await store.update(req.params.id, { heard: req.body.heard });
+    if (!voicemail) return notFound(res);
+    res.json(Object.assign({ success: true }, voicemail));
+  } catch (error) {
+    internalError(res, 'Failed to update voicemail', error, { id: req.params.id });
+  }
+});
+
+/**
+ * DELETE /api/voicemails/:id
+ */
+router.delete('/voicemails/:id', async function(req, res) {
+  try {
+    if (!(await store.remove(req.params.id))) return notFound(res);
+    logger.info('Voicemail deleted', { id: req.params.id });
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    internalError(res, 'Failed to delete voicemail', error, { id: req.params.id });
+  }
+});
+
+/**
+ * Setup routes with dependencies
+ *
+ * @param {Object} [deps] - Dependencies
+ * @param {VoicemailStore} [deps.store] - Where voicemails are kept (VOICEMAIL_DIR)
+ */
+function setupRoutes(deps) {
+  if (deps && deps.store) store = deps.store;
+
+  logger.info('Voicemail routes initialized', { dir: store.dir });
+}
+
+module.exports = {
+  router: router,
+  setupRoutes: setupRoutes
+};
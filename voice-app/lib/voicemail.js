@@ -0,0 +1,462 @@
+/**
+ * Voicemail
+ * Takes a message when the AI can't answer: the backend is down (health check
+ * at answer time, or it stops responding mid-call) or the device is closed.
+ *
+ * The caller hears the device's message and a tone, then talks until they
+ * press #, stop talking or hang up. The message is transcribed, stored
+ * (GET /api/voicemails) and delivered:
+ * - webhook:  "voicemail.received" to the global / device webhook subscribers
+ * - email:    to "email" via the SMTP relay in SMTP_HOST, with the WAV attached
+ *
+ * Devices configure it with a "voicemail" block in devices.json:
+ *
+ *   "voicemail": {
+ *     "enabled": true,
+ *     "unavailableMessage": "Sorry, I can't take your call right now. Please leave a message after the tone.",
+ *     "closedMessage": "We're closed right now. Please leave a message after the tone.",
+ *     "maxSeconds": 120,
+ *     "email": "office@example.com"
+ *   }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { pcmToWav } = require('./whisper-client');
+const { sendMail } = require('./smtp-client');
+const { webhooks } = require('./webhook-dispatcher');
+const { READY_BEEP_URL } = require('./conversation-loop');
+const { phrase } = require('./phrases');
+
+const VOICEMAIL_DIR = process.env.VOICEMAIL_DIR || path.join(__dirname, '../voicemails');
+
+const DEFAULTS = {
+  enabled: process.env.VOICEMAIL_ENABLED !== 'false',
+  maxSeconds: parseInt(process.env.VOICEMAIL_MAX_SECONDS || '120', 10),
+  silenceSeconds: parseFloat(process.env.VOICEMAIL_SILENCE_SECONDS || '6'),
+  email: process.env.VOICEMAIL_EMAIL_TO || null
+};
+
+const SMTP = {
+  host: process.env.SMTP_HOST || null,
+  port: parseInt(process.env.SMTP_PORT || '25', 10),
+  from: process.env.SMTP_FROM || `voicemail@${os.hostname()}`
+};
+
+// Below this level a chunk of caller audio counts as silence
+const SILENCE_RMS = 500;
+
+// Voicemail IDs end up in file names
+const SAFE_ID = /^[\w-]+$/;
+
+/**
+ * Resolve voicemail settings for a device
+ * The messages are the voicemailUnavailable / voicemailClosed / voicemailThanks
+ * phrases (see phrases.js), in the language given or the device's.
+ * @param {Object} [deviceConfig] - Device config, may contain a "voicemail" block
+ * @param {string} [language]
+ */
+function resolveVoicemailConfig(deviceConfig, language) {
+  const device = (deviceConfig && deviceConfig.voicemail) || {};
+  const phraseOptions = { language: language || (deviceConfig && deviceConfig.language), device: deviceConfig };
+  return {
+    enabled: device.enabled !== undefined ? Boolean(device.enabled) : DEFAULTS.enabled,
+    unavailableMessage: phrase('voicemailUnavailable', phraseOptions),
+    closedMessage: phrase('voicemailClosed', phraseOptions),
+    thanksMessage: phrase('voicemailThanks', phraseOptions),
+    maxSeconds: device.maxSeconds || DEFAULTS.maxSeconds,
+    silenceSeconds: device.silenceSeconds || DEFAULTS.silenceSeconds,
+    email: device.email || DEFAULTS.email
+  };
+}
+
+function rms(buf) {
+  const samples = Math.floor(buf.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = buf.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+/**
+ * Voicemails on disk: <id>.json (details) and <id>.wav (audio)
+ */
+class VoicemailStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - VOICEMAIL_DIR
+   */
+  constructor({ dir = VOICEMAIL_DIR } = {}) {
+    this.dir = dir;
+  }
+
+  _path(id, ext) {
+    if (!id || !SAFE_ID.test(id)) return null;
+    return path.join(this.dir, `${id}.${ext}`);
+  }
+
+  /**
+   * Store a voicemail
+   * @param {Object} voicemail - Details (id is generated if missing)
+   * @param {Buffer} wav - Audio
+   * @returns {Promise<Object>} The stored voicemail
+   */
+  async save(voicemail, wav) {
+    const record = Object.assign({ id: crypto.randomUUID() }, voicemail);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this._path(record.id, 'wav'), wav);
+    await fs.promises.writeFile(this._path(record.id, 'json'), JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  /**
+   * Change a stored voicemail's details
+   * @returns {Promise<Object|null>} The updated voicemail, or null if there is none
+   */
+  async update(id, fields) {
+    const voicemail = await this.get(id);
+    if (!voicemail) return null;
+    const updated = Object.assign(voicemail, fields, { id });
+    await fs.promises.writeFile(this._path(id, 'json'), JSON.stringify(updated, null, 2));
+    return updated;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const filepath = this._path(id, 'json');
+    if (!filepath) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(filepath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Voicemails, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.device] - Device name
+   * @param {string} [filter.from] - Caller number
+   * @param {string|Date} [filter.since] - Only messages left after this time
+   * @param {number} [filter.limit]
+   * @returns {Promise<Object[]>}
+   */
+  async list({ device, from, since, limit } = {}) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sinceMs = since ? new Date(since).getTime() : null;
+    const voicemails = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const voicemail = await this.get(file.slice(0, -5)).catch((error) => {
+        logger.warn('Skipping unreadable voicemail', { file, error: error.message });
+        return null;
+      });
+      if (!voicemail) continue;
+      if (device && voicemail.device !== device) continue;
+      if (from && voicemail.from !== from) continue;
+      if (sinceMs && new Date(voicemail.createdAt).getTime() <= sinceMs) continue;
+      voicemails.push(voicemail);
+    }
+
+    voicemails.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return limit ? voicemails.slice(0, limit) : voicemails;
+  }
+
+  /**
+   * Path of the audio file, or null if there is none
+   */
+  getAudioPath(id) {
+    const filepath = this._path(id, 'wav');
+    return filepath && fs.existsSync(filepath) ? filepath : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} False if there was no such voicemail
+   */
+  async remove(id) {
+    const filepath = this._path(id, 'json');
+    if (!filepath || !fs.existsSync(filepath)) return false;
+    await fs.promises.unlink(filepath);
+    await fs.promises.unlink(this._path(id, 'wav')).catch(() => {});
+    return true;
+  }
+
+  /**
+   * Delete voicemails left before the retention period, audio and details
+   * together. Goes by createdAt, since update() rewrites the details file.
+   * @param {number} retentionMs
+   * @returns {Promise<number>} Number of voicemails deleted
+   */
+  async purge(retentionMs) {
+    if (!(retentionMs > 0)) return 0;
+
+    const cutoff = Date.now() - retentionMs;
+    let deleted = 0;
+    for (const voicemail of await this.list()) {
+      const createdAt = new Date(voicemail.createdAt).getTime();
+      if (!(createdAt < cutoff)) continue;
+      try {
+        if (await this.remove(voicemail.id)) deleted++;
+      } catch (error) {
+        logger.warn('Failed to purge voicemail', { id: voicemail.id, error: error.message });
+      }
+    }
+    if (deleted > 0) logger.info('Purged old voicemails', { deleted });
+    return deleted;
+  }
+}
+
+/**
+ * Record the caller from the audio fork until they press #, go quiet for
+ * silenceSeconds (twice that before they start talking), hang up or reach
+ * maxSeconds
+ *
+ * @returns {Promise<{pcm: Buffer, sampleRate: number, durationMs: number, heardSpeech: boolean,
+ *   endReason: string}|null>} null if the audio fork could not be started
+ */
+async function recordMessage(endpoint, dialog, callUuid, { audioForkServer, wsPort, maxSeconds, silenceSeconds }) {
+  const wsUrl = `ws://127.0.0.1:${wsPort}/${encodeURIComponent(callUuid)}`;
+  let session;
+  try {
+    const sessionPromise = audioForkServer.expectSession(callUuid, { timeoutMs: 10000 });
+    await endpoint.forkAudioStart({ wsUrl, mixType: 'mono', sampling: '16k' });
+    session = await sessionPromise;
+  } catch (error) {
+    logger.warn('Voicemail: audio fork failed', { callUuid, error: error.message });
+    if (audioForkServer.cancelExpectation) audioForkServer.cancelExpectation(callUuid);
+    return null;
+  }
+  session.setCaptureEnabled(false);
+
+  const chunks = [];
+  let bytes = 0;
+  let heardSpeech = false;
+  let silentMs = -silenceSeconds * 1000;
+  const startedAt = Date.now();
+
+  const endReason = await new Promise((resolve) => {
+    const done = (reason) => {
+      clearTimeout(timer);
+      session.off('audio', onAudio);
+      endpoint.off('dtmf', onDtmf);
+      dialog.off('destroy', onDestroy);
+      resolve(reason);
+    };
+    const onAudio = (buf) => {
+      chunks.push(buf);
+      bytes += buf.length;
+      const chunkMs = buf.length / 2 / session.sampleRate * 1000;
+      if (rms(buf) >= SILENCE_RMS) {
+        heardSpeech = true;
+        silentMs = 0;
+      } else if ((silentMs += chunkMs) >= silenceSeconds * 1000) {
+        done('silence');
+      }
+    };
+    const onDtmf = (evt) => {
+      if (String(evt.dtmf || evt.digit) === '#') done('dtmf');
+    };
+    const onDestroy = () => done('hangup');
+    const timer = setTimeout(() => done('max_length'), maxSeconds * 1000);
+
+    session.on('audio', onAudio);
+    endpoint.on('dtmf', onDtmf);
+    dialog.on('destroy', onDestroy);
+  });
+
+  if (endReason !== 'hangup') {
+    await endpoint.forkAudioStop().catch(() => {});
+  }
+
+  return {
+    pcm: Buffer.concat(chunks, bytes),
+    sampleRate: session.sampleRate,
+    durationMs: Date.now() - startedAt,
+    heardSpeech,
+    endReason
+  };
+}
+
+/**
+ * Send a stored voicemail to its webhook subscribers and email recipient
+ */
+async function deliverVoicemail(voicemail, wav, config, deviceConfig, store) {
+  webhooks.dispatch('voicemail.received', Object.assign({}, voicemail, {
+    audioUrl: `/api/voicemails/${voicemail.id}/audio`
+  }), { device: deviceConfig });
+
+  if (!config.email) return;
+  if (!SMTP.host) {
+    logger.warn('Voicemail email skipped: SMTP_HOST is not set', { id: voicemail.id });
+    return;
+  }
+
+  const from = voicemail.from || 'an unknown number';
+  try {
+    await sendMail({
+      host: SMTP.host,
+      port: SMTP.port,
+      from: SMTP.from,
+      to: config.email,
+      subject: `Voicemail from ${from}${voicemail.device ? ` for ${voicemail.device}` : ''}`,
+      text: [
+        `New voicemail from ${from}`,
+        `Left:     ${voicemail.createdAt}`,
+        `Length:   ${voicemail.durationSeconds} seconds`,
+        `Reason:   ${voicemail.reason === 'closed' ? 'outside business hours' : 'assistant unavailable'}`,
+        '',
+        voicemail.transcript ? `"${voicemail.transcript}"` : '(no transcript)'
+      ].join('\n'),
+      attachments: [{ filename: `voicemail-${voicemail.id}.wav`, content: wav, contentType: 'audio/wav' }]
+    });
+    logger.info('Voicemail emailed', { id: voicemail.id, to: config.email });
+    if (store) await store.update(voicemail.id, { emailedTo: config.email });
+  } catch (error) {
+    logger.error('Voicemail email failed', { id: voicemail.id, to: config.email, error: error.message });
+  }
+}
+
+/**
+ * Play the voicemail message, record the caller, hang up, then transcribe,
+ * store and deliver the message
+ *
+ * @param {Object} endpoint - FreeSWITCH endpoint
+ * @param {Object} dialog - SIP dialog
+ * @param {string} callUuid
+ * @param {Object} options
+ * @param {string} options.reason - "unavailable" (AI backend down) or "closed"
+ * @param {Object} options.audioForkServer
+ * @param {Object} options.whisperClient
+ * @param {Object} options.ttsService
+ * @param {number} options.wsPort
+ * @param {Object} [options.deviceConfig] - Device answering the call (voicemail block, voice)
+ * @param {string} [options.callerNumber]
+ * @param {string} [options.voiceId]
+ * @param {string} [options.language]
+ * @param {CallTranscript} [options.transcript] - Gets the prompts and the message
+ * @param {VoicemailStore} [options.store]
+ * @returns {Promise<Object|null>} The stored voicemail, or null if the caller left none
+ */
+async function takeVoicemail(endpoint, dialog, callUuid, options) {
+  const {
+    reason,
+    audioForkServer,
+    whisperClient,
+    ttsService,
+    wsPort,
+    deviceConfig = null,
+    callerNumber = null,
+    voiceId = null,
+    language = 'en',
+    transcript = null,
+    store = voicemails
+  } = options;
+  const config = resolveVoicemailConfig(deviceConfig, language);
+  const referenceAudio = (deviceConfig && deviceConfig.referenceAudio) || null;
+
+  const say = async (kind, text) => {
+    const start = Date.now();
+    await endpoint.play(await ttsService.generateSpeech(text, voiceId, language, referenceAudio, deviceConfig && deviceConfig.tts));
+    if (transcript) transcript.addAssistantReply({ kind, spoken: text, start, end: Date.now() });
+  };
+
+  logger.info('Taking voicemail', { callUuid, reason, device: deviceConfig && deviceConfig.name });
+  if (transcript) transcript.addEvent('voicemail', { reason });
+
+  let callActive = true;
+  const onDestroy = () => { callActive = false; };
+  dialog.on('destroy', onDestroy);
+
+  let recording;
+  try {
+    await endpoint.api('uuid_recv_dtmf', `${endpoint.uuid} true`).catch(() => {});
+    await say('voicemail', reason === 'closed' ? config.closedMessage : config.unavailableMessage);
+    if (!callActive) return null;
+    await endpoint.play(READY_BEEP_URL);
+
+    const recordStart = Date.now();
+    recording = await recordMessage(endpoint, dialog, callUuid, {
+      audioForkServer,
+      wsPort,
+      maxSeconds: config.maxSeconds,
+      silenceSeconds: config.silenceSeconds
+    });
+    if (!recording || !recording.heardSpeech) {
+      logger.info('No voicemail left', { callUuid, endReason: recording && recording.endReason });
+      return null;
+    }
+    if (transcript) transcript.addEvent('voicemail_recorded', { start: recordStart, durationMs: recording.durationMs, endReason: recording.endReason });
+
+    if (callActive) await say('voicemail', config.thanksMessage);
+  } catch (error) {
+    if (callActive) logger.error('Voicemail failed', { callUuid, error: error.message });
+    if (!recording || !recording.heardSpeech) return null;
+  } finally {
+    dialog.off('destroy', onDestroy);
+  }
+
+  // The caller is done: hang up before the slow part
+  if (callActive) {
+    try { dialog.destroy(); } catch (e) {}
+  }
+
+  let text = null;
+  let sttProvider = null;
+  try {
+    const stt = await whisperClient.transcribeDetailed(recording.pcm, {
+      format: 'pcm',
+      sampleRate: recording.sampleRate,
+      language,
+      stt: deviceConfig && deviceConfig.stt
+    });
+    text = (stt.text || '').trim() || null;
+    sttProvider = stt.provider;
+  } catch (error) {
+    logger.warn('Voicemail transcription failed', { callUuid, error: error.message });
+  }
+
+  const wav = pcmToWav(recording.pcm, recording.sampleRate);
+  const voicemail = await store.save({
+    callId: callUuid,
+    device: (deviceConfig && deviceConfig.name) || null,
+    from: callerNumber,
+    to: (transcript && transcript.to) || (deviceConfig && deviceConfig.extension) || null,
+    reason,
+    createdAt: new Date().toISOString(),
+    durationSeconds: Math.round(recording.pcm.length / 2 / recording.sampleRate),
+    transcript: text,
+    sttProvider
+  }, wav);
+  logger.info('Voicemail saved', { callUuid, id: voicemail.id, durationSeconds: voicemail.durationSeconds });
+
+  await deliverVoicemail(voicemail, wav, config, deviceConfig, store);
+  return voicemail;
+}
+
+// Shared store for the SIP handler and the voicemail API
+const voicemails = new VoicemailStore();
+
+module.exports = {
+  VOICEMAIL_DIR,
+  VoicemailStore,
+  voicemails,
+  resolveVoicemailConfig,
+  takeVoicemail
+};
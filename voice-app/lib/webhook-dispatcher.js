@@ -0,0 +1,438 @@
+/**
+ * Webhook Dispatcher
+ * Delivers call lifecycle events (inbound and outbound) to HTTP subscribers.
+ *
+ * Events:
+ * - call.started:   INVITE received / outbound call queued
+ * - call.answered:  Media connected
+ * - turn.completed: Caller spoke and the answer was played
+ * - call.ended:     Call over, with the transcript and a summary
+ * - voicemail.received: The caller left a message (see voicemail.js)
+ *
+ * Subscriptions come from the environment (all devices) and from the
+ * "webhooks" list of a device in devices.json:
+ *
+ *   WEBHOOK_URLS=https://a.example/hook,https://b.example/hook
+ *   WEBHOOK_EVENTS=call.ended,turn.completed   (default: all)
+ *   WEBHOOK_SECRET=...
+ *
+ *   "webhooks": [{ "url": "https://crm.example/hook", "events": ["call.ended"], "secret": "..." }]
+ *
+ * Each request carries X-Webhook-Id, X-Webhook-Event and X-Webhook-Timestamp;
+ * with a secret, X-Webhook-Signature is "sha256=" + HMAC-SHA256 of
+ * "<timestamp>.<body>". Failed deliveries are retried with exponential
+ * backoff. Pending deliveries are kept in a JSON file (config/webhook-queue.json
+ * by default) so they are resumed after a restart; it is written in the
+ * background, at most once a second. Secrets are not saved in it: a delivery
+ * refers to its subscription and the secret is looked up when it is sent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const EVENTS = ['call.started', 'call.answered', 'turn.completed', 'call.ended', 'voicemail.received'];
+
+const DEFAULT_QUEUE_PATH = process.env.WEBHOOK_QUEUE_PATH ||
+  path.join(__dirname, '../config/webhook-queue.json');
+
+const DEFAULTS = {
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  baseDelayMs: 2000,
+  maxDelayMs: 10 * 60 * 1000,
+  timeoutMs: 10000,
+  saveDelayMs: 1000
+};
+
+function splitList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Global subscriptions from WEBHOOK_URLS / WEBHOOK_EVENTS
+ * @returns {Array<{url: string, events: string[]}>}
+ */
+function subscriptionsFromEnv(env = process.env) {
+  const events = splitList(env.WEBHOOK_EVENTS);
+  return splitList(env.WEBHOOK_URLS).map(url => ({ url, events }));
+}
+
+/**
+ * Normalize a subscription ("url" or {url, events, secret})
+ * @returns {Object|null}
+ */
+function normalizeSubscription(sub) {
+  if (typeof sub === 'string') sub = { url: sub };
+  if (!sub || typeof sub.url !== 'string' || !/^https?:\/\//.test(sub.url)) return null;
+  const events = Array.isArray(sub.events) ? sub.events : splitList(sub.events);
+  return { url: sub.url, events, secret: sub.secret || null };
+}
+
+function subscribesTo(sub, event) {
+  return sub.events.length === 0 || sub.events.includes('*') || sub.events.includes(event);
+}
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds (X-Webhook-Timestamp)
+ * @param {string} body - Raw JSON body
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// 408/429 and server errors are worth retrying; other client errors are not
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.subscriptions] - Global subscriptions (default: WEBHOOK_URLS)
+   * @param {string} [options.secret] - Default signing secret (WEBHOOK_SECRET)
+   * @param {string} [options.queuePath] - Pending deliveries file
+   * @param {number} [options.maxAttempts]
+   * @param {number} [options.baseDelayMs] - First retry delay, doubled each attempt
+   * @param {number} [options.maxDelayMs]
+   * @param {number} [options.timeoutMs] - Per-request timeout
+   * @param {number} [options.saveDelayMs] - Changes to the queue are written this long after
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {Function} [options.getDevice] - Device config by name, for device subscriptions'
+   *   secrets (see setDeviceSource)
+   */
+  constructor(options = {}) {
+    this.subscriptions = (options.subscriptions || subscriptionsFromEnv())
+      .map(normalizeSubscription).filter(Boolean);
+    this.secret = options.secret !== undefined ? options.secret : (process.env.WEBHOOK_SECRET || null);
+    this.queuePath = options.queuePath || DEFAULT_QUEUE_PATH;
+    this.maxAttempts = options.maxAttempts || DEFAULTS.maxAttempts;
+    this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : DEFAULTS.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs || DEFAULTS.maxDelayMs;
+    this.timeoutMs = options.timeoutMs || DEFAULTS.timeoutMs;
+    this.saveDelayMs = options.saveDelayMs !== undefined ? options.saveDelayMs : DEFAULTS.saveDelayMs;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.getDevice = options.getDevice || (() => null);
+
+    this.queue = new Map(); // delivery id -> delivery
+    this.timers = new Map(); // delivery id -> timeout
+    this.inFlight = new Set();
+    this.loaded = false;
+    this.started = false;
+    this.saveTimer = null;
+    this.writing = null; // Promise of the write in progress
+    this.rewrite = false; // Changed while writing
+  }
+
+  /**
+   * Where device subscriptions' secrets are looked up at send time
+   * @param {function(string): Object|null} getDevice - Device config by name
+   */
+  setDeviceSource(getDevice) {
+    this.getDevice = getDevice;
+  }
+
+  /**
+   * Start sending, including deliveries left over from a previous run
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this._load();
+    if (this.queue.size > 0) {
+      logger.info('Resuming pending webhook deliveries', { count: this.queue.size });
+    }
+    for (const delivery of this.queue.values()) this._schedule(delivery);
+  }
+
+  /**
+   * Stop retry timers and write the queue (pending deliveries stay on disk)
+   * @returns {Promise<void>} Resolves once written
+   */
+  stop() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+    this.started = false;
+    return this.flush();
+  }
+
+  /**
+   * Subscriptions that want an event: global ones plus the device's "webhooks"
+   * @param {string} event
+   * @param {Object} [deviceConfig]
+   */
+  getSubscriptions(event, deviceConfig) {
+    return this._matching(event, deviceConfig).map(match => match.sub);
+  }
+
+  // Matching subscriptions with a reference that finds them again at send
+  // time: { index } into the global ones, { device, index } into a device's
+  _matching(event, deviceConfig) {
+    const matches = [];
+    this.subscriptions.forEach((sub, index) => matches.push({ sub, ref: { index } }));
+    if (deviceConfig && Array.isArray(deviceConfig.webhooks)) {
+      deviceConfig.webhooks.forEach((entry, index) => {
+        const sub = normalizeSubscription(entry);
+        if (sub) matches.push({ sub, ref: { device: deviceConfig.name || null, index } });
+      });
+    }
+    return matches.filter(match => subscribesTo(match.sub, event));
+  }
+
+  /**
+   * Signing secret for a delivery: its subscription's (as configured now),
+   * else the default
+   */
+  _secretFor(delivery) {
+    const ref = delivery.subscription;
+    let sub = null;
+    if (ref && ref.device !== undefined) {
+      const device = this.getDevice(ref.device);
+      sub = device && Array.isArray(device.webhooks) ? normalizeSubscription(device.webhooks[ref.index]) : null;
+    } else if (ref) {
+      sub = this.subscriptions[ref.index] || null;
+    }
+    // Subscriptions edited since: only the one the delivery was made for counts
+    if (sub && sub.url !== delivery.url) sub = null;
+    return (sub && sub.secret) || this.secret;
+  }
+
+  hasSubscribers(event, deviceConfig) {
+    return this.getSubscriptions(event, deviceConfig).length > 0;
+  }
+
+  /**
+   * Send an event to every subscriber
+   *
+   * Body: { id, event, timestamp, data }
+   *
+   * @param {string} event - One of EVENTS
+   * @param {Object} data - Event payload
+   * @param {Object} [options]
+   * @param {Object} [options.device] - Device config (adds its subscriptions)
+   * @returns {number} Number of deliveries queued
+   */
+  dispatch(event, data, { device = null } = {}) {
+    const matches = this._matching(event, device);
+    for (const { sub, ref } of matches) {
+      const id = crypto.randomUUID();
+      this.enqueue({
+        id,
+        url: sub.url,
+        subscription: ref,
+        event,
+        payload: { id, event, timestamp: new Date().toISOString(), data }
+      });
+    }
+    return matches.length;
+  }
+
+  /**
+   * Queue one delivery of a ready-made payload
+   * @param {Object} delivery
+   * @param {string} delivery.url
+   * @param {string} delivery.event - Sent as X-Webhook-Event
+   * @param {Object} delivery.payload - JSON body
+   * @param {Object} [delivery.subscription] - Subscription whose secret signs it
+   *   ({ index } global, { device, index } a device's); default: the default secret
+   * @param {string} [delivery.id]
+   * @returns {string} Delivery ID
+   */
+  enqueue({ id = crypto.randomUUID(), url, event, payload, subscription = null }) {
+    const delivery = {
+      id,
+      url,
+      event,
+      body: JSON.stringify(payload),
+      subscription,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      lastError: null
+    };
+    this._load();
+    this.queue.set(id, delivery);
+    this._save();
+    if (this.started) this._schedule(delivery);
+    return id;
+  }
+
+  /**
+   * Deliveries not yet acknowledged (without secrets)
+   */
+  getPending() {
+    return Array.from(this.queue.values()).map(d => ({
+      id: d.id,
+      url: d.url,
+      event: d.event,
+      attempts: d.attempts,
+      createdAt: d.createdAt,
+      nextAttemptAt: new Date(d.nextAttemptAt).toISOString(),
+      lastError: d.lastError
+    }));
+  }
+
+  /**
+   * Read the pending deliveries file once, before anything overwrites it
+   */
+  _load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      for (const delivery of JSON.parse(fs.readFileSync(this.queuePath, 'utf8'))) {
+        if (!this.queue.has(delivery.id)) this.queue.set(delivery.id, delivery);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read webhook queue', { path: this.queuePath, error: error.message });
+      }
+    }
+  }
+
+  _schedule(delivery) {
+    clearTimeout(this.timers.get(delivery.id));
+    const delay = Math.max(0, delivery.nextAttemptAt - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this._attempt(delivery);
+    }, delay);
+    if (timer.unref) timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  async _attempt(delivery) {
+    if (this.inFlight.has(delivery.id) || !this.queue.has(delivery.id)) return;
+    this.inFlight.add(delivery.id);
+    delivery.attempts++;
+
+    let retry = true;
+    try {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const secret = this._secretFor(delivery);
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp)
+      };
+      if (secret) headers['X-Webhook-Signature'] = signPayload(secret, timestamp, delivery.body);
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+      let response;
+      try {
+        response = await this.fetch(delivery.url, {
+          method: 'POST',
+          headers,
+          body: delivery.body,
+          signal: controller.signal
+        });
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      if (response.ok) {
+        logger.info('Webhook delivered', { event: delivery.event, url: delivery.url, attempts: delivery.attempts });
+        this._remove(delivery);
+        return;
+      }
+      delivery.lastError = `HTTP ${response.status}`;
+      retry = isRetryableStatus(response.status);
+    } catch (error) {
+      delivery.lastError = error.name === 'AbortError' ? 'timeout' : error.message;
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+
+    if (!retry || delivery.attempts >= this.maxAttempts) {
+      logger.error('Webhook delivery abandoned', {
+        event: delivery.event,
+        url: delivery.url,
+        attempts: delivery.attempts,
+        error: delivery.lastError
+      });
+      this._remove(delivery);
+      return;
+    }
+
+    const delay = Math.min(this.baseDelayMs * Math.pow(2, delivery.attempts - 1), this.maxDelayMs);
+    delivery.nextAttemptAt = Date.now() + delay;
+    logger.warn('Webhook delivery failed, will retry', {
+      event: delivery.event,
+      url: delivery.url,
+      attempt: delivery.attempts,
+      retryInMs: delay,
+      error: delivery.lastError
+    });
+    this._save();
+    this._schedule(delivery);
+  }
+
+  _remove(delivery) {
+    clearTimeout(this.timers.get(delivery.id));
+    this.timers.delete(delivery.id);
+    this.queue.delete(delivery.id);
+    this._save();
+  }
+
+  /**
+   * Write pending deliveries to disk soon (once for a burst of changes)
+   */
+  _save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._write();
+    }, this.saveDelayMs);
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending deliveries to disk now
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    return this._write();
+  }
+
+  // Temp file + rename, one write at a time; changes made during a write are
+  // written after it
+  _write() {
+    if (this.writing) {
+      this.rewrite = true;
+      return this.writing;
+    }
+    const data = JSON.stringify(Array.from(this.queue.values()));
+    const tmpPath = this.queuePath + '.tmp';
+    this.writing = (async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.queuePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, data);
+        await fs.promises.rename(tmpPath, this.queuePath);
+      } catch (error) {
+        logger.warn('Failed to save webhook queue', { path: this.queuePath, error: error.message });
+      }
+      this.writing = null;
+      if (this.rewrite) {
+        this.rewrite = false;
+        await this._write();
+      }
+    })();
+    return this.writing;
+  }
+}
+
+// Shared dispatcher for the SIP handler, conversation loop and outbound calls
+const webhooks = new WebhookDispatcher();
+
+module.exports = {
+  WebhookDispatcher,
+  EVENTS,
+  webhooks,
+  signPayload,
+  subscriptionsFromEnv
+};
@@ -3,13 +3,28 @@
  * Primary: Google Cloud Speech-to-Text API (requires GOOGLE_CLOUD_KEY)
  * Fallback: Google Web Speech API via Python SpeechRecognition (free, no API key)
  * Last resort: OpenAI Whisper API
+ *
+ * Local: a whisper.cpp or faster-whisper server on this host (LOCAL_STT_URL),
+ * which keeps calls working without internet. It runs as a fallback after
+ * Google by default (LOCAL_STT_MODE=primary puts it first); a device's "stt"
+ * block picks the position, model and language per device:
+ *
+ *   "stt": { "local": "primary", "model": "small", "language": "he" }
+ *
+ * With more than one candidate language (options.languages) the providers
+ * that can tell which language was spoken (Google Cloud, local
+ * faster-whisper, OpenAI Whisper) report it as the result's "language".
  */
 
 const { execFile } = require("child_process");
 const WaveFile = require("wavefile").WaveFile;
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const axios = require("axios");
+const metrics = require("./metrics");
+const { tracer } = require("./tracing");
+const { normalizeLanguage } = require("./languages");
 
 /**
  * Convert L16 PCM buffer to WAV format
@@ -33,12 +48,17 @@ const GOOGLE_CLOUD_STT_LANG = {
 
 /**
  * Transcribe using Google Cloud Speech-to-Text API (requires GOOGLE_CLOUD_KEY)
+ * @param {string} wavPath
+ * @param {string} language - Expected language
+ * @param {string[]} [alternatives] - Other languages the caller may speak (up to 3)
+ * @returns {Promise<{text: string, language: string|null}>}
  */
-async function transcribeGoogleCloud(wavPath, language) {
+async function transcribeGoogleCloud(wavPath, language, alternatives = []) {
   const apiKey = process.env.GOOGLE_CLOUD_KEY;
   if (!apiKey) throw new Error("GOOGLE_CLOUD_KEY not set");
 
   const langCode = GOOGLE_CLOUD_STT_LANG[language] || 'en-US';
+  const alternativeCodes = alternatives.filter(l => l !== language).slice(0, 3).map(l => GOOGLE_CLOUD_STT_LANG[l] || l);
   const audioContent = fs.readFileSync(wavPath).toString('base64');
 
   const response = await axios.post(
@@ -48,6 +68,7 @@ async function transcribeGoogleCloud(wavPath, language) {
         encoding: 'LINEAR16',
         sampleRateHertz: 16000,
         languageCode: langCode,
+        alternativeLanguageCodes: alternativeCodes.length ? alternativeCodes : undefined,
         enableAutomaticPunctuation: true,
         model: 'latest_long'
       },
@@ -57,8 +78,8 @@ async function transcribeGoogleCloud(wavPath, language) {
   );
 
   const results = response.data.results;
-  if (!results || !results.length) return '';
-  return results[0].alternatives[0].transcript || '';
+  if (!results || !results.length) return { text: '', language: null };
+  return { text: results[0].alternatives[0].transcript || '', language: results[0].languageCode || null };
 }
 
 /**
@@ -102,12 +123,23 @@ except Exception as e:
 
 /**
  * Transcribe using OpenAI Whisper API (fallback)
+ * @param {string} wavPath
+ * @param {string} language
+ * @param {boolean} [detect] - Let Whisper detect the language and report it
  */
-async function transcribeWhisper(wavPath, language) {
+async function transcribeWhisper(wavPath, language, detect = false) {
   const OpenAI = require("openai");
   if (!process.env.OPENAI_API_KEY) throw new Error("OPENAI_API_KEY not set");
 
   const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  if (detect) {
+    const transcription = await openai.audio.transcriptions.create({
+      file: fs.createReadStream(wavPath),
+      model: "whisper-1",
+      response_format: "verbose_json"
+    });
+    return { text: transcription.text || "", language: transcription.language || null };
+  }
   const transcription = await openai.audio.transcriptions.create({
     file: fs.createReadStream(wavPath),
     model: "whisper-1",
@@ -117,17 +149,161 @@ async function transcribeWhisper(wavPath, language) {
   return transcription;
 }
 
+// Model sizes the faster-whisper server knows by repository name
+const FASTER_WHISPER_MODELS = ["tiny", "base", "small", "medium", "large-v2", "large-v3"];
+const LOCAL_STT_MODES = ["primary", "fallback", "off"];
+
+function multipartBody(fields, wavPath) {
+  const boundary = "----stt" + crypto.randomBytes(12).toString("hex");
+  const parts = [];
+  Object.keys(fields).forEach((name) => {
+    if (fields[name] === null || fields[name] === undefined) return;
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${fields[name]}\r\n`));
+  });
+  parts.push(
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="audio.wav"\r\nContent-Type: audio/wav\r\n\r\n`),
+    fs.readFileSync(wavPath),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  );
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
 /**
- * Transcribe audio buffer to text
+ * Transcribe using a local STT server on the CPU (requires LOCAL_STT_URL)
+ * LOCAL_STT_API picks the server's API: "openai" (faster-whisper-server /
+ * speaches, /v1/audio/transcriptions) or "whispercpp" (whisper.cpp server,
+ * /inference, which uses the model it was started with).
+ * @param {string} wavPath
+ * @param {string} language - Language code, or "auto" to let the model detect it
+ * @param {string} model - Model size (tiny ... large-v3) or a model id
+ * @returns {Promise<{text: string, language: string|null}>} language: what the model
+ *   detected (auto only)
+ */
+async function transcribeLocal(wavPath, language, model) {
+  const baseUrl = process.env.LOCAL_STT_URL;
+  if (!baseUrl) throw new Error("LOCAL_STT_URL not set");
+
+  const whisperCpp = (process.env.LOCAL_STT_API || "openai") === "whispercpp";
+  const detect = language === "auto";
+  const fields = { response_format: detect ? "verbose_json" : "json", language: detect ? null : language };
+  if (whisperCpp) {
+    fields.temperature = "0.0";
+  } else {
+    fields.model = FASTER_WHISPER_MODELS.includes(model) ? `Systran/faster-whisper-${model}` : model;
+  }
+  const { body, contentType } = multipartBody(fields, wavPath);
+
+  const response = await axios.post(
+    baseUrl.replace(/\/+$/, "") + (whisperCpp ? "/inference" : "/v1/audio/transcriptions"),
+    body,
+    { headers: { "Content-Type": contentType }, timeout: 30000 }
+  );
+  const data = response.data || {};
+  return {
+    text: String(data.text || "").trim(),
+    language: detect ? data.language || data.detected_language || null : null
+  };
+}
+
+/**
+ * Where local STT runs and with which model and language
+ * @param {Object} [stt] - Device "stt" block
+ * @param {string} language - The call's language
+ * @returns {{mode: string, model: string, language: string, pinned: boolean}}
+ *   pinned: the language was set (stt.language or LOCAL_STT_LANGUAGE), not the call's
+ */
+function resolveLocalStt(stt, language) {
+  const device = stt || {};
+  const mode = device.local || process.env.LOCAL_STT_MODE || "fallback";
+  return {
+    mode: LOCAL_STT_MODES.includes(mode) ? mode : "fallback",
+    model: device.model || process.env.LOCAL_STT_MODEL || "small",
+    language: device.language || process.env.LOCAL_STT_LANGUAGE || language,
+    pinned: Boolean(device.language || process.env.LOCAL_STT_LANGUAGE)
+  };
+}
+
+/**
+ * Validate a device's "stt" block
+ * @param {Object} stt
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateSttConfig(stt) {
+  if (!stt || typeof stt !== "object" || Array.isArray(stt)) return ["stt must be an object"];
+  const errors = [];
+  if (stt.local !== undefined && !LOCAL_STT_MODES.includes(stt.local)) {
+    errors.push(`stt.local must be one of: ${LOCAL_STT_MODES.join(", ")}`);
+  }
+  ["model", "language"].forEach((key) => {
+    if (stt[key] !== undefined && (typeof stt[key] !== "string" || !stt[key])) {
+      errors.push(`stt.${key} must be a non-empty string`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Providers to try in order
+ * run(file, language) resolves the text, or { text, language } from providers
+ * that report the spoken language
+ * @param {Object} local - resolveLocalStt() result
+ * @param {string[]} candidates - Languages the caller may speak (detection when more than one)
+ */
+function sttChain(local, candidates) {
+  const chain = [];
+  const detect = candidates.length > 1;
+  const localProvider = {
+    name: "local",
+    label: "Local",
+    // A language the device pinned for local STT isn't second-guessed
+    run: (file) => transcribeLocal(file, detect && !local.pinned ? "auto" : local.language, local.model)
+  };
+  const useLocal = local.mode !== "off" && Boolean(process.env.LOCAL_STT_URL);
+
+  if (useLocal && local.mode === "primary") chain.push(localProvider);
+  if (process.env.GOOGLE_CLOUD_KEY) {
+    chain.push({
+      name: "google-cloud",
+      label: "Google Cloud",
+      run: (file, language) => transcribeGoogleCloud(file, language, detect ? candidates : [])
+    });
+  }
+  chain.push({ name: "google-web", label: "Google", run: (file, language) => transcribeGoogle(file, language) });
+  if (useLocal && local.mode === "fallback") chain.push(localProvider);
+  chain.push({ name: "openai-whisper", label: "Whisper", run: (file, language) => transcribeWhisper(file, language, detect) });
+  return chain;
+}
+
+/**
+ * Transcribe audio buffer to text, reporting which provider answered
  * @param {Buffer} audioBuffer - Audio data (WAV or raw PCM)
  * @param {Object} options
  * @param {string} options.format - "wav" or "pcm" (default: "pcm")
  * @param {number} options.sampleRate - Sample rate for PCM (default: 8000)
  * @param {string} options.language - Language code (default: "en")
- * @returns {Promise<string>} Transcribed text
+ * @param {Object} [options.stt] - Device "stt" block (local STT position, model, language)
+ * @param {string[]} [options.languages] - Languages the caller may speak; with more than
+ *   one, providers that can detect the spoken language do
+ * @returns {Promise<{text: string, provider: string, latencyMs: number, language: string|null}>}
+ *   language: the detected language when it is one of options.languages, else null
  */
-async function transcribe(audioBuffer, options = {}) {
-  const { format = "pcm", sampleRate = 8000, language = "en" } = options;
+async function transcribeDetailed(audioBuffer, options = {}) {
+  return tracer.trace("stt.transcribe", { language: options.language || "en", audioBytes: audioBuffer.length }, (span) => {
+    return transcribeWithFallback(audioBuffer, options, span);
+  });
+}
+
+async function transcribeWithFallback(audioBuffer, options, span) {
+  const { format = "pcm", sampleRate = 8000, language = "en", stt = null } = options;
+  const candidates = options.languages || [language];
+  const startedAt = Date.now();
+  const result = (text, provider, spoken) => {
+    const detected = normalizeLanguage(spoken);
+    metrics.providerAnswered("stt", provider);
+    span.setAttributes({ provider, characters: text.length });
+    return { text, provider, latencyMs: Date.now() - startedAt, language: candidates.includes(detected) ? detected : null };
+  };
+  const attempt = (provider, fn) => tracer.trace("stt.provider", { provider }, fn);
 
   // Convert to WAV if needed
   const wavBuffer = format === "pcm" ? pcmToWav(audioBuffer, sampleRate) : audioBuffer;
@@ -135,43 +311,41 @@ async function transcribe(audioBuffer, options = {}) {
   fs.writeFileSync(tempFile, wavBuffer);
 
   try {
-    // Primary: Google Cloud STT (accurate, requires GOOGLE_CLOUD_KEY)
-    if (process.env.GOOGLE_CLOUD_KEY) {
+    const chain = sttChain(resolveLocalStt(stt, language), candidates);
+    for (let i = 0; i < chain.length; i++) {
+      const provider = chain[i];
       try {
-        const text = await transcribeGoogleCloud(tempFile, language);
+        const output = await attempt(provider.name, () => provider.run(tempFile, language));
         const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] STT (Google Cloud) Transcribed: ${text.substring(0, 100)}`);
-        return text;
+        const text = typeof output === "string" ? output : output.text;
+        console.log(`[${timestamp}] STT (${provider.label}) Transcribed: ${text.substring(0, 100)}`);
+        return result(text, provider.name, typeof output === "string" ? null : output.language);
       } catch (err) {
+        metrics.providerFailed("stt", provider.name);
+        const next = chain[i + 1];
+        if (!next) throw err;
         const timestamp = new Date().toISOString();
-        console.warn(`[${timestamp}] Google Cloud STT failed, trying free STT: ${err.message}`);
+        console.warn(`[${timestamp}] ${provider.label} STT failed, trying ${next.label}: ${err.message}`);
       }
     }
-
-    // Fallback 1: Google Web Speech (free, no API key)
-    try {
-      const text = await transcribeGoogle(tempFile, language);
-      const timestamp = new Date().toISOString();
-      console.log(`[${timestamp}] STT (Google) Transcribed: ${text.substring(0, 100)}`);
-      return text;
-    } catch (err) {
-      const timestamp = new Date().toISOString();
-      console.warn(`[${timestamp}] Google STT failed, trying Whisper: ${err.message}`);
-    }
-
-    // Fallback 2: OpenAI Whisper
-    const text = await transcribeWhisper(tempFile, language);
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] STT (Whisper) Transcribed: ${text.substring(0, 100)}`);
-    return text;
-
   } finally {
     try { fs.unlinkSync(tempFile); } catch (e) {}
   }
 }
 
+/**
+ * Transcribe audio buffer to text
+ * @param {Buffer} audioBuffer - Audio data (WAV or raw PCM)
+ * @param {Object} options - Same as transcribeDetailed()
+ * @returns {Promise<string>} Transcribed text
+ */
+async function transcribe(audioBuffer, options = {}) {
+  const { text } = await transcribeDetailed(audioBuffer, options);
+  return text;
+}
+
 function isAvailable() {
   return true; // Google STT needs no API key
 }
 
-module.exports = { transcribe, pcmToWav, isAvailable };
+module.exports = { transcribe, transcribeDetailed, pcmToWav, isAvailable, resolveLocalStt, validateSttConfig };
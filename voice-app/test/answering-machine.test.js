@@ -0,0 +1,197 @@
+/**
+ * Answering Machine Detection Test
+ *
+ * Feeds synthetic audio (voice-like noise, silence, beeps) to the detector:
+ * short vs long greetings, beep detection, silent calls, and a full
+ * detectAnsweringMachine() run over a fake audio fork.
+ * Run with: node --test test/answering-machine.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+const {
+  AmdDetector,
+  resolveAmdOptions,
+  validateAmdOptions,
+  detectAnsweringMachine
+} = require('../lib/answering-machine');
+
+const RATE = 16000;
+
+function silence(ms) {
+  return Buffer.alloc(RATE * ms / 1000 * 2);
+}
+
+// Loud, not a single tone: a mix of drifting "formants" plus noise
+function speech(ms, seed = 1) {
+  const samples = RATE * ms / 1000;
+  const buf = Buffer.alloc(samples * 2);
+  let state = seed;
+  for (let i = 0; i < samples; i++) {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    const noise = (state / 0x7fffffff - 0.5) * 6000;
+    const t = i / RATE;
+    const value = 3000 * Math.sin(2 * Math.PI * (180 + 40 * Math.sin(7 * t)) * t) +
+      2000 * Math.sin(2 * Math.PI * 730 * t) + 1500 * Math.sin(2 * Math.PI * 1090 * t) + noise;
+    buf.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), i * 2);
+  }
+  return buf;
+}
+
+function tone(ms, frequency) {
+  const samples = RATE * ms / 1000;
+  const buf = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buf.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * frequency * i / RATE)), i * 2);
+  }
+  return buf;
+}
+
+// Feed in odd-sized chunks, like the audio fork does
+function feed(detector, ...parts) {
+  const audio = Buffer.concat(parts);
+  for (let offset = 0; offset < audio.length; offset += 1000) {
+    detector.push(audio.subarray(offset, offset + 1000));
+  }
+  return detector;
+}
+
+describe('AmdDetector', () => {
+  it('takes a short greeting then silence for a person', () => {
+    const detector = feed(new AmdDetector(), silence(300), speech(700), silence(1000));
+    const result = detector.toJSON();
+    assert.strictEqual(result.result, 'human');
+    assert.strictEqual(result.reason, 'short_greeting');
+    assert.ok(Math.abs(result.greetingMs - 700) <= 40, 'greetingMs ' + result.greetingMs);
+  });
+
+  it('takes a long continuous greeting for a machine', () => {
+    const detector = feed(new AmdDetector(), speech(1200), silence(200), speech(2000));
+    assert.strictEqual(detector.result, 'machine');
+    assert.strictEqual(detector.reason, 'long_greeting');
+    assert.strictEqual(detector.beepDone, false);
+  });
+
+  it('finds the beep after the greeting and ignores speech', () => {
+    const detector = feed(new AmdDetector(), speech(3000), silence(300), tone(400, 1000), silence(100));
+    const result = detector.toJSON();
+    assert.strictEqual(result.result, 'machine');
+    assert.strictEqual(result.beepWait, 'beep');
+    assert.ok(Math.abs(result.beep.frequency - 1000) <= 15, 'frequency ' + result.beep.frequency);
+    assert.ok(result.beep.durationMs >= 380 && result.beep.durationMs <= 420);
+  });
+
+  it('calls a beep straight after answering a machine', () => {
+    const detector = feed(new AmdDetector(), silence(200), tone(250, 1400), silence(100));
+    assert.strictEqual(detector.result, 'machine');
+    assert.strictEqual(detector.reason, 'beep');
+  });
+
+  it('stops waiting for a beep after a long silence', () => {
+    const detector = feed(new AmdDetector(), speech(3000), silence(3500));
+    assert.strictEqual(detector.beepDone, true);
+    assert.strictEqual(detector.beepReason, 'silence');
+    assert.strictEqual(detector.beep, null);
+  });
+
+  it('reports unknown when nobody speaks', () => {
+    const detector = feed(new AmdDetector({ initialSilenceMs: 1000 }), silence(1200));
+    assert.strictEqual(detector.result, 'unknown');
+    assert.strictEqual(detector.reason, 'initial_silence');
+  });
+
+  it('respects a longer maxGreetingMs', () => {
+    const detector = feed(new AmdDetector({ maxGreetingMs: 4000 }), speech(3000), silence(1000));
+    assert.strictEqual(detector.result, 'human');
+  });
+});
+
+describe('AMD options', () => {
+  it('resolves the request field', () => {
+    assert.strictEqual(resolveAmdOptions(false), null);
+    assert.strictEqual(resolveAmdOptions({ enabled: false }), null);
+    assert.strictEqual(resolveAmdOptions(true).onMachine, 'leave_message');
+    assert.strictEqual(resolveAmdOptions('retry').onMachine, 'retry');
+    assert.strictEqual(resolveAmdOptions({ onMachine: 'hangup', maxGreetingMs: 3000 }).maxGreetingMs, 3000);
+  });
+
+  it('validates the request field', () => {
+    assert.strictEqual(validateAmdOptions(undefined), null);
+    assert.strictEqual(validateAmdOptions('hangup'), null);
+    assert.strictEqual(validateAmdOptions({ onMachine: 'retry', maxGreetingMs: 3000 }), null);
+    assert.match(validateAmdOptions('voicemail'), /amd\.onMachine/);
+    assert.match(validateAmdOptions({ maxGreetingMs: -1 }), /amd\.maxGreetingMs/);
+    assert.match(validateAmdOptions(5), /Field "amd"/);
+  });
+});
+
+describe('detectAnsweringMachine', () => {
+  function fakeCall(chunks) {
+    const endpoint = new EventEmitter();
+    const dialog = new EventEmitter();
+    const session = new EventEmitter();
+    let resolveSession;
+    let stopped = false;
+
+    session.sampleRate = RATE;
+    session.setCaptureEnabled = () => {};
+    endpoint.forkAudioStart = async () => {
+      resolveSession(session);
+      chunks.forEach((chunk, i) => setTimeout(() => {
+        if (chunk === 'hangup') dialog.emit('destroy');
+        else session.emit('audio', chunk);
+      }, (i + 1) * 2));
+    };
+    endpoint.forkAudioStop = async () => { stopped = true; };
+
+    return {
+      endpoint,
+      dialog,
+      stopped: () => stopped,
+      audioForkServer: { expectSession: () => new Promise((resolve) => { resolveSession = resolve; }) }
+    };
+  }
+
+  function detect(call, waitForBeep) {
+    return detectAnsweringMachine(call.endpoint, call.dialog, 'amd-call', {
+      audioForkServer: call.audioForkServer,
+      wsPort: 3001,
+      settings: {},
+      waitForBeep
+    });
+  }
+
+  it('waits for the beep to leave a message', async () => {
+    const call = fakeCall([speech(3000), silence(500), tone(500, 850), silence(200), speech(1000)]);
+    const result = await detect(call, true);
+    assert.strictEqual(result.result, 'machine');
+    assert.strictEqual(result.beepWait, 'beep');
+    assert.strictEqual(result.hangup, false);
+    assert.strictEqual(call.stopped(), true);
+  });
+
+  it('returns as soon as a person is heard', async () => {
+    const call = fakeCall([speech(600), silence(1000), speech(1000)]);
+    const result = await detect(call, true);
+    assert.strictEqual(result.result, 'human');
+  });
+
+  it('notices the call hanging up', async () => {
+    const call = fakeCall([speech(500), 'hangup']);
+    const result = await detect(call, false);
+    assert.strictEqual(result.hangup, true);
+    assert.strictEqual(result.result, 'unknown');
+    assert.strictEqual(call.stopped(), false);
+  });
+
+  it('reports unknown without an audio fork', async () => {
+    const call = fakeCall([]);
+    call.endpoint.forkAudioStart = async () => { throw new Error('no fork'); };
+    call.audioForkServer.expectSession = () => new Promise(() => {});
+    const result = await detect(call, false);
+    assert.strictEqual(result.result, 'unknown');
+    assert.strictEqual(result.reason, 'no_audio');
+  });
+});
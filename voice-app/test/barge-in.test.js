@@ -0,0 +1,88 @@
+/**
+ * Barge-in Detection Test
+ *
+ * Feeds synthetic PCM frames into AudioForkSession with capture disabled
+ * and checks that only sustained speech triggers a barge-in.
+ * Run with: node --test test/barge-in.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { resolveBargeInConfig } = require('../lib/conversation-loop');
+const { frame, createSession, feed } = require('./helpers/audio-session');
+
+describe('Barge-in detection', () => {
+  it('ignores audio when barge-in is not armed', () => {
+    const { ws, session } = createSession();
+    session.setCaptureEnabled(false);
+
+    let fired = false;
+    session.on('bargein', () => { fired = true; });
+    feed(ws, frame(8000), 50);
+
+    assert.strictEqual(fired, false);
+    assert.strictEqual(session.captureEnabled, false);
+  });
+
+  it('does not trigger on a short burst of noise', () => {
+    const { ws, session } = createSession();
+    session.setCaptureEnabled(false);
+    session.setBargeInEnabled(true, { minSpeechMs: 400, vadThreshold: 0.5 });
+
+    let fired = false;
+    session.on('bargein', () => { fired = true; });
+    feed(ws, frame(0), 10);
+    feed(ws, frame(8000), 5);
+    feed(ws, frame(0), 40);
+
+    assert.strictEqual(fired, false);
+    assert.strictEqual(session.bargeInCount, 0);
+  });
+
+  it('triggers on sustained speech and starts capturing the utterance', () => {
+    const { ws, session } = createSession();
+    session.setCaptureEnabled(false);
+    session.setBargeInEnabled(true, { minSpeechMs: 400, vadThreshold: 0.5 });
+
+    const events = [];
+    session.on('bargein', (evt) => events.push(evt));
+    feed(ws, frame(0), 10);
+    feed(ws, frame(8000), 25);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(session.bargeInCount, 1);
+    assert.strictEqual(session.captureEnabled, true);
+    assert.strictEqual(session.bargeInEnabled, false);
+    assert.ok(session._utteranceBytes > 0, 'utterance should be seeded with triggering speech');
+  });
+
+  it('delivers the barged-in speech as the next utterance', async () => {
+    const { ws, session } = createSession();
+    session.setCaptureEnabled(false);
+    session.setBargeInEnabled(true, { minSpeechMs: 200 });
+
+    feed(ws, frame(8000), 15);
+    const pending = session.waitForUtterance({ timeoutMs: 1000 });
+    feed(ws, frame(8000), 10);
+    feed(ws, frame(0), 80);
+
+    const utterance = await pending;
+    assert.strictEqual(utterance.reason, 'end_silence');
+    assert.ok(utterance.speechMs >= 400);
+  });
+});
+
+describe('resolveBargeInConfig', () => {
+  it('uses device overrides', () => {
+    const config = resolveBargeInConfig({ bargeIn: { enabled: true, minSpeechMs: 250, vadThreshold: 0.7 } });
+    assert.deepStrictEqual(config, { enabled: true, minSpeechMs: 250, vadThreshold: 0.7 });
+  });
+
+  it('falls back to defaults without a device block', () => {
+    const config = resolveBargeInConfig(null);
+    assert.strictEqual(typeof config.enabled, 'boolean');
+    assert.strictEqual(config.minSpeechMs, 400);
+    assert.strictEqual(config.vadThreshold, 0.5);
+  });
+});
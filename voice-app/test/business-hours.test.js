@@ -0,0 +1,154 @@
+/**
+ * Business Hours Test
+ *
+ * Weekly hours (including overnight ranges and time zones), holidays,
+ * overrides and schedule validation.
+ * Run with: node --test test/business-hours.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { validateSchedule, getScheduleStatus, resolveClosedAction } = require('../lib/business-hours');
+
+// 2026-10-19 is a Monday
+const SCHEDULE = {
+  timezone: 'UTC',
+  hours: {
+    'mon-thu': '09:00-17:00',
+    fri: ['09:00-12:00', '13:00-15:00'],
+    sat: '22:00-02:00'
+  },
+  holidays: [
+    '2026-12-25',
+    { date: '2026-12-24', name: 'Christmas Eve', hours: '09:00-12:00' },
+    { from: '2026-12-28', to: '2026-12-31', name: 'Year end' }
+  ],
+  overrides: [
+    { from: '2026-10-20T13:00', to: '2026-10-20T15:00', open: false, name: 'Offsite' },
+    { from: '2026-10-25', to: '2026-10-25', open: true, name: 'Open day' }
+  ]
+};
+
+function status(iso, schedule = SCHEDULE) {
+  return getScheduleStatus(schedule, new Date(iso));
+}
+
+describe('getScheduleStatus', () => {
+  it('follows the weekly hours', () => {
+    assert.strictEqual(status('2026-10-19T08:59:00Z').open, false);
+    assert.strictEqual(status('2026-10-19T09:00:00Z').open, true);
+    assert.strictEqual(status('2026-10-19T16:59:00Z').open, true);
+    assert.strictEqual(status('2026-10-19T17:00:00Z').open, false);
+    assert.strictEqual(status('2026-10-23T12:30:00Z').open, false);
+    assert.strictEqual(status('2026-10-23T13:30:00Z').open, true);
+
+    const result = status('2026-10-19T10:15:00Z');
+    assert.deepStrictEqual(result, { open: true, reason: 'hours', name: null, timezone: 'UTC', localTime: '2026-10-19T10:15' });
+  });
+
+  it('runs overnight hours into the next day', () => {
+    assert.strictEqual(status('2026-10-24T23:00:00Z').open, true);
+    assert.strictEqual(status('2026-10-26T01:30:00Z').open, false);
+    assert.strictEqual(status('2026-11-01T01:30:00Z').open, true);
+    assert.strictEqual(status('2026-11-01T02:00:00Z').open, false);
+  });
+
+  it('uses the schedule time zone', () => {
+    const schedule = { timezone: 'America/New_York', hours: { 'mon-fri': '09:00-17:00' } };
+    // 13:30 UTC is 09:30 in New York (EDT)
+    assert.strictEqual(status('2026-10-19T13:30:00Z', schedule).open, true);
+    assert.strictEqual(status('2026-10-19T12:30:00Z', schedule).open, false);
+    assert.strictEqual(status('2026-10-19T13:30:00Z', schedule).localTime, '2026-10-19T09:30');
+  });
+
+  it('runs overnight hours past a DST change', () => {
+    // Clocks went forward on Sunday 2026-03-08; 04:30 UTC on Monday is 00:30 EDT,
+    // and 24 hours earlier was still Saturday evening
+    const schedule = { timezone: 'America/New_York', hours: { sun: '22:00-02:00' } };
+    assert.strictEqual(status('2026-03-09T04:30:00Z', schedule).open, true);
+    assert.strictEqual(status('2026-03-09T06:30:00Z', schedule).open, false);
+  });
+
+  it('closes on holidays, with optional short hours', () => {
+    assert.deepStrictEqual(
+      [status('2026-12-25T10:00:00Z').open, status('2026-12-25T10:00:00Z').reason],
+      [false, 'holiday']
+    );
+    assert.strictEqual(status('2026-12-24T10:00:00Z').open, true);
+    assert.strictEqual(status('2026-12-24T13:00:00Z').name, 'Christmas Eve');
+    assert.strictEqual(status('2026-12-24T13:00:00Z').open, false);
+    assert.strictEqual(status('2026-12-30T10:00:00Z').name, 'Year end');
+    assert.strictEqual(status('2026-12-30T10:00:00Z').open, false);
+  });
+
+  it('runs overnight hours into and out of holidays', () => {
+    const schedule = {
+      timezone: 'UTC',
+      hours: { sat: '22:00-02:00' },
+      holidays: ['2026-11-01', '2026-12-26', { date: '2026-10-21', name: 'Late night', hours: '20:00-03:00' }]
+    };
+    // Saturday night runs into a Sunday holiday
+    assert.deepStrictEqual(
+      [status('2026-11-01T01:30:00Z', schedule).open, status('2026-11-01T01:30:00Z', schedule).reason],
+      [true, 'holiday']
+    );
+    assert.strictEqual(status('2026-11-01T02:00:00Z', schedule).open, false);
+    // A Saturday holiday has no Saturday night
+    assert.strictEqual(status('2026-12-26T23:00:00Z', schedule).open, false);
+    assert.strictEqual(status('2026-12-27T01:30:00Z', schedule).open, false);
+    // A holiday's own overnight hours run into the next day
+    assert.deepStrictEqual(
+      [status('2026-10-22T02:30:00Z', schedule).open, status('2026-10-22T02:30:00Z', schedule).reason],
+      [true, 'hours']
+    );
+    assert.strictEqual(status('2026-10-22T03:00:00Z', schedule).open, false);
+  });
+
+  it('lets overrides beat the weekly hours', () => {
+    const offsite = status('2026-10-20T14:00:00Z');
+    assert.strictEqual(offsite.open, false);
+    assert.strictEqual(offsite.reason, 'override');
+    assert.strictEqual(offsite.name, 'Offsite');
+    assert.strictEqual(status('2026-10-20T15:00:00Z').open, true);
+    // A Sunday, open all day
+    assert.strictEqual(status('2026-10-25T03:00:00Z').open, true);
+    assert.strictEqual(status('2026-10-25T23:59:00Z').open, true);
+  });
+
+  it('is always open without a schedule', () => {
+    assert.deepStrictEqual(getScheduleStatus(undefined), { open: true, reason: 'always', name: null, timezone: null, localTime: null });
+  });
+});
+
+describe('validateSchedule', () => {
+  it('accepts a valid schedule', () => {
+    assert.deepStrictEqual(validateSchedule(Object.assign({ closed: { action: 'forward', target: '100' } }, SCHEDULE)), []);
+  });
+
+  it('reports every problem', () => {
+    const errors = validateSchedule({
+      timezone: 'Mars/Olympus',
+      hours: { weekday: '9-5', mon: '09:00-17:00' },
+      holidays: ['Dec 25'],
+      overrides: [{ from: 'tomorrow' }],
+      closed: { action: 'forward' }
+    });
+    assert.strictEqual(errors.length, 6);
+    assert.match(errors[0], /timezone/);
+    assert.match(errors.join('\n'), /closed\.target is required/);
+    assert.deepStrictEqual(validateSchedule(null), ['schedule must be an object']);
+    assert.strictEqual(validateSchedule({ hours: { mon: '18:00-24:00' } }).length, 0);
+    assert.strictEqual(validateSchedule({ hours: { mon: '18:00-24:59' } }).length, 1);
+  });
+});
+
+describe('resolveClosedAction', () => {
+  it('defaults to voicemail', () => {
+    assert.deepStrictEqual(resolveClosedAction({ hours: {} }), { action: 'voicemail' });
+    assert.deepStrictEqual(
+      resolveClosedAction({ closed: { action: 'conversation', greeting: 'We are closed.' } }),
+      { action: 'conversation', greeting: 'We are closed.' }
+    );
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Call Recorder Test
+ *
+ * Checks the stereo WAV layout, caller leg capture, endpoint.play() hooking,
+ * recording paths and retention purge.
+ * Run with: node --test test/call-recorder.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  CallRecorder,
+  buildStereoWav,
+  getRecordingPath,
+  purgeRecordings
+} = require('../lib/call-recorder');
+const { resolveRecordingConfig } = require('../lib/conversation-loop');
+
+function pcm(values) {
+  const buf = Buffer.alloc(values.length * 2);
+  values.forEach((v, i) => buf.writeInt16LE(v, i * 2));
+  return buf;
+}
+
+describe('buildStereoWav', () => {
+  it('interleaves left and right channels', () => {
+    const wav = buildStereoWav(pcm([1, 2, 3]), pcm([-1]), 8000);
+
+    assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.strictEqual(wav.readUInt16LE(22), 2);
+    assert.strictEqual(wav.readUInt32LE(24), 8000);
+    assert.strictEqual(wav.readUInt32LE(40), 12);
+    assert.deepStrictEqual(
+      [0, 1, 2, 3, 4, 5].map(i => wav.readInt16LE(44 + i * 2)),
+      [1, -1, 2, 0, 3, 0]
+    );
+  });
+});
+
+describe('CallRecorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-recorder-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes caller audio to the left channel', async () => {
+    const session = new EventEmitter();
+    const recorder = new CallRecorder({ callUuid: 'call-1', dir });
+    recorder.attachSession(session);
+
+    session.emit('audio', pcm(new Array(160).fill(1000)));
+    const { path: filepath } = await recorder.stop();
+    session.emit('audio', pcm([5]));
+
+    const wav = fs.readFileSync(filepath);
+    assert.strictEqual(filepath, path.join(dir, 'call-1.wav'));
+    assert.strictEqual(wav.readUInt16LE(22), 2);
+
+    const frames = (wav.length - 44) / 4;
+    const lastFrame = 44 + (frames - 1) * 4;
+    assert.strictEqual(wav.readInt16LE(lastFrame), 1000);
+    assert.strictEqual(wav.readInt16LE(lastFrame + 2), 0);
+    assert.strictEqual(session.listenerCount('audio'), 0);
+  });
+
+  it('hooks endpoint.play and restores it on stop', async () => {
+    const played = [];
+    const endpoint = {
+      play(file) {
+        played.push(file);
+        return Promise.resolve();
+      }
+    };
+    const originalPlay = endpoint.play;
+    const recorder = new CallRecorder({ callUuid: 'call-2', dir });
+    recorder.attachEndpoint(endpoint);
+
+    // Undecodable prompt: recording still completes without that audio
+    await endpoint.play(path.join(dir, 'missing.mp3'));
+    await recorder.stop();
+
+    assert.deepStrictEqual(played, [path.join(dir, 'missing.mp3')]);
+    assert.strictEqual(endpoint.play, originalPlay);
+    assert.ok(fs.existsSync(path.join(dir, 'call-2.wav')));
+  });
+
+  it('refuses unsafe call IDs', () => {
+    assert.throws(() => new CallRecorder({ callUuid: '../etc/passwd', dir }));
+    assert.strictEqual(getRecordingPath('../x', dir), null);
+    assert.strictEqual(getRecordingPath('abc-123', dir), path.join(dir, 'abc-123.wav'));
+  });
+
+  it('purges recordings past retention', async () => {
+    const oldFile = path.join(dir, 'old.wav');
+    const newFile = path.join(dir, 'new.wav');
+    fs.writeFileSync(oldFile, '');
+    fs.writeFileSync(newFile, '');
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(oldFile, twoDaysAgo, twoDaysAgo);
+
+    const deleted = await purgeRecordings({ retentionMs: 24 * 60 * 60 * 1000, dir });
+    assert.strictEqual(deleted, 1);
+    assert.ok(!fs.existsSync(oldFile));
+    assert.ok(fs.existsSync(newFile));
+  });
+});
+
+describe('resolveRecordingConfig', () => {
+  it('uses device overrides', () => {
+    assert.deepStrictEqual(
+      resolveRecordingConfig({ record: true, recordingAnnouncement: '' }),
+      { enabled: true, announcement: '' }
+    );
+  });
+
+  it('falls back to defaults without device settings', () => {
+    const config = resolveRecordingConfig(null);
+    assert.strictEqual(typeof config.enabled, 'boolean');
+    assert.strictEqual(typeof config.announcement, 'string');
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Call Scheduler Test
+ *
+ * Drives the outbound call queue with a fake clock and a fake dialer:
+ * due times, calling hours, concurrency limits, retries, campaigns and
+ * persistence across restarts.
+ * Run with: node --test test/call-scheduler.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { CallScheduler } = require('../lib/call-scheduler');
+
+// 2026-10-19 is a Monday
+const MONDAY_10AM = Date.parse('2026-10-19T10:00:00Z');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Fake startOutboundCall(): every call stays up until its end(state, reason)
+ */
+function fakeDialer() {
+  const calls = [];
+  let next = 0;
+  return {
+    calls,
+    placeCall(params) {
+      let settle;
+      const call = {
+        params,
+        session: { callId: 'call-' + (++next) },
+        finished: new Promise(resolve => { settle = resolve; })
+      };
+      call.end = (state, reason) => settle({ state, reason });
+      calls.push(call);
+      return call;
+    }
+  };
+}
+
+describe('CallScheduler', () => {
+  let dir;
+  let clock;
+  let dialer;
+
+  function createScheduler(options = {}) {
+    const scheduler = new CallScheduler(Object.assign({
+      queuePath: path.join(dir, 'queue.json'),
+      callingHours: null,
+      activeCalls: () => [],
+      now: () => clock,
+      retryDelaySeconds: 60
+    }, options));
+    scheduler.placeCall = dialer.placeCall;
+    scheduler.resolveDevice = (identifier) => ({ name: identifier || 'Default' });
+    return scheduler;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    clock = MONDAY_10AM;
+    dialer = fakeDialer();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('dials a call once it is due and records the outcome', async () => {
+    const scheduler = createScheduler();
+    const job = scheduler.scheduleCall({
+      to: '+15551234567',
+      message: 'Your order is ready',
+      mode: 'conversation',
+      device: 'Bot',
+      scheduledAt: '2026-10-19T10:30:00Z'
+    });
+
+    await scheduler.tick();
+    assert.strictEqual(dialer.calls.length, 0);
+
+    clock += 30 * 60 * 1000;
+    await scheduler.tick();
+    assert.strictEqual(dialer.calls.length, 1);
+    assert.strictEqual(dialer.calls[0].params.to, '+15551234567');
+    assert.strictEqual(dialer.calls[0].params.mode, 'conversation');
+    assert.deepStrictEqual(dialer.calls[0].params.deviceConfig, { name: 'Bot' });
+    assert.strictEqual(scheduler.getCall(job.id).status, 'in_progress');
+
+    dialer.calls[0].end('COMPLETED', 'conversation_complete');
+    await flush();
+
+    const done = scheduler.getCall(job.id);
+    assert.strictEqual(done.status, 'completed');
+    assert.strictEqual(done.outcome, 'conversation_complete');
+    assert.strictEqual(done.attempts[0].callId, 'call-1');
+    assert.strictEqual(done.attempts[0].state, 'completed');
+  });
+
+  it('retries busy and unanswered calls with backoff, then gives up', async () => {
+    const scheduler = createScheduler();
+    const job = scheduler.scheduleCall({ to: '100', message: 'Hi', maxAttempts: 3 });
+
+    await scheduler.tick();
+    dialer.calls[0].end('FAILED', 'busy');
+    await flush();
+    let state = scheduler.getCall(job.id);
+    assert.strictEqual(state.status, 'scheduled');
+    assert.strictEqual(state.nextAttemptAt, new Date(clock + 60 * 1000).toISOString());
+
+    clock += 60 * 1000;
+    await scheduler.tick();
+    dialer.calls[1].end('FAILED', 'no_answer');
+    await flush();
+    state = scheduler.getCall(job.id);
+    assert.strictEqual(state.nextAttemptAt, new Date(clock + 120 * 1000).toISOString());
+
+    clock += 120 * 1000;
+    await scheduler.tick();
+    dialer.calls[2].end('FAILED', 'no_answer');
+    await flush();
+    state = scheduler.getCall(job.id);
+    assert.strictEqual(state.status, 'failed');
+    assert.strictEqual(state.outcome, 'no_answer');
+    assert.deepStrictEqual(state.attempts.map(a => a.reason), ['busy', 'no_answer', 'no_answer']);
+  });
+
+  it('does not retry numbers that do not exist', async () => {
+    const scheduler = createScheduler();
+    const job = scheduler.scheduleCall({ to: '100', message: 'Hi' });
+    await scheduler.tick();
+    dialer.calls[0].end('FAILED', 'not_found');
+    await flush();
+    assert.strictEqual(scheduler.getCall(job.id).status, 'failed');
+  });
+
+  it('waits for the calling-hours window', async () => {
+    clock = Date.parse('2026-10-19T07:00:00Z');
+    const scheduler = createScheduler({ callingHours: { timezone: 'UTC', hours: { daily: '09:00-20:00' } } });
+    scheduler.scheduleCall({ to: '100', message: 'Hi' });
+    const early = scheduler.scheduleCall({ to: '101', message: 'Hi', callingHours: '06:00-08:00' });
+
+    await scheduler.tick();
+    assert.deepStrictEqual(dialer.calls.map(c => c.params.to), ['101']);
+    assert.strictEqual(scheduler.getCall(early.id).status, 'in_progress');
+
+    clock = Date.parse('2026-10-19T09:00:00Z');
+    await scheduler.tick();
+    assert.deepStrictEqual(dialer.calls.map(c => c.params.to), ['101', '100']);
+  });
+
+  it('limits calls per device and on the trunk, counting other outbound calls', async () => {
+    const external = [{ callId: 'api-call', device: 'A', state: 'CONVERSING' }];
+    const scheduler = createScheduler({ maxConcurrent: 3, maxPerDevice: 2, activeCalls: () => external });
+    for (let i = 0; i < 3; i++) scheduler.scheduleCall({ to: '10' + i, message: 'Hi', device: 'A' });
+    for (let i = 0; i < 3; i++) scheduler.scheduleCall({ to: '20' + i, message: 'Hi', device: 'B' });
+
+    await scheduler.tick();
+    // A has one call already; the trunk fits two more
+    assert.deepStrictEqual(dialer.calls.map(c => c.params.device), ['A', 'B']);
+
+    external.length = 0;
+    dialer.calls[0].end('COMPLETED', 'announce_complete');
+    await flush();
+    await scheduler.tick();
+    assert.deepStrictEqual(dialer.calls.map(c => c.params.device), ['A', 'B', 'A', 'A']);
+  });
+
+  it('runs a campaign with per-contact context, pause and completion', async () => {
+    const scheduler = createScheduler();
+    const campaign = scheduler.createCampaign({
+      name: 'Reminders',
+      message: 'Reminder about your appointment',
+      mode: 'conversation',
+      context: { clinic: 'Downtown' },
+      maxConcurrent: 1,
+      contacts: [
+        { to: '100', name: 'Ann', context: { time: '09:00' } },
+        { to: '101', message: 'Custom message' }
+      ]
+    });
+    assert.deepStrictEqual(campaign.counts, { scheduled: 2, in_progress: 0, completed: 0, failed: 0, cancelled: 0 });
+
+    await scheduler.tick();
+    assert.strictEqual(dialer.calls.length, 1);
+    assert.deepStrictEqual(dialer.calls[0].params.context, { clinic: 'Downtown', time: '09:00' });
+
+    scheduler.updateCampaign(campaign.id, { status: 'paused' });
+    dialer.calls[0].end('COMPLETED', 'conversation_complete');
+    await flush();
+    await scheduler.tick();
+    assert.strictEqual(dialer.calls.length, 1);
+
+    scheduler.updateCampaign(campaign.id, { status: 'active' });
+    await scheduler.tick();
+    assert.strictEqual(dialer.calls[1].params.message, 'Custom message');
+    dialer.calls[1].end('FAILED', 'not_found');
+    await flush();
+
+    const done = scheduler.getCampaign(campaign.id);
+    assert.strictEqual(done.status, 'completed');
+    assert.strictEqual(done.counts.completed, 1);
+    assert.strictEqual(done.counts.failed, 1);
+    assert.throws(() => scheduler.updateCampaign(campaign.id, { status: 'active' }), { code: 'invalid_state' });
+  });
+
+  it('cancels and deletes calls that have not been dialed', async () => {
+    const scheduler = createScheduler();
+    const campaign = scheduler.createCampaign({ name: 'C', message: 'Hi', contacts: [{ to: '100' }, { to: '101' }] });
+    const cancelled = scheduler.updateCampaign(campaign.id, { status: 'cancelled' });
+    assert.strictEqual(cancelled.counts.cancelled, 2);
+
+    const job = scheduler.scheduleCall({ to: '102', message: 'Hi' });
+    await scheduler.tick();
+    assert.throws(() => scheduler.updateCall(job.id, { message: 'x' }), { code: 'invalid_state' });
+    assert.throws(() => scheduler.removeCall(job.id), { code: 'invalid_state' });
+    assert.strictEqual(scheduler.removeCampaign(campaign.id), true);
+    assert.strictEqual(scheduler.listCalls().length, 1);
+  });
+
+  it('keeps the queue across restarts and retries interrupted calls', async () => {
+    const first = createScheduler();
+    const job = first.scheduleCall({ to: '100', message: 'Hi' });
+    await first.tick();
+    assert.strictEqual(first.getCall(job.id).status, 'in_progress');
+
+    const second = createScheduler();
+    second.start({ placeCall: dialer.placeCall });
+    second.stop();
+    const resumed = second.getCall(job.id);
+    assert.strictEqual(resumed.status, 'scheduled');
+    assert.strictEqual(resumed.attempts[0].reason, 'interrupted');
+  });
+});
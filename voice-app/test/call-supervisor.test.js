@@ -0,0 +1,94 @@
+/**
+ * Call Supervisor Test
+ *
+ * Supervisor requests on a live call (say, pause, resume) and the pause
+ * itself over a fake endpoint: joining and leaving the conference, resuming
+ * on request and when the caller hangs up.
+ * Run with: node --test test/call-supervisor.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+const { CallSupervision, getSupervision } = require('../lib/call-supervisor');
+
+function fakeCall(callUuid) {
+  const endpoint = { calls: [] };
+  endpoint.join = async (conference) => { endpoint.calls.push('join ' + conference); };
+  endpoint.confHup = async () => { endpoint.calls.push('leave'); };
+  const dialog = new EventEmitter();
+  dialog.connected = true;
+  return { endpoint, dialog, supervision: new CallSupervision({ callUuid, endpoint, dialog }) };
+}
+
+describe('CallSupervision', () => {
+  it('takes requests only while attached', () => {
+    const { supervision } = fakeCall('sup-1');
+    let interrupts = 0;
+    const detach = supervision.attach(() => interrupts++);
+    assert.strictEqual(getSupervision('sup-1'), supervision);
+
+    assert.strictEqual(supervision.say('Hello from a person'), 1);
+    assert.strictEqual(interrupts, 1);
+    assert.strictEqual(supervision.pending(), true);
+    assert.strictEqual(supervision.nextLine(), 'Hello from a person');
+    assert.strictEqual(supervision.pending(), false);
+
+    detach();
+    assert.strictEqual(getSupervision('sup-1'), null);
+  });
+
+  it('refuses pausing twice, resuming when not paused and speaking while paused', () => {
+    const { supervision } = fakeCall('sup-2');
+    supervision.attach(() => {});
+    assert.throws(() => supervision.resume(), { code: 'invalid_state' });
+
+    assert.deepStrictEqual(supervision.pause(), { conference: 'supervise-sup-2', supervisor: null });
+    assert.throws(() => supervision.pause(), { code: 'invalid_state' });
+    assert.throws(() => supervision.say('Hi'), { code: 'invalid_state' });
+  });
+
+  it('needs srf to dial a supervisor', () => {
+    const { supervision } = fakeCall('sup-3');
+    assert.throws(() => supervision.pause({ supervisor: '100' }), { code: 'unsupported' });
+    assert.strictEqual(supervision.paused, false);
+  });
+
+  it('holds the caller in the conference until resumed', async () => {
+    const { endpoint, supervision } = fakeCall('sup-4');
+    const detach = supervision.attach(() => {});
+    supervision.pause();
+
+    const holding = supervision.hold();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepStrictEqual(endpoint.calls, ['join supervise-sup-4']);
+
+    supervision.resume({ message: 'Thanks for holding.' });
+    assert.deepStrictEqual(await holding, { reason: 'api', message: 'Thanks for holding.' });
+    assert.deepStrictEqual(endpoint.calls, ['join supervise-sup-4', 'leave']);
+    assert.strictEqual(supervision.paused, false);
+    detach();
+  });
+
+  it('stops holding when the caller hangs up', async () => {
+    const { endpoint, dialog, supervision } = fakeCall('sup-5');
+    supervision.pause();
+
+    const holding = supervision.hold();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    dialog.connected = false;
+    dialog.emit('destroy');
+
+    assert.strictEqual((await holding).reason, 'caller_hangup');
+    assert.deepStrictEqual(endpoint.calls, ['join supervise-sup-5']);
+    assert.strictEqual(dialog.listenerCount('destroy'), 0);
+  });
+
+  it('resumes if the conference cannot be joined', async () => {
+    const { endpoint, supervision } = fakeCall('sup-6');
+    endpoint.join = async () => { throw new Error('no conference module'); };
+    supervision.pause();
+    assert.strictEqual((await supervision.hold()).reason, 'conference_failed');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Call Transcript Test
+ *
+ * Checks timestamped entries, JSON / text / WebVTT export, alignment to the
+ * recording start and saving/loading finished transcripts.
+ * Run with: node --test test/call-transcript.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  CallTranscript,
+  formatTimestamp,
+  startTranscript,
+  finishTranscript,
+  getTranscript
+} = require('../lib/call-transcript');
+
+const T0 = Date.parse('2026-03-01T12:00:00.000Z');
+
+function sampleTranscript() {
+  const transcript = new CallTranscript({
+    callId: 'call-abc',
+    direction: 'inbound',
+    from: '+15551234567',
+    to: '12611',
+    device: 'VoiceBot',
+    startedAt: T0
+  });
+  transcript.addAssistantReply({ kind: 'greeting', spoken: 'Hello!', start: T0 + 500, end: T0 + 1500 });
+  transcript.addCallerUtterance('What time is it?', {
+    start: T0 + 2000,
+    end: T0 + 3250,
+    sttProvider: 'google-web',
+    sttLatencyMs: 640
+  });
+  transcript.addDtmf('#', T0 + 3300);
+  transcript.addAssistantReply({
+    kind: 'answer',
+    spoken: 'It is noon.',
+    text: '🗣️ VOICE_RESPONSE: It is noon.',
+    start: T0 + 5000,
+    end: T0 + 6000,
+    llmLatencyMs: 1200,
+    bargedIn: true
+  });
+  return transcript;
+}
+
+describe('CallTranscript', () => {
+  it('exports entries with offsets and details', () => {
+    const json = sampleTranscript().toJSON();
+
+    assert.strictEqual(json.callId, 'call-abc');
+    assert.strictEqual(json.entries.length, 4);
+    assert.deepStrictEqual(json.entries[1], {
+      type: 'caller',
+      text: 'What time is it?',
+      sttProvider: 'google-web',
+      sttLatencyMs: 640,
+      timestamp: '2026-03-01T12:00:02.000Z',
+      offsetMs: 2000,
+      endOffsetMs: 3250
+    });
+    assert.strictEqual(json.entries[3].text, '🗣️ VOICE_RESPONSE: It is noon.');
+    assert.strictEqual(json.entries[3].spoken, 'It is noon.');
+    assert.strictEqual(json.entries[3].llmLatencyMs, 1200);
+  });
+
+  it('exports plain text', () => {
+    const text = sampleTranscript().toText();
+    assert.match(text, /^Call call-abc \(inbound\) from \+15551234567 to 12611/);
+    assert.match(text, /\[00:00:02\] Caller: What time is it\?/);
+    assert.match(text, /\[00:00:03\] DTMF: #/);
+    assert.match(text, /\[00:00:05\] Assistant: It is noon\. \[interrupted\]/);
+  });
+
+  it('exports WebVTT aligned to the recording', () => {
+    const transcript = sampleTranscript();
+    transcript.alignToRecording(T0 + 1000);
+    const vtt = transcript.toWebVTT();
+
+    assert.ok(vtt.startsWith('WEBVTT\n\n'));
+    assert.match(vtt, /1\n00:00:00\.000 --> 00:00:00\.500\n<v Assistant>Hello!/);
+    assert.match(vtt, /2\n00:00:01\.000 --> 00:00:02\.250\n<v Caller>What time is it\?/);
+    assert.match(vtt, /<v Caller>\[DTMF #\]/);
+    assert.match(vtt, /00:00:04\.000 --> 00:00:05\.000\n<v Assistant>It is noon\./);
+  });
+
+  it('escapes WebVTT cue text and keeps each cue on one line', () => {
+    const transcript = new CallTranscript({ callId: 'call-vtt', startedAt: T0 });
+    transcript.addCallerUtterance('Is 2 < 3 && 5 > 4?', { start: T0, end: T0 + 1000 });
+    transcript.addAssistantReply({ kind: 'answer', spoken: 'Yes.\n\n<b>Both</b> --> true\r\nBye', start: T0 + 1000, end: T0 + 2000 });
+
+    assert.strictEqual(transcript.toWebVTT(), 'WEBVTT\n\n' +
+      '1\n00:00:00.000 --> 00:00:01.000\n<v Caller>Is 2 &lt; 3 &amp;&amp; 5 &gt; 4?\n\n' +
+      '2\n00:00:01.000 --> 00:00:02.000\n<v Assistant>Yes. &lt;b&gt;Both&lt;/b&gt; --&gt; true Bye\n\n');
+  });
+
+  it('round-trips through JSON', () => {
+    const transcript = sampleTranscript();
+    transcript.alignToRecording(T0 + 1000);
+    transcript.end(T0 + 7000);
+
+    const copy = CallTranscript.fromJSON(JSON.parse(JSON.stringify(transcript.toJSON())));
+    assert.deepStrictEqual(copy.toJSON(), transcript.toJSON());
+    assert.strictEqual(copy.toWebVTT(), transcript.toWebVTT());
+  });
+});
+
+describe('transcript storage', () => {
+  it('serves live transcripts and saved ones after the call', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-transcript-'));
+    try {
+      const transcript = startTranscript({ callId: 'live-1', direction: 'outbound', to: '+15550000000' });
+      assert.strictEqual(startTranscript({ callId: 'live-1' }), transcript);
+      assert.strictEqual(await getTranscript('live-1', dir), transcript);
+
+      const filepath = await finishTranscript(transcript, dir);
+      assert.strictEqual(filepath, path.join(dir, 'live-1.json'));
+
+      const loaded = await getTranscript('live-1', dir);
+      assert.notStrictEqual(loaded, transcript);
+      assert.strictEqual(loaded.direction, 'outbound');
+      assert.ok(loaded.endedAt);
+      assert.strictEqual(await getTranscript('../etc/passwd', dir), null);
+      assert.strictEqual(await getTranscript('missing', dir), null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('formatTimestamp', () => {
+  it('formats WebVTT and text timestamps', () => {
+    assert.strictEqual(formatTimestamp(3723004), '01:02:03.004');
+    assert.strictEqual(formatTimestamp(3723004, false), '01:02:03');
+    assert.strictEqual(formatTimestamp(-5), '00:00:00.000');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Call Transfer Test
+ *
+ * Covers the TRANSFER marker, target resolution, blind transfers via REFER
+ * (with a fake dialog answering REFER and sending NOTIFY) and API requests.
+ * Run with: node --test test/call-transfer.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+const {
+  resolveTransferConfig,
+  resolveTransferTarget,
+  extractTransferTarget,
+  stripTransferMarker,
+  buildTransferPrompt,
+  transferCall,
+  createTransferHandler,
+  onTransferRequest,
+  requestTransfer
+} = require('../lib/call-transfer');
+const { extractVoiceLine } = require('../lib/conversation-loop');
+
+/**
+ * Fake drachtio dialog: answers REFER with referStatus, then sends a NOTIFY
+ * with each sipfrag in turn
+ */
+function fakeDialog(referStatus, notifications = []) {
+  const dialog = new EventEmitter();
+  dialog.requests = [];
+  dialog.request = async (opts) => {
+    dialog.requests.push(opts);
+    if (referStatus < 300) {
+      notifications.forEach((frag, i) => setTimeout(() => {
+        dialog.emit('notify', { body: frag }, { send: () => {} });
+      }, i + 1));
+    }
+    return { status: referStatus };
+  };
+  return dialog;
+}
+
+const DEVICE = {
+  transfer: {
+    default: '100',
+    targets: { sales: '101', Support: '102' }
+  }
+};
+
+describe('TRANSFER marker', () => {
+  it('extracts the target and keeps it out of speech', () => {
+    const response = 'Connecting you to sales now.\n🗣️ VOICE_RESPONSE: One moment, connecting you to sales.\n🔀 TRANSFER: sales.';
+    assert.strictEqual(extractTransferTarget(response), 'sales');
+    assert.strictEqual(stripTransferMarker(response), 'Connecting you to sales now.\n🗣️ VOICE_RESPONSE: One moment, connecting you to sales.');
+    assert.strictEqual(extractVoiceLine(response), 'One moment, connecting you to sales.');
+    assert.strictEqual(extractVoiceLine('Sure.\nTRANSFER: 101'), 'Sure');
+  });
+
+  it('ignores responses without a marker', () => {
+    assert.strictEqual(extractTransferTarget('I can transfer: money, not calls.'), null);
+    assert.strictEqual(extractTransferTarget(null), null);
+  });
+});
+
+describe('resolveTransferTarget', () => {
+  const config = resolveTransferConfig(DEVICE);
+
+  it('accepts target names, their extensions and the default', () => {
+    assert.strictEqual(config.enabled, true);
+    assert.strictEqual(resolveTransferTarget(config, 'support'), '102');
+    assert.strictEqual(resolveTransferTarget(config, '101'), '101');
+    assert.strictEqual(resolveTransferTarget(config, 'operator'), '100');
+    assert.strictEqual(resolveTransferTarget(config, ''), '100');
+    assert.strictEqual(resolveTransferTarget(config, '999'), null);
+  });
+
+  it('is disabled without a transfer block', () => {
+    const none = resolveTransferConfig({ name: 'Bot' });
+    assert.strictEqual(none.enabled, false);
+    assert.strictEqual(resolveTransferTarget(none, 'operator'), null);
+    assert.strictEqual(buildTransferPrompt(none), '');
+  });
+
+  it('lists targets in the prompt', () => {
+    assert.match(buildTransferPrompt(config), /Targets: sales, Support, operator\./);
+  });
+});
+
+describe('transferCall', () => {
+  it('sends REFER and resolves once the target answers', async () => {
+    const dialog = fakeDialog(202, ['SIP/2.0 100 Trying', 'SIP/2.0 200 OK']);
+    const referTo = await transferCall(dialog, '100', { domain: 'pbx.example.com' });
+    assert.strictEqual(referTo, 'sip:100@pbx.example.com');
+    assert.strictEqual(dialog.requests[0].method, 'REFER');
+    assert.strictEqual(dialog.requests[0].headers['Refer-To'], '<sip:100@pbx.example.com>');
+    assert.strictEqual(dialog.listenerCount('notify'), 0);
+  });
+
+  it('rejects when the target is busy or the REFER is refused', async () => {
+    await assert.rejects(
+      transferCall(fakeDialog(202, ['SIP/2.0 486 Busy Here']), '100', { domain: 'pbx.example.com' }),
+      /answered 486/
+    );
+    const refused = fakeDialog(403);
+    await assert.rejects(transferCall(refused, '100', { domain: 'pbx.example.com' }), /REFER rejected \(403\)/);
+    assert.strictEqual(refused.listenerCount('destroy'), 0);
+  });
+
+  it('treats our side being hung up as success', async () => {
+    const dialog = fakeDialog(202);
+    setTimeout(() => dialog.emit('destroy'), 5);
+    assert.strictEqual(await transferCall(dialog, 'sip:200@other.example'), 'sip:200@other.example');
+  });
+});
+
+describe('createTransferHandler', () => {
+  it('uses a blind transfer by default', async () => {
+    const dialog = fakeDialog(202, ['SIP/2.0 200 OK']);
+    const transfer = createTransferHandler({ dialog, deviceConfig: DEVICE, domain: 'pbx.example.com' });
+    assert.strictEqual(await transfer({ target: '101' }), 'blind');
+    assert.strictEqual(dialog.requests.length, 1);
+  });
+});
+
+describe('API transfer requests', () => {
+  it('reach the live call until it unregisters', () => {
+    const received = [];
+    const stop = onTransferRequest('call-1', (request) => received.push(request));
+    assert.strictEqual(requestTransfer('call-1', { target: '100', mode: 'attended' }), true);
+    assert.deepStrictEqual(received, [{ target: '100', mode: 'attended' }]);
+
+    stop();
+    assert.strictEqual(requestTransfer('call-1', { target: '100' }), false);
+    assert.strictEqual(requestTransfer('other-call', { target: '100' }), false);
+  });
+});
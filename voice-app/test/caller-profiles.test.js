@@ -0,0 +1,138 @@
+/**
+ * Caller Profiles Test
+ *
+ * Checks profile persistence, number normalization, prompt building and
+ * call summaries (with a stubbed Claude bridge).
+ * Run with: node --test test/caller-profiles.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  CallerProfileStore,
+  normalizeNumber,
+  buildProfilePrompt,
+  summarizeCall
+} = require('../lib/caller-profiles');
+
+describe('CallerProfileStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caller-profiles-'));
+    filePath = path.join(dir, 'caller-profiles.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates, updates and persists profiles', () => {
+    const store = new CallerProfileStore({ filePath });
+    store.upsert('+1 (555) 123-4567', { name: 'Dana', language: 'he' });
+    store.upsert('+15551234567', { notes: 'VIP' });
+
+    const reloaded = new CallerProfileStore({ filePath });
+    const profile = reloaded.get('+15551234567');
+    assert.strictEqual(profile.number, '+15551234567');
+    assert.strictEqual(profile.name, 'Dana');
+    assert.strictEqual(profile.language, 'he');
+    assert.strictEqual(profile.notes, 'VIP');
+    assert.strictEqual(profile.callCount, 0);
+  });
+
+  it('ignores fields the API may not set', () => {
+    const store = new CallerProfileStore({ filePath });
+    const profile = store.upsert('5551234', { name: 'Sam', callCount: 99, number: '999' });
+    assert.strictEqual(profile.number, '5551234');
+    assert.strictEqual(profile.callCount, 0);
+  });
+
+  it('records calls for new and existing callers', () => {
+    const store = new CallerProfileStore({ filePath });
+    store.recordCall('+15550000001', { summary: 'Asked about opening hours.' });
+    const profile = store.recordCall('+15550000001', {});
+
+    assert.strictEqual(profile.callCount, 2);
+    assert.strictEqual(profile.lastCallSummary, 'Asked about opening hours.');
+    assert.ok(profile.lastCallAt);
+  });
+
+  it('deletes profiles', () => {
+    const store = new CallerProfileStore({ filePath });
+    store.upsert('+15550000002', { name: 'Alex' });
+    assert.strictEqual(store.delete('+15550000002'), true);
+    assert.strictEqual(store.delete('+15550000002'), false);
+    assert.strictEqual(new CallerProfileStore({ filePath }).get('+15550000002'), null);
+  });
+
+  it('starts empty when the file is corrupt', () => {
+    fs.writeFileSync(filePath, '{not json');
+    const store = new CallerProfileStore({ filePath });
+    assert.deepStrictEqual(store.getAll(), []);
+  });
+});
+
+describe('normalizeNumber', () => {
+  it('keeps digits and a leading plus', () => {
+    assert.strictEqual(normalizeNumber(' +972 (50) 123-4567 '), '+972501234567');
+    assert.strictEqual(normalizeNumber('5755'), '5755');
+    assert.strictEqual(normalizeNumber('unknown'), null);
+    assert.strictEqual(normalizeNumber(null), null);
+  });
+});
+
+describe('buildProfilePrompt', () => {
+  it('describes the caller', () => {
+    const prompt = buildProfilePrompt({
+      name: 'Dana',
+      callCount: 3,
+      lastCallAt: '2026-01-02T10:00:00.000Z',
+      lastCallSummary: 'Booked a table for two.'
+    });
+    assert.match(prompt, /Name: Dana/);
+    assert.match(prompt, /Previous calls: 3/);
+    assert.match(prompt, /Last call \(2026-01-02\): Booked a table for two\./);
+  });
+
+  it('returns empty string for an empty profile', () => {
+    assert.strictEqual(buildProfilePrompt({ number: '+1555', callCount: 0 }), '');
+    assert.strictEqual(buildProfilePrompt(null), '');
+  });
+});
+
+describe('summarizeCall', () => {
+  const exchanges = [{ caller: 'When are you open?', assistant: 'Nine to five.' }];
+
+  it('uses the Claude summary, asked for without storing a conversation', async () => {
+    let sent;
+    const bridge = {
+      query: async (prompt, options) => {
+        sent = options;
+        return 'Caller asked about opening hours.';
+      }
+    };
+    assert.strictEqual(await summarizeCall(exchanges, bridge, 'call-1'), 'Caller asked about opening hours.');
+    assert.strictEqual(sent.callId, 'call-1-summary');
+    assert.strictEqual(sent.persist, false);
+  });
+
+  it('falls back to the first request when Claude is unavailable', async () => {
+    const bridge = {
+      query: async (prompt, options) => {
+        options.onFallback('unavailable');
+        return "I'm having trouble reaching the conversation engine.";
+      }
+    };
+    assert.strictEqual(await summarizeCall(exchanges, bridge, 'call-2'), 'Caller asked: When are you open?');
+  });
+
+  it('returns null when nothing was said', async () => {
+    assert.strictEqual(await summarizeCall([], {}, 'call-3'), null);
+  });
+});
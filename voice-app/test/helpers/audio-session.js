@@ -0,0 +1,44 @@
+/**
+ * Synthetic audio for AudioForkSession tests: PCM frames and a session fed
+ * through a stand-in WebSocket.
+ */
+
+const { EventEmitter } = require('node:events');
+
+const { AudioForkSession } = require('../../lib/audio-fork');
+
+// 20ms of 16kHz 16-bit mono audio
+const FRAME_SAMPLES = 320;
+
+/**
+ * One frame of a sine wave
+ * @param {number} amplitude - Peak sample value (0 = silence)
+ * @returns {Buffer}
+ */
+function frame(amplitude) {
+  const buf = Buffer.alloc(FRAME_SAMPLES * 2);
+  for (let i = 0; i < FRAME_SAMPLES; i++) {
+    buf.writeInt16LE(Math.round(amplitude * Math.sin(i / 4)), i * 2);
+  }
+  return buf;
+}
+
+/**
+ * @returns {{ws: EventEmitter, session: AudioForkSession}}
+ */
+function createSession() {
+  const ws = new EventEmitter();
+  const session = new AudioForkSession({ ws, callUuid: 'test-call' });
+  // Skip endian auto-detection, which cannot decide on a silent first frame
+  session._pcmEndian = 'LE';
+  return { ws, session };
+}
+
+/**
+ * Send the same frame count times
+ */
+function feed(ws, buf, count) {
+  for (let i = 0; i < count; i++) ws.emit('message', buf);
+}
+
+module.exports = { FRAME_SAMPLES, frame, createSession, feed };
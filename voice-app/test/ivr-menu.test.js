@@ -0,0 +1,193 @@
+/**
+ * IVR Menu Test
+ *
+ * Drives runIvrMenu() with a fake endpoint: digit routing, submenus, messages,
+ * invalid input / timeouts, type-ahead and menu validation.
+ * Run with: node --test test/ivr-menu.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+const { runIvrMenu, validateMenu, resolveMenu } = require('../lib/ivr-menu');
+const { buildReferTarget } = require('../lib/call-transfer');
+
+/**
+ * Fake endpoint: "presses" the scripted digits, each one while the next
+ * prompt is playing (null = stay silent for that prompt)
+ */
+function fakeCall(script) {
+  const endpoint = new EventEmitter();
+  const dialog = new EventEmitter();
+  const played = [];
+  endpoint.uuid = 'ivr-call';
+  endpoint.api = async (cmd) => {
+    if (cmd === 'uuid_break' && endpoint.stopPlayback) endpoint.stopPlayback();
+  };
+  endpoint.play = (url) => new Promise((resolve) => {
+    played.push(decodeURIComponent(url.replace('tts://', '')));
+    endpoint.stopPlayback = () => {
+      endpoint.stopPlayback = null;
+      resolve();
+    };
+    const digit = script.shift();
+    if (digit) {
+      setTimeout(() => endpoint.emit('dtmf', { dtmf: digit }), 0);
+    } else {
+      setTimeout(() => endpoint.stopPlayback && endpoint.stopPlayback(), 0);
+    }
+  });
+  const ttsService = { generateSpeech: async (text) => 'tts://' + encodeURIComponent(text) };
+  return { endpoint, dialog, played, ttsService };
+}
+
+const MENU = {
+  greeting: 'Main menu',
+  timeoutMs: 20,
+  maxAttempts: 2,
+  options: {
+    '1': { action: 'device', device: 'SalesBot' },
+    '2': {
+      action: 'menu',
+      menu: {
+        greeting: 'Support menu',
+        options: {
+          '1': { action: 'transfer', target: '100' },
+          '*': { action: 'back' }
+        }
+      }
+    },
+    '3': { action: 'message', text: 'We are open 9 to 5.' },
+    '8': { action: 'hangup', text: 'Goodbye.' },
+    '9': { action: 'conversation' }
+  }
+};
+
+const registry = {
+  get: (id) => (id === 'SalesBot' ? { name: 'SalesBot', extension: '201' } : null)
+};
+
+function run(script, menu = MENU) {
+  const call = fakeCall(script);
+  const result = runIvrMenu(call.endpoint, call.dialog, 'ivr-call', {
+    menu,
+    ttsService: call.ttsService,
+    deviceRegistry: registry
+  });
+  return result.then(route => ({ route, played: call.played, call }));
+}
+
+describe('runIvrMenu', () => {
+  it('switches device persona', async () => {
+    const { route, played } = await run(['1']);
+    assert.strictEqual(route.action, 'conversation');
+    assert.strictEqual(route.device.name, 'SalesBot');
+    assert.deepStrictEqual(route.digits, ['1']);
+    assert.deepStrictEqual(played, ['Main menu']);
+  });
+
+  it('goes through submenus and back', async () => {
+    const { route, played } = await run(['2', '*', '2', '1']);
+    assert.deepStrictEqual(route, { action: 'transfer', target: '100', digits: ['2', '*', '2', '1'] });
+    assert.deepStrictEqual(played, ['Main menu', 'Support menu', 'Main menu', 'Support menu']);
+  });
+
+  it('plays a message and returns to the menu', async () => {
+    const { route, played } = await run(['3', null, '9']);
+    assert.strictEqual(route.action, 'conversation');
+    assert.strictEqual(route.device, undefined);
+    assert.deepStrictEqual(played, ['Main menu', 'We are open 9 to 5.', 'Main menu']);
+  });
+
+  it('hangs up with a goodbye', async () => {
+    const { route, played } = await run(['8', null]);
+    assert.strictEqual(route.action, 'hangup');
+    assert.deepStrictEqual(played, ['Main menu', 'Goodbye.']);
+  });
+
+  it('re-prompts on invalid input and falls back after maxAttempts', async () => {
+    const { route, played } = await run(['5', null, null]);
+    assert.strictEqual(route.action, 'conversation');
+    assert.deepStrictEqual(route.digits, []);
+    assert.deepStrictEqual(played, ['Main menu', 'Sorry, that is not a valid option.', 'Main menu']);
+  });
+
+  it('uses digits typed ahead without replaying the prompt', async () => {
+    const call = fakeCall([null]);
+    const promise = runIvrMenu(call.endpoint, call.dialog, 'ivr-call', {
+      menu: MENU,
+      ttsService: call.ttsService,
+      deviceRegistry: registry
+    });
+    // Two digits while the main menu plays: "2" then "1" in the submenu
+    setTimeout(() => {
+      call.endpoint.emit('dtmf', { dtmf: '2' });
+      call.endpoint.emit('dtmf', { dtmf: '1' });
+    }, 0);
+    const route = await promise;
+    assert.deepStrictEqual(route, { action: 'transfer', target: '100', digits: ['2', '1'] });
+    assert.deepStrictEqual(call.played, ['Main menu']);
+  });
+
+  it('stops when the caller hangs up', async () => {
+    const call = fakeCall([null]);
+    const promise = runIvrMenu(call.endpoint, call.dialog, 'ivr-call', {
+      menu: Object.assign({}, MENU, { timeoutMs: 5000 }),
+      ttsService: call.ttsService
+    });
+    setTimeout(() => call.dialog.emit('destroy'), 10);
+    const route = await promise;
+    assert.strictEqual(route.action, 'hangup');
+    assert.strictEqual(call.endpoint.listenerCount('dtmf'), 0);
+  });
+});
+
+describe('validateMenu', () => {
+  it('accepts a valid menu', () => {
+    assert.deepStrictEqual(validateMenu(MENU), []);
+  });
+
+  it('reports bad digits, actions and missing fields', () => {
+    const errors = validateMenu({
+      options: {
+        '12': { action: 'conversation' },
+        '1': { action: 'dance' },
+        '2': { action: 'transfer' },
+        '3': { action: 'menu', menu: { options: {} } }
+      }
+    });
+    // Integer-like keys iterate in numeric order
+    assert.strictEqual(errors.length, 4);
+    assert.match(errors[0], /options\.1\.action must be one of/);
+    assert.match(errors[1], /options\.2\.target is required/);
+    assert.match(errors[2], /options\.3\.menu\.options must map digits/);
+    assert.match(errors[3], /"12" must be a single digit/);
+  });
+
+  it('only accepts fallbacks that end the menu', () => {
+    const options = { 1: { action: 'conversation' } };
+    assert.deepStrictEqual(validateMenu({ options, fallback: { action: 'transfer', target: '100' } }), []);
+    for (const action of ['menu', 'back', 'repeat', 'message']) {
+      assert.deepStrictEqual(validateMenu({ options, fallback: { action, text: 'Hi' } }), [
+        'ivr.fallback.action must be one of: conversation, device, transfer, hangup'
+      ]);
+    }
+  });
+
+  it('lets submenus inherit settings', () => {
+    const parent = resolveMenu({ timeoutMs: 900, options: {} });
+    const child = resolveMenu({ options: {}, maxAttempts: 1 }, parent);
+    assert.strictEqual(child.timeoutMs, 900);
+    assert.strictEqual(child.maxAttempts, 1);
+    assert.strictEqual(child.invalidPrompt, parent.invalidPrompt);
+  });
+});
+
+describe('buildReferTarget', () => {
+  it('builds SIP URIs for extensions', () => {
+    assert.strictEqual(buildReferTarget('100', 'pbx.example.com'), 'sip:100@pbx.example.com');
+    assert.strictEqual(buildReferTarget('sip:200@other.example'), 'sip:200@other.example');
+    assert.throws(() => buildReferTarget('100', ''));
+  });
+});
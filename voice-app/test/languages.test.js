@@ -0,0 +1,65 @@
+/**
+ * Caller Language Test
+ *
+ * Language code normalization, a device's language list, detection from a
+ * transcript's alphabet and the conversation loop's localized goodbyes and
+ * thinking phrases.
+ * Run with: node --test test/languages.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeLanguage, resolveLanguages, detectFromText, validateLanguages } = require('../lib/languages');
+const { isGoodbye, getRandomThinkingPhrase } = require('../lib/conversation-loop');
+
+describe('normalizeLanguage', () => {
+  it('reduces provider languages to short codes', () => {
+    assert.strictEqual(normalizeLanguage('en-us'), 'en');
+    assert.strictEqual(normalizeLanguage('iw-IL'), 'he');
+    assert.strictEqual(normalizeLanguage('Hebrew'), 'he');
+    assert.strictEqual(normalizeLanguage(''), null);
+    assert.strictEqual(normalizeLanguage(undefined), null);
+  });
+});
+
+describe('resolveLanguages', () => {
+  it('puts the main language first without duplicates', () => {
+    assert.deepStrictEqual(resolveLanguages({ language: 'he', languages: ['en', 'he', 'ar-IL'] }), ['he', 'en', 'ar']);
+    assert.deepStrictEqual(resolveLanguages(null), ['en']);
+  });
+
+  it('validates the device list', () => {
+    assert.deepStrictEqual(validateLanguages(['he', 'en']), []);
+    assert.deepStrictEqual(validateLanguages('he,en'), ['languages must be a non-empty list of language codes']);
+    assert.deepStrictEqual(validateLanguages(['he', '']), ['languages must be a non-empty list of language codes']);
+  });
+});
+
+describe('detectFromText', () => {
+  it('tells languages with different alphabets apart', () => {
+    assert.strictEqual(detectFromText('מה השעה?', ['en', 'he']), 'he');
+    assert.strictEqual(detectFromText('What time do you close?', ['he', 'en']), 'en');
+    assert.strictEqual(detectFromText('Который час?', ['he', 'en', 'ru']), 'ru');
+  });
+
+  it('gives up when it can\'t tell', () => {
+    assert.strictEqual(detectFromText('Bonjour', ['en', 'fr']), null);
+    assert.strictEqual(detectFromText('Который час?', ['he', 'en']), null);
+    assert.strictEqual(detectFromText('123', ['he', 'en']), null);
+  });
+});
+
+describe('Localized loop phrases', () => {
+  it('recognizes goodbyes in the caller\'s language and in English', () => {
+    assert.strictEqual(isGoodbye('תודה להתראות', 'he'), true);
+    assert.strictEqual(isGoodbye('ok bye', 'he'), true);
+    assert.strictEqual(isGoodbye('תודה להתראות'), false);
+    assert.strictEqual(isGoodbye('muchas gracias, adiós', 'es'), true);
+  });
+
+  it('picks thinking phrases in the caller\'s language', () => {
+    assert.match(getRandomThinkingPhrase('he-IL'), /[\u0590-\u05FF]/);
+    assert.match(getRandomThinkingPhrase('de'), /^[A-Za-z ,.']+$/);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Live Call Events Test
+ *
+ * The event feed (call context, active call tracking, transcript and
+ * outbound session events) and the /api/live WebSocket (snapshot, filters,
+ * disconnects) on a throwaway HTTP server.
+ * Run with: node --test test/live-events.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const WebSocket = require('ws');
+
+const { LiveEvents, liveEvents } = require('../lib/live-events');
+const { createLiveServer } = require('../lib/live-server');
+const { CallTranscript } = require('../lib/call-transcript');
+const { OutboundSession } = require('../lib/outbound-session');
+
+function collect(events) {
+  const seen = [];
+  const listener = (event) => seen.push(event);
+  events.on('event', listener);
+  seen.stop = () => events.off('event', listener);
+  return seen;
+}
+
+describe('LiveEvents', () => {
+  it('numbers events and takes the callId from the call context', async () => {
+    const events = new LiveEvents();
+    const seen = collect(events);
+
+    events.publish('tts', { provider: 'gtts' });
+    await events.runWithCall('call-1', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      events.publish('tts', { provider: 'openai', latencyMs: 120 });
+    });
+
+    assert.deepStrictEqual(seen.map(e => [e.seq, e.callId, e.provider]), [[1, null, 'gtts'], [2, 'call-1', 'openai']]);
+    assert.ok(!isNaN(Date.parse(seen[1].timestamp)));
+  });
+
+  it('tracks active calls', () => {
+    const events = new LiveEvents();
+    events.publish('call.started', { callId: 'a', direction: 'inbound', from: '100', to: '200', state: 'ANSWERED' });
+    events.publish('call.started', { callId: 'b', direction: 'outbound', to: '300', state: 'QUEUED' });
+    events.publish('call.state', { callId: 'a', state: 'CONVERSING', previous: 'ANSWERED' });
+    events.publish('call.ended', { callId: 'b', state: 'COMPLETED' });
+
+    const calls = events.activeCalls();
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].callId, 'a');
+    assert.strictEqual(calls[0].state, 'CONVERSING');
+    assert.strictEqual(calls[0].from, '100');
+  });
+
+  it('publishes transcript lines, replies, DTMF and events', () => {
+    const seen = collect(liveEvents);
+    const transcript = new CallTranscript({ callId: 'live-call' });
+    transcript.addCallerUtterance('Hi there', { start: 1000, end: 2000, sttProvider: 'whisper', sttLatencyMs: 300 });
+    transcript.addAssistantReply({ kind: 'answer', spoken: 'Hello!', start: 3000, end: 4000, llmLatencyMs: 900 });
+    transcript.addDtmf(5);
+    transcript.addEvent('transfer', { target: '100' });
+    seen.stop();
+
+    assert.deepStrictEqual(seen.map(e => e.type), ['caller.utterance', 'assistant.reply', 'dtmf', 'call.event']);
+    assert.strictEqual(seen[0].callId, 'live-call');
+    assert.strictEqual(seen[0].text, 'Hi there');
+    assert.strictEqual(seen[0].sttLatencyMs, 300);
+    assert.strictEqual(seen[1].llmLatencyMs, 900);
+    assert.strictEqual(seen[2].digit, '5');
+    assert.deepStrictEqual(seen[3].data, { target: '100' });
+  });
+
+  it('follows outbound session state changes', (t) => {
+    // Finished sessions are removed a minute later; don't wait for that
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const seen = collect(liveEvents);
+    const session = new OutboundSession(null, { to: '+15551234567', mode: 'announce', device: 'Bot' });
+    session.transition('DIALING');
+    session.transition('FAILED', 'busy');
+    seen.stop();
+
+    const mine = seen.filter(e => e.callId === session.callId);
+    assert.deepStrictEqual(mine.map(e => e.type), ['call.started', 'call.state', 'call.state', 'call.ended']);
+    assert.strictEqual(mine[0].device, 'Bot');
+    assert.deepStrictEqual([mine[2].previous, mine[2].state, mine[2].reason], ['DIALING', 'FAILED', 'busy']);
+    assert.strictEqual(mine[3].reason, 'busy');
+    assert.ok(!liveEvents.activeCalls().some(c => c.callId === session.callId));
+  });
+});
+
+describe('createLiveServer', () => {
+  let server;
+  let live;
+  let events;
+  let port;
+
+  beforeEach(async () => {
+    events = new LiveEvents();
+    server = http.createServer((req, res) => res.end('ok'));
+    live = createLiveServer(server, { events });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    live.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Connect and gather messages until `count` have arrived
+  function connect(query, count) {
+    const ws = new WebSocket('ws://127.0.0.1:' + port + '/api/live' + query);
+    const messages = [];
+    const opened = new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject); });
+    const received = new Promise((resolve) => {
+      ws.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+        if (messages.length === count) resolve(messages);
+      });
+    });
+    return { ws, opened, received };
+  }
+
+  it('sends a snapshot of active calls, then events', async () => {
+    events.publish('call.started', { callId: 'a', direction: 'inbound', state: 'ANSWERED' });
+
+    const client = connect('', 3);
+    await client.opened;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    events.publish('call.state', { callId: 'a', state: 'CONVERSING', previous: 'ANSWERED' });
+    events.publish('caller.utterance', { callId: 'a', text: 'Hello' });
+
+    const messages = await client.received;
+    assert.strictEqual(messages[0].type, 'snapshot');
+    assert.deepStrictEqual(messages[0].calls.map(c => c.callId), ['a']);
+    assert.deepStrictEqual(messages.slice(1).map(m => m.type), ['call.state', 'caller.utterance']);
+    assert.strictEqual(live.clientCount(), 1);
+    client.ws.close();
+  });
+
+  it('filters by call and event type', async () => {
+    const client = connect('?callId=b&types=call,tts', 3);
+    await client.opened;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    events.publish('call.started', { callId: 'a', state: 'ANSWERED' });
+    events.publish('caller.utterance', { callId: 'b', text: 'skip me' });
+    events.publish('call.started', { callId: 'b', state: 'QUEUED' });
+    events.publish('tts', { callId: 'b', provider: 'gtts' });
+
+    const messages = await client.received;
+    assert.deepStrictEqual(messages.map(m => m.type), ['snapshot', 'call.started', 'tts']);
+    assert.ok(messages.slice(1).every(m => m.callId === 'b'));
+    client.ws.close();
+  });
+
+  it('stops sending to clients that disconnect', async () => {
+    const client = connect('', 1);
+    await client.opened;
+    await client.received;
+    client.ws.close();
+    await new Promise(resolve => client.ws.on('close', resolve));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(events.listenerCount('event'), 0);
+  });
+
+  it('refuses other paths', async () => {
+    const ws = new WebSocket('ws://127.0.0.1:' + port + '/api/other');
+    await assert.rejects(new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject); }));
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Prometheus Metrics Test
+ *
+ * The text format (counters, gauges, histograms, label escaping), call
+ * counts from the live event feed, stage latencies and SIP registration state.
+ * Run with: node --test test/metrics.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const metrics = require('../lib/metrics');
+const { MetricsRegistry } = metrics;
+const { LiveEvents } = require('../lib/live-events');
+
+describe('MetricsRegistry', () => {
+  it('renders counters and gauges with escaped labels', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('test_total', 'A counter', ['name']);
+    counter.inc({ name: 'a "quoted"\nvalue' });
+    counter.inc({ name: 'b' }, 2);
+    registry.gauge('test_level', 'A gauge', [], () => [{ labels: {}, value: 7 }]);
+
+    assert.strictEqual(registry.render(), [
+      '# HELP test_total A counter',
+      '# TYPE test_total counter',
+      'test_total{name="a \\"quoted\\"\\nvalue"} 1',
+      'test_total{name="b"} 2',
+      '# HELP test_level A gauge',
+      '# TYPE test_level gauge',
+      'test_level 7',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram('test_seconds', 'A histogram', ['stage'], [0.5, 1]);
+    histogram.observe({ stage: 'stt' }, 0.2);
+    histogram.observe({ stage: 'stt' }, 0.7);
+    histogram.observe({ stage: 'stt' }, 3);
+
+    const lines = registry.render().split('\n');
+    assert.ok(lines.includes('test_seconds_bucket{stage="stt",le="0.5"} 1'));
+    assert.ok(lines.includes('test_seconds_bucket{stage="stt",le="1"} 2'));
+    assert.ok(lines.includes('test_seconds_bucket{stage="stt",le="+Inf"} 3'));
+    assert.ok(lines.includes('test_seconds_sum{stage="stt"} 3.9'));
+    assert.ok(lines.includes('test_seconds_count{stage="stt"} 3'));
+  });
+});
+
+describe('voice-app metrics', () => {
+  it('counts calls and active calls from live events', () => {
+    const events = new LiveEvents();
+    const stop = metrics.trackCalls(events);
+    events.publish('call.started', { callId: 'm1', direction: 'inbound', device: 'Metrics Bot', state: 'ANSWERED' });
+    events.publish('call.started', { callId: 'm2', direction: 'outbound', device: 'Metrics Bot', state: 'QUEUED' });
+    events.publish('call.ended', { callId: 'm2', state: 'FAILED', reason: 'busy', durationSeconds: 12 });
+    stop();
+
+    const text = metrics.registry.render();
+    assert.match(text, /voice_active_calls\{direction="inbound"\} 1/);
+    assert.match(text, /voice_active_calls\{direction="outbound"\} 0/);
+    assert.match(text, /voice_calls_total\{direction="outbound",device="Metrics Bot",outcome="busy"\} 1/);
+    assert.match(text, /voice_call_duration_seconds_count\{direction="outbound"\} 1/);
+  });
+
+  it('records stage latencies, provider fallbacks and AI requests', () => {
+    metrics.observeStage('first_audio', 1500);
+    metrics.observeStage('vad', undefined);
+    metrics.providerFailed('tts', 'moss');
+    metrics.providerAnswered('tts', 'gtts');
+    metrics.aiRequest('query', 'timeout');
+
+    const text = metrics.registry.render();
+    assert.match(text, /voice_stage_latency_seconds_bucket\{stage="first_audio",le="2"\} 1/);
+    assert.doesNotMatch(text, /stage="vad"/);
+    assert.match(text, /voice_provider_fallbacks_total\{kind="tts",provider="moss"\} 1/);
+    assert.match(text, /voice_provider_requests_total\{kind="tts",provider="gtts"\} 1/);
+    assert.match(text, /voice_ai_requests_total\{mode="query",outcome="timeout"\} 1/);
+  });
+
+  it('reports SIP registration state per device', () => {
+    metrics.setRegistrationSource(() => [
+      { device: 'Front Desk', extension: '9000', registered: true },
+      { device: 'Sales', extension: '9001', registered: false }
+    ]);
+    const text = metrics.registry.render();
+    metrics.setRegistrationSource(() => []);
+
+    assert.match(text, /voice_sip_registered\{device="Front Desk",extension="9000"\} 1/);
+    assert.match(text, /voice_sip_registered\{device="Sales",extension="9001"\} 0/);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Phrase Catalog Test
+ *
+ * Per-language defaults, device overrides and the older single-language
+ * settings, templating, "phrases" validation, flagging AI backend error
+ * replies (and how they are counted) and pre-rendering phrases with the TTS
+ * service.
+ * Run with: node --test test/phrases.test.js
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { CATALOG, phrase, phraseList, renderPhrase, prerenderTexts, validatePhrases } = require('../lib/phrases');
+const { languageName } = require('../lib/languages');
+const { registerProvider } = require('../lib/tts-providers');
+const metrics = require('../lib/metrics');
+const ttsService = require('../lib/tts-service');
+
+describe('phrase', () => {
+  it('speaks the call language, English when it has no phrase', () => {
+    assert.strictEqual(phrase('noSpeech'), "I didn't hear anything. Are you still there?");
+    assert.strictEqual(phrase('recordingAnnouncement', { language: 'he-IL' }), 'השיחה מוקלטת.');
+    assert.strictEqual(phrase('ivrInvalid', { language: 'ru' }), 'Извините, такого варианта нет.');
+    assert.strictEqual(phrase('clarify', { language: 'nl' }), "Sorry, I didn't catch that. Could you repeat?");
+  });
+
+  it('has every phrase in every known language', () => {
+    const known = Object.keys(CATALOG).filter(code => languageName(code) !== code);
+    assert.deepStrictEqual(known, Object.keys(CATALOG));
+    for (const code of known) {
+      assert.deepStrictEqual(Object.keys(CATALOG[code]).sort(), Object.keys(CATALOG.en).sort(), code);
+    }
+  });
+
+  it('fills in the caller and device names', () => {
+    const device = { name: 'Cephanie', language: 'en' };
+    assert.strictEqual(phrase('greeting', { device, vars: { callerName: 'Dana' } }),
+      "Hello Dana! I'm Cephanie. How can I help you today?");
+    assert.strictEqual(phrase('greeting', { device: null }), "Hello! I'm your server. How can I help you today?");
+    assert.strictEqual(phrase('greeting', { language: 'he', device, vars: { deviceName: null } }),
+      'שלום! אני העוזר שלך. במה אפשר לעזור היום?');
+    assert.strictEqual(renderPhrase('Call from {callerNumber|a withheld number}, ext {ext}.', { callerNumber: '+1555' }),
+      'Call from +1555, ext.');
+  });
+
+  it('prefers device overrides, and older settings in the main language', () => {
+    const device = {
+      name: 'Bot',
+      language: 'he',
+      greeting: 'שלום, כאן הבוט.',
+      thinkingPhrase: 'רגע, בודק...',
+      phrases: {
+        he: { greeting: 'not used', noSpeech: 'הלו?' },
+        en: { greeting: 'Hi {callerName}, {deviceName} here.', thinking: ['Hmm...', 'Right...'] }
+      }
+    };
+    assert.strictEqual(phrase('greeting', { language: 'he', device }), 'שלום, כאן הבוט.');
+    assert.strictEqual(phrase('noSpeech', { language: 'he', device }), 'הלו?');
+    assert.strictEqual(phrase('thinking', { language: 'he', device }), 'רגע, בודק...');
+    assert.strictEqual(phrase('greeting', { language: 'en', device, vars: { callerName: 'Sam' } }), 'Hi Sam, Bot here.');
+    assert.deepStrictEqual(phraseList('thinking', { language: 'en', device }), ['Hmm...', 'Right...']);
+    // French has no override: the catalog's French, not the device's English
+    assert.strictEqual(phrase('greeting', { language: 'fr', device }), 'Bonjour ! Je suis Bot. Comment puis-je vous aider ?');
+    assert.strictEqual(phrase('greeting', { language: 'nl', device }), 'Hi, Bot here.');
+  });
+
+  it('keeps an empty older setting as "say nothing"', () => {
+    assert.strictEqual(phrase('recordingAnnouncement', { device: { recordingAnnouncement: '' } }), '');
+  });
+});
+
+describe('validatePhrases', () => {
+  it('reports every problem', () => {
+    assert.deepStrictEqual(validatePhrases({ he: { goodbye: 'ביי!', thinking: ['רגע...'] } }), []);
+    assert.deepStrictEqual(validatePhrases(['hi']), ['phrases must map language codes to phrases']);
+    const errors = validatePhrases({ en: { hello: 'Hi', noSpeech: 3, goodbyeWords: [] }, fr: 'Bonjour' });
+    assert.strictEqual(errors.length, 4);
+    assert.match(errors[0], /^phrases\.en\.hello is not a phrase \(one of: greeting, noSpeech/);
+    assert.strictEqual(errors[1], 'phrases.en.noSpeech must be text');
+    assert.strictEqual(errors[2], 'phrases.en.goodbyeWords must be text or a list of text');
+    assert.strictEqual(errors[3], 'phrases.fr must be an object');
+  });
+});
+
+describe('AI backend error replies', () => {
+  let server;
+  let claudeBridge;
+  let answer; // What the stand-in claude-api-server sends
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/ask-stream') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.flushHeaders();
+        if (answer.response) res.write(`data: ${JSON.stringify({ text: answer.response, fallback: answer.fallback })}\n\n`);
+        // A stalled gateway: nothing more, never done
+        if (!answer.stall) res.end(`event: done\ndata: ${JSON.stringify(answer)}\n\n`);
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(answer));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.CLAUDE_API_URL = `http://127.0.0.1:${server.address().port}`;
+    claudeBridge = require('../lib/claude-bridge');
+  });
+
+  after(() => server.close());
+
+  it('are spoken in the call language and flagged, not recognized by their text', async () => {
+    const reasons = [];
+    const onFallback = (reason) => reasons.push(reason);
+
+    answer = { success: true, response: "I'm having trouble finding that, but we open at nine." };
+    await claudeBridge.query('Hours?', { onFallback });
+    answer = { success: true, response: 'Something went wrong upstream.', fallback: 'unavailable' };
+    assert.strictEqual(await claudeBridge.query('Hours?', { onFallback }), 'Something went wrong upstream.');
+    answer = { success: false, error: 'boom' };
+    assert.strictEqual(await claudeBridge.query('Hours?', { callLanguage: 'he', onFallback }),
+      phrase('aiError', { language: 'he' }));
+    assert.deepStrictEqual(reasons, ['unavailable', 'error']);
+
+    assert.deepStrictEqual(reasons.map(claudeBridge.isBackendDown), [true, true]);
+    assert.strictEqual(claudeBridge.isBackendDown('timeout'), false);
+    assert.strictEqual(claudeBridge.isBackendDown(null), false);
+  });
+
+  it('are flagged before the streamed text', async () => {
+    const seen = [];
+    answer = { success: true, response: 'Engine down.', fallback: 'upstream_error' };
+    const text = await claudeBridge.queryStream('Hours?', {
+      onFallback: (reason) => seen.push(`fallback:${reason}`),
+      onText: (fragment) => seen.push(fragment)
+    });
+    assert.strictEqual(text, 'Engine down.');
+    assert.deepStrictEqual(seen, ['fallback:upstream_error', 'Engine down.']);
+  });
+
+  it('cut off a stream that stalls, like a timeout', async () => {
+    const reasons = [];
+    const onFallback = (reason) => reasons.push(reason);
+
+    answer = { stall: true };
+    assert.strictEqual(await claudeBridge.queryStream('Hours?', { timeout: 0.2, callLanguage: 'he', onFallback }),
+      phrase('aiTimeout', { language: 'he' }));
+    answer = { response: 'We open at nine', stall: true };
+    assert.strictEqual(await claudeBridge.queryStream('Hours?', { timeout: 0.2, onFallback }), 'We open at nine');
+    assert.deepStrictEqual(reasons, ['timeout']);
+  });
+
+  it('count a stream the caller stopped as aborted, not ok', async () => {
+    const controller = new AbortController();
+    answer = { response: 'We open', stall: true };
+    const text = await claudeBridge.queryStream('Hours?', {
+      signal: controller.signal,
+      onText: () => controller.abort()
+    });
+    assert.strictEqual(text, 'We open');
+    assert.match(metrics.registry.render(), /voice_ai_requests_total\{mode="stream",outcome="aborted"\} 1/);
+  });
+});
+
+describe('Pre-rendering', () => {
+  let dir;
+  const synthesized = [];
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'phrases-'));
+    ttsService.setAudioDir(dir);
+    registerProvider({
+      name: 'test-phrases',
+      formats: ['wav'],
+      synthesize: async (text, options, output) => {
+        synthesized.push(text);
+        const file = output.file(options.format);
+        fs.writeFileSync(file.filepath, text);
+        return file.url;
+      }
+    });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('lists each language\'s fixed phrases once', () => {
+    const device = { name: 'Bot', language: 'he-IL', languages: ['he', 'en'], recordingAnnouncement: '' };
+    const texts = prerenderTexts(device);
+    assert.deepStrictEqual([...new Set(texts.map(t => t.language))], ['he-IL', 'en']);
+    assert.ok(texts.some(t => t.language === 'he-IL' && t.text === 'שלום! אני Bot. במה אפשר לעזור היום?'));
+    assert.ok(texts.some(t => t.language === 'en' && t.text === 'This call is being recorded.'));
+    assert.ok(!texts.some(t => t.text === ''));
+    assert.strictEqual(texts.filter(t => t.language === 'en' && t.text === 'Pondering...').length, 1);
+  });
+
+  it('leaves out English stand-ins for a language without phrases', () => {
+    const device = { name: 'Bot', language: 'en', languages: ['en', 'nl'], phrases: { nl: { goodbye: 'Tot ziens!' } } };
+    const texts = prerenderTexts(device);
+    assert.deepStrictEqual(texts.filter(t => t.language === 'nl'), [{ language: 'nl', text: 'Tot ziens!' }]);
+  });
+
+  it('answers generateSpeech without synthesizing again', async () => {
+    const tts = { chain: ['test-phrases'] };
+    const url = await ttsService.prerender('One moment...', 'voice-1', 'en', null, tts);
+    assert.match(url, /^http:\/\/127\.0\.0\.1:3000\/audio-files\/cache\/[0-9a-f]{40}\.wav$/);
+    assert.strictEqual(await ttsService.prerender('One moment...', 'voice-1', 'en', null, tts), url);
+
+    assert.strictEqual(await ttsService.generateSpeech('One moment...', 'voice-1', 'en', null, tts), url);
+    assert.notStrictEqual(await ttsService.generateSpeech('One moment...', 'voice-2', 'en', null, tts), url);
+    assert.deepStrictEqual(synthesized, ['One moment...', 'One moment...']);
+
+    // Periodic cleanup leaves the TTS cache alone
+    ttsService.cleanupOldFiles(0);
+    assert.ok(fs.existsSync(path.join(dir, 'cache', path.basename(url))));
+  });
+});
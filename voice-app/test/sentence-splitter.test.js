@@ -0,0 +1,53 @@
+/**
+ * Sentence Splitter Test
+ * Run with: node --test test/sentence-splitter.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { SentenceSplitter } = require('../lib/sentence-splitter');
+
+describe('SentenceSplitter', () => {
+  it('emits a sentence only once it is complete', () => {
+    const splitter = new SentenceSplitter();
+
+    assert.deepStrictEqual(splitter.push('The weather today is '), []);
+    assert.deepStrictEqual(splitter.push('sunny and warm. Tomor'), ['The weather today is sunny and warm.']);
+    assert.deepStrictEqual(splitter.push('row it will rain! '), ['Tomorrow it will rain!']);
+    assert.strictEqual(splitter.flush(), '');
+  });
+
+  it('merges short sentences into the next one', () => {
+    const splitter = new SentenceSplitter({ minLength: 20 });
+
+    assert.deepStrictEqual(splitter.push('Sure. '), []);
+    assert.deepStrictEqual(
+      splitter.push('I can help you with that right away. '),
+      ['Sure. I can help you with that right away.']
+    );
+  });
+
+  it('does not split on decimal points', () => {
+    const splitter = new SentenceSplitter();
+
+    assert.deepStrictEqual(splitter.push('The price went up by 3.5 percent this week. '), [
+      'The price went up by 3.5 percent this week.'
+    ]);
+  });
+
+  it('splits on newlines and non-Latin punctuation', () => {
+    const splitter = new SentenceSplitter({ minLength: 1 });
+
+    assert.deepStrictEqual(splitter.push('שלום, מה שלומך? אני בסדר\nתודה'), ['שלום, מה שלומך?', 'אני בסדר']);
+    assert.strictEqual(splitter.flush(), 'תודה');
+  });
+
+  it('returns leftover text on flush', () => {
+    const splitter = new SentenceSplitter();
+
+    splitter.push('Ok. ');
+    splitter.push('No trailing punctuation here');
+    assert.strictEqual(splitter.flush(), 'Ok. No trailing punctuation here');
+  });
+});
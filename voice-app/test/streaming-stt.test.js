@@ -0,0 +1,125 @@
+/**
+ * Streaming STT Test
+ *
+ * Feeds synthetic PCM frames from an AudioForkSession to a stand-in Vosk
+ * server and checks partial hypotheses, the final result ending the turn and
+ * the fallback to batch STT when the stream fails.
+ * Run with: node --test test/streaming-stt.test.js
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+
+const { liveEvents } = require('../lib/live-events');
+const {
+  StreamingRecognizer,
+  resolveStreamingBackend,
+  validateStreamingSetting,
+  attachRecognizer
+} = require('../lib/streaming-stt');
+const { frame, createSession, feed } = require('./helpers/audio-session');
+
+describe('resolveStreamingBackend', () => {
+  afterEach(() => {
+    delete process.env.STREAMING_STT;
+    delete process.env.DEEPGRAM_API_KEY;
+  });
+
+  it('is off unless the environment or device turns it on', () => {
+    assert.strictEqual(resolveStreamingBackend(null), null);
+    assert.strictEqual(resolveStreamingBackend({ streaming: true }), 'vosk');
+    process.env.STREAMING_STT = 'vosk';
+    assert.strictEqual(resolveStreamingBackend({ local: 'primary' }), 'vosk');
+    assert.strictEqual(resolveStreamingBackend({ streaming: false }), null);
+  });
+
+  it('skips backends that are not configured', () => {
+    assert.strictEqual(resolveStreamingBackend({ streaming: 'deepgram' }), null);
+    process.env.DEEPGRAM_API_KEY = 'key';
+    assert.strictEqual(resolveStreamingBackend({ streaming: 'deepgram' }), 'deepgram');
+  });
+
+  it('validates the device setting', () => {
+    assert.deepStrictEqual(validateStreamingSetting({ streaming: 'vosk' }), []);
+    assert.deepStrictEqual(validateStreamingSetting({ streaming: 'whisper' }),
+      ['stt.streaming must be true, false or one of: vosk, deepgram']);
+  });
+});
+
+describe('Streaming recognition against Vosk', () => {
+  let server;
+
+  // Partial "hello" per chunk; the 10th chunk ends the sentence; eof sends the rest
+  before(async () => {
+    server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+    server.on('connection', (ws) => {
+      let chunks = 0;
+      ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+          chunks++;
+          ws.send(JSON.stringify(chunks === 10 ? { text: 'hello there' } : { partial: chunks < 10 ? 'hello' : 'how' }));
+          return;
+        }
+        const msg = JSON.parse(data.toString());
+        if (msg.eof) {
+          ws.send(JSON.stringify({ text: chunks > 10 ? 'how are you' : '' }));
+          ws.close();
+        }
+      });
+    });
+    await new Promise((resolve) => server.on('listening', resolve));
+    process.env.VOSK_URL = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    delete process.env.VOSK_URL;
+    server.close();
+  });
+
+  it('queues audio until connected and returns every segment on finish', async () => {
+    const recognizer = new StreamingRecognizer('vosk', { sampleRate: 16000 });
+    const partials = [];
+    recognizer.on('partial', (text) => partials.push(text));
+    for (let i = 0; i < 12; i++) recognizer.write(frame(8000));
+
+    assert.strictEqual(await recognizer.finish(), 'hello there how are you');
+    assert.strictEqual(partials[0], 'hello');
+    assert.strictEqual(partials[partials.length - 1], 'hello there how');
+  });
+
+  it('ends the utterance on the recognizer\'s final result', async () => {
+    const { ws, session } = createSession();
+    const events = [];
+    const onEvent = (event) => { if (event.type === 'caller.partial') events.push(event); };
+    liveEvents.on('event', onEvent);
+
+    const recognition = attachRecognizer(session, { backend: 'vosk', language: 'en', callUuid: 'test-call' });
+    session.setCaptureEnabled(true);
+    const utteranceWait = session.waitForUtterance({ timeoutMs: 5000 });
+    // Speech with no trailing silence: only the recognizer can end it
+    feed(ws, frame(8000), 20);
+
+    const utterance = await utteranceWait;
+    const result = await recognition.finish(utterance);
+    liveEvents.off('event', onEvent);
+
+    assert.strictEqual(utterance.reason, 'stt_final');
+    assert.strictEqual(result.text, 'hello there');
+    assert.strictEqual(result.provider, 'vosk-stream');
+    assert.ok(result.latencyMs >= 0);
+    assert.deepStrictEqual([events[0].callId, events[0].text, events[0].final], ['test-call', 'hello', false]);
+    assert.deepStrictEqual(events.filter(e => e.final).map(e => e.text), ['hello there']);
+  });
+
+  it('resolves null so the turn falls back to batch STT', async () => {
+    process.env.VOSK_URL = 'ws://127.0.0.1:1';
+    const { ws, session } = createSession();
+    const recognition = attachRecognizer(session, { backend: 'vosk' });
+    session.setCaptureEnabled(true);
+    feed(ws, frame(8000), 5);
+
+    assert.strictEqual(await recognition.finish({ reason: 'end_silence' }), null);
+    process.env.VOSK_URL = `ws://127.0.0.1:${server.address().port}`;
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Call Tracing Test
+ *
+ * Span parenting through the async context, callId / turn inheritance,
+ * trace header propagation, exporters and the per-turn call timeline.
+ * Run with: node --test test/tracing.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Tracer, FileExporter, OtlpExporter, buildTimeline } = require('../lib/tracing');
+
+describe('Tracer', () => {
+  it('parents spans on the current span and inherits callId and turn', async () => {
+    const tracer = new Tracer();
+    const call = tracer.startSpan('conversation', { attributes: { callId: 'trace-1' } });
+
+    await tracer.runWithSpan(call, async () => {
+      const turn = tracer.startSpan('conversation.turn', { attributes: { turn: 2 } });
+      tracer.setActiveSpan(turn);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await tracer.trace('stt.transcribe', { language: 'en' }, async () => {
+        await tracer.trace('stt.provider', { provider: 'google-web' }, async () => {});
+      });
+      turn.end();
+    });
+    call.end();
+
+    const [conversation, turn, stt, provider] = tracer.getCallSpans('trace-1');
+    assert.strictEqual(turn.parentSpanId, conversation.spanId);
+    assert.strictEqual(stt.parentSpanId, turn.spanId);
+    assert.strictEqual(provider.parentSpanId, stt.spanId);
+    assert.strictEqual(provider.traceId, conversation.traceId);
+    assert.deepStrictEqual(provider.attributes, { callId: 'trace-1', turn: 2, provider: 'google-web' });
+    assert.ok(provider.durationMs >= 0);
+  });
+
+  it('marks a traced step failed and rethrows', async () => {
+    const tracer = new Tracer();
+    const call = tracer.startSpan('conversation', { attributes: { callId: 'trace-2' } });
+
+    await assert.rejects(
+      tracer.runWithSpan(call, () => tracer.trace('tts.provider', { provider: 'moss' }, async () => {
+        throw new Error('MOSS TTS failed');
+      })),
+      /MOSS TTS failed/
+    );
+
+    const span = tracer.getCallSpans('trace-2')[1];
+    assert.strictEqual(span.status, 'error');
+    assert.strictEqual(span.error, 'MOSS TTS failed');
+    assert.notStrictEqual(span.endTime, null);
+  });
+
+  it('propagates the trace as traceparent and baggage headers', () => {
+    const tracer = new Tracer();
+    assert.deepStrictEqual(tracer.propagationHeaders(), {});
+
+    const span = tracer.startSpan('llm.query', { attributes: { callId: 'call 3', turn: 4 } });
+    const headers = tracer.propagationHeaders(span);
+    assert.strictEqual(headers.traceparent, `00-${span.traceId}-${span.spanId}-01`);
+    assert.match(headers.traceparent, /^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+    assert.strictEqual(headers.baggage, 'callId=call%203,turn=4');
+  });
+
+  it('exports finished spans', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+    const file = new FileExporter(path.join(dir, 'spans.jsonl'));
+    const otlp = new OtlpExporter('http://collector:4318', { intervalMs: 60000 });
+    clearInterval(otlp.timer);
+    const tracer = new Tracer({ exporters: [otlp, file] });
+
+    const span = tracer.startSpan('llm.query', { attributes: { callId: 'trace-4', turn: 1 } });
+    span.fail(new Error('timeout'));
+    span.end();
+
+    assert.strictEqual(otlp.pending.length, 1);
+    const body = otlp.toOtlp(otlp.pending);
+    const exported = body.resourceSpans[0].scopeSpans[0].spans[0];
+    assert.deepStrictEqual(body.resourceSpans[0].resource.attributes[0], { key: 'service.name', value: { stringValue: 'voice-app' } });
+    assert.strictEqual(exported.traceId, span.traceId);
+    assert.strictEqual(exported.startTimeUnixNano, span.startTime + '000000');
+    assert.deepStrictEqual(exported.status, { code: 2, message: 'timeout' });
+    assert.deepStrictEqual(exported.attributes[1], { key: 'turn', value: { intValue: '1' } });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const line = JSON.parse(fs.readFileSync(path.join(dir, 'spans.jsonl'), 'utf8').trim());
+    assert.strictEqual(line.spanId, span.spanId);
+    assert.strictEqual(line.status, 'error');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rotates the trace file past its size limit', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+    const filePath = path.join(dir, 'spans.jsonl');
+    const file = new FileExporter(filePath, { maxBytes: 1000 });
+    const tracer = new Tracer({ exporters: [file] });
+    const spanIds = [];
+    for (let i = 0; i < 8; i++) {
+      const span = tracer.startSpan('tts.generate', { attributes: { callId: 'trace-5', turn: i } });
+      span.end();
+      spanIds.push(span.spanId);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const read = (name) => fs.readFileSync(name, 'utf8').trim().split('\n').map(line => JSON.parse(line).spanId);
+    const current = read(filePath);
+    const rotated = read(filePath + '.1');
+    assert.ok(fs.statSync(filePath).size <= 1000);
+    assert.ok(fs.statSync(filePath + '.1').size <= 1000);
+    // Newest spans in the file, the ones before them in .1, the oldest dropped
+    assert.deepStrictEqual(rotated.concat(current), spanIds.slice(-(rotated.length + current.length)));
+    assert.ok(rotated.length + current.length < spanIds.length);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('buildTimeline', () => {
+  const at = (ms) => new Date(Date.UTC(2026, 0, 1, 12, 0, 0) + ms).toISOString();
+  const span = (name, spanId, parentSpanId, start, durationMs, attributes = {}) => ({
+    name, spanId, parentSpanId, traceId: 't', status: 'ok',
+    startTime: at(start), endTime: at(start + durationMs), durationMs,
+    attributes: Object.assign({ callId: 'c1' }, attributes)
+  });
+
+  it('adds up where each turn spent its time', () => {
+    const timeline = buildTimeline([
+      span('tts.generate', 's5', 't1', 3000, 400, { turn: 1 }),
+      span('conversation', 'c', null, 0, 5000),
+      span('conversation.turn', 't1', 'c', 100, 4000, { turn: 1, vadMs: 800, firstAudioMs: 2900 }),
+      span('stt.transcribe', 's1', 't1', 1000, 600, { turn: 1 }),
+      span('llm.stream', 's2', 't1', 1700, 1200, { turn: 1 }),
+      // The stream's /ask fallback is part of the stream, not counted twice
+      span('llm.query', 's3', 's2', 1750, 1100, { turn: 1 }),
+      // claude-api-server
+      span('gateway.request', 's4', 's3', 1800, 900, { turn: 1 })
+    ]);
+
+    assert.strictEqual(timeline.startTime, at(0));
+    assert.strictEqual(timeline.durationMs, 5000);
+    assert.deepStrictEqual(timeline.spans.map(s => [s.name, s.offsetMs]), [
+      ['conversation', 0], ['conversation.turn', 100], ['stt.transcribe', 1000], ['llm.stream', 1700],
+      ['llm.query', 1750], ['gateway.request', 1800], ['tts.generate', 3000]
+    ]);
+    assert.deepStrictEqual(timeline.turns, [{
+      turn: 1, offsetMs: 100, durationMs: 4000, vadMs: 800, firstAudioMs: 2900,
+      sttMs: 600, llmMs: 1200, gatewayMs: 900, ttsMs: 400, errors: 0
+    }]);
+  });
+
+  it('returns an empty timeline without spans', () => {
+    assert.deepStrictEqual(buildTimeline([]), { startTime: null, durationMs: null, turns: [], spans: [] });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * TTS Cache Test
+ *
+ * Cache keys, least-recently-used eviction, reloading the cache from disk,
+ * provider failures, hits ahead of the chain, writing through a temporary
+ * file and hit/miss metrics.
+ * Run with: node --test test/tts-cache.test.js
+ */
+
+// ~105 bytes: two of the 40-byte test files fit
+process.env.TTS_CACHE_MAX_MB = '0.0001';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { registerProvider } = require('../lib/tts-providers');
+const ttsService = require('../lib/tts-service');
+const metrics = require('../lib/metrics');
+
+// 40 characters, 40 bytes of audio
+const text = (word) => word.padEnd(40, '.');
+
+describe('TTS cache', () => {
+  let dir;
+  let synthesized = [];
+  let brokenCalls = 0;
+  let voice = 'alto';
+  let duringSynthesis = null;
+  const tts = { chain: ['test-cache'] };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+    registerProvider({
+      name: 'test-cache',
+      formats: ['wav'],
+      cacheIdentity: () => voice,
+      synthesize: async (input, options, output) => {
+        synthesized.push(input);
+        const file = output.file(options.format);
+        fs.writeFileSync(file.filepath, input);
+        if (duringSynthesis) duringSynthesis(file);
+        return file.url;
+      }
+    });
+    registerProvider({
+      name: 'test-broken',
+      synthesize: async (input, options, output) => {
+        brokenCalls++;
+        fs.writeFileSync(output.file('mp3').filepath, 'half');
+        throw new Error('connection reset');
+      }
+    });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    ttsService.setAudioDir(dir);
+    synthesized = [];
+    brokenCalls = 0;
+    voice = 'alto';
+    duringSynthesis = null;
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const cached = () => fs.readdirSync(path.join(dir, 'cache')).sort();
+
+  it('synthesizes the same text, voice, language and rate once', async () => {
+    const url = await ttsService.generateSpeech(text('Hello'), 'voice-1', 'en', null, tts);
+    assert.match(url, /^http:\/\/127\.0\.0\.1:3000\/audio-files\/cache\/[0-9a-f]{40}\.wav$/);
+    assert.strictEqual(await ttsService.generateSpeech(text('Hello'), 'voice-1', 'en', null, tts), url);
+    assert.deepStrictEqual(synthesized, [text('Hello')]);
+
+    assert.notStrictEqual(await ttsService.generateSpeech(text('Hello'), 'voice-1', 'he', null, tts), url);
+    assert.notStrictEqual(await ttsService.generateSpeech(text('Hello'), 'voice-1', 'en', null,
+      { chain: ['test-cache'], speakingRate: 1.2 }), url);
+    assert.strictEqual(synthesized.length, 3);
+
+    // The provider's own default voice changed (e.g. its env setting)
+    voice = 'soprano';
+    assert.notStrictEqual(await ttsService.generateSpeech(text('Hello'), 'voice-1', 'en', null, tts), url);
+    assert.strictEqual(synthesized.length, 4);
+
+    const rendered = metrics.registry.render();
+    assert.match(rendered, /voice_tts_cache_requests_total\{result="hit"\} 1/);
+    assert.match(rendered, /voice_tts_cache_requests_total\{result="miss"\} 4/);
+  });
+
+  it('deletes the least recently used audio past the size limit', async () => {
+    const first = await ttsService.generateSpeech(text('First'), 'voice-1', 'en', null, tts);
+    await ttsService.generateSpeech(text('Second'), 'voice-1', 'en', null, tts);
+    await ttsService.generateSpeech(text('First'), 'voice-1', 'en', null, tts);
+    const third = await ttsService.generateSpeech(text('Third'), 'voice-1', 'en', null, tts);
+
+    assert.deepStrictEqual(cached(), [path.basename(first), path.basename(third)].sort());
+    await ttsService.generateSpeech(text('Second'), 'voice-1', 'en', null, tts);
+    assert.deepStrictEqual(synthesized, [text('First'), text('Second'), text('Third'), text('Second')]);
+  });
+
+  it('keeps its audio across restarts', async () => {
+    const url = await ttsService.generateSpeech(text('Greeting'), 'voice-1', 'en', null, tts);
+    ttsService.setAudioDir(dir);
+    assert.strictEqual(await ttsService.prerender(text('Greeting'), 'voice-1', 'en', null, tts), url);
+    assert.strictEqual(synthesized.length, 1);
+  });
+
+  it('caches only audio a provider finished', async () => {
+    const url = await ttsService.generateSpeech(text('Fallback'), 'voice-1', 'en', null, { chain: ['test-broken', 'test-cache'] });
+    assert.deepStrictEqual(cached(), [path.basename(url)]);
+  });
+
+  it('uses audio cached for a later provider before trying a failing one', async () => {
+    const chain = { chain: ['test-broken', 'test-cache'] };
+    const url = await ttsService.generateSpeech(text('Down'), 'voice-1', 'en', null, chain);
+    assert.strictEqual(await ttsService.generateSpeech(text('Down'), 'voice-1', 'en', null, chain), url);
+    assert.strictEqual(brokenCalls, 1);
+    assert.strictEqual(synthesized.length, 1);
+  });
+
+  it('moves audio into the cache only once it is written', async () => {
+    duringSynthesis = (file) => {
+      assert.ok(path.basename(file.filepath).startsWith('.tmp-'));
+      assert.ok(!fs.existsSync(path.join(dir, 'cache', file.filename)));
+    };
+    const url = await ttsService.generateSpeech(text('Atomic'), 'voice-1', 'en', null, tts);
+    assert.deepStrictEqual(cached(), [path.basename(url)]);
+
+    // An interrupted synthesis leaves nothing behind after a restart
+    fs.writeFileSync(path.join(dir, 'cache', '.tmp-0000-partial.wav'), 'half');
+    ttsService.setAudioDir(dir);
+    assert.deepStrictEqual(cached(), [path.basename(url)]);
+  });
+});
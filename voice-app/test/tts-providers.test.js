@@ -0,0 +1,215 @@
+/**
+ * TTS Provider Registry Test
+ *
+ * Chain resolution (defaults, per-entry overrides, format fallback), "tts"
+ * block validation, generateSpeech falling back along a device chain and
+ * the offline Piper provider (against a stand-in piper binary).
+ * Run with: node --test test/tts-providers.test.js
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Piper reads its settings at load time
+const piperDir = fs.mkdtempSync(path.join(os.tmpdir(), 'piper-'));
+process.env.PIPER_BIN = path.join(piperDir, 'piper');
+process.env.PIPER_MODELS_DIR = piperDir;
+
+const { registerProvider, getProvider, resolveChain, validateTtsConfig } = require('../lib/tts-providers');
+const ttsService = require('../lib/tts-service');
+
+describe('resolveChain', () => {
+  it('uses the default chain without a device block', () => {
+    const chain = resolveChain(null, { language: 'he', voiceId: 'abc' });
+    assert.deepStrictEqual(chain.map(c => c.provider.name), ['google', 'moss', 'piper', 'gtts', 'openai', 'elevenlabs']);
+    assert.deepStrictEqual(chain[0].options, {
+      language: 'he', voiceId: 'abc', referenceAudio: null,
+      voice: null, speakingRate: null, pitch: null, format: 'mp3'
+    });
+  });
+
+  it('applies device settings, entry overrides and a format the provider can produce', () => {
+    const chain = resolveChain({
+      chain: [{ provider: 'google', voice: 'en-GB-Neural2-A', pitch: 3 }, 'moss', 'nope', { provider: 'openai', format: 'ogg' }],
+      speakingRate: 1.2,
+      format: 'mp3'
+    });
+
+    assert.deepStrictEqual(chain.map(c => c.provider.name), ['google', 'moss', 'openai']);
+    assert.strictEqual(chain[0].options.voice, 'en-GB-Neural2-A');
+    assert.strictEqual(chain[0].options.pitch, 3);
+    assert.strictEqual(chain[0].options.speakingRate, 1.2);
+    assert.strictEqual(chain[1].options.format, 'wav');
+    assert.strictEqual(chain[1].options.pitch, null);
+    assert.strictEqual(chain[2].options.format, 'ogg');
+  });
+
+  it('picks an entry\'s voice by language', () => {
+    const tts = {
+      chain: [
+        { provider: 'piper', voices: { en: 'en_US-lessac-medium', he: 'he_IL-motek-medium' } },
+        { provider: 'openai', voice: 'nova', voices: { he: 'shimmer' } }
+      ]
+    };
+    assert.deepStrictEqual(resolveChain(tts, { language: 'he-IL' }).map(c => c.options.voice), ['he_IL-motek-medium', 'nova']);
+    assert.deepStrictEqual(resolveChain(tts, { language: 'fr' }).map(c => c.options.voice), [null, 'nova']);
+  });
+});
+
+describe('validateTtsConfig', () => {
+  it('accepts a valid block', () => {
+    assert.deepStrictEqual(validateTtsConfig({
+      chain: ['gtts', { provider: 'openai', voice: 'shimmer', speakingRate: 0.9 }],
+      pitch: -4,
+      format: 'wav'
+    }), []);
+  });
+
+  it('reports every problem', () => {
+    assert.deepStrictEqual(validateTtsConfig('fast'), ['tts must be an object']);
+    assert.deepStrictEqual(validateTtsConfig({ chain: [] }), ['tts.chain must be a non-empty list of providers']);
+    assert.deepStrictEqual(validateTtsConfig({ chain: [{ provider: 'piper', voices: { en: '' } }] }),
+      ['tts.chain[0].voices must map languages to voice names']);
+
+    const errors = validateTtsConfig({
+      chain: ['gtts', 'festival', { provider: 'google', voice: '' }],
+      voice: 'nova',
+      speakingRate: 9,
+      pitch: 'high',
+      format: 'flac'
+    });
+    assert.strictEqual(errors.length, 6);
+    assert.match(errors[0], /^tts\.chain\[1\] must be one of: google, moss, piper, gtts/);
+    assert.deepStrictEqual(errors.slice(1), [
+      'tts.chain[2].voice must be a non-empty string',
+      'tts.voice is per provider: set it on a chain entry',
+      'tts.speakingRate must be a number from 0.25 to 4',
+      'tts.pitch must be a number from -20 to 20 (semitones)',
+      'tts.format must be one of: mp3, wav, ogg'
+    ]);
+  });
+});
+
+describe('registerProvider', () => {
+  it('rejects providers without a name or synthesize()', () => {
+    assert.throws(() => registerProvider({ synthesize() {} }), /needs a name/);
+    assert.throws(() => registerProvider({ name: 'broken' }), /needs a synthesize\(\) function/);
+  });
+
+  it('fills in defaults for optional fields', () => {
+    registerProvider({ name: 'minimal', synthesize: async () => 'url' });
+    const provider = getProvider('minimal');
+    assert.strictEqual(provider.label, 'minimal');
+    assert.deepStrictEqual(provider.formats, ['mp3']);
+    assert.strictEqual(provider.isConfigured(), true);
+  });
+});
+
+describe('generateSpeech with a device chain', () => {
+  let dir;
+  const calls = [];
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-'));
+    ttsService.setAudioDir(dir);
+
+    registerProvider({
+      name: 'test-down',
+      synthesize: async () => { calls.push('test-down'); throw new Error('engine offline'); }
+    });
+    registerProvider({
+      name: 'test-unconfigured',
+      isConfigured: () => false,
+      synthesize: async () => { calls.push('test-unconfigured'); return 'never'; }
+    });
+    registerProvider({
+      name: 'test-wav',
+      label: 'Test WAV',
+      formats: ['wav'],
+      synthesize: async (text, options, output) => {
+        calls.push('test-wav');
+        const file = output.file(options.format);
+        fs.writeFileSync(file.filepath, `${text}|${options.voice}|${options.speakingRate}|${options.language}`);
+        return file.url;
+      }
+    });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('skips unconfigured providers and falls back past failures', async () => {
+    const url = await ttsService.generateSpeech('Hello there', null, 'fr', null, {
+      chain: ['test-unconfigured', 'test-down', { provider: 'test-wav', voice: 'claire' }],
+      speakingRate: 0.8
+    });
+
+    assert.deepStrictEqual(calls, ['test-down', 'test-wav']);
+    const filename = path.basename(url);
+    assert.match(filename, /^[0-9a-f]{40}\.wav$/);
+    assert.strictEqual(url, `http://127.0.0.1:3000/audio-files/cache/${filename}`);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'cache', filename), 'utf8'), 'Hello there|claire|0.8|fr');
+  });
+
+  it('fails with the last provider error', async () => {
+    await assert.rejects(
+      ttsService.generateSpeech('Hello', null, 'en', null, { chain: ['test-down'] }),
+      /TTS generation failed: engine offline/
+    );
+    await assert.rejects(
+      ttsService.generateSpeech('Hello', null, 'en', null, { chain: ['test-unconfigured'] }),
+      /No TTS provider available/
+    );
+  });
+});
+
+describe('Piper provider', () => {
+  let audioDir;
+  const piper = require('../lib/tts-providers/piper');
+  const output = {
+    file: (ext) => ({ filename: `out.${ext}`, filepath: path.join(audioDir, `out.${ext}`), url: `url:out.${ext}` })
+  };
+
+  before(() => {
+    audioDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-'));
+    fs.writeFileSync(path.join(piperDir, 'he_IL-motek-medium.onnx'), '');
+    // Writes "<args>|<stdin>" to --output_file
+    fs.writeFileSync(process.env.PIPER_BIN, [
+      `#!${process.execPath}`,
+      'const args = process.argv.slice(2);',
+      'let text = "";',
+      'process.stdin.on("data", (d) => { text += d; });',
+      'process.stdin.on("end", () => {',
+      '  require("fs").writeFileSync(args[args.indexOf("--output_file") + 1], args.join(" ") + "|" + text);',
+      '});'
+    ].join('\n'), { mode: 0o755 });
+  });
+
+  after(() => {
+    fs.rmSync(audioDir, { recursive: true, force: true });
+    fs.rmSync(piperDir, { recursive: true, force: true });
+  });
+
+  it('runs the local binary with the language\'s voice model', async () => {
+    assert.strictEqual(piper.isConfigured(), true);
+    const url = await piper.synthesize('שלום', { language: 'he', voice: null, speakingRate: 1.25, format: 'wav' }, output);
+
+    assert.strictEqual(url, 'url:out.wav');
+    const model = path.join(piperDir, 'he_IL-motek-medium.onnx');
+    assert.strictEqual(fs.readFileSync(path.join(audioDir, 'out.wav'), 'utf8'),
+      `--model ${model} --output_file ${path.join(audioDir, 'out.wav')} --length_scale 0.8|שלום`);
+  });
+
+  it('fails without a voice model so the chain falls back', async () => {
+    await assert.rejects(
+      piper.synthesize('Bonjour', { language: 'fr', voice: null, speakingRate: null, format: 'wav' }, output),
+      /No Piper voice for language "fr"/
+    );
+    await assert.rejects(
+      piper.synthesize('Hello', { language: 'en', voice: null, speakingRate: null, format: 'wav' }, output),
+      /Piper model not found: .*en_US-lessac-medium\.onnx/
+    );
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Voice Activity Detection Test
+ *
+ * Noise-floor calibration and adaptation of the energy VAD, "vad" block
+ * resolution and validation, pluggable backends and an AudioForkSession
+ * ending turns on a noisy line.
+ * Run with: node --test test/vad.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  EnergyVad,
+  registerVadBackend,
+  createVad,
+  resolveVadConfig,
+  validateVadConfig
+} = require('../lib/vad');
+const { frame, createSession, feed } = require('./helpers/audio-session');
+
+// A sine's RMS is amplitude / sqrt(2); ~13% of its samples are near zero at 1000
+function vadFrame(amplitude) {
+  return {
+    durationMs: 20,
+    stats: { rms: amplitude / Math.SQRT2, maxAbs: amplitude, nearZeroRatio: amplitude ? 0.13 : 1 }
+  };
+}
+
+function run(vad, amplitude, count) {
+  let result = null;
+  for (let i = 0; i < count; i++) result = vad.isSpeech(vadFrame(amplitude));
+  return result;
+}
+
+describe('EnergyVad', () => {
+  it('calibrates the noise floor over the first second', () => {
+    const vad = new EnergyVad();
+    // Line hiss that the fixed thresholds take for speech
+    assert.strictEqual(run(vad, 1000, 49), true);
+    assert.strictEqual(vad.noiseFloor, null);
+
+    run(vad, 1000, 1);
+    assert.strictEqual(Math.round(vad.noiseFloor), 707);
+    assert.strictEqual(Math.round(vad.rmsThreshold), 2121);
+    assert.strictEqual(run(vad, 1000, 1), false);
+    assert.strictEqual(run(vad, 8000, 1), true);
+  });
+
+  it('keeps the fixed thresholds on a quiet line or when not adaptive', () => {
+    const quiet = new EnergyVad();
+    run(quiet, 0, 50);
+    assert.strictEqual(quiet.rmsThreshold, 650);
+
+    const fixed = new EnergyVad({ adaptive: false });
+    assert.strictEqual(run(fixed, 1000, 200), true);
+    assert.strictEqual(fixed.noiseFloor, null);
+  });
+
+  it('follows noise that rises during the call, up to a cap', () => {
+    const vad = new EnergyVad();
+    run(vad, 1000, 50);
+    assert.strictEqual(run(vad, 4000, 1), true);
+
+    run(vad, 4000, 400);
+    assert.strictEqual(vad.rmsThreshold, 3000);
+    assert.strictEqual(run(vad, 4000, 1), false);
+    assert.strictEqual(run(vad, 8000, 1), true);
+  });
+});
+
+describe('VAD settings', () => {
+  it('lets a device override the defaults', () => {
+    assert.deepStrictEqual(resolveVadConfig(null), {
+      backend: 'energy', adaptive: true, noiseMultiplier: 3, endSilenceMs: 1500, minSpeechMs: 350, maxUtteranceMs: 60000
+    });
+    const config = resolveVadConfig({ vad: { endSilenceMs: 900, adaptive: false } });
+    assert.strictEqual(config.endSilenceMs, 900);
+    assert.strictEqual(config.adaptive, false);
+    assert.strictEqual(config.minSpeechMs, 350);
+  });
+
+  it('reports every problem', () => {
+    assert.deepStrictEqual(validateVadConfig({ endSilenceMs: 800, noiseMultiplier: 2.5 }), []);
+    assert.deepStrictEqual(validateVadConfig('loud'), ['vad must be an object']);
+    assert.deepStrictEqual(validateVadConfig({ backend: 'silero', adaptive: 'yes', endSilenceMs: 50, maxUtteranceMs: '30s' }), [
+      'vad.backend must be one of: energy',
+      'vad.adaptive must be true or false',
+      'vad.endSilenceMs must be a number from 200 to 10000',
+      'vad.maxUtteranceMs must be a number from 1000 to 300000'
+    ]);
+  });
+
+  it('creates registered backends and falls back to energy', () => {
+    assert.throws(() => registerVadBackend({ name: 'broken' }), /needs a create\(\) function/);
+    registerVadBackend({ name: 'always', create: (options) => ({ options, isSpeech: () => true }) });
+
+    assert.deepStrictEqual(createVad('always', { callUuid: 'abc' }).options, { callUuid: 'abc' });
+    assert.ok(createVad('nope') instanceof EnergyVad);
+  });
+});
+
+describe('AudioForkSession VAD', () => {
+  it('ends the turn on a noisy line once calibrated', async () => {
+    const { ws, session } = createSession();
+    session.configureVad(resolveVadConfig({ vad: { endSilenceMs: 800 } }));
+    assert.strictEqual(session.endSilenceMs, 800);
+
+    // Greeting plays: the VAD measures the line meanwhile
+    session.setCaptureEnabled(false);
+    feed(ws, frame(1000), 50);
+
+    session.setCaptureEnabled(true);
+    const utteranceWait = session.waitForUtterance({ timeoutMs: 1000 });
+    feed(ws, frame(8000), 25);
+    feed(ws, frame(1000), 40);
+
+    const utterance = await utteranceWait;
+    assert.strictEqual(utterance.reason, 'end_silence');
+    assert.strictEqual(utterance.trailingSilenceMs, 800);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Voicemail Test
+ *
+ * Drives takeVoicemail() with a fake endpoint and audio fork (end on #,
+ * silence and hangup), checks the voicemail store and sends mail to a
+ * throwaway SMTP server.
+ * Run with: node --test test/voicemail.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const { VoicemailStore, takeVoicemail, resolveVoicemailConfig } = require('../lib/voicemail');
+const { sendMail, buildMessage } = require('../lib/smtp-client');
+
+const SPEECH = Buffer.alloc(640, 0).fill(Buffer.from([0x00, 0x20])); // 20 ms, loud
+const SILENCE = Buffer.alloc(640, 0);
+
+/**
+ * Fake call: once the audio fork starts, the "caller" sends the scripted
+ * chunks ('#' = press pound, 'hangup' = hang up) 2 ms apart
+ */
+function fakeCall(script) {
+  const endpoint = new EventEmitter();
+  const dialog = new EventEmitter();
+  const session = new EventEmitter();
+  const played = [];
+  let resolveSession;
+
+  session.sampleRate = 16000;
+  session.setCaptureEnabled = () => {};
+  endpoint.uuid = 'vm-call';
+  endpoint.api = async () => {};
+  endpoint.play = async (url) => { played.push(decodeURIComponent(url.replace('tts://', ''))); };
+  endpoint.forkAudioStart = async () => {
+    resolveSession(session);
+    script.forEach((step, i) => setTimeout(() => {
+      if (step === '#') endpoint.emit('dtmf', { dtmf: '#' });
+      else if (step === 'hangup') dialog.destroy();
+      else session.emit('audio', step);
+    }, (i + 1) * 2));
+  };
+  endpoint.forkAudioStop = async () => {};
+  dialog.destroyed = false;
+  dialog.destroy = () => {
+    if (dialog.destroyed) return;
+    dialog.destroyed = true;
+    dialog.emit('destroy');
+  };
+
+  return {
+    endpoint,
+    dialog,
+    played,
+    audioForkServer: { expectSession: () => new Promise((resolve) => { resolveSession = resolve; }) },
+    whisperClient: { transcribeDetailed: async () => ({ text: ' Please call me back ', provider: 'mock' }) },
+    ttsService: { generateSpeech: async (text) => 'tts://' + encodeURIComponent(text) }
+  };
+}
+
+describe('takeVoicemail', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicemail-'));
+    store = new VoicemailStore({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function take(call, reason, deviceConfig = { name: 'Bot', extension: '200' }) {
+    return takeVoicemail(call.endpoint, call.dialog, 'vm-call', {
+      reason,
+      audioForkServer: call.audioForkServer,
+      whisperClient: call.whisperClient,
+      ttsService: call.ttsService,
+      wsPort: 3001,
+      deviceConfig,
+      callerNumber: '+15551234567',
+      store
+    });
+  }
+
+  it('records until # and stores the transcribed message', async () => {
+    const call = fakeCall([SPEECH, SPEECH, SPEECH, '#']);
+    const voicemail = await take(call, 'unavailable');
+
+    assert.strictEqual(voicemail.transcript, 'Please call me back');
+    assert.strictEqual(voicemail.from, '+15551234567');
+    assert.strictEqual(voicemail.device, 'Bot');
+    assert.strictEqual(voicemail.to, '200');
+    assert.strictEqual(voicemail.reason, 'unavailable');
+    assert.strictEqual(call.played[0], resolveVoicemailConfig(null).unavailableMessage);
+    assert.match(call.played[1], /ready-beep\.wav$/);
+    assert.strictEqual(call.played[2], 'Thank you, your message has been recorded. Goodbye.');
+    assert.strictEqual(call.dialog.destroyed, true);
+
+    const [listed] = await store.list();
+    assert.strictEqual(listed.id, voicemail.id);
+    const wav = fs.readFileSync(store.getAudioPath(voicemail.id));
+    assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+  });
+
+  it('stops after silence and uses the device closed message', async () => {
+    const call = fakeCall([SPEECH, SILENCE, SILENCE, SILENCE, SILENCE, SILENCE, SILENCE]);
+    const device = { name: 'Bot', voicemail: { closedMessage: 'We are closed.', silenceSeconds: 0.1 } };
+    const voicemail = await take(call, 'closed', device);
+
+    assert.strictEqual(call.played[0], 'We are closed.');
+    assert.strictEqual(voicemail.reason, 'closed');
+    assert.ok(voicemail.durationSeconds >= 0);
+  });
+
+  it('keeps nothing when the caller hangs up without speaking', async () => {
+    const call = fakeCall([SILENCE, 'hangup']);
+    assert.strictEqual(await take(call, 'unavailable'), null);
+    assert.deepStrictEqual(await store.list(), []);
+  });
+
+  it('keeps the message when the caller hangs up after speaking', async () => {
+    const call = fakeCall([SPEECH, SPEECH, 'hangup']);
+    const voicemail = await take(call, 'unavailable');
+    assert.strictEqual(voicemail.transcript, 'Please call me back');
+    assert.strictEqual(call.played.length, 2);
+  });
+});
+
+describe('VoicemailStore', () => {
+  it('filters, updates and removes voicemails', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicemail-'));
+    const store = new VoicemailStore({ dir });
+    try {
+      const older = await store.save({ device: 'A', from: '100', createdAt: '2026-01-01T10:00:00.000Z' }, Buffer.alloc(44));
+      const newer = await store.save({ device: 'B', from: '100', createdAt: '2026-01-02T10:00:00.000Z' }, Buffer.alloc(44));
+
+      assert.deepStrictEqual((await store.list()).map(v => v.id), [newer.id, older.id]);
+      assert.deepStrictEqual((await store.list({ device: 'A' })).map(v => v.id), [older.id]);
+      assert.deepStrictEqual((await store.list({ since: '2026-01-01T12:00:00Z' })).map(v => v.id), [newer.id]);
+      assert.strictEqual((await store.list({ limit: 1 })).length, 1);
+
+      assert.strictEqual((await store.update(older.id, { heard: true })).heard, true);
+      assert.strictEqual((await store.get(older.id)).heard, true);
+
+      assert.strictEqual(await store.remove(older.id), true);
+      assert.strictEqual(await store.remove(older.id), false);
+      assert.strictEqual(store.getAudioPath(older.id), null);
+      assert.strictEqual(await store.get('../etc/passwd'), null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('purges by the time a voicemail was left, not when it was last updated', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicemail-'));
+    const store = new VoicemailStore({ dir });
+    const day = 24 * 60 * 60 * 1000;
+    try {
+      const old = await store.save({ device: 'A', createdAt: new Date(Date.now() - 10 * day).toISOString() }, Buffer.alloc(44));
+      const recent = await store.save({ device: 'A', createdAt: new Date(Date.now() - day).toISOString() }, Buffer.alloc(44));
+      await store.update(old.id, { emailedTo: 'me@example.com' });
+
+      assert.strictEqual(await store.purge(0), 0);
+      assert.strictEqual(await store.purge(5 * day), 1);
+      assert.strictEqual(await store.get(old.id), null);
+      assert.strictEqual(store.getAudioPath(old.id), null);
+      assert.ok(store.getAudioPath(recent.id));
+      assert.deepStrictEqual(fs.readdirSync(dir).sort(), [`${recent.id}.json`, `${recent.id}.wav`]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('sendMail', () => {
+  it('talks SMTP and sends the attachment', async () => {
+    const commands = [];
+    let data = '';
+    const server = net.createServer((socket) => {
+      let inData = false;
+      let buffer = '';
+      socket.write('220 test ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\r\n')) >= 0) {
+          const line = buffer.slice(0, newline);
+          buffer = buffer.slice(newline + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 queued\r\n');
+            } else {
+              data += line + '\n';
+            }
+            continue;
+          }
+          commands.push(line);
+          if (line.startsWith('EHLO')) socket.write('250-test\r\n250 SIZE 1000000\r\n');
+          else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 go ahead\r\n');
+          } else if (line === 'QUIT') socket.end('221 bye\r\n');
+          else socket.write('250 ok\r\n');
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      await sendMail({
+        host: '127.0.0.1',
+        port: server.address().port,
+        from: 'Voicemail <voicemail@example.com>',
+        to: 'office@example.com, boss@example.com',
+        subject: 'Voicemail from 100',
+        text: 'Hello\n.leading dot',
+        attachments: [{ filename: 'message.wav', content: Buffer.from('RIFF'), contentType: 'audio/wav' }]
+      });
+
+      assert.deepStrictEqual(commands.slice(1, 5), [
+        'MAIL FROM:<voicemail@example.com>',
+        'RCPT TO:<office@example.com>',
+        'RCPT TO:<boss@example.com>',
+        'DATA'
+      ]);
+      assert.match(data, /^Subject: Voicemail from 100$/m);
+      assert.match(data, /filename="message.wav"/);
+      assert.ok(data.includes(Buffer.from('Hello\n.leading dot').toString('base64')));
+    } finally {
+      server.close();
+    }
+  });
+
+  it('encodes subjects that are not printable ASCII', () => {
+    const message = (subject) => buildMessage({ from: 'a@example.com', to: ['b@example.com'], subject, text: 'y' });
+    const injected = message('Voicemail\r\nBcc: everyone@example.com');
+    assert.ok(!/^Bcc:/m.test(injected));
+    assert.ok(injected.includes(`Subject: =?UTF-8?B?${Buffer.from('Voicemail\r\nBcc: everyone@example.com').toString('base64')}?=`));
+    assert.match(message('הודעה חדשה'), /^Subject: =\?UTF-8\?B\?/m);
+  });
+
+  it('fails on rejected recipients', async () => {
+    const server = net.createServer((socket) => {
+      socket.write('220 test\r\n');
+      socket.on('data', (chunk) => {
+        socket.write(String(chunk).startsWith('RCPT') ? '550 no such user\r\n' : '250 ok\r\n');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      await assert.rejects(
+        sendMail({ host: '127.0.0.1', port: server.address().port, from: 'a@example.com', to: 'b@example.com', subject: 'x', text: 'y' }),
+        /SMTP RCPT failed: 550 no such user/
+      );
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Webhook Dispatcher Test
+ *
+ * Checks subscription matching (global and per device), HMAC signing,
+ * retries with backoff, resuming undelivered events after a restart and
+ * keeping secrets out of the queue file.
+ * Run with: node --test test/webhook-dispatcher.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { WebhookDispatcher, signPayload, subscriptionsFromEnv } = require('../lib/webhook-dispatcher');
+
+// fetch stub answering with the given statuses in turn (last one repeats)
+function fakeFetch(statuses) {
+  const calls = [];
+  const fn = async (url, init) => {
+    calls.push({ url, init });
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    if (status instanceof Error) throw status;
+    return { ok: status >= 200 && status < 300, status };
+  };
+  fn.calls = calls;
+  return fn;
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('WebhookDispatcher', () => {
+  let dir;
+  let queuePath;
+  let dispatcher;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    queuePath = path.join(dir, 'webhook-queue.json');
+  });
+
+  afterEach(async () => {
+    if (dispatcher) await dispatcher.stop();
+    dispatcher = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('matches global and per-device subscriptions by event', () => {
+    dispatcher = new WebhookDispatcher({
+      queuePath,
+      subscriptions: [
+        { url: 'https://all.example/hook' },
+        { url: 'https://ended.example/hook', events: ['call.ended'] },
+        { url: 'not-a-url' }
+      ]
+    });
+    const device = { name: 'Bot', webhooks: ['https://device.example/hook', { url: 'https://crm.example/hook', events: 'turn.completed' }] };
+
+    const urls = (event, dev) => dispatcher.getSubscriptions(event, dev).map(s => s.url);
+    assert.deepStrictEqual(urls('call.started', null), ['https://all.example/hook']);
+    assert.deepStrictEqual(urls('call.ended', device), [
+      'https://all.example/hook',
+      'https://ended.example/hook',
+      'https://device.example/hook'
+    ]);
+    assert.deepStrictEqual(urls('turn.completed', device), [
+      'https://all.example/hook',
+      'https://device.example/hook',
+      'https://crm.example/hook'
+    ]);
+  });
+
+  it('reads global subscriptions from the environment', () => {
+    assert.deepStrictEqual(
+      subscriptionsFromEnv({ WEBHOOK_URLS: 'https://a.example, https://b.example', WEBHOOK_EVENTS: 'call.ended' }),
+      [
+        { url: 'https://a.example', events: ['call.ended'] },
+        { url: 'https://b.example', events: ['call.ended'] }
+      ]
+    );
+    assert.deepStrictEqual(subscriptionsFromEnv({}), []);
+  });
+
+  it('signs and delivers events', async () => {
+    const fetch = fakeFetch([200]);
+    const device = { name: 'Bot', webhooks: [{ url: 'https://device.example/hook', secret: 'device-secret' }] };
+    dispatcher = new WebhookDispatcher({
+      queuePath,
+      fetch,
+      secret: 'global-secret',
+      subscriptions: [{ url: 'https://all.example/hook' }],
+      getDevice: (name) => (name === 'Bot' ? device : null)
+    });
+    dispatcher.start();
+
+    assert.strictEqual(dispatcher.dispatch('call.ended', { callId: 'c1', summary: 'Hi' }, { device }), 2);
+    await waitFor(() => dispatcher.getPending().length === 0);
+
+    assert.strictEqual(fetch.calls.length, 2);
+    const secrets = { 'https://all.example/hook': 'global-secret', 'https://device.example/hook': 'device-secret' };
+    for (const { url, init } of fetch.calls) {
+      const body = JSON.parse(init.body);
+      assert.strictEqual(body.event, 'call.ended');
+      assert.deepStrictEqual(body.data, { callId: 'c1', summary: 'Hi' });
+      assert.strictEqual(init.headers['X-Webhook-Event'], 'call.ended');
+      assert.strictEqual(init.headers['X-Webhook-Id'], body.id);
+
+      const timestamp = init.headers['X-Webhook-Timestamp'];
+      const expected = 'sha256=' + crypto.createHmac('sha256', secrets[url]).update(timestamp + '.' + init.body).digest('hex');
+      assert.strictEqual(init.headers['X-Webhook-Signature'], expected);
+      assert.strictEqual(signPayload(secrets[url], timestamp, init.body), expected);
+    }
+    await dispatcher.flush();
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(queuePath, 'utf8')), []);
+  });
+
+  it('retries failures with backoff', async () => {
+    const fetch = fakeFetch([500, new Error('ECONNREFUSED'), 200]);
+    dispatcher = new WebhookDispatcher({ queuePath, fetch, secret: null, baseDelayMs: 10 });
+    dispatcher.start();
+
+    dispatcher.enqueue({ url: 'https://a.example/hook', event: 'completed', payload: { callId: 'c2' } });
+    await waitFor(() => dispatcher.getPending().length === 0);
+
+    assert.strictEqual(fetch.calls.length, 3);
+    assert.strictEqual(fetch.calls[0].init.headers['X-Webhook-Signature'], undefined);
+    assert.deepStrictEqual(JSON.parse(fetch.calls[2].init.body), { callId: 'c2' });
+  });
+
+  it('gives up on client errors and after max attempts', async () => {
+    const rejected = fakeFetch([400]);
+    dispatcher = new WebhookDispatcher({ queuePath, fetch: rejected, baseDelayMs: 1 });
+    dispatcher.start();
+    dispatcher.enqueue({ url: 'https://a.example/hook', event: 'x', payload: {} });
+    await waitFor(() => dispatcher.getPending().length === 0);
+    assert.strictEqual(rejected.calls.length, 1);
+    dispatcher.stop();
+
+    const failing = fakeFetch([503]);
+    dispatcher = new WebhookDispatcher({ queuePath, fetch: failing, baseDelayMs: 1, maxAttempts: 3 });
+    dispatcher.start();
+    dispatcher.enqueue({ url: 'https://a.example/hook', event: 'x', payload: {} });
+    await waitFor(() => dispatcher.getPending().length === 0);
+    assert.strictEqual(failing.calls.length, 3);
+  });
+
+  it('resumes undelivered events after a restart', async () => {
+    const down = fakeFetch([new Error('ECONNREFUSED')]);
+    dispatcher = new WebhookDispatcher({
+      queuePath,
+      fetch: down,
+      baseDelayMs: 60000,
+      subscriptions: [{ url: 'https://a.example/hook' }]
+    });
+    dispatcher.start();
+    dispatcher.dispatch('call.started', { callId: 'c3' });
+    await waitFor(() => down.calls.length === 1 && dispatcher.getPending()[0].attempts === 1);
+    await dispatcher.stop();
+
+    const saved = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0].lastError, 'ECONNREFUSED');
+
+    // Due now (as if the process had been down past the retry time)
+    saved[0].nextAttemptAt = Date.now();
+    fs.writeFileSync(queuePath, JSON.stringify(saved));
+
+    const up = fakeFetch([200]);
+    dispatcher = new WebhookDispatcher({ queuePath, fetch: up, subscriptions: [] });
+    dispatcher.start();
+    await waitFor(() => dispatcher.getPending().length === 0);
+
+    assert.strictEqual(up.calls.length, 1);
+    assert.strictEqual(JSON.parse(up.calls[0].init.body).data.callId, 'c3');
+  });
+
+  it('looks up secrets when sending instead of saving them', async () => {
+    const device = { name: 'Bot', webhooks: [{ url: 'https://device.example/hook', secret: 'device-secret' }] };
+    const down = fakeFetch([new Error('ECONNREFUSED')]);
+    dispatcher = new WebhookDispatcher({ queuePath, fetch: down, baseDelayMs: 60000, secret: null });
+    dispatcher.start();
+    dispatcher.dispatch('call.ended', { callId: 'c4' }, { device });
+    await waitFor(() => down.calls.length === 1);
+    await dispatcher.stop();
+
+    const saved = fs.readFileSync(queuePath, 'utf8');
+    assert.ok(!saved.includes('device-secret'));
+    const delivery = JSON.parse(saved)[0];
+    assert.deepStrictEqual(delivery.subscription, { device: 'Bot', index: 0 });
+    delivery.nextAttemptAt = Date.now();
+    fs.writeFileSync(queuePath, JSON.stringify([delivery]));
+
+    // The secret was rotated while the process was down
+    device.webhooks[0].secret = 'rotated-secret';
+    const up = fakeFetch([200]);
+    dispatcher = new WebhookDispatcher({ queuePath, fetch: up, secret: null });
+    dispatcher.setDeviceSource((name) => (name === 'Bot' ? device : null));
+    dispatcher.start();
+    await waitFor(() => dispatcher.getPending().length === 0);
+
+    const { init } = up.calls[0];
+    const timestamp = init.headers['X-Webhook-Timestamp'];
+    assert.strictEqual(init.headers['X-Webhook-Signature'], signPayload('rotated-secret', timestamp, init.body));
+  });
+
+  it('writes a burst of changes to the queue file once', async () => {
+    dispatcher = new WebhookDispatcher({ queuePath, fetch: fakeFetch([500]), baseDelayMs: 60000, saveDelayMs: 20 });
+    const writes = [];
+    const writeFile = fs.promises.writeFile;
+    fs.promises.writeFile = (file, data) => {
+      writes.push(JSON.parse(data).length);
+      return writeFile(file, data);
+    };
+    try {
+      for (let i = 0; i < 5; i++) dispatcher.enqueue({ url: 'https://a.example/hook', event: 'x', payload: { i } });
+      assert.ok(!fs.existsSync(queuePath));
+      await waitFor(() => writes.length > 0);
+      await dispatcher.flush();
+    } finally {
+      fs.promises.writeFile = writeFile;
+    }
+    assert.strictEqual(writes[0], 5);
+    assert.strictEqual(JSON.parse(fs.readFileSync(queuePath, 'utf8')).length, 5);
+  });
+});
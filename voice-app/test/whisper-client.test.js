@@ -0,0 +1,144 @@
+/**
+ * Speech-to-Text Client Test
+ *
+ * Local STT settings per device, "stt" block validation and transcription
+ * through a stand-in local STT server (faster-whisper and whisper.cpp APIs),
+ * including detection of the caller's language.
+ * Run with: node --test test/whisper-client.test.js
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const whisperClient = require('../lib/whisper-client');
+const { resolveLocalStt, validateSttConfig } = whisperClient;
+
+describe('resolveLocalStt', () => {
+  afterEach(() => {
+    delete process.env.LOCAL_STT_MODE;
+    delete process.env.LOCAL_STT_MODEL;
+    delete process.env.LOCAL_STT_LANGUAGE;
+  });
+
+  it('defaults to a small model as fallback in the call language', () => {
+    assert.deepStrictEqual(resolveLocalStt(null, 'he'), { mode: 'fallback', model: 'small', language: 'he', pinned: false });
+  });
+
+  it('lets the device override the environment', () => {
+    process.env.LOCAL_STT_MODE = 'off';
+    process.env.LOCAL_STT_MODEL = 'base';
+    assert.deepStrictEqual(resolveLocalStt(null, 'en'), { mode: 'off', model: 'base', language: 'en', pinned: false });
+    assert.deepStrictEqual(
+      resolveLocalStt({ local: 'primary', model: 'medium', language: 'auto' }, 'en'),
+      { mode: 'primary', model: 'medium', language: 'auto', pinned: true }
+    );
+  });
+
+  it('pins a language set in the environment, even the call\'s own', () => {
+    process.env.LOCAL_STT_LANGUAGE = 'en';
+    assert.deepStrictEqual(resolveLocalStt(null, 'en'), { mode: 'fallback', model: 'small', language: 'en', pinned: true });
+  });
+});
+
+describe('validateSttConfig', () => {
+  it('accepts a valid block', () => {
+    assert.deepStrictEqual(validateSttConfig({ local: 'primary', model: 'large-v3', language: 'he' }), []);
+  });
+
+  it('reports every problem', () => {
+    assert.deepStrictEqual(validateSttConfig([]), ['stt must be an object']);
+    assert.deepStrictEqual(validateSttConfig({ local: 'first', model: '', language: 5 }), [
+      'stt.local must be one of: primary, fallback, off',
+      'stt.model must be a non-empty string',
+      'stt.language must be a non-empty string'
+    ]);
+  });
+});
+
+describe('local STT', () => {
+  let server;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('latin1');
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const fields = {};
+        body.replace(/name="([^"]+)"(?:; filename="[^"]*"\r\nContent-Type: [^\r]*)?\r\n\r\n([^\r]*)/g, (m, name, value) => {
+          fields[name] = value;
+        });
+        requests.push({ url: req.url, fields });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: ' שלום עולם ', language: 'hebrew' }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    process.env.LOCAL_STT_URL = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(() => {
+    delete process.env.LOCAL_STT_URL;
+    delete process.env.LOCAL_STT_API;
+    server.close();
+  });
+
+  it('transcribes with the faster-whisper API when primary', async () => {
+    const pcm = Buffer.alloc(1600);
+    const result = await whisperClient.transcribeDetailed(pcm, {
+      format: 'pcm', sampleRate: 16000, language: 'he', stt: { local: 'primary', model: 'small' }
+    });
+
+    assert.strictEqual(result.text, 'שלום עולם');
+    assert.strictEqual(result.provider, 'local');
+    assert.strictEqual(result.language, null);
+    const request = requests.pop();
+    assert.strictEqual(request.url, '/v1/audio/transcriptions');
+    assert.strictEqual(request.fields.model, 'Systran/faster-whisper-small');
+    assert.strictEqual(request.fields.language, 'he');
+    assert.strictEqual(request.fields.response_format, 'json');
+    assert.match(request.fields.file, /^RIFF/);
+  });
+
+  it('uses the whisper.cpp API and leaves out the language for auto', async () => {
+    process.env.LOCAL_STT_API = 'whispercpp';
+    const text = await whisperClient.transcribe(Buffer.alloc(1600), {
+      format: 'pcm', language: 'en', stt: { local: 'primary', language: 'auto' }
+    });
+
+    assert.strictEqual(text, 'שלום עולם');
+    const request = requests.pop();
+    assert.strictEqual(request.url, '/inference');
+    assert.strictEqual(request.fields.language, undefined);
+    assert.strictEqual(request.fields.model, undefined);
+    assert.strictEqual(request.fields.temperature, '0.0');
+  });
+
+  it('detects the language among the device\'s languages', async () => {
+    delete process.env.LOCAL_STT_API;
+    const result = await whisperClient.transcribeDetailed(Buffer.alloc(1600), {
+      format: 'pcm', language: 'en', languages: ['en', 'he'], stt: { local: 'primary' }
+    });
+
+    assert.strictEqual(result.language, 'he');
+    const request = requests.pop();
+    assert.strictEqual(request.fields.language, undefined);
+    assert.strictEqual(request.fields.response_format, 'verbose_json');
+
+    const notListed = await whisperClient.transcribeDetailed(Buffer.alloc(1600), {
+      format: 'pcm', language: 'en', languages: ['en', 'fr'], stt: { local: 'primary' }
+    });
+    assert.strictEqual(notListed.language, null);
+  });
+
+  it('keeps a pinned language that matches the call\'s instead of detecting', async () => {
+    await whisperClient.transcribeDetailed(Buffer.alloc(1600), {
+      format: 'pcm', language: 'en', languages: ['en', 'he'], stt: { local: 'primary', language: 'en' }
+    });
+    const request = requests.pop();
+    assert.strictEqual(request.fields.language, 'en');
+    assert.strictEqual(request.fields.response_format, 'json');
+  });
+});